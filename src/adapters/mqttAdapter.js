@@ -168,6 +168,8 @@ class MQTTAdapter {
       return 'dataStream';
     } else if (topic.includes('/state')) {
       return 'deviceState';
+    } else if (topic.includes('/commands/ack')) {
+      return 'commandAck';
     } else if (topic.includes('/commands')) {
       return 'commands';
     } else if (topic.includes('/broadcast')) {
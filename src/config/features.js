@@ -81,5 +81,12 @@ module.exports = {
       default: parseInt(process.env.MQTT_DEFAULT_QOS || 1, 10),
       dataStream: parseInt(process.env.MQTT_DATASTREAM_QOS || 1, 10),
     },
+    // Credentials of AEMOS' own publishers; generated and rotated when no password is set
+    serviceAccount: {
+      username: process.env.MQTT_SERVICE_USERNAME || 'aemos-service',
+      password: process.env.MQTT_SERVICE_PASSWORD || '',
+      rotationInterval: parseInt(process.env.MQTT_SERVICE_ROTATION_INTERVAL_MS || 86400000, 10), // 24 hours
+      gracePeriod: parseInt(process.env.MQTT_SERVICE_ROTATION_GRACE_MS || 300000, 10), // 5 minutes
+    },
   },
 };
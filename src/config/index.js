@@ -26,6 +26,15 @@ const validateProductionConfig = () => {
 
 validateProductionConfig();
 
+// Parses "gateway:60,sensor:900" into { gateway: 60, sensor: 900 }
+const parseTimeoutMap = (value) => (value || '').split(',').reduce((timeouts, entry) => {
+  const [type, seconds] = entry.split(':').map((part) => part && part.trim());
+  if (type && Number.isFinite(parseInt(seconds, 10))) {
+    timeouts[type] = parseInt(seconds, 10);
+  }
+  return timeouts;
+}, {});
+
 module.exports = {
   server: {
     port: process.env.PORT || 3000,
@@ -48,6 +57,46 @@ module.exports = {
     secret: process.env.JWT_SECRET || 'your-secret-key',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h'
   },
+  auth: {
+    // Base URL of the web app the links in account emails point to
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+    passwordResetTtl: parseInt(process.env.PASSWORD_RESET_TTL_SECONDS || '3600', 10),
+    emailVerificationTtl: parseInt(process.env.EMAIL_VERIFICATION_TTL_SECONDS || '172800', 10),
+    lockout: {
+      // Consecutive failed logins before an account is locked (0 disables)
+      threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10),
+      // Length of the first lock; each further failure doubles it up to the maximum
+      baseDuration: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '300', 10),
+      maxDuration: parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS || '86400', 10)
+    },
+    throttle: {
+      // Failed logins allowed per client IP and per email address within a window (0 disables)
+      window: parseInt(process.env.LOGIN_THROTTLE_WINDOW_SECONDS || '900', 10),
+      maxFailuresPerIp: parseInt(process.env.LOGIN_THROTTLE_MAX_FAILURES_PER_IP || '50', 10),
+      maxFailuresPerAccount: parseInt(process.env.LOGIN_THROTTLE_MAX_FAILURES_PER_ACCOUNT || '10', 10)
+    },
+    twoFactor: {
+      // Name authenticator apps show next to the account
+      issuer: process.env.TWO_FACTOR_ISSUER || 'AEMOS',
+      // Key TOTP secrets are encrypted with; falls back to JWT_SECRET
+      encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || '',
+      // Seconds the MFA challenge token from the first login step stays valid
+      challengeTtl: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS || '300', 10),
+      recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES || '10', 10)
+    }
+  },
+  mail: {
+    // log, file or smtp (see src/utils/mailTransport.js)
+    transport: process.env.MAIL_TRANSPORT || 'log',
+    from: process.env.MAIL_FROM || 'AEMOS <no-reply@aemos.local>',
+    // Directory the file transport writes one .eml file per message to
+    fileDirectory: process.env.MAIL_FILE_DIR || 'tmp/mail',
+    smtp: {
+      host: process.env.SMTP_HOST || '127.0.0.1',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      timeout: parseInt(process.env.SMTP_TIMEOUT_MS || '10000', 10)
+    }
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info'
   },
@@ -60,6 +109,17 @@ module.exports = {
   },
   ruleEngine: {
     workerConcurrency: parseInt(process.env.RULE_ENGINE_WORKER_CONCURRENCY || '20', 10),
+    // How many rule chains may trigger each other through device state changes
+    maxTriggerDepth: parseInt(process.env.RULE_ENGINE_MAX_TRIGGER_DEPTH || '3', 10),
+    // Longest window an aggregate filter (avg/min/max/sum/count) may look back over
+    maxAggregateWindow: parseInt(process.env.RULE_ENGINE_MAX_AGGREGATE_WINDOW_MS || '86400000', 10),
+    // Seconds an idle filter's hold/hysteresis state is kept in Redis
+    conditionStateTtl: parseInt(process.env.RULE_ENGINE_CONDITION_STATE_TTL || '604800', 10),
+    executionHistory: {
+      retentionDays: parseInt(process.env.RULE_CHAIN_EXECUTION_RETENTION_DAYS || '30', 10),
+      pruneInterval: parseInt(process.env.RULE_CHAIN_EXECUTION_PRUNE_INTERVAL_MS || '3600000', 10),
+      pruneBatchSize: parseInt(process.env.RULE_CHAIN_EXECUTION_PRUNE_BATCH_SIZE || '1000', 10)
+    },
     timeouts: {
       dataCollection: parseInt(process.env.DATA_COLLECTION_TIMEOUT || '5000', 10),
       ruleChain: parseInt(process.env.RULE_CHAIN_TIMEOUT || '30000', 10),
@@ -67,6 +127,30 @@ module.exports = {
       workerMaxStalledCount: parseInt(process.env.WORKER_MAX_STALLED_COUNT || '2', 10)
     }
   },
+  commands: {
+    pollQueueTtl: parseInt(process.env.COMMAND_POLL_QUEUE_TTL || '86400', 10),
+    pollQueueMaxLength: parseInt(process.env.COMMAND_POLL_QUEUE_MAX_LENGTH || '100', 10),
+    ttl: parseInt(process.env.COMMAND_TTL_SECONDS || '3600', 10),
+    maxAttempts: parseInt(process.env.COMMAND_MAX_ATTEMPTS || '5', 10),
+    ackTimeout: parseInt(process.env.COMMAND_ACK_TIMEOUT_MS || '10000', 10),
+    maxBackoff: parseInt(process.env.COMMAND_MAX_BACKOFF_MS || '300000', 10),
+    retryInterval: parseInt(process.env.COMMAND_RETRY_INTERVAL_MS || '5000', 10)
+  },
+  alarms: {
+    // Minutes an alarm may stay unacknowledged before it escalates (0 disables)
+    escalateAfterMinutes: parseInt(process.env.ALARM_ESCALATE_AFTER_MINUTES || '30', 10),
+    maxEscalationLevel: parseInt(process.env.ALARM_MAX_ESCALATION_LEVEL || '3', 10),
+    escalationCheckInterval: parseInt(process.env.ALARM_ESCALATION_CHECK_INTERVAL_MS || '60000', 10)
+  },
+  heartbeat: {
+    // Seconds without a heartbeat before a device or sensor counts as offline
+    timeoutSeconds: parseInt(process.env.HEARTBEAT_TIMEOUT_SECONDS || '300', 10),
+    // Per device type overrides ("sensor" covers sensors), e.g. "gateway:60,sensor:900"
+    typeTimeouts: parseTimeoutMap(process.env.HEARTBEAT_TYPE_TIMEOUTS),
+    // Status given to devices that go quiet: disconnected or faulty
+    offlineStatus: process.env.HEARTBEAT_OFFLINE_STATUS || 'disconnected',
+    checkInterval: parseInt(process.env.HEARTBEAT_CHECK_INTERVAL_MS || '30000', 10)
+  },
   features,
   broadcastAll: features.notifications.broadcastAll
 };
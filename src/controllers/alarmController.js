@@ -0,0 +1,85 @@
+const alarmService = require('../services/alarmService');
+
+const getAlarmsByOrganization = async (req, res, next) => {
+  try {
+    const { status, severity, alarmType, originatorUuid, page, limit } = req.query;
+    const result = await alarmService.listAlarms(Number(req.params.organizationId), {
+      status,
+      severity,
+      alarmType,
+      originatorUuid,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAlarm = async (req, res, next) => {
+  try {
+    const alarm = await alarmService.getAlarm(req.params.id, Number(req.query.organizationId));
+
+    res.status(200).json({
+      status: 'success',
+      data: alarm
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const acknowledgeAlarm = async (req, res, next) => {
+  try {
+    const { organizationId, comment } = req.body;
+    const alarm = await alarmService.acknowledge(req.params.id, Number(organizationId), req.user.id, comment || null);
+
+    res.status(200).json({
+      status: 'success',
+      data: alarm
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const clearAlarm = async (req, res, next) => {
+  try {
+    const { organizationId, comment } = req.body;
+    const alarm = await alarmService.clear(req.params.id, Number(organizationId), req.user.id, comment || null);
+
+    res.status(200).json({
+      status: 'success',
+      data: alarm
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const assignAlarm = async (req, res, next) => {
+  try {
+    const { organizationId, userId, comment } = req.body;
+    const alarm = await alarmService.assign(req.params.id, Number(organizationId), userId, req.user.id, comment || null);
+
+    res.status(200).json({
+      status: 'success',
+      data: alarm
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAlarmsByOrganization,
+  getAlarm,
+  acknowledgeAlarm,
+  clearAlarm,
+  assignAlarm
+};
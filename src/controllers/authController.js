@@ -1,22 +1,147 @@
 const authService = require('../services/authService');
 const userService = require('../services/userService');
-const roleService = require('../services/roleService');
+const authSessionService = require('../services/authSessionService');
+const twoFactorService = require('../services/twoFactorService');
 const { ApiError } = require('../middlewares/errorHandler');
 
-// Login user and generate token
+// Where a login comes from, kept with its session
+const sessionContext = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get ? req.get('user-agent') || null : null
+});
+
+// Body of a successful login
+const loginResponse = ({ user, token, refreshToken, permissions, roles, recoveryCodes }) => ({
+  status: 'success',
+  data: {
+    user,
+    permissions,
+    roles,
+    token,
+    refreshToken,
+    recoveryCodes
+  }
+});
+
+// Login user and generate token. Users with two-factor authentication get an
+// MFA challenge token to finish the login with instead.
 const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
-    const { user, token, refreshToken, permissions, roles } = await authService.login(email, password);
+    const result = await authService.login(email, password, sessionContext(req));
+    
+    if (result.mfaRequired) {
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          mfaRequired: true,
+          enrollmentRequired: result.enrollmentRequired,
+          mfaToken: result.mfaToken
+        }
+      });
+    }
+    
+    res.status(200).json(loginResponse(result));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Finish a login with a two-factor code, or with the first code of an
+// enrolment the user's organization requires
+const loginWithTwoFactor = async (req, res, next) => {
+  try {
+    const { mfaToken, code } = req.body;
+    const result = await authService.completeTwoFactorLogin(mfaToken, code, sessionContext(req));
+    
+    res.status(200).json(loginResponse(result));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start the enrolment an organization requires, during login
+const beginLoginEnrollment = async (req, res, next) => {
+  try {
+    const enrollment = await authService.beginLoginEnrollment(req.body.mfaToken);
+    
+    res.status(200).json({
+      status: 'success',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Two-factor state of the current user
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+    
+    res.status(200).json({
+      status: 'success',
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start enrolling a second factor: returns the secret and its otpauth:// URI
+const beginTwoFactorEnrollment = async (req, res, next) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Enable the second factor with a code from the authenticator app
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user.id, req.body.code);
     
     res.status(200).json({
       status: 'success',
+      message: 'Two-factor authentication enabled, store the recovery codes somewhere safe',
       data: {
-        user,
-        permissions,
-        roles,
-        token,
-        refreshToken
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Turn the second factor off
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    await twoFactorService.disable(req.user.id, req.body.code);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace the recovery codes of the current user
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        recoveryCodes
       }
     });
   } catch (error) {
@@ -30,8 +155,8 @@ const logout = async (req, res, next) => {
     // The token is already verified and attached to req by the authenticate middleware
     const token = req.token;
     
-    // Invalidate the token
-    authService.logout(token);
+    // Invalidate the token and its session
+    await authService.logout(token);
     
     res.status(200).json({
       status: 'success',
@@ -51,12 +176,14 @@ const refreshToken = async (req, res, next) => {
       throw new ApiError(400, 'Refresh token is required');
     }
     
-    const { token } = await authService.refreshToken(refreshToken);
+    // The refresh token is rotated: the client must keep the new one
+    const tokens = await authService.refreshToken(refreshToken);
     
     res.status(200).json({
       status: 'success',
       data: {
-        token
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
       }
     });
   } catch (error) {
@@ -64,7 +191,8 @@ const refreshToken = async (req, res, next) => {
   }
 };
 
-// Signup a new user
+// Signup a new user. The account cannot log in until its email address is
+// verified, so no tokens are issued here.
 const signup = async (req, res, next) => {
   try {
     const userData = req.body;
@@ -77,22 +205,14 @@ const signup = async (req, res, next) => {
       notifyUser || false
     );
     
-    // Generate JWT token for automatic login
-    const token = await authService.generateToken(user);
-    const refreshToken = await authService.generateRefreshToken(user);
-    
-    // Get user permissions and roles
-    const permissions = await roleService.getUserPermissions(user.id);
-    const roles = await roleService.getUserRoleNames(user.id);
+    const verificationEmailSent = await authService.sendVerificationEmail(user);
     
     res.status(201).json({
       status: 'success',
+      message: 'Account created, check your email to verify your address',
       data: {
         user,
-        permissions,
-        roles,
-        token,
-        refreshToken,
+        verificationEmailSent,
         notifications: notifyUser ? notifications : undefined
       }
     });
@@ -101,6 +221,65 @@ const signup = async (req, res, next) => {
   }
 };
 
+// Verify the email address a verification token was sent to
+const verifyEmail = async (req, res, next) => {
+  try {
+    await authService.verifyEmail(req.body.token);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send another verification email
+const resendVerification = async (req, res, next) => {
+  try {
+    await authService.resendVerificationEmail(req.body.email);
+    
+    // Same answer for every address so accounts cannot be enumerated
+    res.status(200).json({
+      status: 'success',
+      message: 'If the account exists and is not verified yet, a verification email has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Email a password reset link
+const forgotPassword = async (req, res, next) => {
+  try {
+    await authService.requestPasswordReset(req.body.email);
+    
+    // Same answer for every address so accounts cannot be enumerated
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set a new password with a reset token
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    await authService.resetPassword(token, password);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset, please log in again'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get current user information
 const getCurrentUser = async (req, res, next) => {
   try {
@@ -116,10 +295,95 @@ const getCurrentUser = async (req, res, next) => {
   }
 };
 
+// Log out of every session of the current user
+const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await authService.logoutAll(req.user.id, req.token);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out of all sessions',
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the current user's active sessions
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await authSessionService.listSessions(req.user.id);
+    
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await authSessionService.revokeSession(req.user.id, req.params.id);
+    
+    if (!revoked) {
+      throw new ApiError(404, 'Session not found');
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lift the lockout of a user's account
+const unlockAccount = async (req, res, next) => {
+  try {
+    const user = await authService.unlockAccount(req.params.id, req.user.id);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Account unlocked',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   login,
+  loginWithTwoFactor,
+  beginLoginEnrollment,
+  getTwoFactorStatus,
+  beginTwoFactorEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  unlockAccount,
   signup,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getCurrentUser,
   refreshToken
 }; 
\ No newline at end of file
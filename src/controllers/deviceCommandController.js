@@ -0,0 +1,94 @@
+const deviceCommandService = require('../services/deviceCommandService');
+const { canActForDevice } = require('../services/deviceTokenService');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// Hand a polling device the commands queued for it (HTTP delivery channel)
+const getPendingCommands = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+
+    // req.deviceUuid is the sensor the token belongs to, which may act for
+    // the devices in its areas
+    if (!(await canActForDevice(req.deviceUuid, uuid))) {
+      return next(new ApiError(403, 'Forbidden: token does not belong to this device'));
+    }
+
+    const commands = await deviceCommandService.takePendingCommands(uuid, limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: commands.length,
+      data: { commands }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// HTTP counterpart of the devices/{uuid}/commands/ack MQTT topic and CoAP path
+const acknowledgeCommand = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const { commandId, status, error } = req.body;
+
+    if (!(await canActForDevice(req.deviceUuid, uuid))) {
+      return next(new ApiError(403, 'Forbidden: token does not belong to this device'));
+    }
+
+    const result = await deviceCommandService.acknowledge(uuid, commandId, { status, error });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        command: result.command,
+        duplicate: result.duplicate
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the commands sent to a device
+const getDeviceCommands = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, page, limit } = req.query;
+
+    const paginatedResults = await deviceCommandService.listCommands(Number(id), { status, page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      ...paginatedResults
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a copy of an earlier command that failed, expired or is still unconfirmed
+const resendDeviceCommand = async (req, res, next) => {
+  try {
+    const { id, commandId } = req.params;
+
+    const result = await deviceCommandService.resendCommand(Number(id), commandId, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        command: result.command,
+        delivery: result.delivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPendingCommands,
+  acknowledgeCommand,
+  getDeviceCommands,
+  resendDeviceCommand
+};
@@ -0,0 +1,58 @@
+const connectivityService = require('../services/connectivityService');
+const deviceService = require('../services/deviceService');
+const mqttService = require('../services/mqttService');
+const { ApiError } = require('../middlewares/errorHandler');
+
+// A device's connectivity and its history of going offline and back online
+const getDeviceConnectivity = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to, limit } = req.query;
+
+    const connectivity = await connectivityService.getDeviceConnectivity(Number(id), {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      limit: limit ? Number(limit) : undefined
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: connectivity
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Who is connected to the MQTT broker as this device right now
+const getDeviceConnection = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const device = await deviceService.getDeviceById(Number(id));
+    if (!device) {
+      return next(new ApiError(404, `Device with ID ${id} not found`));
+    }
+
+    const connection = mqttService.getConnection(device.uuid);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deviceId: device.id,
+        uuid: device.uuid,
+        status: device.status,
+        lastHeartbeat: device.lastHeartbeat,
+        connected: Boolean(connection),
+        connection
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDeviceConnectivity,
+  getDeviceConnection
+};
@@ -0,0 +1,62 @@
+const gatewayCredentialService = require('../services/gatewayCredentialService');
+
+// Issue an MQTT credential for a gateway; the secret is only ever shown here
+const createGatewayCredential = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { expiresAt } = req.body;
+
+    const { credential, secret } = await gatewayCredentialService.createCredential(Number(id), {
+      expiresAt: expiresAt || null,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ...credential,
+        secret
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A gateway's credentials, without their secrets
+const getGatewayCredentials = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const credentials = await gatewayCredentialService.listCredentials(Number(id));
+
+    res.status(200).json({
+      status: 'success',
+      results: credentials.length,
+      data: credentials
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeGatewayCredential = async (req, res, next) => {
+  try {
+    const { id, credentialId } = req.params;
+
+    const credential = await gatewayCredentialService.revokeCredential(Number(id), Number(credentialId));
+
+    res.status(200).json({
+      status: 'success',
+      data: credential
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createGatewayCredential,
+  getGatewayCredentials,
+  revokeGatewayCredential
+};
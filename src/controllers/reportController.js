@@ -332,6 +332,90 @@ const getTicketResolutionReport = async (req, res, next) => {
   }
 };
 
+const DEFAULT_UPTIME_RANGE_DAYS = 7;
+
+// Reporting window from the from/to query parameters, the last week by default
+const parseReportRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_UPTIME_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new ApiError(400, 'from and to must be valid dates');
+  }
+  if (from >= to) {
+    throw new ApiError(400, 'from must be before to');
+  }
+  return { from, to };
+};
+
+/**
+ * Get device and sensor uptime report with pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getDeviceUptimeReport = async (req, res, next) => {
+  try {
+    // Check if organizationId is provided
+    const { organizationId } = req.query;
+    
+    if (!organizationId) {
+      return next(new ApiError(400, 'Organization ID is required'));
+    }
+    
+    const data = await reportService.getDeviceUptimeReport(organizationId, req.user, parseReportRange(req.query));
+    
+    // Apply pagination
+    const paginatedResults = paginate(data, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      ...paginatedResults
+    });
+  } catch (error) {
+    console.error('Error in getDeviceUptimeReport controller:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * Get area uptime report with pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getAreaUptimeReport = async (req, res, next) => {
+  try {
+    // Check if organizationId is provided
+    const { organizationId } = req.query;
+    
+    if (!organizationId) {
+      return next(new ApiError(400, 'Organization ID is required'));
+    }
+    
+    const data = await reportService.getAreaUptimeReport(organizationId, req.user, parseReportRange(req.query));
+    
+    // Apply pagination
+    const paginatedResults = paginate(data, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      ...paginatedResults
+    });
+  } catch (error) {
+    console.error('Error in getAreaUptimeReport controller:', error.message);
+    next(error);
+  }
+};
+
 module.exports = {
   getDeviceStatusReport,
   getSensorTelemetryReport,
@@ -342,5 +426,7 @@ module.exports = {
   getRuleChainExecutionReport,
   getSensorAnomalyReport,
   getUserRoleDistributionReport,
-  getTicketResolutionReport
+  getTicketResolutionReport,
+  getDeviceUptimeReport,
+  getAreaUptimeReport
 }; 
\ No newline at end of file
@@ -0,0 +1,96 @@
+const ruleChainTemplateService = require('../services/ruleChainTemplateService');
+
+const listTemplates = async (req, res, next) => {
+  try {
+    const { organizationId, category } = req.query;
+    const templates = await ruleChainTemplateService.listTemplates(Number(organizationId), { category });
+
+    res.status(200).json({
+      status: 'success',
+      results: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTemplate = async (req, res, next) => {
+  try {
+    const template = await ruleChainTemplateService.getTemplate(req.params.id, req.query.organizationId);
+
+    res.status(200).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createTemplate = async (req, res, next) => {
+  try {
+    const template = await ruleChainTemplateService.createTemplate(req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateTemplate = async (req, res, next) => {
+  try {
+    const template = await ruleChainTemplateService.updateTemplate(req.params.id, req.body, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteTemplate = async (req, res, next) => {
+  try {
+    await ruleChainTemplateService.deleteTemplate(req.params.id, req.body.organizationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Rule chain template deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a concrete rule chain in the caller's organization
+const instantiateTemplate = async (req, res, next) => {
+  try {
+    const { organizationId, values, name } = req.body;
+    const result = await ruleChainTemplateService.instantiate(req.params.id, {
+      organizationId: Number(organizationId),
+      values,
+      name
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate
+};
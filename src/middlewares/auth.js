@@ -3,6 +3,7 @@ const { ApiError } = require('./errorHandler');
 const config = require('../config');
 const { User, Role } = require('../models/initModels');
 const { isTokenBlacklisted } = require('../services/tokenBlacklistService');
+const authSessionService = require('../services/authSessionService');
 
 /**
  * Authentication middleware to protect routes
@@ -19,13 +20,23 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     
     // Check if token is blacklisted (logged out)
-    if (isTokenBlacklisted(token)) {
+    if (await isTokenBlacklisted(token)) {
       throw new ApiError(401, 'Token is no longer valid');
     }
     
     // Verify token
     const decoded = jwt.verify(token, config.jwt.secret);
     
+    // Refresh and MFA challenge tokens are not access tokens
+    if (decoded.tokenType) {
+      throw new ApiError(401, 'Invalid token');
+    }
+    
+    // Check if the session was logged out elsewhere
+    if (decoded.sid && !(await authSessionService.isSessionActive(decoded.sid))) {
+      throw new ApiError(401, 'Session has been revoked');
+    }
+    
     // Check if user exists
     const user = await User.findByPk(decoded.id, {
       attributes: { exclude: ['password'] }
@@ -37,8 +48,9 @@ const authenticate = async (req, res, next) => {
     
     // Add user to request object
     req.user = user;
-    // Store token in request for potential logout
+    // Store token and session in request for potential logout
     req.token = token;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
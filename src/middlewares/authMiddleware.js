@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const { ApiError } = require('./errorHandler');
 const { User } = require('../models/initModels');
 const roleService = require('../services/roleService');
+const { isTokenBlacklisted } = require('../services/tokenBlacklistService');
+const authSessionService = require('../services/authSessionService');
 
 /**
  * Middleware to verify JWT token
@@ -16,6 +18,11 @@ const authenticateToken = async (req, res, next) => {
       return next(new ApiError(401, 'Access token is required'));
     }
 
+    // Check if token is blacklisted (logged out)
+    if (await isTokenBlacklisted(token)) {
+      return next(new ApiError(401, 'Token is no longer valid'));
+    }
+
     // Verify token
     jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
       if (err) {
@@ -25,15 +32,29 @@ const authenticateToken = async (req, res, next) => {
         return next(new ApiError(403, 'Invalid token'));
       }
 
-      // Check if user exists in database
-      const user = await User.findByPk(decoded.id);
-      if (!user) {
-        return next(new ApiError(404, 'User not found'));
+      // Refresh and MFA challenge tokens are not access tokens
+      if (decoded.tokenType) {
+        return next(new ApiError(403, 'Invalid token'));
       }
 
-      // Add user object to request
-      req.user = user;
-      next();
+      try {
+        // Check if the session was logged out elsewhere
+        if (decoded.sid && !(await authSessionService.isSessionActive(decoded.sid))) {
+          return next(new ApiError(401, 'Session has been revoked'));
+        }
+
+        // Check if user exists in database
+        const user = await User.findByPk(decoded.id);
+        if (!user) {
+          return next(new ApiError(404, 'User not found'));
+        }
+
+        // Add user object to request
+        req.user = user;
+        next();
+      } catch (error) {
+        next(error);
+      }
     });
   } catch (error) {
     next(error);
@@ -39,18 +39,28 @@ const errorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
+  // Field-level problems attached by services (e.g. rule chain validation)
+  const validationErrors = err.details ? { validationErrors: err.details } : {};
+
+  // Seconds until a refused request may be retried (e.g. throttled logins)
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   if (process.env.NODE_ENV === 'development') {
     res.status(err.statusCode).json({
       status: err.status,
       statusCode: err.statusCode,
       message: err.message,
+      ...validationErrors,
       stack: err.stack
     });
   } else {
     res.status(err.statusCode).json({
       status: err.status,
       statusCode: err.statusCode,
-      message: err.message
+      message: err.message,
+      ...validationErrors
     });
   }
 };
@@ -59,8 +59,8 @@ const checkOrgPermission = (requiredPermissions, requireAll = true, orgIdParam =
         throw new ApiError(401, 'Authentication required');
       }
       
-      // Get organization ID from URL or body
-      const organizationId = req.params[orgIdParam] || req.body[orgIdParam];
+      // Get organization ID from URL, body or query string
+      const organizationId = req.params[orgIdParam] || req.body[orgIdParam] || req.query[orgIdParam];
       
       if (!organizationId) {
         throw new ApiError(400, 'Organization ID is required');
@@ -0,0 +1,99 @@
+'use strict';
+
+const ALARM_PERMISSIONS = [
+  { name: 'alarm.view', description: 'View alarms of an organization' },
+  { name: 'alarm.manage', description: 'Acknowledge, clear and assign alarms' }
+];
+
+// Notification rows with a status are alarms; plain notifications keep it null
+const ALARM_COLUMNS = (Sequelize) => ({
+  alarmType: {
+    type: Sequelize.STRING(100),
+    allowNull: true
+  },
+  originatorType: {
+    type: Sequelize.STRING(20),
+    allowNull: true,
+    comment: 'sensor, device or rule_chain'
+  },
+  originatorUuid: {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  },
+  ruleChainId: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  status: {
+    type: Sequelize.STRING(20),
+    allowNull: true,
+    comment: 'active, acknowledged or cleared'
+  },
+  dedupKey: {
+    type: Sequelize.STRING(255),
+    allowNull: true,
+    unique: true,
+    comment: 'Set while the alarm is open so one originator and type has a single open alarm'
+  },
+  occurrences: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  escalationLevel: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  escalateAt: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  escalatedAt: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  lastRaisedAt: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  clearedAt: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  clearedBy: {
+    type: Sequelize.BIGINT,
+    allowNull: true
+  }
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const [column, definition] of Object.entries(ALARM_COLUMNS(Sequelize))) {
+      await queryInterface.addColumn('Notification', column, definition);
+    }
+    await queryInterface.addIndex('Notification', ['organizationId', 'status'], {
+      name: 'idx_notification_org_status'
+    });
+    await queryInterface.addIndex('Notification', ['status', 'escalateAt'], {
+      name: 'idx_notification_escalation'
+    });
+
+    await queryInterface.bulkInsert('Permission', ALARM_PERMISSIONS, { ignoreDuplicates: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('Permission', {
+      name: ALARM_PERMISSIONS.map((permission) => permission.name)
+    });
+    await queryInterface.removeIndex('Notification', 'idx_notification_escalation');
+    await queryInterface.removeIndex('Notification', 'idx_notification_org_status');
+    for (const column of Object.keys(ALARM_COLUMNS(Sequelize)).reverse()) {
+      await queryInterface.removeColumn('Notification', column);
+    }
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('RuleChainNode', 'edges', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Labelled outgoing edges, e.g. [{ "label": "true", "targetNodeId": 12 }]'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('RuleChainNode', 'edges');
+  }
+};
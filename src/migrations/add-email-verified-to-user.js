@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Accounts created before verification existed keep being able to log in
+    await queryInterface.addColumn('User', 'emailVerified', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    });
+
+    await queryInterface.changeColumn('User', 'emailVerified', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('User', 'emailVerified');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('User', 'lockoutEnd', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Logins are refused until this time after too many failed attempts'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('User', 'lockoutEnd');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('DeviceCommand', 'triggerChain', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Rule chain ids that led to this command, carried into the resulting state change'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('DeviceCommand', 'triggerChain');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+// Aggregate filters scan one variable's readings over a time window
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addIndex('DataStream', ['telemetryDataId', 'recievedAt'], {
+      name: 'idx_datastream_telemetry_received'
+    });
+    await queryInterface.addIndex('DeviceStateInstance', ['deviceStateId', 'fromTimestamp'], {
+      name: 'idx_device_state_instance_state_from'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('DataStream', 'idx_datastream_telemetry_received');
+    await queryInterface.removeIndex('DeviceStateInstance', 'idx_device_state_instance_state_from');
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const DEVICE_STATUSES = ['active', 'inactive', 'pending', 'maintenance', 'faulty', 'retired'];
+const MONITORED_DEVICE_STATUSES = ['active', 'inactive', 'pending', 'maintenance', 'faulty', 'disconnected', 'retired'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ConnectivityEvent', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      organizationId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      originatorType: {
+        type: Sequelize.ENUM('device', 'sensor'),
+        allowNull: false
+      },
+      originatorId: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      originatorUuid: {
+        type: Sequelize.STRING(36),
+        allowNull: false
+      },
+      connectivity: {
+        type: Sequelize.ENUM('online', 'offline'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      previousStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      lastHeartbeat: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      occurredAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ConnectivityEvent', ['originatorType', 'originatorId', 'occurredAt'], {
+      name: 'idx_connectivity_event_originator'
+    });
+    await queryInterface.addIndex('ConnectivityEvent', ['organizationId', 'occurredAt'], {
+      name: 'idx_connectivity_event_organization'
+    });
+
+    // Devices that stop sending heartbeats are marked disconnected
+    await queryInterface.changeColumn('Device', 'status', {
+      type: Sequelize.ENUM(...MONITORED_DEVICE_STATUSES),
+      defaultValue: 'pending'
+    });
+    await queryInterface.addColumn('Sensor', 'lastHeartbeat', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Sensor', 'lastHeartbeat');
+    await queryInterface.bulkUpdate('Device', { status: 'inactive' }, { status: 'disconnected' });
+    await queryInterface.changeColumn('Device', 'status', {
+      type: Sequelize.ENUM(...DEVICE_STATUSES),
+      defaultValue: 'pending'
+    });
+    await queryInterface.dropTable('ConnectivityEvent');
+  }
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('DeviceCommand', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      commandId: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+        unique: true
+      },
+      deviceId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'Device',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      stateName: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      value: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      channel: {
+        type: Sequelize.ENUM('mqtt', 'coap', 'http'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sent', 'acknowledged', 'failed', 'expired'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      acknowledgedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      initiatedBy: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      initiatorId: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      ruleChainId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      ruleChainNodeId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('DeviceCommand', ['deviceId', 'createdAt'], {
+      name: 'idx_device_command_device'
+    });
+    await queryInterface.addIndex('DeviceCommand', ['status', 'nextAttemptAt'], {
+      name: 'idx_device_command_due'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('DeviceCommand');
+  }
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('RuleChainExecution', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      ruleChainId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'RuleChain',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      triggerType: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      triggerEvent: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      inputData: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      nodeResults: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      finalData: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      summary: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('success', 'aborted', 'failed', 'timeout'),
+        allowNull: false
+      },
+      abortReason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      durationMs: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('RuleChainExecution', ['ruleChainId', 'startedAt'], {
+      name: 'idx_rule_chain_execution_chain'
+    });
+    await queryInterface.addIndex('RuleChainExecution', ['startedAt'], {
+      name: 'idx_rule_chain_execution_started'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('RuleChainExecution');
+  }
+};
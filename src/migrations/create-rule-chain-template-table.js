@@ -0,0 +1,87 @@
+'use strict';
+
+const builtinTemplates = require('../ruleEngine/templates/builtinTemplates');
+
+const TEMPLATE_PERMISSIONS = [
+  { name: 'rule.template.manage', description: 'Publish and edit rule chain templates of an organization' },
+  { name: 'rule.template.global', description: 'Publish and edit global rule chain templates' }
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('RuleChainTemplate', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      organizationId: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      category: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      inputs: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      definition: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      createdBy: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      updatedBy: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('RuleChainTemplate', ['organizationId', 'name'], {
+      name: 'idx_rule_chain_template_org_name'
+    });
+
+    await queryInterface.bulkInsert('Permission', TEMPLATE_PERMISSIONS, { ignoreDuplicates: true });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('RuleChainTemplate', builtinTemplates.map((template) => ({
+      organizationId: null,
+      name: template.name,
+      description: template.description,
+      category: template.category,
+      inputs: JSON.stringify(template.inputs),
+      definition: JSON.stringify(template.definition),
+      createdAt: now,
+      updatedAt: now
+    })));
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('Permission', {
+      name: TEMPLATE_PERMISSIONS.map((permission) => permission.name)
+    });
+    await queryInterface.dropTable('RuleChainTemplate');
+  }
+};
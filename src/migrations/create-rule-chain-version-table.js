@@ -0,0 +1,94 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('RuleChainVersion', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      ruleChainId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'RuleChain',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'published', 'superseded'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      origin: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      baseVersion: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      nodes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      notes: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      createdBy: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      publishedBy: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      publishedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('RuleChainVersion', ['ruleChainId', 'version'], {
+      unique: true,
+      name: 'unique_rule_chain_version'
+    });
+    await queryInterface.addIndex('RuleChainVersion', ['ruleChainId', 'status'], {
+      name: 'idx_rule_chain_version_status'
+    });
+
+    await queryInterface.addColumn('RuleChain', 'publishedVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('RuleChainExecution', 'ruleChainVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('RuleChainExecution', 'ruleChainVersion');
+    await queryInterface.removeColumn('RuleChain', 'publishedVersion');
+    await queryInterface.dropTable('RuleChainVersion');
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('UserTwoFactor', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      userId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'User',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      secret: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      recoveryCodes: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      lastUsedStep: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      enabledAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addColumn('Organization', 'requireTwoFactor', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Members must log in with a second factor'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Organization', 'requireTwoFactor');
+    await queryInterface.dropTable('UserTwoFactor');
+  }
+};
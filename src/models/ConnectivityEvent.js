@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ConnectivityEvent = sequelize.define('ConnectivityEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  organizationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  originatorType: {
+    type: DataTypes.ENUM('device', 'sensor'),
+    allowNull: false
+  },
+  originatorId: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  originatorUuid: {
+    type: DataTypes.STRING(36),
+    allowNull: false
+  },
+  connectivity: {
+    type: DataTypes.ENUM('online', 'offline'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'Device or sensor status after the change'
+  },
+  previousStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    comment: 'heartbeat, heartbeat_timeout or reported'
+  },
+  lastHeartbeat: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'ConnectivityEvent',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['originatorType', 'originatorId', 'occurredAt'],
+      name: 'idx_connectivity_event_originator'
+    },
+    {
+      fields: ['organizationId', 'occurredAt'],
+      name: 'idx_connectivity_event_organization'
+    }
+  ]
+});
+
+module.exports = ConnectivityEvent;
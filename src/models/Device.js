@@ -23,7 +23,7 @@ const Device = sequelize.define('Device', {
     type: DataTypes.DATE
   },
   status: {
-    type: DataTypes.ENUM('active', 'inactive', 'pending', 'maintenance', 'faulty', 'retired'),
+    type: DataTypes.ENUM('active', 'inactive', 'pending', 'maintenance', 'faulty', 'disconnected', 'retired'),
     defaultValue: 'pending'
   },
   deviceType: {
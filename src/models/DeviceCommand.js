@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DeviceCommand = sequelize.define('DeviceCommand', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  commandId: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    unique: true,
+    comment: 'Identifier carried on the wire and echoed back in device acknowledgements'
+  },
+  deviceId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    references: {
+      model: 'Device',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  stateName: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  value: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  channel: {
+    type: DataTypes.ENUM('mqtt', 'coap', 'http'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'acknowledged', 'failed', 'expired'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  initiatedBy: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  initiatorId: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  ruleChainId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ruleChainNodeId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  triggerChain: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Rule chain ids that led to this command, carried into the resulting state change'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'DeviceCommand',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['deviceId', 'createdAt'],
+      name: 'idx_device_command_device'
+    },
+    {
+      fields: ['status', 'nextAttemptAt'],
+      name: 'idx_device_command_due'
+    }
+  ]
+});
+
+module.exports = DeviceCommand;
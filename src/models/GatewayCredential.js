@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// MQTT login of a gateway device: username is the device UUID, the secret
+// is only stored as a SHA-256 hash
+const GatewayCredential = sequelize.define('GatewayCredential', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  deviceId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    references: {
+      model: 'Device',
+      key: 'id'
+    }
+  },
+  secretHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsed: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'revoked'),
+    defaultValue: 'active'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  }
+}, {
+  tableName: 'GatewayCredential',
+  timestamps: true
+});
+
+module.exports = GatewayCredential;
@@ -21,10 +21,83 @@ const Notification = sequelize.define('Notification', {
   },
   organizationId: {
     type: DataTypes.BIGINT
+  },
+  // Alarm lifecycle; null status means a plain notification
+  alarmType: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  originatorType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'sensor, device or rule_chain'
+  },
+  originatorUuid: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  ruleChainId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'active, acknowledged or cleared'
+  },
+  dedupKey: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true,
+    comment: 'Set while the alarm is open so one originator and type has a single open alarm'
+  },
+  occurrences: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  escalationLevel: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  escalateAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  escalatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastRaisedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  clearedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  clearedBy: {
+    type: DataTypes.BIGINT,
+    allowNull: true
   }
 }, {
   tableName: 'Notification',
-  timestamps: false
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['organizationId', 'status'],
+      name: 'idx_notification_org_status'
+    },
+    {
+      fields: ['status', 'escalateAt'],
+      name: 'idx_notification_escalation'
+    }
+  ]
 });
 
-module.exports = Notification; 
\ No newline at end of file
+module.exports = Notification;
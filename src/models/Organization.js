@@ -46,6 +46,12 @@ const Organization = sequelize.define('Organization', {
   },
   contactNumber: {
     type: DataTypes.STRING(50)
+  },
+  // Members have to log in with a second factor
+  requireTwoFactor: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
   }
 }, {
   tableName: 'Organization',
@@ -75,6 +75,11 @@ const RuleChain = sequelize.define('RuleChain', {
     allowNull: false,
     defaultValue: 0
   },
+  publishedVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'RuleChainVersion.version currently live in RuleChainNode'
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RuleChainExecution = sequelize.define('RuleChainExecution', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  ruleChainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'RuleChain',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  ruleChainVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Published version of the rule chain that ran'
+  },
+  triggerType: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'manual',
+    comment: 'telemetry-data, device-state-change, device-connectivity, scheduled or manual'
+  },
+  triggerEvent: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Details of the event that started the run (originator, variables, attempt)'
+  },
+  inputData: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  nodeResults: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  finalData: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  summary: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('success', 'aborted', 'failed', 'timeout'),
+    allowNull: false
+  },
+  abortReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'RuleChainExecution',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['ruleChainId', 'startedAt'],
+      name: 'idx_rule_chain_execution_chain'
+    },
+    {
+      fields: ['startedAt'],
+      name: 'idx_rule_chain_execution_started'
+    }
+  ]
+});
+
+module.exports = RuleChainExecution;
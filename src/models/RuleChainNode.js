@@ -26,6 +26,11 @@ const RuleChainNode = sequelize.define('RuleChainNode', {
   nextNodeId: {
     type: DataTypes.INTEGER,
     allowNull: true
+  },
+  edges: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Labelled outgoing edges, e.g. [{ "label": "true", "targetNodeId": 12 }]'
   }
 }, {
   tableName: 'RuleChainNode',
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RuleChainTemplate = sequelize.define('RuleChainTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  organizationId: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owning organization; null for global templates'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  category: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  inputs: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Declared inputs, e.g. [{ "name": "threshold", "type": "number", "label": "Alarm above" }]'
+  },
+  definition: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Rule chain fields and bundle-format nodes with {{input:<name>}} placeholders'
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'RuleChainTemplate',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['organizationId', 'name'],
+      name: 'idx_rule_chain_template_org_name'
+    }
+  ]
+});
+
+module.exports = RuleChainTemplate;
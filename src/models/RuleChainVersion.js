@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RuleChainVersion = sequelize.define('RuleChainVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  ruleChainId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'RuleChain',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Sequential per rule chain; null while the row is a draft'
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'published', 'superseded'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  origin: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'draft',
+    comment: 'draft, rollback, node-edit, import, template or baseline'
+  },
+  baseVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Version that was live when a draft was started or a version was published'
+  },
+  nodes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Snapshot of the nodes: [{ id, name, type, config, nextNodeId, edges }]'
+  },
+  notes: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  publishedBy: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'RuleChainVersion',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['ruleChainId', 'version'],
+      name: 'unique_rule_chain_version'
+    },
+    {
+      fields: ['ruleChainId', 'status'],
+      name: 'idx_rule_chain_version_status'
+    }
+  ]
+});
+
+module.exports = RuleChainVersion;
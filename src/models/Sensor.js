@@ -20,6 +20,10 @@ const Sensor = sequelize.define('Sensor', {
   uuid: {
     type: DataTypes.STRING(36)
   },
+  lastHeartbeat: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   createdAt: {
     type: DataTypes.DATE
   },
@@ -17,16 +17,28 @@ const User = sequelize.define('User', {
       isEmail: true
     }
   },
+  // Users cannot log in until they open the link from their verification email
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   password: {
     type: DataTypes.TEXT
   },
   phoneNumber: {
     type: DataTypes.STRING(50)
   },
+  // Consecutive failed logins, reset by a successful one
   accessFailedCount: {
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
+  // Logins are refused until this time after too many failures
+  lockoutEnd: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   status: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// TOTP second factor of a user. The secret is stored encrypted and recovery
+// codes only as SHA-256 hashes. Until enabledAt is set the enrolment is pending.
+const UserTwoFactor = sequelize.define('UserTwoFactor', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'User',
+      key: 'id'
+    }
+  },
+  secret: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  recoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Last time step a code was accepted for, so a code works only once
+  lastUsedStep: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  enabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'UserTwoFactor',
+  timestamps: true
+});
+
+module.exports = UserTwoFactor;
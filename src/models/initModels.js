@@ -14,12 +14,19 @@ const OrganizationUser = require('./OrganizationUser');
 const PaymentCard = require('./PaymentCard');
 const RuleChain = require('./RuleChain');
 const RuleChainNode = require('./RuleChainNode');
+const RuleChainExecution = require('./RuleChainExecution');
+const RuleChainVersion = require('./RuleChainVersion');
+const RuleChainTemplate = require('./RuleChainTemplate');
 const TelemetryData = require('./TelemetryData');
 const Ticket = require('./Ticket');
 const DataStream = require('./DataStream');
 const DeviceToken = require('./DeviceToken');
 const DeviceState = require('./DeviceState');
 const DeviceStateInstance = require('./DeviceStateInstance');
+const DeviceCommand = require('./DeviceCommand');
+const ConnectivityEvent = require('./ConnectivityEvent');
+const GatewayCredential = require('./GatewayCredential');
+const UserTwoFactor = require('./UserTwoFactor');
 const IndexManager = require('../ruleEngine/indexing/IndexManager');
 
 // Define all the associations
@@ -29,6 +36,7 @@ const initAssociations = () => {
   Organization.hasMany(Notification, { foreignKey: 'organizationId' });
   Organization.hasMany(PaymentCard, { foreignKey: 'organizationId' });
   Organization.hasMany(RuleChain, { foreignKey: 'organizationId' });
+  Organization.hasMany(RuleChainTemplate, { foreignKey: 'organizationId' });
   Organization.hasMany(Role, { foreignKey: 'organizationId' });
   
   // User associations
@@ -70,11 +78,19 @@ const initAssociations = () => {
   // RuleChain associations
   RuleChain.belongsTo(Organization, { foreignKey: 'organizationId' });
   RuleChain.hasMany(RuleChainNode, { foreignKey: 'ruleChainId', as: 'nodes' });
+  RuleChain.hasMany(RuleChainExecution, { foreignKey: 'ruleChainId', as: 'executions' });
+  RuleChain.hasMany(RuleChainVersion, { foreignKey: 'ruleChainId', as: 'versions' });
 
   // RuleChainNode associations
   RuleChainNode.belongsTo(RuleChain, { foreignKey: 'ruleChainId' });
   RuleChainNode.belongsTo(RuleChainNode, { foreignKey: 'nextNodeId', as: 'nextNode' });
   RuleChainNode.hasMany(RuleChainNode, { foreignKey: 'nextNodeId', as: 'previousNodes' });
+
+  // RuleChainExecution associations
+  RuleChainExecution.belongsTo(RuleChain, { foreignKey: 'ruleChainId', as: 'ruleChain' });
+
+  // RuleChainVersion associations
+  RuleChainVersion.belongsTo(RuleChain, { foreignKey: 'ruleChainId', as: 'ruleChain' });
   
   // TelemetryData associations
   TelemetryData.belongsTo(Sensor, { foreignKey: 'sensorId' });
@@ -111,6 +127,27 @@ const initAssociations = () => {
     foreignKey: 'deviceStateId',
     as: 'state'
   });
+
+  // DeviceCommand associations
+  Device.hasMany(DeviceCommand, {
+    foreignKey: 'deviceId',
+    as: 'commands'
+  });
+  DeviceCommand.belongsTo(Device, {
+    foreignKey: 'deviceId',
+    as: 'device'
+  });
+
+  // ConnectivityEvent associations
+  ConnectivityEvent.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+  // GatewayCredential associations
+  GatewayCredential.belongsTo(Device, { foreignKey: 'deviceId' });
+  Device.hasMany(GatewayCredential, { foreignKey: 'deviceId' });
+
+  // UserTwoFactor associations
+  UserTwoFactor.belongsTo(User, { foreignKey: 'userId' });
+  User.hasOne(UserTwoFactor, { foreignKey: 'userId' });
 };
 
 // Initialize all models and associations
@@ -148,10 +185,17 @@ module.exports = {
   PaymentCard,
   RuleChain,
   RuleChainNode,
+  RuleChainExecution,
+  RuleChainVersion,
+  RuleChainTemplate,
   TelemetryData,
   Ticket,
   DataStream,
   DeviceToken,
   DeviceState,
-  DeviceStateInstance
+  DeviceStateInstance,
+  DeviceCommand,
+  ConnectivityEvent,
+  GatewayCredential,
+  UserTwoFactor
 }; 
\ No newline at end of file
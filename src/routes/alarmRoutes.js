@@ -0,0 +1,56 @@
+const express = require('express');
+const alarmController = require('../controllers/alarmController');
+const validate = require('../middlewares/validate');
+const { authenticate } = require('../middlewares/auth');
+const { checkPermission, checkOrgPermission, checkResourceOwnership } = require('../middlewares/permission');
+const { getAlarmForOwnershipCheck } = require('../services/alarmService');
+const { alarmSchema } = require('../validators/alarmValidators');
+
+const router = express.Router();
+
+// List an organization's alarms
+router.get(
+  '/organization/:organizationId',
+  authenticate,
+  checkOrgPermission('alarm.view', true, 'organizationId'),
+  validate(alarmSchema.listQuery, { query: true }),
+  alarmController.getAlarmsByOrganization
+);
+
+router.get(
+  '/:id',
+  authenticate,
+  validate(alarmSchema.query, { query: true }),
+  checkPermission('alarm.view'),
+  checkResourceOwnership(getAlarmForOwnershipCheck),
+  alarmController.getAlarm
+);
+
+router.post(
+  '/:id/acknowledge',
+  authenticate,
+  validate(alarmSchema.transition),
+  checkPermission('alarm.manage'),
+  checkResourceOwnership(getAlarmForOwnershipCheck),
+  alarmController.acknowledgeAlarm
+);
+
+router.post(
+  '/:id/clear',
+  authenticate,
+  validate(alarmSchema.transition),
+  checkPermission('alarm.manage'),
+  checkResourceOwnership(getAlarmForOwnershipCheck),
+  alarmController.clearAlarm
+);
+
+router.post(
+  '/:id/assign',
+  authenticate,
+  validate(alarmSchema.assign),
+  checkPermission('alarm.manage'),
+  checkResourceOwnership(getAlarmForOwnershipCheck),
+  alarmController.assignAlarm
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const authController = require('../controllers/authController');
 const validate = require('../middlewares/validate');
 const { authenticate } = require('../middlewares/auth');
+const { checkPermission } = require('../middlewares/permission');
 const authSchema = require('../validators/authValidators');
 
 const router = express.Router();
@@ -9,15 +10,44 @@ const router = express.Router();
 // Login route - no authentication required
 router.post('/login', validate(authSchema.login), authController.login);
 
+// Second login step for users with two-factor authentication - MFA token required
+router.post('/login/mfa', validate(authSchema.mfaLogin), authController.loginWithTwoFactor);
+router.post('/login/mfa/setup', validate(authSchema.mfaToken), authController.beginLoginEnrollment);
+
 // Signup route - no authentication required
 router.post('/signup', validate(authSchema.signup), authController.signup);
 
+// Email verification routes - no authentication required
+router.post('/verify-email', validate(authSchema.verifyEmail), authController.verifyEmail);
+router.post('/resend-verification', validate(authSchema.email), authController.resendVerification);
+
+// Password reset routes - no authentication required
+router.post('/forgot-password', validate(authSchema.email), authController.forgotPassword);
+router.post('/reset-password', validate(authSchema.resetPassword), authController.resetPassword);
+
 // Refresh token route - no authentication required
 router.post('/refresh-token', validate(authSchema.refreshToken), authController.refreshToken);
 
 // Logout route - authentication required
 router.post('/logout', authenticate, authController.logout);
 
+// Log out of every session - authentication required
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+// Active sessions of the current user - authentication required
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:id', authenticate, validate(authSchema.session), authController.revokeSession);
+
+// Two-factor authentication of the current user - authentication required
+router.get('/mfa', authenticate, authController.getTwoFactorStatus);
+router.post('/mfa/setup', authenticate, authController.beginTwoFactorEnrollment);
+router.post('/mfa/enable', authenticate, validate(authSchema.mfaCode), authController.enableTwoFactor);
+router.post('/mfa/disable', authenticate, validate(authSchema.mfaCode), authController.disableTwoFactor);
+router.post('/mfa/recovery-codes', authenticate, validate(authSchema.mfaCode), authController.regenerateRecoveryCodes);
+
+// Lift a user's lockout after too many failed logins - user.unlock permission required
+router.post('/users/:id/unlock', authenticate, validate(authSchema.user), checkPermission('user.unlock'), authController.unlockAccount);
+
 // Get current user - authentication required
 router.get('/me', authenticate, authController.getCurrentUser);
 
@@ -1,7 +1,11 @@
 const express = require('express');
 const deviceController = require('../controllers/deviceController');
+const deviceCommandController = require('../controllers/deviceCommandController');
+const deviceConnectivityController = require('../controllers/deviceConnectivityController');
+const gatewayCredentialController = require('../controllers/gatewayCredentialController');
 const validate = require('../middlewares/validate');
 const { authenticate } = require('../middlewares/auth');
+const { deviceAuth } = require('../middlewares/deviceAuth');
 const { checkPermission, checkResourceOwnership } = require('../middlewares/permission');
 const { getDeviceForOwnershipCheck } = require('../services/deviceService');
 const { deviceSchema } = require('../validators/deviceValidator');
@@ -74,6 +78,85 @@ router.post('/token', authenticate, async (req, res) => {
   }
 });
 
+// Devices without MQTT/CoAP delivery poll here for queued commands (device token auth)
+router.get(
+  '/:uuid/commands/pending',
+  deviceAuth,
+  validate(deviceSchema.pendingCommandsQuery, { query: true }),
+  deviceCommandController.getPendingCommands
+);
+
+// Devices confirm commands here when they cannot use the MQTT/CoAP ack topic (device token auth)
+router.post(
+  '/:uuid/commands/ack',
+  deviceAuth,
+  validate(deviceSchema.commandAck),
+  deviceCommandController.acknowledgeCommand
+);
+
+router.get(
+  '/:id/commands',
+  authenticate,
+  validate(deviceSchema.commandListQuery, { query: true }),
+  checkPermission('device.view'),
+  checkResourceOwnership(getDeviceForOwnershipCheck),
+  deviceCommandController.getDeviceCommands
+);
+
+router.get(
+  '/:id/connectivity',
+  authenticate,
+  validate(deviceSchema.connectivityQuery, { query: true }),
+  checkPermission('device.view'),
+  checkResourceOwnership(getDeviceForOwnershipCheck),
+  deviceConnectivityController.getDeviceConnectivity
+);
+
+router.get(
+  '/:id/connection',
+  authenticate,
+  validate(deviceSchema.connectionQuery, { query: true }),
+  checkPermission('device.view'),
+  checkResourceOwnership(getDeviceForOwnershipCheck),
+  deviceConnectivityController.getDeviceConnection
+);
+
+// MQTT credentials of gateway devices
+router
+  .route('/:id/gateway-credentials')
+  .get(
+    authenticate,
+    validate(deviceSchema.query, { query: true }),
+    checkPermission('device.view'),
+    checkResourceOwnership(getDeviceForOwnershipCheck),
+    gatewayCredentialController.getGatewayCredentials
+  )
+  .post(
+    authenticate,
+    validate(deviceSchema.gatewayCredentialCreate),
+    checkPermission('device.update'),
+    checkResourceOwnership(getDeviceForOwnershipCheck),
+    gatewayCredentialController.createGatewayCredential
+  );
+
+router.delete(
+  '/:id/gateway-credentials/:credentialId',
+  authenticate,
+  validate(deviceSchema.query, { query: true }),
+  checkPermission('device.update'),
+  checkResourceOwnership(getDeviceForOwnershipCheck),
+  gatewayCredentialController.revokeGatewayCredential
+);
+
+router.post(
+  '/:id/commands/:commandId/resend',
+  authenticate,
+  validate(deviceSchema.commandResend),
+  checkPermission('device.update'),
+  checkResourceOwnership(getDeviceForOwnershipCheck),
+  deviceCommandController.resendDeviceCommand
+);
+
 router
   .route('/:id')
   .get(
@@ -14,6 +14,8 @@ const permissionRoutes = require('./permissionRoutes');
 const userRoleRoutes = require('./userRoleRoutes');
 const reportRoutes = require('./reportRoutes');
 const ruleChainRoutes = require('./ruleChainRoutes');
+const ruleChainTemplateRoutes = require('./ruleChainTemplateRoutes');
+const alarmRoutes = require('./alarmRoutes');
 const metricsRoutes = require('./metricsRoutes');
 const healthRoutes = require('./healthRoutes');
 const sequelize = require('../config/database');
@@ -60,6 +62,28 @@ router.get('/insomnia', localhostOnly, (req, res) => {
           setBearerToken: true
         }
       },
+      {
+        method: 'POST',
+        path: '/auth/login/mfa',
+        description: 'Finish a login with a two-factor code or recovery code',
+        auth: false,
+        params: {
+          mfaToken: '{{ mfa_token }}',
+          code: '123456'
+        },
+        responseBehavior: {
+          setBearerToken: true
+        }
+      },
+      {
+        method: 'POST',
+        path: '/auth/login/mfa/setup',
+        description: 'Start the two-factor enrolment an organization requires during login',
+        auth: false,
+        params: {
+          mfaToken: '{{ mfa_token }}'
+        }
+      },
       {
         method: 'POST',
         path: '/auth/signup',
@@ -79,6 +103,43 @@ router.get('/insomnia', localhostOnly, (req, res) => {
           notifyUser: true
         }
       },
+      {
+        method: 'POST',
+        path: '/auth/verify-email',
+        description: 'Verify an email address with the token from the verification email',
+        auth: false,
+        params: {
+          token: 'token_from_verification_email'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/auth/resend-verification',
+        description: 'Send another verification email',
+        auth: false,
+        params: {
+          email: 'user@example.com'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/auth/forgot-password',
+        description: 'Email a password reset link',
+        auth: false,
+        params: {
+          email: 'user@example.com'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/auth/reset-password',
+        description: 'Set a new password with the token from the reset email',
+        auth: false,
+        params: {
+          token: 'token_from_reset_email',
+          password: 'newPassword123'
+        }
+      },
       { 
         method: 'POST', 
         path: '/auth/refresh-token', 
@@ -98,6 +159,70 @@ router.get('/insomnia', localhostOnly, (req, res) => {
         description: 'Logout and invalidate token', 
         auth: true 
       },
+      {
+        method: 'POST',
+        path: '/auth/logout-all',
+        description: 'Logout of every session of the current user',
+        auth: true
+      },
+      {
+        method: 'GET',
+        path: '/auth/sessions',
+        description: 'List active sessions of the current user',
+        auth: true
+      },
+      {
+        method: 'DELETE',
+        path: '/auth/sessions/:id',
+        description: 'Revoke one of the current user\'s sessions',
+        auth: true
+      },
+      {
+        method: 'POST',
+        path: '/auth/users/:id/unlock',
+        description: 'Unlock a user account locked after too many failed logins',
+        auth: true,
+        permissions: ['user.unlock']
+      },
+      {
+        method: 'GET',
+        path: '/auth/mfa',
+        description: 'Get the two-factor authentication status of the current user',
+        auth: true
+      },
+      {
+        method: 'POST',
+        path: '/auth/mfa/setup',
+        description: 'Start two-factor enrolment and get the secret and otpauth:// URI',
+        auth: true
+      },
+      {
+        method: 'POST',
+        path: '/auth/mfa/enable',
+        description: 'Enable two-factor authentication and get recovery codes',
+        auth: true,
+        params: {
+          code: '123456'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/auth/mfa/disable',
+        description: 'Disable two-factor authentication',
+        auth: true,
+        params: {
+          code: '123456'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/auth/mfa/recovery-codes',
+        description: 'Replace the recovery codes of the current user',
+        auth: true,
+        params: {
+          code: '123456'
+        }
+      },
       { 
         method: 'GET', 
         path: '/auth/me', 
@@ -803,6 +928,32 @@ router.get('/insomnia', localhostOnly, (req, res) => {
           page: 1,
           limit: 20
         }
+      },
+      { 
+        method: 'GET', 
+        path: '/reports/device-uptime', 
+        description: 'Device and Sensor Uptime', 
+        auth: true,
+        query: {
+          organizationId: 1,
+          from: '2024-01-01T00:00:00Z',
+          to: '2024-01-08T00:00:00Z',
+          page: 1,
+          limit: 20
+        }
+      },
+      { 
+        method: 'GET', 
+        path: '/reports/area-uptime', 
+        description: 'Area Uptime', 
+        auth: true,
+        query: {
+          organizationId: 1,
+          from: '2024-01-01T00:00:00Z',
+          to: '2024-01-08T00:00:00Z',
+          page: 1,
+          limit: 20
+        }
       }
     ],
     ruleChains: [
@@ -870,7 +1021,8 @@ router.get('/insomnia', localhostOnly, (req, res) => {
           ruleChainId: 1,
           type: "filter",
           config: "{}",
-          nextNodeId: null
+          nextNodeId: null,
+          edges: null
         }
       },
       {
@@ -889,7 +1041,8 @@ router.get('/insomnia', localhostOnly, (req, res) => {
         params: {
           type: "filter",
           config: "{}",
-          nextNodeId: null
+          nextNodeId: null,
+          edges: null
         }
       },
       {
@@ -932,7 +1085,9 @@ router.get('/insomnia', localhostOnly, (req, res) => {
       system_admin_token: '-- System Admin JWT Token --',
       org_admin_token: '-- Org Admin JWT Token --',
       supervisor_token: '-- Supervisor JWT Token --',
-      viewer_token: '-- Viewer JWT Token --'
+      viewer_token: '-- Viewer JWT Token --',
+      // mfaToken from a login that asks for a second factor
+      mfa_token: ''
     },
     color: null,
     isPrivate: false,
@@ -1272,6 +1427,8 @@ router.use('/permissions', permissionRoutes);
 router.use('/user-roles', userRoleRoutes);
 router.use('/reports', reportRoutes);
 router.use('/rule-chains', ruleChainRoutes);
+router.use('/rule-chain-templates', ruleChainTemplateRoutes);
+router.use('/alarms', alarmRoutes);
 
 // Handle undefined routes
 router.all('*', (req, res) => {
@@ -39,4 +39,10 @@ router.get('/user-role-distribution', reportController.getUserRoleDistributionRe
 // Ticket Resolution Performance
 router.get('/ticket-resolution', reportController.getTicketResolutionReport);
 
+// Device and Sensor Uptime from connectivity history
+router.get('/device-uptime', reportController.getDeviceUptimeReport);
+
+// Area Uptime
+router.get('/area-uptime', reportController.getAreaUptimeReport);
+
 module.exports = router; 
\ No newline at end of file
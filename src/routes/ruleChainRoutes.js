@@ -3,8 +3,23 @@ const router = express.Router();
 const { authenticate } = require('../middlewares/auth');
 const { checkPermission, checkResourceOwnership, checkOrgPermission } = require('../middlewares/permission');
 const { ruleChainService, getRuleChainForOwnershipCheck, getRuleChainNodeForOwnershipCheck } = require('../services/ruleChainService');
+const ruleChainExecutionService = require('../services/ruleChainExecutionService');
+const { getRuleChainExecutionForOwnershipCheck } = require('../services/ruleChainExecutionService');
+const ruleChainVersionService = require('../services/ruleChainVersionService');
+const ruleChainBundleService = require('../services/ruleChainBundleService');
 const validate = require('../middlewares/validate');
-const { querySchema } = require('../validators/ruleChainValidators');
+const {
+  querySchema,
+  executionQuerySchema,
+  createRuleChainNodeSchema,
+  updateRuleChainNodeSchema,
+  simulateRuleChainSchema,
+  createDraftSchema,
+  updateDraftSchema,
+  publishDraftSchema,
+  versionDiffQuerySchema,
+  importRuleChainSchema
+} = require('../validators/ruleChainValidators');
 
 // Request handlers
 const getAllChains = async (req, res) => {
@@ -203,6 +218,22 @@ const executeChain = async (req, res) => {
   }
 };
 
+// Dry run against hypothetical values or a replay window; nothing is sent or stored
+const simulateChain = async (req, res) => {
+  try {
+    const result = await ruleChainService.simulate(Number(req.params.id), req.body);
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 const triggerChain = async (req, res) => {
   try {
     const { id } = req.params;
@@ -220,6 +251,202 @@ const triggerChain = async (req, res) => {
   }
 };
 
+const getExecutions = async (req, res) => {
+  try {
+    const { status, triggerType, page, limit } = req.query;
+    const paginatedResults = await ruleChainExecutionService.listExecutions(Number(req.params.id), {
+      status,
+      triggerType,
+      page,
+      limit
+    });
+    res.json({
+      status: 'success',
+      ...paginatedResults
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+const getExecutionById = async (req, res) => {
+  try {
+    const execution = await ruleChainExecutionService.getExecution(req.params.executionId);
+    res.json({
+      status: 'success',
+      data: execution
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+const sendServiceError = (res, error) => {
+  if (error.statusCode === 400 && error.details) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message,
+      validationErrors: error.details
+    });
+  }
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+const getVersions = async (req, res) => {
+  try {
+    const versions = await ruleChainVersionService.listVersions(Number(req.params.id));
+    res.json({
+      status: 'success',
+      data: versions
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const getVersion = async (req, res) => {
+  try {
+    const version = await ruleChainVersionService.getVersion(Number(req.params.id), req.params.version || 'draft');
+    res.json({
+      status: 'success',
+      data: version
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const createDraft = async (req, res) => {
+  try {
+    const { fromVersion, notes } = req.body;
+    const draft = await ruleChainVersionService.createDraft(Number(req.params.id), { fromVersion, notes }, req.user.id);
+    res.status(201).json({
+      status: 'success',
+      data: draft
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const updateDraft = async (req, res) => {
+  try {
+    const { nodes, notes } = req.body;
+    const draft = await ruleChainVersionService.updateDraft(Number(req.params.id), { nodes, notes });
+    res.json({
+      status: 'success',
+      data: draft
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const discardDraft = async (req, res) => {
+  try {
+    await ruleChainVersionService.discardDraft(Number(req.params.id));
+    res.json({
+      status: 'success',
+      message: 'Draft discarded'
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const validateDraft = async (req, res) => {
+  try {
+    const result = await ruleChainVersionService.validateDraft(Number(req.params.id));
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const publishDraft = async (req, res) => {
+  try {
+    const { force, notes } = req.body;
+    const version = await ruleChainVersionService.publishDraft(Number(req.params.id), { force, notes }, req.user.id);
+    res.json({
+      status: 'success',
+      data: version
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const rollbackVersion = async (req, res) => {
+  try {
+    const version = await ruleChainVersionService.rollback(Number(req.params.id), Number(req.params.version), req.user.id);
+    res.json({
+      status: 'success',
+      data: version
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const diffVersions = async (req, res) => {
+  try {
+    const parseRef = (ref) => (ref === 'draft' ? ref : Number(ref));
+    const diff = await ruleChainVersionService.diffVersions(
+      Number(req.params.id),
+      parseRef(req.query.from),
+      parseRef(req.query.to)
+    );
+    res.json({
+      status: 'success',
+      data: diff
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const exportChain = async (req, res) => {
+  try {
+    const bundle = await ruleChainBundleService.exportChain(Number(req.params.id));
+    res.json({
+      status: 'success',
+      data: bundle
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+const importChain = async (req, res) => {
+  try {
+    const { organizationId, bundle, mappings, name } = req.body;
+    const result = await ruleChainBundleService.importChain({
+      organizationId: Number(organizationId),
+      bundle,
+      mappings,
+      name
+    });
+    res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
 // RuleChain routes
 router
   .route('/')
@@ -235,6 +462,43 @@ router
     createChain
   );
 
+// Execution history routes
+router.get(
+  '/executions/:executionId',
+  authenticate,
+  checkPermission('rule.view'),
+  validate(querySchema, { query: true }),
+  checkResourceOwnership(getRuleChainExecutionForOwnershipCheck, 'executionId'),
+  getExecutionById
+);
+
+router.get(
+  '/:id/executions',
+  authenticate,
+  checkPermission('rule.view'),
+  validate(executionQuerySchema, { query: true }),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  getExecutions
+);
+
+// Bundle routes
+router.post(
+  '/import',
+  authenticate,
+  checkOrgPermission('rule.create', true, 'organizationId'),
+  validate(importRuleChainSchema),
+  importChain
+);
+
+router.get(
+  '/:id/export',
+  authenticate,
+  checkPermission('rule.view'),
+  validate(querySchema, { query: true }),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  exportChain
+);
+
 router
   .route('/:id')
   .get(
@@ -275,6 +539,7 @@ router.post(
     next();
   },
   checkResourceOwnership(getRuleChainForOwnershipCheck),
+  validate(createRuleChainNodeSchema),
   createNode
 );
 
@@ -290,6 +555,7 @@ router
     authenticate,
     checkPermission('rule.update'),
     checkResourceOwnership(getRuleChainNodeForOwnershipCheck),
+    validate(updateRuleChainNodeSchema),
     updateNode
   )
   .delete(
@@ -308,6 +574,99 @@ router.post(
   executeChain
 );
 
+// Simulation route
+router.post(
+  '/:id/simulate',
+  authenticate,
+  checkPermission('rule.update'),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  validate(simulateRuleChainSchema),
+  simulateChain
+);
+
+// Version routes ('draft' and 'diff' are matched before ':version')
+router.get(
+  '/:id/versions',
+  authenticate,
+  checkPermission('rule.view'),
+  validate(querySchema, { query: true }),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  getVersions
+);
+
+router
+  .route('/:id/versions/draft')
+  .get(
+    authenticate,
+    checkPermission('rule.view'),
+    validate(querySchema, { query: true }),
+    checkResourceOwnership(getRuleChainForOwnershipCheck),
+    getVersion
+  )
+  .post(
+    authenticate,
+    checkPermission('rule.update'),
+    checkResourceOwnership(getRuleChainForOwnershipCheck),
+    validate(createDraftSchema),
+    createDraft
+  )
+  .put(
+    authenticate,
+    checkPermission('rule.update'),
+    checkResourceOwnership(getRuleChainForOwnershipCheck),
+    validate(updateDraftSchema),
+    updateDraft
+  )
+  .delete(
+    authenticate,
+    checkPermission('rule.update'),
+    checkResourceOwnership(getRuleChainForOwnershipCheck),
+    discardDraft
+  );
+
+router.post(
+  '/:id/versions/draft/validate',
+  authenticate,
+  checkPermission('rule.update'),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  validateDraft
+);
+
+router.post(
+  '/:id/versions/draft/publish',
+  authenticate,
+  checkPermission('rule.update'),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  validate(publishDraftSchema),
+  publishDraft
+);
+
+router.get(
+  '/:id/versions/diff',
+  authenticate,
+  checkPermission('rule.view'),
+  validate(versionDiffQuerySchema, { query: true }),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  diffVersions
+);
+
+router.get(
+  '/:id/versions/:version',
+  authenticate,
+  checkPermission('rule.view'),
+  validate(querySchema, { query: true }),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  getVersion
+);
+
+router.post(
+  '/:id/versions/:version/rollback',
+  authenticate,
+  checkPermission('rule.update'),
+  checkResourceOwnership(getRuleChainForOwnershipCheck),
+  rollbackVersion
+);
+
 // Trigger route
 router.post(
   '/:id/trigger',
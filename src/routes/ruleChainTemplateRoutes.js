@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+
+const ruleChainTemplateController = require('../controllers/ruleChainTemplateController');
+const validate = require('../middlewares/validate');
+const { authenticate } = require('../middlewares/auth');
+const { checkPermission, checkOrgPermission } = require('../middlewares/permission');
+const {
+  createTemplateSchema,
+  updateTemplateSchema,
+  templateScopeSchema,
+  instantiateTemplateSchema,
+  templateQuerySchema
+} = require('../validators/ruleChainValidators');
+
+// Requests with an organizationId act on that organization's templates and
+// need rule.template.manage there; without one they act on global templates,
+// which need rule.template.global (held by System Admins)
+const checkTemplatePermission = (req, res, next) => {
+  const permission = req.body.organizationId ? 'rule.template.manage' : 'rule.template.global';
+  return checkPermission(permission)(req, res, next);
+};
+
+// List global templates and the organization's own
+router.get('/',
+  authenticate,
+  validate(templateQuerySchema, { query: true }),
+  checkOrgPermission('rule.view', true, 'organizationId'),
+  ruleChainTemplateController.listTemplates
+);
+
+// Publish a template
+router.post('/',
+  authenticate,
+  validate(createTemplateSchema),
+  checkTemplatePermission,
+  ruleChainTemplateController.createTemplate
+);
+
+router.get('/:id',
+  authenticate,
+  validate(templateQuerySchema, { query: true }),
+  checkOrgPermission('rule.view', true, 'organizationId'),
+  ruleChainTemplateController.getTemplate
+);
+
+router.patch('/:id',
+  authenticate,
+  validate(updateTemplateSchema),
+  checkTemplatePermission,
+  ruleChainTemplateController.updateTemplate
+);
+
+router.delete('/:id',
+  authenticate,
+  validate(templateScopeSchema),
+  checkTemplatePermission,
+  ruleChainTemplateController.deleteTemplate
+);
+
+// Create a rule chain from a template
+router.post('/:id/instantiate',
+  authenticate,
+  checkOrgPermission('rule.create', true, 'organizationId'),
+  validate(instantiateTemplateSchema),
+  ruleChainTemplateController.instantiateTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Window Aggregator
+ *
+ * Computes avg/min/max/sum/count of a sensor variable or device state over a
+ * trailing time window, for filter conditions such as
+ *
+ *   { sourceType: 'sensor', UUID, key: 'humidity', aggregate: 'avg', window: '10m', operator: '>', value: 70 }
+ *   { sourceType: 'sensor', UUID, key: 'motion', aggregate: 'count', window: '1m', operator: '>', value: 5 }
+ *
+ * Sensor windows are read from DataStream, device windows from
+ * DeviceStateInstance. The result is stored in the execution data under
+ * aggregateKey(), e.g. "avg(humidity,10m)", next to the plain latest values.
+ */
+const { Op, fn, col, cast } = require('sequelize');
+const { DataStream, DeviceStateInstance } = require('../../models/initModels');
+const { parseDuration } = require('../../utils/timeUtils');
+const config = require('../../config');
+
+const AGGREGATE_FUNCTIONS = ['avg', 'min', 'max', 'sum', 'count'];
+
+const AGGREGATE_KEY_PATTERN = /^(avg|min|max|sum|count)\((.+),(\d+[smhd])\)$/;
+
+const aggregateKey = (key, aggregate, window) => `${aggregate}(${key},${window})`;
+
+/**
+ * @param {string} name - Requirement or data key
+ * @returns {{key: string, aggregate: string, window: string}|null} null for plain keys
+ */
+const parseAggregateKey = (name) => {
+  const match = typeof name === 'string' ? name.match(AGGREGATE_KEY_PATTERN) : null;
+  if (!match) return null;
+  return { aggregate: match[1], key: match[2], window: match[3] };
+};
+
+/**
+ * Check a filter condition's aggregate settings
+ * @param {Object} condition - Leaf filter condition
+ * @returns {Array<string>} Problems found, empty when valid or not an aggregate
+ */
+const validateAggregateCondition = (condition) => {
+  if (condition.aggregate === undefined && condition.window === undefined) {
+    return [];
+  }
+
+  const errors = [];
+  if (!AGGREGATE_FUNCTIONS.includes(condition.aggregate)) {
+    errors.push(`aggregate must be one of ${AGGREGATE_FUNCTIONS.join(', ')}`);
+  }
+
+  const windowMs = typeof condition.window === 'string' ? parseDuration(condition.window) : 0;
+  if (windowMs <= 0) {
+    errors.push('window must be a duration like "30s", "10m", "2h" or "1d"');
+  } else if (windowMs > config.ruleEngine.maxAggregateWindow) {
+    errors.push(`window must not exceed ${config.ruleEngine.maxAggregateWindow}ms`);
+  }
+
+  return errors;
+};
+
+// Values are stored as strings; anything non-numeric casts to 0 in MySQL
+const numericValue = () => cast(col('value'), 'DECIMAL(20,6)');
+
+const toResult = (row, aggregate) => {
+  const samples = Number(row && row.samples) || 0;
+  if (aggregate === 'count') return samples;
+  if (samples === 0 || row.result === null || row.result === undefined) return null;
+  return Number(row.result);
+};
+
+const aggregateAttributes = (aggregate) => {
+  const attributes = [[fn('COUNT', col('id')), 'samples']];
+  if (aggregate !== 'count') {
+    attributes.push([fn(aggregate.toUpperCase(), numericValue()), 'result']);
+  }
+  return attributes;
+};
+
+/**
+ * Aggregate one sensor variable over the trailing window. For boolean
+ * variables, count only counts "true" readings (e.g. motion events).
+ * @param {Object} telemetry - TelemetryData row ({ id, datatype })
+ * @param {string} aggregate - One of AGGREGATE_FUNCTIONS
+ * @param {string} window - Duration string
+ * @param {Date} now - Window end
+ * @returns {Promise<number|null>} null when the window holds no samples
+ */
+const aggregateSensorVariable = async (telemetry, aggregate, window, now = new Date()) => {
+  const where = {
+    telemetryDataId: telemetry.id,
+    recievedAt: { [Op.gte]: new Date(now.getTime() - parseDuration(window)) }
+  };
+  if (aggregate === 'count' && telemetry.datatype === 'boolean') {
+    where.value = 'true';
+  }
+
+  const row = await DataStream.findOne({
+    attributes: aggregateAttributes(aggregate),
+    where,
+    raw: true
+  });
+
+  return toResult(row, aggregate);
+};
+
+/**
+ * Aggregate one device state over the trailing window, by the states that
+ * began inside it
+ * @param {Object} state - DeviceState row ({ id })
+ * @param {string} aggregate - One of AGGREGATE_FUNCTIONS
+ * @param {string} window - Duration string
+ * @param {Date} now - Window end
+ * @returns {Promise<number|null>} null when the window holds no samples
+ */
+const aggregateDeviceState = async (state, aggregate, window, now = new Date()) => {
+  const row = await DeviceStateInstance.findOne({
+    attributes: aggregateAttributes(aggregate),
+    where: {
+      deviceStateId: state.id,
+      fromTimestamp: { [Op.gte]: new Date(now.getTime() - parseDuration(window)) }
+    },
+    raw: true
+  });
+
+  return toResult(row, aggregate);
+};
+
+module.exports = {
+  AGGREGATE_FUNCTIONS,
+  aggregateKey,
+  parseAggregateKey,
+  validateAggregateCondition,
+  aggregateSensorVariable,
+  aggregateDeviceState
+};
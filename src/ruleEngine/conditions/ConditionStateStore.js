@@ -0,0 +1,145 @@
+/**
+ * Condition State Store
+ *
+ * Redis-backed memory for filter and action nodes whose result depends on
+ * earlier runs, shared by every RuleEngineWorker instance:
+ *
+ *   rulechain:filter:{ruleChainId}:{nodeId}    hash { latched, since, version }
+ *     latched - the filter passed on its last evaluation (hysteresis)
+ *     since   - ms timestamp the raw condition started holding (hold duration)
+ *     version - bumped on every save; a save only lands on the version it read
+ *   rulechain:cooldown:{ruleChainId}:{nodeId}  set while an action cools down
+ */
+const redisConnection = require('../../config/redis');
+const config = require('../../config');
+
+const FILTER_KEY_PREFIX = 'rulechain:filter:';
+const COOLDOWN_KEY_PREFIX = 'rulechain:cooldown:';
+
+const filterKey = (ruleChainId, nodeId) => `${FILTER_KEY_PREFIX}${ruleChainId}:${nodeId}`;
+const cooldownKey = (ruleChainId, nodeId) => `${COOLDOWN_KEY_PREFIX}${ruleChainId}:${nodeId}`;
+
+// Replace the state only if nobody saved it since it was read
+const SAVE_FILTER_STATE_SCRIPT = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if current ~= tonumber(ARGV[1]) then
+  return 0
+end
+redis.call('DEL', KEYS[1])
+redis.call('HSET', KEYS[1], 'latched', ARGV[2], 'since', ARGV[3], 'version', current + 1)
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return 1
+`;
+
+/**
+ * @returns {Promise<{latched: boolean, since: number|null, version: number}>}
+ */
+const getFilterState = async (ruleChainId, nodeId) => {
+  const stored = await redisConnection.hgetall(filterKey(ruleChainId, nodeId));
+  return {
+    latched: stored && stored.latched === '1',
+    since: stored && stored.since ? Number(stored.since) : null,
+    version: stored && stored.version ? Number(stored.version) : 0
+  };
+};
+
+/**
+ * Store a filter's state unless another worker saved it first
+ * @param {number} ruleChainId - Rule chain ID
+ * @param {number} nodeId - Filter node ID
+ * @param {Object} state - { latched, since }
+ * @param {number} version - Version getFilterState returned
+ * @returns {Promise<boolean>} False when the state changed since it was read
+ */
+const saveFilterState = async (ruleChainId, nodeId, state, version) => {
+  const saved = await redisConnection.eval(
+    SAVE_FILTER_STATE_SCRIPT,
+    1,
+    filterKey(ruleChainId, nodeId),
+    version || 0,
+    state.latched ? '1' : '0',
+    state.since === null || state.since === undefined ? '' : String(state.since),
+    config.ruleEngine.conditionStateTtl
+  );
+  return saved === 1;
+};
+
+/**
+ * Start an action's cooldown unless one is already running
+ * @param {number} ruleChainId - Rule chain ID
+ * @param {number} nodeId - Action node ID
+ * @param {number} cooldownMs - Cooldown length
+ * @returns {Promise<{claimed: boolean, remainingMs: number}>}
+ */
+const claimCooldown = async (ruleChainId, nodeId, cooldownMs) => {
+  const key = cooldownKey(ruleChainId, nodeId);
+  const claimed = await redisConnection.set(key, String(Date.now()), 'PX', cooldownMs, 'NX');
+  if (claimed === 'OK') {
+    return { claimed: true, remainingMs: cooldownMs };
+  }
+
+  const remainingMs = await redisConnection.pttl(key);
+  return { claimed: false, remainingMs: Math.max(remainingMs, 0) };
+};
+
+// Give the cooldown back when the action didn't actually fire
+const releaseCooldown = async (ruleChainId, nodeId) => {
+  await redisConnection.del(cooldownKey(ruleChainId, nodeId));
+};
+
+const clearNodeState = async (ruleChainId, nodeId) => {
+  await redisConnection.del(filterKey(ruleChainId, nodeId), cooldownKey(ruleChainId, nodeId));
+};
+
+/**
+ * Process-local stand-in with the same interface, for dry runs that must not
+ * touch the shared state
+ * @param {Function} clock - Returns the current time in ms (replays pass the
+ *   historical timestamp so cooldowns expire on the replayed timeline)
+ * @returns {Object} Store with getFilterState/saveFilterState/claimCooldown/releaseCooldown/clearNodeState
+ */
+const createMemoryStore = (clock = Date.now) => {
+  const filters = new Map();
+  const cooldowns = new Map();
+  const nodeKey = (ruleChainId, nodeId) => `${ruleChainId}:${nodeId}`;
+
+  return {
+    getFilterState: async (ruleChainId, nodeId) =>
+      filters.get(nodeKey(ruleChainId, nodeId)) || { latched: false, since: null, version: 0 },
+    saveFilterState: async (ruleChainId, nodeId, state, version) => {
+      const key = nodeKey(ruleChainId, nodeId);
+      const current = filters.has(key) ? filters.get(key).version : 0;
+      if (current !== (version || 0)) {
+        return false;
+      }
+      filters.set(key, { latched: Boolean(state.latched), since: state.since || null, version: current + 1 });
+      return true;
+    },
+    claimCooldown: async (ruleChainId, nodeId, cooldownMs) => {
+      const key = nodeKey(ruleChainId, nodeId);
+      const now = clock();
+      const expiresAt = cooldowns.get(key);
+      if (expiresAt && expiresAt > now) {
+        return { claimed: false, remainingMs: expiresAt - now };
+      }
+      cooldowns.set(key, now + cooldownMs);
+      return { claimed: true, remainingMs: cooldownMs };
+    },
+    releaseCooldown: async (ruleChainId, nodeId) => {
+      cooldowns.delete(nodeKey(ruleChainId, nodeId));
+    },
+    clearNodeState: async (ruleChainId, nodeId) => {
+      filters.delete(nodeKey(ruleChainId, nodeId));
+      cooldowns.delete(nodeKey(ruleChainId, nodeId));
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  getFilterState,
+  saveFilterState,
+  claimCooldown,
+  releaseCooldown,
+  clearNodeState
+};
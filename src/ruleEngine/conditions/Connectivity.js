@@ -0,0 +1,34 @@
+/**
+ * Connectivity
+ *
+ * Whether a device or sensor is online, as rule chains see it. Filters read
+ * it through the reserved "connectivity" key of a device or sensor:
+ *
+ *   { sourceType: 'device', UUID, key: 'connectivity', operator: '==', value: 'offline' }
+ *
+ * connectivityService keeps it current from heartbeats and emits a
+ * device-connectivity event to the rule engine whenever it changes.
+ */
+const CONNECTIVITY_KEY = 'connectivity';
+
+const CONNECTIVITY = {
+  ONLINE: 'online',
+  OFFLINE: 'offline'
+};
+
+// Statuses given to devices and sensors whose heartbeats stopped
+const OFFLINE_STATUSES = ['disconnected', 'faulty'];
+
+/**
+ * @param {string} status - Device or sensor status
+ * @returns {string} online or offline
+ */
+const connectivityOf = (status) =>
+  (OFFLINE_STATUSES.includes(status) ? CONNECTIVITY.OFFLINE : CONNECTIVITY.ONLINE);
+
+module.exports = {
+  CONNECTIVITY_KEY,
+  CONNECTIVITY,
+  OFFLINE_STATUSES,
+  connectivityOf
+};
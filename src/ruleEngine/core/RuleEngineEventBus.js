@@ -10,6 +10,7 @@ const DEFAULT_PRIORITY_MAP = {
   'critical-alarm': 1,
   'telemetry-data': 5,
   'device-state-change': 5,
+  'device-connectivity': 1,
   'batch-operation': 10
 };
 
@@ -19,46 +19,91 @@ const processEvent = async (job) => {
 
   try {
     switch (eventType) {
-      case 'telemetry-data': {
-        const sensorUUID = payload?.sensorUUID;
-        if (!sensorUUID) {
-          return { status: 'ignored', reason: 'Missing sensorUUID' };
-        }
-
-        const variableNames = payload?.variableNames || [];
-        const result = await ruleChainService.trigger(sensorUUID, variableNames);
-        
-        const duration = Date.now() - jobStartTime;
-        logger.debug(`Rule engine job ${job.id} completed (telemetry-data)`, {
-          sensorUUID,
-          variableNames: variableNames.length,
-          duration,
-          ruleChainsExecuted: result?.totalRuleChains || 0
-        });
-
-        return { status: 'ok', result };
+    case 'telemetry-data': {
+      const sensorUUID = payload?.sensorUUID;
+      if (!sensorUUID) {
+        return { status: 'ignored', reason: 'Missing sensorUUID' };
       }
-      case 'scheduled': {
-        const ruleChainId = payload?.ruleChainId;
-        if (!ruleChainId) {
-          return { status: 'ignored', reason: 'Missing ruleChainId' };
-        }
-
-        const result = await ruleChainService.execute(ruleChainId, {
-          sensorData: [],
-          deviceData: []
-        });
-        
-        const duration = Date.now() - jobStartTime;
-        logger.debug(`Rule engine job ${job.id} completed (scheduled)`, {
-          ruleChainId,
-          duration
-        });
-
-        return { status: 'ok', result };
+
+      const variableNames = payload?.variableNames || [];
+      const result = await ruleChainService.trigger(sensorUUID, variableNames);
+      
+      const duration = Date.now() - jobStartTime;
+      logger.debug(`Rule engine job ${job.id} completed (telemetry-data)`, {
+        sensorUUID,
+        variableNames: variableNames.length,
+        duration,
+        ruleChainsExecuted: result?.totalRuleChains || 0
+      });
+
+      return { status: 'ok', result };
+    }
+    case 'device-state-change': {
+      const deviceUUID = payload?.deviceUUID;
+      if (!deviceUUID) {
+        return { status: 'ignored', reason: 'Missing deviceUUID' };
+      }
+
+      const variableNames = payload?.variableNames || [];
+      const triggerChain = payload?.triggerChain || [];
+      const result = await ruleChainService.trigger(deviceUUID, variableNames, {
+        originatorType: 'device',
+        triggerChain
+      });
+
+      const duration = Date.now() - jobStartTime;
+      logger.debug(`Rule engine job ${job.id} completed (device-state-change)`, {
+        deviceUUID,
+        variableNames,
+        triggerDepth: triggerChain.length,
+        duration
+      });
+
+      return { status: 'ok', result };
+    }
+    case 'device-connectivity': {
+      const originatorType = payload?.deviceUUID ? 'device' : 'sensor';
+      const originatorUUID = payload?.deviceUUID || payload?.sensorUUID;
+      if (!originatorUUID) {
+        return { status: 'ignored', reason: 'Missing deviceUUID or sensorUUID' };
       }
-      default:
-        return { status: 'ignored', reason: `Unknown eventType ${eventType}` };
+
+      const result = await ruleChainService.trigger(originatorUUID, payload?.variableNames || [], {
+        originatorType,
+        triggerType: 'device-connectivity'
+      });
+
+      logger.debug(`Rule engine job ${job.id} completed (device-connectivity)`, {
+        originatorType,
+        originatorUUID,
+        connectivity: payload?.connectivity,
+        duration: Date.now() - jobStartTime
+      });
+
+      return { status: 'ok', result };
+    }
+    case 'scheduled': {
+      const ruleChainId = payload?.ruleChainId;
+      if (!ruleChainId) {
+        return { status: 'ignored', reason: 'Missing ruleChainId' };
+      }
+
+      // Retries follow the chain's own maxRetries/retryDelay, so a failed
+      // run is reported rather than thrown back to the queue
+      const result = await ruleChainService.runScheduled(ruleChainId);
+
+      const duration = Date.now() - jobStartTime;
+      logger.debug(`Rule engine job ${job.id} completed (scheduled)`, {
+        ruleChainId,
+        runStatus: result.status,
+        attempts: result.attempts,
+        duration
+      });
+
+      return { status: result.status === 'failed' ? 'failed' : 'ok', result };
+    }
+    default:
+      return { status: 'ignored', reason: `Unknown eventType ${eventType}` };
     }
   } catch (error) {
     const duration = Date.now() - jobStartTime;
@@ -0,0 +1,405 @@
+/**
+ * Expression Evaluator
+ *
+ * Small sandboxed math language for transform nodes. Expressions are parsed
+ * into an AST and walked by hand - nothing is ever handed to eval/Function,
+ * and only the functions listed in FUNCTIONS can be called.
+ *
+ *   (sensor[550e8400-e29b-41d4-a716-446655440000].temperature * 9 / 5) + 32
+ *   convert(sensor['<uuid>'].pressure, 'Pa', 'bar')
+ *   round(max(device[<uuid>].load, 0) * 230 / 1000, 2)
+ *
+ * Supported: numbers, + - * / % ^, unary minus, parentheses, references
+ * sensor[uuid].key / device[uuid].key, string literals (unit names only),
+ * constants pi and e, and the functions below.
+ */
+
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_AST_NODES = 200;
+
+class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} at position ${position}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+    this.isExpressionError = true;
+  }
+}
+
+// Linear conversions to a base unit per dimension: base = value * factor + offset
+const UNITS = {
+  C: { dimension: 'temperature', factor: 1, offset: 0 },
+  F: { dimension: 'temperature', factor: 5 / 9, offset: -32 * 5 / 9 },
+  K: { dimension: 'temperature', factor: 1, offset: -273.15 },
+  Pa: { dimension: 'pressure', factor: 1, offset: 0 },
+  hPa: { dimension: 'pressure', factor: 100, offset: 0 },
+  kPa: { dimension: 'pressure', factor: 1000, offset: 0 },
+  bar: { dimension: 'pressure', factor: 100000, offset: 0 },
+  mbar: { dimension: 'pressure', factor: 100, offset: 0 },
+  psi: { dimension: 'pressure', factor: 6894.757293168, offset: 0 },
+  W: { dimension: 'power', factor: 1, offset: 0 },
+  kW: { dimension: 'power', factor: 1000, offset: 0 },
+  Wh: { dimension: 'energy', factor: 1, offset: 0 },
+  kWh: { dimension: 'energy', factor: 1000, offset: 0 },
+  m: { dimension: 'length', factor: 1, offset: 0 },
+  cm: { dimension: 'length', factor: 0.01, offset: 0 },
+  mm: { dimension: 'length', factor: 0.001, offset: 0 },
+  'm/s': { dimension: 'speed', factor: 1, offset: 0 },
+  'km/h': { dimension: 'speed', factor: 1 / 3.6, offset: 0 }
+};
+
+// Plain-object tables are only read through own keys, so 'constructor' & co. never resolve
+const lookup = (table, name) => (Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined);
+
+const convertUnits = (value, from, to) => {
+  const source = lookup(UNITS, from);
+  const target = lookup(UNITS, to);
+  if (!source) throw new ExpressionError(`Unknown unit '${from}'`);
+  if (!target) throw new ExpressionError(`Unknown unit '${to}'`);
+  if (source.dimension !== target.dimension) {
+    throw new ExpressionError(`Cannot convert ${source.dimension} (${from}) to ${target.dimension} (${to})`);
+  }
+  const base = value * source.factor + source.offset;
+  return (base - target.offset) / target.factor;
+};
+
+const roundTo = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// name -> { fn, minArgs, maxArgs, stringArgs: indexes that must be unit strings }
+const FUNCTIONS = {
+  min: { fn: Math.min, minArgs: 1, maxArgs: Infinity },
+  max: { fn: Math.max, minArgs: 1, maxArgs: Infinity },
+  abs: { fn: Math.abs, minArgs: 1, maxArgs: 1 },
+  round: { fn: roundTo, minArgs: 1, maxArgs: 2 },
+  floor: { fn: Math.floor, minArgs: 1, maxArgs: 1 },
+  ceil: { fn: Math.ceil, minArgs: 1, maxArgs: 1 },
+  sqrt: { fn: Math.sqrt, minArgs: 1, maxArgs: 1 },
+  pow: { fn: Math.pow, minArgs: 2, maxArgs: 2 },
+  exp: { fn: Math.exp, minArgs: 1, maxArgs: 1 },
+  ln: { fn: Math.log, minArgs: 1, maxArgs: 1 },
+  log10: { fn: Math.log10, minArgs: 1, maxArgs: 1 },
+  convert: { fn: convertUnits, minArgs: 3, maxArgs: 3, stringArgs: [1, 2] }
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const SOURCES = {
+  sensor: 'sensorData',
+  device: 'deviceData'
+};
+
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(input[i + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(input.slice(i));
+      if (!match) throw new ExpressionError('Invalid number', i);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(input.slice(i));
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '\'' || ch === '"') {
+      const end = input.indexOf(ch, i + 1);
+      if (end === -1) throw new ExpressionError('Unterminated string', i);
+      tokens.push({ type: 'string', value: input.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Brackets only ever hold a sensor/device UUID, quoted or bare
+    if (ch === '[') {
+      const end = input.indexOf(']', i + 1);
+      if (end === -1) throw new ExpressionError('Missing ]', i);
+      const raw = input.slice(i + 1, end).trim().replace(/^(['"])(.*)\1$/, '$2');
+      if (!/^[0-9A-Za-z-]+$/.test(raw)) throw new ExpressionError('Invalid UUID reference', i);
+      tokens.push({ type: 'uuid', value: raw, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if ('+-*/%^(),.'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, position: i });
+      i++;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${ch}'`, i);
+  }
+
+  tokens.push({ type: 'end', position: input.length });
+  return tokens;
+};
+
+const parse = (input) => {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new ExpressionError('Expression must be a non-empty string');
+  }
+  if (input.length > MAX_EXPRESSION_LENGTH) {
+    throw new ExpressionError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(input);
+  let pos = 0;
+  let nodeCount = 0;
+
+  const node = (value) => {
+    nodeCount++;
+    if (nodeCount > MAX_AST_NODES) {
+      throw new ExpressionError(`Expression has more than ${MAX_AST_NODES} terms`);
+    }
+    return value;
+  };
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isPunct = (value) => peek().type === 'punct' && peek().value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) {
+      throw new ExpressionError(`Expected '${value}'`, peek().position);
+    }
+    return next();
+  };
+
+  let parseAdditive;
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number') {
+      return node({ type: 'number', value: token.value });
+    }
+
+    if (token.type === 'string') {
+      return node({ type: 'string', value: token.value });
+    }
+
+    if (token.type === 'punct' && token.value === '(') {
+      const inner = parseAdditive();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      if (lookup(SOURCES, token.value) && peek().type === 'uuid') {
+        const uuid = next().value;
+        expect('.');
+        const key = next();
+        if (key.type !== 'identifier') {
+          throw new ExpressionError('Expected a variable name', key.position);
+        }
+        return node({ type: 'reference', sourceType: token.value, uuid, key: key.value });
+      }
+
+      if (isPunct('(')) {
+        const fn = lookup(FUNCTIONS, token.value);
+        if (!fn) throw new ExpressionError(`Unknown function '${token.value}'`, token.position);
+        next();
+        const args = [];
+        if (!isPunct(')')) {
+          args.push(parseAdditive());
+          while (isPunct(',')) {
+            next();
+            args.push(parseAdditive());
+          }
+        }
+        expect(')');
+        if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+          throw new ExpressionError(`Wrong number of arguments for ${token.value}()`, token.position);
+        }
+        return node({ type: 'call', name: token.value, args });
+      }
+
+      if (lookup(CONSTANTS, token.value) !== undefined) {
+        return node({ type: 'number', value: CONSTANTS[token.value] });
+      }
+
+      throw new ExpressionError(`Unknown identifier '${token.value}'`, token.position);
+    }
+
+    throw new ExpressionError('Unexpected token', token.position);
+  };
+
+  // Right-associative: 2 ^ 3 ^ 2 = 2 ^ 9
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isPunct('^')) {
+      next();
+      return node({ type: 'binary', operator: '^', left: base, right: parseUnary() });
+    }
+    return base;
+  };
+
+  // Unary minus binds looser than ^, so -2 ^ 2 = -(2 ^ 2)
+  const parseUnary = () => {
+    if (isPunct('-')) {
+      next();
+      return node({ type: 'negate', operand: parseUnary() });
+    }
+    if (isPunct('+')) {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parseMultiplicative = () => {
+    let left = parseUnary();
+    while (isPunct('*') || isPunct('/') || isPunct('%')) {
+      const operator = next().value;
+      left = node({ type: 'binary', operator, left, right: parseUnary() });
+    }
+    return left;
+  };
+
+  parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (isPunct('+') || isPunct('-')) {
+      const operator = next().value;
+      left = node({ type: 'binary', operator, left, right: parseMultiplicative() });
+    }
+    return left;
+  };
+
+  const ast = parseAdditive();
+  if (peek().type !== 'end') {
+    throw new ExpressionError('Unexpected token', peek().position);
+  }
+  return ast;
+};
+
+const toNumber = (value, label) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    throw new ExpressionError(`${label} is not a number`);
+  }
+  return number;
+};
+
+const evaluateNode = (ast, data) => {
+  switch (ast.type) {
+  case 'number':
+    return ast.value;
+  case 'string':
+    throw new ExpressionError(`String '${ast.value}' can only be used as a unit name`);
+  case 'reference': {
+    const source = data[SOURCES[ast.sourceType]] || {};
+    const values = lookup(source, ast.uuid);
+    const value = values ? lookup(values, ast.key) : undefined;
+    const label = `${ast.sourceType}[${ast.uuid}].${ast.key}`;
+    if (value === undefined || value === null) {
+      throw new ExpressionError(`No value for ${label}`);
+    }
+    return toNumber(value, label);
+  }
+  case 'negate':
+    return -evaluateNode(ast.operand, data);
+  case 'binary': {
+    const left = evaluateNode(ast.left, data);
+    const right = evaluateNode(ast.right, data);
+    switch (ast.operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/':
+      if (right === 0) throw new ExpressionError('Division by zero');
+      return left / right;
+    case '%':
+      if (right === 0) throw new ExpressionError('Division by zero');
+      return left % right;
+    case '^': return left ** right;
+    default: throw new ExpressionError(`Unknown operator '${ast.operator}'`);
+    }
+  }
+  case 'call': {
+    const { fn, stringArgs = [] } = FUNCTIONS[ast.name];
+    const args = ast.args.map((arg, index) => {
+      if (stringArgs.includes(index)) {
+        if (arg.type !== 'string') {
+          throw new ExpressionError(`Argument ${index + 1} of ${ast.name}() must be a unit name`);
+        }
+        return arg.value;
+      }
+      return evaluateNode(arg, data);
+    });
+    return fn(...args);
+  }
+  default:
+    throw new ExpressionError(`Unknown expression node '${ast.type}'`);
+  }
+};
+
+/**
+ * Evaluate a parsed expression against UUID-keyed execution data
+ * @param {Object} ast - Result of parse()
+ * @param {Object} data - { sensorData: { [uuid]: { key: value } }, deviceData: { ... } }
+ * @returns {number} Finite result
+ */
+const evaluate = (ast, data) => {
+  const result = evaluateNode(ast, data);
+  if (!Number.isFinite(result)) {
+    throw new ExpressionError('Expression did not produce a finite number');
+  }
+  return result;
+};
+
+/**
+ * List the sensor/device values an expression reads
+ * @param {Object} ast - Result of parse()
+ * @returns {Array<{sourceType: string, UUID: string, key: string}>}
+ */
+const extractReferences = (ast) => {
+  const references = [];
+  const walk = (current) => {
+    switch (current.type) {
+    case 'reference':
+      references.push({ sourceType: current.sourceType, UUID: current.uuid, key: current.key });
+      break;
+    case 'negate':
+      walk(current.operand);
+      break;
+    case 'binary':
+      walk(current.left);
+      walk(current.right);
+      break;
+    case 'call':
+      current.args.forEach(walk);
+      break;
+    default:
+      break;
+    }
+  };
+  walk(ast);
+  return references;
+};
+
+module.exports = {
+  ExpressionError,
+  UNITS,
+  FUNCTIONS,
+  parse,
+  evaluate,
+  extractReferences,
+  convertUnits
+};
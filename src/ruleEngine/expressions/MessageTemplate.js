@@ -0,0 +1,75 @@
+/**
+ * Message Template
+ *
+ * Text with {{ ... }} placeholders filled in from rule execution data, used
+ * for notification titles and insights. A placeholder holds an expression in
+ * the ExpressionEvaluator language; a bare reference is inserted as stored
+ * (so strings and booleans work), anything else is evaluated as a number.
+ *
+ *   Greenhouse at {{ sensor[<uuid>].temperature }} C
+ *   Tank {{ round(sensor[<uuid>].level / 12, 1) }} % full
+ */
+const ExpressionEvaluator = require('./ExpressionEvaluator');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// Shown in place of a value the execution data does not contain
+const MISSING_VALUE = 'n/a';
+
+const SOURCES = { sensor: 'sensorData', device: 'deviceData' };
+
+const readReference = (ast, data) => {
+  const source = data[SOURCES[ast.sourceType]] || {};
+  const values = Object.prototype.hasOwnProperty.call(source, ast.uuid) ? source[ast.uuid] : null;
+  if (!values || !Object.prototype.hasOwnProperty.call(values, ast.key)) return undefined;
+  return values[ast.key];
+};
+
+/**
+ * Parse every placeholder of a template
+ * @param {string} template - Template text
+ * @returns {Array<{source: string, ast: Object}>}
+ * @throws {ExpressionError} When a placeholder does not parse
+ */
+const parse = (template) => [...String(template).matchAll(PLACEHOLDER_PATTERN)].map((match) => ({
+  source: match[1],
+  ast: ExpressionEvaluator.parse(match[1])
+}));
+
+/**
+ * Fill a template's placeholders from execution data. Placeholders that
+ * cannot be evaluated render as "n/a" rather than failing the notification.
+ * @param {string} template - Template text
+ * @param {Object} data - { sensorData: { [uuid]: { key: value } }, deviceData: { ... } }
+ * @returns {string}
+ */
+const render = (template, data) => {
+  if (template === undefined || template === null) return '';
+  return String(template).replace(PLACEHOLDER_PATTERN, (placeholder, source) => {
+    try {
+      const ast = ExpressionEvaluator.parse(source);
+      if (ast.type === 'reference') {
+        const value = readReference(ast, data);
+        return value === undefined || value === null ? MISSING_VALUE : String(value);
+      }
+      return String(ExpressionEvaluator.evaluate(ast, data));
+    } catch (err) {
+      return MISSING_VALUE;
+    }
+  });
+};
+
+/**
+ * List the sensor/device values a template reads
+ * @param {string} template - Template text
+ * @returns {Array<{sourceType: string, UUID: string, key: string}>}
+ */
+const extractReferences = (template) => parse(template)
+  .flatMap(({ ast }) => ExpressionEvaluator.extractReferences(ast));
+
+module.exports = {
+  MISSING_VALUE,
+  parse,
+  render,
+  extractReferences
+};
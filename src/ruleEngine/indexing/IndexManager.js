@@ -15,30 +15,42 @@ const buildIndexForSensorsBatched = async (sensorUUIDs) => {
   }
 };
 
+const buildIndexForDevicesBatched = async (deviceUUIDs) => {
+  const uuids = Array.from(deviceUUIDs);
+  for (let i = 0; i < uuids.length; i += BATCH_SIZE) {
+    const chunk = uuids.slice(i, i + BATCH_SIZE);
+    await Promise.all(chunk.map((uuid) => RuleChainIndex.buildIndexForDevice(uuid)));
+  }
+};
+
 const rebuildIndexForRuleChain = async (ruleChainId) => {
   if (!ruleChainId) return;
 
   const nodes = await RuleChainNode.findAll({
-    where: { ruleChainId, type: 'filter' },
+    where: { ruleChainId, type: ['filter', 'transform'] },
     attributes: ['config']
   });
 
   const sensorUUIDs = new Set();
+  const deviceUUIDs = new Set();
   nodes.forEach((node) => {
     const uuids = RuleChainIndex.extractSensorUuidsFromConfig(node.config);
     uuids.forEach((uuid) => sensorUUIDs.add(uuid));
+    RuleChainIndex.extractDeviceUuidsFromConfig(node.config).forEach((uuid) => deviceUUIDs.add(uuid));
   });
 
   if (isDev()) {
     logger.info('[IndexManager] Rebuilding index', {
       ruleChainId,
       sensorCount: sensorUUIDs.size,
+      deviceCount: deviceUUIDs.size,
       batchSize: BATCH_SIZE,
       batchCount: Math.ceil(sensorUUIDs.size / BATCH_SIZE) || 0
     });
   }
 
   await buildIndexForSensorsBatched(sensorUUIDs);
+  await buildIndexForDevicesBatched(deviceUUIDs);
   logger.debug(`Rebuilt rule chain index for ruleChainId ${ruleChainId}`);
 };
 
@@ -76,26 +88,30 @@ const scheduleRebuildForRuleChain = (ruleChainId) => {
 
 const rebuildAllIndexes = async () => {
   const nodes = await RuleChainNode.findAll({
-    where: { type: 'filter' },
+    where: { type: ['filter', 'transform'] },
     attributes: ['config']
   });
 
   const sensorUUIDs = new Set();
+  const deviceUUIDs = new Set();
   nodes.forEach((node) => {
     const uuids = RuleChainIndex.extractSensorUuidsFromConfig(node.config);
     uuids.forEach((uuid) => sensorUUIDs.add(uuid));
+    RuleChainIndex.extractDeviceUuidsFromConfig(node.config).forEach((uuid) => deviceUUIDs.add(uuid));
   });
 
   if (isDev()) {
     logger.info('[IndexManager] Rebuilding all indexes', {
       sensorCount: sensorUUIDs.size,
+      deviceCount: deviceUUIDs.size,
       batchSize: BATCH_SIZE,
       batchCount: Math.ceil(sensorUUIDs.size / BATCH_SIZE) || 0
     });
   }
 
   await buildIndexForSensorsBatched(sensorUUIDs);
-  logger.info(`Rebuilt rule chain indexes for ${sensorUUIDs.size} sensors`);
+  await buildIndexForDevicesBatched(deviceUUIDs);
+  logger.info(`Rebuilt rule chain indexes for ${sensorUUIDs.size} sensors and ${deviceUUIDs.size} devices`);
 };
 
 module.exports = {
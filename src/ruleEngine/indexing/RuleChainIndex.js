@@ -2,6 +2,7 @@ const logger = require('../../utils/logger');
 const redisConnection = require('../../config/redis');
 const { QueryTypes } = require('sequelize');
 const sequelize = require('../../config/database');
+const ExpressionEvaluator = require('../expressions/ExpressionEvaluator');
 
 const KEY_PREFIX_SENSOR = 'rulechain:var:sensor:';
 const KEY_PREFIX_DEVICE = 'rulechain:var:device:';
@@ -30,7 +31,8 @@ const buildIndexForOriginator = async (originatorType, originatorId) => {
     SELECT DISTINCT 
       ruleChainId,
       JSON_EXTRACT(config, '$.key') as variableName,
-      JSON_EXTRACT(config, '$.sourceType') as sourceType
+      JSON_EXTRACT(config, '$.sourceType') as sourceType,
+      NULL as expression
     FROM RuleChainNode
     WHERE type = 'filter'
       AND JSON_EXTRACT(config, '$.sourceType') = :originatorType
@@ -39,25 +41,48 @@ const buildIndexForOriginator = async (originatorType, originatorId) => {
         JSON_EXTRACT(config, '$.uuid') = :uuid OR
         JSON_EXTRACT(config, '${typeFieldPath}') = :uuid
       )
+    UNION ALL
+    SELECT
+      ruleChainId,
+      NULL as variableName,
+      NULL as sourceType,
+      JSON_UNQUOTE(JSON_EXTRACT(config, '$.expression')) as expression
+    FROM RuleChainNode
+    WHERE type = 'transform'
+      AND JSON_UNQUOTE(JSON_EXTRACT(config, '$.type')) = 'expression'
+      AND JSON_UNQUOTE(JSON_EXTRACT(config, '$.expression')) LIKE :pattern
   `;
 
   try {
     const nodes = await sequelize.query(query, {
       replacements: {
         uuid: originatorId,
-        originatorType
+        originatorType,
+        pattern: `%${originatorId}%`
       },
       type: QueryTypes.SELECT
     });
 
     const variableIndex = new Map();
+    const addToIndex = (varName, ruleChainId) => {
+      if (!variableIndex.has(varName)) {
+        variableIndex.set(varName, new Set());
+      }
+      variableIndex.get(varName).add(ruleChainId);
+    };
+
     nodes.forEach(node => {
+      // Expression transforms name their inputs inside the expression text
+      if (node.expression) {
+        extractExpressionReferences({ type: 'expression', expression: node.expression })
+          .filter((ref) => ref.sourceType === originatorType && ref.UUID === originatorId)
+          .forEach((ref) => addToIndex(ref.key, node.ruleChainId));
+        return;
+      }
+
       const varName = node.variableName?.replace(/"/g, '');
       if (varName) {
-        if (!variableIndex.has(varName)) {
-          variableIndex.set(varName, new Set());
-        }
-        variableIndex.get(varName).add(node.ruleChainId);
+        addToIndex(varName, node.ruleChainId);
       }
     });
 
@@ -256,10 +281,28 @@ const normalizeConfig = (configValue) => {
   }
 };
 
+const extractExpressionReferences = (configValue) => {
+  const config = normalizeConfig(configValue);
+  if (!config || config.type !== 'expression') return [];
+
+  try {
+    return ExpressionEvaluator.extractReferences(ExpressionEvaluator.parse(config.expression));
+  } catch (error) {
+    logger.warn('Skipping unparseable transform expression while indexing', { error: error.message });
+    return [];
+  }
+};
+
 const extractSensorUuidsFromConfig = (configValue) => {
   const config = normalizeConfig(configValue);
   if (!config) return [];
 
+  if (config.type === 'expression') {
+    return extractExpressionReferences(config)
+      .filter((ref) => ref.sourceType === 'sensor')
+      .map((ref) => ref.UUID);
+  }
+
   const uuidCandidates = [];
   if (config.UUID) uuidCandidates.push(config.UUID);
   if (config.uuid) uuidCandidates.push(config.uuid);
@@ -276,6 +319,26 @@ const extractSensorUuidsFromConfig = (configValue) => {
   return uuidCandidates.filter(Boolean);
 };
 
+const extractDeviceUuidsFromConfig = (configValue) => {
+  const config = normalizeConfig(configValue);
+  if (!config) return [];
+
+  if (config.type === 'expression') {
+    return extractExpressionReferences(config)
+      .filter((ref) => ref.sourceType === 'device')
+      .map((ref) => ref.UUID);
+  }
+
+  const expressions = config.type === 'AND' && Array.isArray(config.expressions)
+    ? [config, ...config.expressions]
+    : [config];
+
+  return expressions
+    .filter((expr) => expr.sourceType === 'device')
+    .flatMap((expr) => [expr.UUID, expr.uuid, expr.deviceUUID])
+    .filter(Boolean);
+};
+
 module.exports = {
   getRuleChainsForOriginator,
   buildIndexForOriginator,
@@ -286,5 +349,6 @@ module.exports = {
   buildIndexForDevice,
   invalidateSensor,
   invalidateDevice,
-  extractSensorUuidsFromConfig
+  extractSensorUuidsFromConfig,
+  extractDeviceUuidsFromConfig
 };
@@ -0,0 +1,154 @@
+/**
+ * Built-in Rule Chain Templates
+ *
+ * Global templates installed by the create-rule-chain-template-table
+ * migration. Definitions use the rule chain bundle node format (nodes link
+ * by name) with {{input:<name>}} placeholders for the declared inputs.
+ */
+
+const thresholdAlarm = {
+  name: 'Threshold alarm',
+  category: 'alarms',
+  description: 'Switches an alarm device on when a sensor variable stays above a threshold for a while.',
+  inputs: [
+    { name: 'sensor', type: 'sensor', label: 'Sensor to watch' },
+    { name: 'variable', type: 'variable', label: 'Variable', default: 'temperature' },
+    { name: 'threshold', type: 'number', label: 'Alarm above' },
+    { name: 'holdFor', type: 'duration', label: 'Only after it holds for', default: '1m' },
+    { name: 'alarmDevice', type: 'device', label: 'Alarm device' },
+    { name: 'alarmState', type: 'state', label: 'Alarm device state', default: 'alarm' },
+    { name: 'alarmValue', type: 'string', label: 'Alarm state value', default: 'on' },
+    { name: 'cooldown', type: 'duration', label: 'Minimum time between alarms', default: '15m' }
+  ],
+  definition: {
+    ruleChain: {
+      name: 'Threshold alarm - {{input:variable}}',
+      description: 'Raises an alarm when {{input:variable}} stays above {{input:threshold}}',
+      executionType: 'event-triggered'
+    },
+    nodes: [
+      {
+        name: 'Above threshold',
+        type: 'filter',
+        config: {
+          sourceType: 'sensor',
+          UUID: '{{input:sensor}}',
+          key: '{{input:variable}}',
+          operator: '>',
+          value: '{{input:threshold}}',
+          duration: '{{input:holdFor}}'
+        },
+        edges: [{ label: 'true', target: 'Raise alarm' }]
+      },
+      {
+        name: 'Raise alarm',
+        type: 'action',
+        config: {
+          type: 'device_command',
+          command: { deviceUuid: '{{input:alarmDevice}}', stateName: '{{input:alarmState}}', value: '{{input:alarmValue}}' },
+          cooldown: '{{input:cooldown}}'
+        }
+      }
+    ]
+  }
+};
+
+const irrigationSchedule = {
+  name: 'Irrigation schedule',
+  category: 'irrigation',
+  description: 'Opens a valve on a schedule when the soil is drier than a threshold.',
+  inputs: [
+    { name: 'cron', type: 'cron', label: 'When to check', default: '0 6 * * *' },
+    { name: 'timezone', type: 'string', label: 'Timezone', default: 'UTC' },
+    { name: 'sensor', type: 'sensor', label: 'Soil moisture sensor' },
+    { name: 'variable', type: 'variable', label: 'Moisture variable', default: 'soilMoisture' },
+    { name: 'threshold', type: 'number', label: 'Irrigate below' },
+    { name: 'valve', type: 'device', label: 'Valve' },
+    { name: 'valveState', type: 'state', label: 'Valve state', default: 'valve' },
+    { name: 'openValue', type: 'string', label: 'Open value', default: 'open' }
+  ],
+  definition: {
+    ruleChain: {
+      name: 'Irrigation schedule',
+      description: 'Irrigates at {{input:cron}} when {{input:variable}} is below {{input:threshold}}',
+      executionType: 'schedule-only',
+      scheduleEnabled: true,
+      cronExpression: '{{input:cron}}',
+      timezone: '{{input:timezone}}'
+    },
+    nodes: [
+      {
+        name: 'Soil is dry',
+        type: 'filter',
+        config: {
+          sourceType: 'sensor',
+          UUID: '{{input:sensor}}',
+          key: '{{input:variable}}',
+          operator: '<',
+          value: '{{input:threshold}}'
+        },
+        edges: [{ label: 'true', target: 'Open valve' }]
+      },
+      {
+        name: 'Open valve',
+        type: 'action',
+        config: {
+          type: 'device_command',
+          command: { deviceUuid: '{{input:valve}}', stateName: '{{input:valveState}}', value: '{{input:openValue}}' }
+        }
+      }
+    ]
+  }
+};
+
+const heartbeatLost = {
+  name: 'Heartbeat lost',
+  category: 'monitoring',
+  description: 'Checks on a schedule whether a sensor has reported recently and signals a device when it has gone quiet.',
+  inputs: [
+    { name: 'sensor', type: 'sensor', label: 'Sensor to watch' },
+    { name: 'variable', type: 'variable', label: 'Variable it reports', default: 'temperature' },
+    { name: 'timeout', type: 'duration', label: 'Silent for', default: '15m' },
+    { name: 'cron', type: 'cron', label: 'How often to check', default: '*/5 * * * *' },
+    { name: 'alarmDevice', type: 'device', label: 'Device to signal' },
+    { name: 'alarmState', type: 'state', label: 'Device state', default: 'alarm' },
+    { name: 'alarmValue', type: 'string', label: 'State value', default: 'on' },
+    { name: 'cooldown', type: 'duration', label: 'Minimum time between signals', default: '1h' }
+  ],
+  definition: {
+    ruleChain: {
+      name: 'Heartbeat lost',
+      description: 'Signals when no {{input:variable}} reading arrived for {{input:timeout}}',
+      executionType: 'schedule-only',
+      scheduleEnabled: true,
+      cronExpression: '{{input:cron}}'
+    },
+    nodes: [
+      {
+        name: 'No recent readings',
+        type: 'filter',
+        config: {
+          sourceType: 'sensor',
+          UUID: '{{input:sensor}}',
+          key: '{{input:variable}}',
+          aggregate: 'count',
+          window: '{{input:timeout}}',
+          operator: '==',
+          value: 0
+        },
+        edges: [{ label: 'true', target: 'Signal device' }]
+      },
+      {
+        name: 'Signal device',
+        type: 'action',
+        config: {
+          type: 'device_command',
+          command: { deviceUuid: '{{input:alarmDevice}}', stateName: '{{input:alarmState}}', value: '{{input:alarmValue}}' },
+          cooldown: '{{input:cooldown}}'
+        }
+      }
+    ]
+  }
+};
+
+module.exports = [thresholdAlarm, irrigationSchedule, heartbeatLost];
@@ -10,6 +10,10 @@ const coapService = require('./services/coapService');
 const notificationBridge = require('./services/notificationBridgeService');
 const mqttPublisher = require('./services/mqttPublisherService');
 const coapPublisher = require('./services/coapPublisherService');
+const deviceCommandService = require('./services/deviceCommandService');
+const alarmService = require('./services/alarmService');
+const connectivityService = require('./services/connectivityService');
+const mqttCredentialService = require('./services/mqttCredentialService');
 
 // Set port from environment variables or default
 const PORT = config.server.port;
@@ -105,6 +109,10 @@ const startServer = async () => {
     // Initialize MQTT server if enabled in features
     if (config.features.mqtt && config.features.mqtt.enabled) {
       try {
+        // Issue the internal publishers' credentials before anyone connects
+        await mqttCredentialService.initialize();
+        mqttCredentialService.startRotation();
+
         mqttService.initialize();
         logger.info('MQTT server initialized');
 
@@ -125,6 +133,16 @@ const startServer = async () => {
         logger.error('Failed to initialize CoAP server', err);
       }
     }
+
+    // Re-send unacknowledged device commands and expire stale ones
+    deviceCommandService.startRetryMonitor();
+
+    // Escalate alarms nobody acknowledged in time
+    alarmService.startEscalationMonitor();
+
+    // Mark devices and sensors offline when their heartbeats stop
+    connectivityService.startHeartbeatMonitor();
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`Server running in ${config.server.nodeEnv} mode on port ${PORT}`);
@@ -159,7 +177,11 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  deviceCommandService.stopRetryMonitor();
+  alarmService.stopEscalationMonitor();
+  connectivityService.stopHeartbeatMonitor();
   if (config.features.mqtt && config.features.mqtt.enabled) {
+    mqttCredentialService.stopRotation();
     mqttService.stop();
   }
   if (config.features.coap && config.features.coap.enabled) {
@@ -174,7 +196,11 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  deviceCommandService.stopRetryMonitor();
+  alarmService.stopEscalationMonitor();
+  connectivityService.stopHeartbeatMonitor();
   if (config.features.mqtt && config.features.mqtt.enabled) {
+    mqttCredentialService.stopRotation();
     mqttService.stop();
   }
   if (config.features.coap && config.features.coap.enabled) {
@@ -0,0 +1,110 @@
+/**
+ * Account Token Service
+ *
+ * Single-use tokens emailed to users to reset their password or verify their
+ * email address. Only a SHA-256 hash of each token is stored, in Redis and
+ * with the token's lifetime as TTL:
+ *
+ *   auth:account-token:{purpose}:{sha256}        user ID
+ *   auth:user-account-tokens:{purpose}:{userId}  set of the user's token hashes
+ *
+ * Using a token deletes it together with every other token of the same
+ * purpose the user holds, so older emails stop working too.
+ */
+const crypto = require('crypto');
+const redisConnection = require('../config/redis');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const TOKEN_KEY_PREFIX = 'auth:account-token:';
+const USER_TOKENS_KEY_PREFIX = 'auth:user-account-tokens:';
+
+const TOKEN_PURPOSE = {
+  PASSWORD_RESET: 'password-reset',
+  EMAIL_VERIFICATION: 'email-verification'
+};
+
+// Read and delete in one step so a token cannot be used twice
+const CONSUME_SCRIPT = `
+  local userId = redis.call('GET', KEYS[1])
+  if userId then
+    redis.call('DEL', KEYS[1])
+  end
+  return userId
+`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const tokenKey = (purpose, hash) => `${TOKEN_KEY_PREFIX}${purpose}:${hash}`;
+const userTokensKey = (purpose, userId) => `${USER_TOKENS_KEY_PREFIX}${purpose}:${userId}`;
+
+class AccountTokenService {
+  /**
+   * Issue a token for a user
+   * @param {string} purpose - One of TOKEN_PURPOSE
+   * @param {number} userId - User ID
+   * @param {number} ttlSeconds - Lifetime of the token
+   * @returns {Promise<string>} The token, which is not stored
+   */
+  async issueToken(purpose, userId, ttlSeconds) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const hash = hashToken(token);
+
+    try {
+      await redisConnection.multi()
+        .set(tokenKey(purpose, hash), String(userId), 'EX', ttlSeconds)
+        .sadd(userTokensKey(purpose, userId), hash)
+        .expire(userTokensKey(purpose, userId), ttlSeconds)
+        .exec();
+    } catch (error) {
+      logger.error(`Failed to store ${purpose} token: ${error.message}`);
+      throw new ApiError(503, 'Token store unavailable, please try again later');
+    }
+
+    return token;
+  }
+
+  /**
+   * Use up a token
+   * @param {string} purpose - One of TOKEN_PURPOSE
+   * @param {string} token - Token from the email
+   * @returns {Promise<number|null>} ID of the user the token was issued to, null when it is unknown, used or expired
+   */
+  async consumeToken(purpose, token) {
+    let userId;
+    try {
+      userId = await redisConnection.eval(CONSUME_SCRIPT, 1, tokenKey(purpose, hashToken(token)));
+    } catch (error) {
+      logger.error(`Failed to check ${purpose} token: ${error.message}`);
+      throw new ApiError(503, 'Token store unavailable, please try again later');
+    }
+
+    if (!userId) {
+      return null;
+    }
+
+    await this.revokeTokens(purpose, userId);
+    return Number(userId);
+  }
+
+  /**
+   * Delete every token of a purpose a user holds
+   * @param {string} purpose - One of TOKEN_PURPOSE
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async revokeTokens(purpose, userId) {
+    try {
+      const hashes = await redisConnection.smembers(userTokensKey(purpose, userId));
+      await redisConnection.del(
+        userTokensKey(purpose, userId),
+        ...hashes.map((hash) => tokenKey(purpose, hash))
+      );
+    } catch (error) {
+      // They still expire on their own
+      logger.warn(`Failed to revoke ${purpose} tokens of user ${userId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AccountTokenService();
+module.exports.TOKEN_PURPOSE = TOKEN_PURPOSE;
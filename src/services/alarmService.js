@@ -0,0 +1,402 @@
+/**
+ * Alarm Service
+ *
+ * Alarms are Notification rows with a lifecycle, each paired with a Ticket
+ * that tracks who it is assigned to and when it was acknowledged:
+ *
+ *   raise -> active -> acknowledged -> cleared
+ *              \_______________________/^
+ *
+ * An originator (sensor, device or rule chain) has at most one open alarm
+ * per alarm type; raising it again only bumps its occurrence count. Active
+ * alarms nobody acknowledges escalate every config.alarms.escalateAfterMinutes
+ * up to maxEscalationLevel, raising the severity and notifying the whole
+ * organization. Every transition is sent to the organization's socket room.
+ */
+const { Op } = require('sequelize');
+const { Notification, Ticket, OrganizationUser, User } = require('../models/initModels');
+const sequelize = require('../config/database');
+const { ApiError } = require('../middlewares/errorHandler');
+const ruleNotificationService = require('./ruleNotificationService');
+const notificationManager = require('../utils/notificationManager');
+const { getPaginationParams, buildPaginatedResult } = require('../utils/paginationUtil');
+const { NOTIFICATION_SEVERITIES } = require('../validators/ruleChainValidators');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const ALARM_STATUS = {
+  ACTIVE: 'active',
+  ACKNOWLEDGED: 'acknowledged',
+  CLEARED: 'cleared'
+};
+
+const ALARM_EVENTS = {
+  RAISED: 'alarm-raised',
+  UPDATED: 'alarm-updated',
+  ACKNOWLEDGED: 'alarm-acknowledged',
+  ASSIGNED: 'alarm-assigned',
+  ESCALATED: 'alarm-escalated',
+  CLEARED: 'alarm-cleared'
+};
+
+const dedupKeyFor = ({ organizationId, originatorType, originatorUuid, alarmType }) =>
+  `${organizationId}:${originatorType}:${originatorUuid}:${alarmType}`;
+
+const severityRank = (severity) => NOTIFICATION_SEVERITIES.indexOf(severity);
+
+const higherSeverity = (a, b) => (severityRank(b) > severityRank(a) ? b : a);
+
+const nextSeverity = (severity) =>
+  NOTIFICATION_SEVERITIES[Math.min(severityRank(severity) + 1, NOTIFICATION_SEVERITIES.length - 1)] || severity;
+
+// Ownership check function for middleware
+const getAlarmForOwnershipCheck = async (id) => {
+  const alarm = await Notification.findOne({ where: { id, status: { [Op.ne]: null } } });
+  if (!alarm) return null;
+  return {
+    organizationId: alarm.organizationId
+  };
+};
+
+class AlarmService {
+  /**
+   * Raise an alarm, or count another occurrence of the open one for the
+   * same originator and type
+   * @param {Object} data - { organizationId, alarmType, originatorType, originatorUuid,
+   *   severity, title, insight, ruleChainId, roles, escalateAfterMs }
+   * @returns {Promise<{alarm: Object, created: boolean}>}
+   */
+  async raise(data) {
+    const dedupKey = dedupKeyFor(data);
+    const existing = await Notification.findOne({ where: { dedupKey } });
+    if (existing) {
+      return { alarm: await this._repeat(existing, data), created: false };
+    }
+
+    const now = new Date();
+    const escalateAfterMs = data.escalateAfterMs !== undefined && data.escalateAfterMs !== null
+      ? data.escalateAfterMs
+      : config.alarms.escalateAfterMinutes * 60000;
+
+    let alarm;
+    const transaction = await sequelize.transaction();
+    try {
+      alarm = await Notification.create({
+        organizationId: data.organizationId,
+        alarmType: data.alarmType,
+        originatorType: data.originatorType,
+        originatorUuid: data.originatorUuid,
+        ruleChainId: data.ruleChainId || null,
+        severity: data.severity,
+        title: data.title,
+        insight: data.insight || null,
+        userGroup: data.roles && data.roles.length > 0 ? JSON.stringify(data.roles) : null,
+        status: ALARM_STATUS.ACTIVE,
+        dedupKey,
+        occurrences: 1,
+        escalationLevel: 0,
+        escalateAt: escalateAfterMs > 0 ? new Date(now.getTime() + escalateAfterMs) : null,
+        createdAt: now,
+        lastRaisedAt: now
+      }, { transaction });
+      await Ticket.create({ notificationId: alarm.id, createdAt: now }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        // Another worker opened the same alarm first
+        const winner = await Notification.findOne({ where: { dedupKey } });
+        if (winner) {
+          return { alarm: await this._repeat(winner, data), created: false };
+        }
+      }
+      throw error;
+    }
+
+    await ruleNotificationService.deliver(ALARM_EVENTS.RAISED, this._payload(alarm), { roles: data.roles });
+    logger.info('Alarm raised', { alarmId: alarm.id, organizationId: data.organizationId, alarmType: data.alarmType, dedupKey });
+
+    return { alarm, created: true };
+  }
+
+  /**
+   * Clear the open alarm of an originator and type, if there is one
+   * @param {Object} data - { organizationId, alarmType, originatorType, originatorUuid }
+   * @returns {Promise<Object|null>} Cleared alarm
+   */
+  async clearByOriginator(data) {
+    const alarm = await Notification.findOne({ where: { dedupKey: dedupKeyFor(data) } });
+    if (!alarm) {
+      return null;
+    }
+    return this._clear(alarm, null, null);
+  }
+
+  /**
+   * List an organization's alarms, newest first
+   * @param {number} organizationId - Organization ID
+   * @param {Object} options - { status, severity, alarmType, originatorUuid, page, limit }
+   * @returns {Promise<Object>} Paginated alarms with their tickets
+   */
+  async listAlarms(organizationId, options = {}) {
+    const pagination = getPaginationParams(options);
+    const where = { organizationId, status: options.status || { [Op.ne]: null } };
+    ['severity', 'alarmType', 'originatorUuid'].forEach((field) => {
+      if (options[field]) {
+        where[field] = options[field];
+      }
+    });
+
+    const { rows, count } = await Notification.findAndCountAll({
+      where,
+      include: [{ model: Ticket, include: [{ model: User, attributes: ['id', 'userName', 'email'] }] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset,
+      distinct: true
+    });
+
+    return buildPaginatedResult(rows, count, pagination);
+  }
+
+  async getAlarm(id, organizationId) {
+    const alarm = await Notification.findOne({
+      where: { id, organizationId, status: { [Op.ne]: null } },
+      include: [{ model: Ticket, include: [{ model: User, attributes: ['id', 'userName', 'email'] }] }]
+    });
+    if (!alarm) {
+      throw new ApiError(404, 'Alarm not found');
+    }
+    return alarm;
+  }
+
+  /**
+   * Acknowledge an alarm. Unassigned alarms are assigned to whoever
+   * acknowledges them, so the ticket records who handled it.
+   * @param {number} id - Alarm ID
+   * @param {number} organizationId - Organization ID
+   * @param {number} userId - Acknowledging user
+   * @param {string} comment - Optional note
+   * @returns {Promise<Object>} Updated alarm
+   */
+  async acknowledge(id, organizationId, userId, comment = null) {
+    const alarm = await this.getAlarm(id, organizationId);
+    const ticket = await this._ticketFor(alarm);
+    if (ticket.acknowledgedAt) {
+      throw new ApiError(409, 'Alarm is already acknowledged');
+    }
+
+    const now = new Date();
+    await ticket.update({
+      acknowledgedAt: now,
+      ...(!ticket.assignedTo && { assignedTo: userId, assignedAt: now }),
+      ...(comment && { comment })
+    });
+    const updates = { escalateAt: null };
+    if (alarm.status === ALARM_STATUS.ACTIVE) {
+      updates.status = ALARM_STATUS.ACKNOWLEDGED;
+    }
+    await alarm.update(updates);
+
+    this._emit(ALARM_EVENTS.ACKNOWLEDGED, alarm, { acknowledgedBy: userId, ticket: this._ticketPayload(ticket) });
+    return alarm;
+  }
+
+  /**
+   * Clear an open alarm
+   * @param {number} id - Alarm ID
+   * @param {number} organizationId - Organization ID
+   * @param {number} userId - Clearing user
+   * @param {string} comment - Optional note
+   * @returns {Promise<Object>} Updated alarm
+   */
+  async clear(id, organizationId, userId, comment = null) {
+    const alarm = await this.getAlarm(id, organizationId);
+    if (alarm.status === ALARM_STATUS.CLEARED) {
+      throw new ApiError(409, 'Alarm is already cleared');
+    }
+    return this._clear(alarm, userId, comment);
+  }
+
+  /**
+   * Assign an alarm's ticket to a member of the organization
+   * @param {number} id - Alarm ID
+   * @param {number} organizationId - Organization ID
+   * @param {number} assigneeId - User to assign
+   * @param {number} userId - Assigning user
+   * @param {string} comment - Optional note
+   * @returns {Promise<Object>} Updated alarm
+   */
+  async assign(id, organizationId, assigneeId, userId, comment = null) {
+    const alarm = await this.getAlarm(id, organizationId);
+    const membership = await OrganizationUser.findOne({
+      where: { organizationId, userId: assigneeId, status: 'active' }
+    });
+    if (!membership) {
+      const error = new ApiError(400, 'Alarms can only be assigned to active members of the organization');
+      error.details = [{ path: 'userId', value: assigneeId, error: 'Not an active member of this organization' }];
+      throw error;
+    }
+
+    const ticket = await this._ticketFor(alarm);
+    await ticket.update({ assignedTo: assigneeId, assignedAt: new Date(), ...(comment && { comment }) });
+
+    this._emit(ALARM_EVENTS.ASSIGNED, alarm, { assignedTo: assigneeId, assignedBy: userId, ticket: this._ticketPayload(ticket) });
+    await ruleNotificationService.deliver(ALARM_EVENTS.ASSIGNED, this._payload(alarm, { assignedTo: assigneeId }), {
+      userIds: [assigneeId]
+    });
+    return alarm;
+  }
+
+  /**
+   * Escalate active alarms whose escalation time has passed. Each level raises
+   * the severity one step and notifies every member of the organization.
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of alarms escalated
+   */
+  async escalateDue(now = new Date()) {
+    const { maxEscalationLevel, escalateAfterMinutes } = config.alarms;
+    const due = await Notification.findAll({
+      where: {
+        status: ALARM_STATUS.ACTIVE,
+        escalateAt: { [Op.lte]: now },
+        escalationLevel: { [Op.lt]: maxEscalationLevel }
+      },
+      order: [['escalateAt', 'ASC']],
+      limit: 100
+    });
+
+    let escalated = 0;
+    for (const alarm of due) {
+      const level = alarm.escalationLevel + 1;
+      const updates = {
+        escalationLevel: level,
+        escalatedAt: now,
+        severity: nextSeverity(alarm.severity),
+        escalateAt: level < maxEscalationLevel && escalateAfterMinutes > 0
+          ? new Date(now.getTime() + escalateAfterMinutes * 60000)
+          : null
+      };
+      // Conditional on the level read so concurrent monitors escalate once
+      const [changed] = await Notification.update(updates, {
+        where: { id: alarm.id, status: ALARM_STATUS.ACTIVE, escalationLevel: alarm.escalationLevel }
+      });
+      if (!changed) {
+        continue;
+      }
+
+      Object.assign(alarm, updates);
+      await ruleNotificationService.deliver(ALARM_EVENTS.ESCALATED, this._payload(alarm));
+      escalated++;
+    }
+
+    if (escalated > 0) {
+      logger.info('Escalated unacknowledged alarms', { escalated });
+    }
+    return escalated;
+  }
+
+  /**
+   * Periodically run escalateDue; call once in the API process
+   */
+  startEscalationMonitor() {
+    if (this.escalationInterval) {
+      return;
+    }
+
+    this.escalationInterval = setInterval(async () => {
+      if (this.isEscalating) {
+        return;
+      }
+      this.isEscalating = true;
+      try {
+        await this.escalateDue();
+      } catch (error) {
+        logger.error(`Failed to escalate alarms: ${error.message}`);
+      } finally {
+        this.isEscalating = false;
+      }
+    }, config.alarms.escalationCheckInterval);
+
+    logger.info('Alarm escalation monitor started');
+  }
+
+  stopEscalationMonitor() {
+    if (this.escalationInterval) {
+      clearInterval(this.escalationInterval);
+      this.escalationInterval = null;
+    }
+  }
+
+  async _repeat(alarm, data) {
+    await alarm.update({
+      occurrences: alarm.occurrences + 1,
+      lastRaisedAt: new Date(),
+      severity: higherSeverity(alarm.severity, data.severity),
+      title: data.title || alarm.title,
+      insight: data.insight || alarm.insight
+    });
+    this._emit(ALARM_EVENTS.UPDATED, alarm);
+    return alarm;
+  }
+
+  async _clear(alarm, userId, comment) {
+    await alarm.update({
+      status: ALARM_STATUS.CLEARED,
+      dedupKey: null,
+      escalateAt: null,
+      clearedAt: new Date(),
+      clearedBy: userId
+    });
+    if (comment) {
+      const ticket = await this._ticketFor(alarm);
+      await ticket.update({ comment });
+    }
+
+    this._emit(ALARM_EVENTS.CLEARED, alarm, { clearedBy: userId });
+    logger.info('Alarm cleared', { alarmId: alarm.id, organizationId: alarm.organizationId, clearedBy: userId });
+    return alarm;
+  }
+
+  // Alarms raised before tickets existed get one on first use
+  async _ticketFor(alarm) {
+    const ticket = await Ticket.findOne({ where: { notificationId: alarm.id } });
+    return ticket || Ticket.create({ notificationId: alarm.id, createdAt: alarm.createdAt || new Date() });
+  }
+
+  _payload(alarm, extra = {}) {
+    return {
+      alarmId: alarm.id,
+      organizationId: alarm.organizationId,
+      alarmType: alarm.alarmType,
+      originatorType: alarm.originatorType,
+      originatorUuid: alarm.originatorUuid,
+      ruleChainId: alarm.ruleChainId,
+      status: alarm.status,
+      severity: alarm.severity,
+      title: alarm.title,
+      insight: alarm.insight,
+      occurrences: alarm.occurrences,
+      escalationLevel: alarm.escalationLevel,
+      timestamp: new Date(),
+      ...extra
+    };
+  }
+
+  _ticketPayload(ticket) {
+    return {
+      assignedTo: ticket.assignedTo,
+      assignedAt: ticket.assignedAt,
+      acknowledgedAt: ticket.acknowledgedAt
+    };
+  }
+
+  _emit(event, alarm, extra = {}) {
+    notificationManager.sendRoomNotification(event, this._payload(alarm, extra), [`org-${alarm.organizationId}`]);
+  }
+}
+
+module.exports = new AlarmService();
+module.exports.ALARM_STATUS = ALARM_STATUS;
+module.exports.ALARM_EVENTS = ALARM_EVENTS;
+module.exports.getAlarmForOwnershipCheck = getAlarmForOwnershipCheck;
@@ -1,36 +1,102 @@
 const { User } = require('../models/initModels');
 const { ApiError } = require('../middlewares/errorHandler');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const config = require('../config');
-const { blacklistToken } = require('./tokenBlacklistService');
+const { blacklistToken, isTokenBlacklisted } = require('./tokenBlacklistService');
+const authSessionService = require('./authSessionService');
+const accountTokenService = require('./accountTokenService');
+const loginProtectionService = require('./loginProtectionService');
+const twoFactorService = require('./twoFactorService');
+const userService = require('./userService');
+const { sendEmailNotification } = require('./notificationService');
 const roleService = require('./roleService');
+const metricsManager = require('../utils/metricsManager');
+const logger = require('../utils/logger');
 
-// Login a user and generate JWT token
-const login = async (email, password) => {
+const { ROTATION_RESULT } = authSessionService;
+const { TOKEN_PURPOSE } = accountTokenService;
+const { LOGIN_REQUIREMENT } = twoFactorService;
+
+// Check an email/password pair and return the matching user. Failed
+// attempts count towards throttling and the account lockout; callers reset
+// the count once the whole login, second factor included, has succeeded.
+// context: { ip } of the request, when known
+const verifyCredentials = async (email, password, context = {}) => {
+  const ip = context.ip || null;
+  await loginProtectionService.checkThrottle(email, ip);
+  
   // Find user by email
   const user = await User.findOne({ where: { email } });
   
   if (!user) {
+    await loginProtectionService.recordFailure(email, ip, null);
     throw new ApiError(401, 'Invalid email or password');
   }
   
+  // Locked accounts are refused before their password is checked
+  loginProtectionService.checkLockout(user);
+  
   // Check if password matches
   const isPasswordValid = await bcrypt.compare(password, user.password);
   
   if (!isPasswordValid) {
+    await loginProtectionService.recordFailure(email, ip, user);
     throw new ApiError(401, 'Invalid email or password');
   }
   
+  // Disabling a user revokes their sessions; checked after the password so
+  // the answer does not reveal disabled accounts
+  if (user.status === false) {
+    throw new ApiError(403, 'User account is disabled');
+  }
+  
+  return user;
+};
+
+// Lift the lockout of an account
+const unlockAccount = async (userId, unlockedBy) => {
+  const user = await User.findByPk(userId);
+  
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  
+  await loginProtectionService.unlockAccount(user, unlockedBy);
+  
+  return {
+    id: user.id,
+    email: user.email,
+    accessFailedCount: user.accessFailedCount,
+    lockoutEnd: user.lockoutEnd
+  };
+};
+
+// Open a session for a user and issue its access and refresh tokens
+const createSessionTokens = async (user, context = {}) => {
+  const session = await authSessionService.createSession(user.id, context);
+  
+  const token = await generateToken(user, session.id);
+  const refreshToken = await generateRefreshToken(user, session.id);
+  await authSessionService.storeRefreshToken(session.id, refreshToken);
+  
+  return { sessionId: session.id, token, refreshToken };
+};
+
+// Issue the session and tokens of a user whose login is complete
+const completeLogin = async (user, context = {}) => {
+  await loginProtectionService.recordSuccess(user.email, user);
+  
   // Get user permissions and roles
   const permissions = await roleService.getUserPermissions(user.id);
   const roles = await roleService.getUserRoleNames(user.id);
   
   // Generate JWT token and refresh token
-  const token = await generateToken(user);
-  const refreshToken = await generateRefreshToken(user);
+  const { sessionId, token, refreshToken } = await createSessionTokens(user, context);
   
   return {
+    sessionId,
     user: {
       id: user.id,
       name: user.name,
@@ -44,27 +110,219 @@ const login = async (email, password) => {
   };
 };
 
-// Logout a user by invalidating the token
-const logout = (token) => {
+// Login a user and generate JWT token. Users with a second factor, or whose
+// organization requires one, get an MFA challenge token instead and finish
+// with completeTwoFactorLogin.
+// context: { ip, userAgent } of the request, stored with the session
+const login = async (email, password, context = {}) => {
+  const user = await verifyCredentials(email, password, context);
+  
+  // Checked after the password so the answer does not reveal unverified accounts
+  if (user.emailVerified === false) {
+    throw new ApiError(403, 'Email address has not been verified');
+  }
+  
+  const requirement = await twoFactorService.getLoginRequirement(user.id);
+  if (requirement) {
+    return {
+      mfaRequired: true,
+      enrollmentRequired: requirement === LOGIN_REQUIREMENT.ENROLL,
+      mfaToken: generateMfaToken(user, requirement)
+    };
+  }
+  
+  return completeLogin(user, context);
+};
+
+// Short-lived token proving the password step of a login; purpose is what
+// the second step has to do (verify or enroll)
+const generateMfaToken = (user, purpose) => jwt.sign(
+  {
+    id: user.id,
+    tokenType: 'mfa',
+    purpose,
+    jti: crypto.randomBytes(16).toString('hex')
+  },
+  config.jwt.secret,
+  { expiresIn: config.auth.twoFactor.challengeTtl }
+);
+
+// Decode an MFA challenge token and load its user
+const verifyMfaToken = async (mfaToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, config.jwt.secret);
+  } catch (error) {
+    throw new ApiError(401, 'Invalid or expired MFA token');
+  }
+  
+  if (decoded.tokenType !== 'mfa' || await isTokenBlacklisted(mfaToken)) {
+    throw new ApiError(401, 'Invalid or expired MFA token');
+  }
+  
+  const user = await User.findByPk(decoded.id);
+  if (!user) {
+    throw new ApiError(401, 'Invalid or expired MFA token');
+  }
+  
+  return { decoded, user };
+};
+
+// Start enrolling the second factor an organization requires, during login
+const beginLoginEnrollment = async (mfaToken) => {
+  const { decoded, user } = await verifyMfaToken(mfaToken);
+  
+  if (decoded.purpose !== LOGIN_REQUIREMENT.ENROLL) {
+    throw new ApiError(400, 'Two-factor authentication is already enabled');
+  }
+  
+  return twoFactorService.beginEnrollment(user);
+};
+
+// Second login step: check the code, or finish enrolment, and issue the
+// tokens. Wrong codes count towards the account lockout.
+const completeTwoFactorLogin = async (mfaToken, code, context = {}) => {
+  const { decoded, user } = await verifyMfaToken(mfaToken);
+  loginProtectionService.checkLockout(user);
+  
+  let recoveryCodes;
+  if (decoded.purpose === LOGIN_REQUIREMENT.ENROLL) {
+    recoveryCodes = await twoFactorService.enable(user.id, code);
+  } else if (!(await twoFactorService.verify(user.id, code))) {
+    await loginProtectionService.recordFailure(user.email, context.ip || null, user);
+    throw new ApiError(401, 'Invalid two-factor code');
+  }
+  
+  // A challenge completes one login only
+  await blacklistToken(mfaToken, decoded.exp - Math.floor(Date.now() / 1000));
+  
+  const result = await completeLogin(user, context);
+  return recoveryCodes ? { ...result, recoveryCodes } : result;
+};
+
+// Logout a user by invalidating the token and the session it belongs to
+const logout = async (token) => {
+  let decoded;
   try {
     // Verify the token to get its expiry time
-    const decoded = jwt.verify(token, config.jwt.secret);
-    
-    // Calculate remaining time until token expiry (in seconds)
-    const expiryTime = decoded.exp - Math.floor(Date.now() / 1000);
-    
-    // Add token to blacklist until it expires
-    blacklistToken(token, expiryTime);
-    
-    return true;
+    decoded = jwt.verify(token, config.jwt.secret);
   } catch (error) {
     // If token is invalid or expired, no need to blacklist
     return false;
   }
+  
+  // Calculate remaining time until token expiry (in seconds)
+  const expiryTime = decoded.exp - Math.floor(Date.now() / 1000);
+  
+  // Add token to blacklist until it expires
+  await blacklistToken(token, expiryTime);
+  
+  // Revoking the session also invalidates its refresh token
+  if (decoded.sid) {
+    await authSessionService.revokeSession(decoded.id, decoded.sid);
+  }
+  
+  return true;
+};
+
+// Log a user out of every session, including the current token
+const logoutAll = async (userId, token) => {
+  const revoked = await authSessionService.revokeAllSessions(userId);
+  
+  // Tokens issued before sessions existed are only revoked by the blacklist
+  if (token) {
+    await logout(token);
+  }
+  
+  return revoked;
+};
+
+// Link in an account email, e.g. /reset-password?token=...
+const accountLink = (pathname, token) => `${config.auth.appUrl.replace(/\/+$/, '')}${pathname}?token=${token}`;
+
+const lifetimeOf = (seconds) => {
+  const hours = Math.max(Math.round(seconds / 3600), 1);
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+};
+
+// Email a user the link that verifies their address
+const sendVerificationEmail = async (user) => {
+  const ttl = config.auth.emailVerificationTtl;
+  const token = await accountTokenService.issueToken(TOKEN_PURPOSE.EMAIL_VERIFICATION, user.id, ttl);
+  
+  const subject = 'Verify your AEMOS email address';
+  const message = `Hello ${user.userName || ''},\n\nPlease confirm your email address by opening this link:\n${accountLink('/verify-email', token)}\n\nThe link expires in ${lifetimeOf(ttl)}.\n\nRegards,\nThe AEMOS Team`;
+  
+  return sendEmailNotification(user, subject, message);
+};
+
+// Mark the address of the user a verification token was sent to as verified
+const verifyEmail = async (token) => {
+  const userId = await accountTokenService.consumeToken(TOKEN_PURPOSE.EMAIL_VERIFICATION, token);
+  const user = userId ? await User.findByPk(userId) : null;
+  
+  if (!user) {
+    throw new ApiError(400, 'Invalid or expired verification token');
+  }
+  
+  if (user.emailVerified === false) {
+    await user.update({ emailVerified: true });
+    logger.info(`Email address of user ${user.id} verified`);
+  }
+};
+
+// Send a new verification email; unknown and verified addresses are ignored
+// so the answer does not reveal which accounts exist
+const resendVerificationEmail = async (email) => {
+  const user = await User.findOne({ where: { email } });
+  
+  if (user && user.emailVerified === false) {
+    await sendVerificationEmail(user);
+  }
+};
+
+// Email a password reset link; unknown addresses are ignored so the answer
+// does not reveal which accounts exist
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ where: { email } });
+  
+  if (!user || user.status === false) {
+    return;
+  }
+  
+  const ttl = config.auth.passwordResetTtl;
+  const token = await accountTokenService.issueToken(TOKEN_PURPOSE.PASSWORD_RESET, user.id, ttl);
+  
+  const subject = 'Reset your AEMOS password';
+  const message = `Hello ${user.userName || ''},\n\nA password reset was requested for your account. Open this link to choose a new password:\n${accountLink('/reset-password', token)}\n\nThe link expires in ${lifetimeOf(ttl)}. If you did not ask for a reset, you can ignore this email.\n\nRegards,\nThe AEMOS Team`;
+  
+  await sendEmailNotification(user, subject, message);
+};
+
+// Set a new password with a reset token. Every session of the user is
+// revoked, and since the token arrived by email the address counts as verified
+// and a lockout is lifted.
+const resetPassword = async (token, password) => {
+  const userId = await accountTokenService.consumeToken(TOKEN_PURPOSE.PASSWORD_RESET, token);
+  
+  if (!userId) {
+    throw new ApiError(400, 'Invalid or expired password reset token');
+  }
+  
+  try {
+    await userService.updateUser(userId, { password, emailVerified: true, accessFailedCount: 0, lockoutEnd: null });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw new ApiError(400, 'Invalid or expired password reset token');
+    }
+    throw error;
+  }
+  
+  logger.info(`Password of user ${userId} reset`);
 };
 
-// Generate JWT token
-const generateToken = async (user) => {
+// Generate JWT token, bound to a session when sessionId is given
+const generateToken = async (user, sessionId) => {
   // Get user permissions and roles
   const permissions = await roleService.getUserPermissions(user.id);
   const roles = await roleService.getUserRoleNames(user.id);
@@ -76,6 +334,9 @@ const generateToken = async (user) => {
     permissions,
     roles
   };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
   
   return jwt.sign(
     payload,
@@ -85,20 +346,44 @@ const generateToken = async (user) => {
 };
 
 // Generate refresh token with longer expiry
-const generateRefreshToken = async (user) => {
+const generateRefreshToken = async (user, sessionId) => {
   const payload = {
     id: user.id,
-    tokenType: 'refresh'
+    tokenType: 'refresh',
+    // Keeps tokens of one session distinct even when issued in the same second
+    jti: crypto.randomBytes(16).toString('hex')
   };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
   
   return jwt.sign(
     payload,
     config.jwt.secret,
-    { expiresIn: '7d' } // Refresh tokens typically have longer expiry
+    { expiresIn: '7d' } // Refresh tokens live as long as their session
   );
 };
 
-// Refresh access token using refresh token
+// Record a refresh token presented after it was already rotated: either the
+// client or an attacker holds a stolen copy, so the whole session goes
+const handleRefreshTokenReuse = async (decoded) => {
+  await authSessionService.revokeSession(decoded.id, decoded.sid);
+  
+  logger.warn(`🚨 Refresh token reuse detected for user ${decoded.id}, session revoked`, {
+    audit: 'auth_refresh_token_reuse',
+    userId: decoded.id,
+    sessionId: decoded.sid
+  });
+  
+  try {
+    metricsManager.incrementCounter('auth_refresh_token_reuse_total');
+  } catch (err) {
+    logger.warn('Failed to record refresh token reuse metric', { error: err.message });
+  }
+};
+
+// Exchange a refresh token for a new access token and a new refresh token;
+// the presented refresh token stops being valid
 const refreshToken = async (token) => {
   try {
     // Verify the refresh token
@@ -109,6 +394,12 @@ const refreshToken = async (token) => {
       throw new ApiError(401, 'Invalid refresh token');
     }
     
+    // Refresh tokens issued before sessions existed cannot be revoked, so
+    // their users have to log in again
+    if (!decoded.sid) {
+      throw new ApiError(401, 'Session has been revoked');
+    }
+    
     // Get user from database
     const user = await User.findByPk(decoded.id);
     
@@ -116,11 +407,24 @@ const refreshToken = async (token) => {
       throw new ApiError(401, 'User not found');
     }
     
+    const nextRefreshToken = await generateRefreshToken(user, decoded.sid);
+    const rotation = await authSessionService.rotateRefreshToken(decoded.sid, token, nextRefreshToken);
+    
+    if (rotation === ROTATION_RESULT.REUSED) {
+      await handleRefreshTokenReuse(decoded);
+      throw new ApiError(401, 'Refresh token has already been used');
+    }
+    if (rotation !== ROTATION_RESULT.ROTATED) {
+      throw new ApiError(401, 'Session has been revoked');
+    }
+    
     // Generate new access token
-    const newToken = await generateToken(user);
+    const newToken = await generateToken(user, decoded.sid);
+    await authSessionService.touchSession(decoded.sid);
     
     return {
-      token: newToken
+      token: newToken,
+      refreshToken: nextRefreshToken
     };
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -144,7 +448,18 @@ const verifyToken = (token) => {
 
 module.exports = {
   login,
+  completeTwoFactorLogin,
+  beginLoginEnrollment,
+  verifyCredentials,
+  unlockAccount,
+  createSessionTokens,
   logout,
+  logoutAll,
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  resetPassword,
   generateToken,
   verifyToken,
   refreshToken,
@@ -0,0 +1,236 @@
+/**
+ * Auth Session Service
+ *
+ * Server-side record of every login. The access and refresh tokens
+ * authService issues carry the session ID in their `sid` claim and stop
+ * being accepted once their session is revoked. Sessions live in Redis so
+ * every API instance sees the same state:
+ *
+ *   auth:session:{sessionId}          { id, userId, ip, userAgent, createdAt, lastUsedAt }
+ *   auth:session-refresh:{sessionId}  SHA-256 hash of the session's current refresh token
+ *   auth:user-sessions:{userId}       set of the user's session IDs
+ *
+ * A session is also the family of the refresh tokens issued for it: each
+ * refresh replaces the stored hash, and presenting a token of the family
+ * that was already replaced revokes the whole session. A session expires
+ * seven days after login, however often it is refreshed.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const redisConnection = require('../config/redis');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const SESSION_KEY_PREFIX = 'auth:session:';
+const SESSION_REFRESH_KEY_PREFIX = 'auth:session-refresh:';
+const USER_SESSIONS_KEY_PREFIX = 'auth:user-sessions:';
+
+const ROTATION_RESULT = {
+  ROTATED: 'rotated',
+  REUSED: 'reused',
+  REVOKED: 'revoked'
+};
+
+// Swap the stored refresh token hash only if the presented one is current,
+// so two refreshes racing with the same token cannot both succeed
+const ROTATE_SCRIPT = `
+  local current = redis.call('GET', KEYS[1])
+  if not current then
+    return 'revoked'
+  end
+  if current ~= ARGV[1] then
+    return 'reused'
+  end
+  local ttl = redis.call('TTL', KEYS[1])
+  if ttl <= 0 then
+    return 'revoked'
+  end
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ttl)
+  return 'rotated'
+`;
+
+// Lifetime of a session and of its refresh token
+const SESSION_TTL_SECONDS = 7 * 24 * 3600;
+
+const sessionKey = (sessionId) => `${SESSION_KEY_PREFIX}${sessionId}`;
+const refreshKey = (sessionId) => `${SESSION_REFRESH_KEY_PREFIX}${sessionId}`;
+const userSessionsKey = (userId) => `${USER_SESSIONS_KEY_PREFIX}${userId}`;
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AuthSessionService {
+  /**
+   * Record a new login
+   * @param {number} userId - User ID
+   * @param {Object} context - { ip, userAgent } of the login request
+   * @returns {Promise<Object>} Session
+   */
+  async createSession(userId, { ip = null, userAgent = null } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: uuidv4(),
+      userId,
+      ip,
+      userAgent,
+      createdAt: now,
+      lastUsedAt: now
+    };
+
+    try {
+      await redisConnection.multi()
+        .set(sessionKey(session.id), JSON.stringify(session), 'EX', SESSION_TTL_SECONDS)
+        .sadd(userSessionsKey(userId), session.id)
+        .expire(userSessionsKey(userId), SESSION_TTL_SECONDS)
+        .exec();
+    } catch (error) {
+      // Tokens without a stored session could never be revoked
+      logger.error(`Failed to store auth session: ${error.message}`);
+      throw new ApiError(503, 'Session store unavailable, please try again later');
+    }
+
+    return session;
+  }
+
+  /**
+   * Remember the first refresh token of a session
+   * @param {string} sessionId - Session ID
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<void>}
+   */
+  async storeRefreshToken(sessionId, refreshToken) {
+    try {
+      await redisConnection.set(refreshKey(sessionId), hashToken(refreshToken), 'EX', SESSION_TTL_SECONDS);
+    } catch (error) {
+      logger.error(`Failed to store refresh token of auth session ${sessionId}: ${error.message}`);
+      throw new ApiError(503, 'Session store unavailable, please try again later');
+    }
+  }
+
+  /**
+   * Replace a session's refresh token with the next one
+   * @param {string} sessionId - Session ID
+   * @param {string} presentedToken - Refresh token the client sent
+   * @param {string} nextToken - Refresh token to hand out instead
+   * @returns {Promise<string>} rotated, reused (an old token of the family) or revoked
+   */
+  async rotateRefreshToken(sessionId, presentedToken, nextToken) {
+    try {
+      return await redisConnection.eval(
+        ROTATE_SCRIPT,
+        1,
+        refreshKey(sessionId),
+        hashToken(presentedToken),
+        hashToken(nextToken)
+      );
+    } catch (error) {
+      logger.error(`Failed to rotate refresh token of auth session ${sessionId}: ${error.message}`);
+      throw new ApiError(503, 'Session store unavailable, please try again later');
+    }
+  }
+
+  /**
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session, null when revoked or expired
+   */
+  async getSession(sessionId) {
+    const stored = await redisConnection.get(sessionKey(sessionId));
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Whether tokens of a session are still accepted. Requests are let through
+   * when Redis cannot be reached rather than logging everybody out.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId) {
+    try {
+      return (await redisConnection.exists(sessionKey(sessionId))) === 1;
+    } catch (error) {
+      logger.warn(`Failed to check auth session ${sessionId}: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Note that a session was used to refresh its access token
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async touchSession(sessionId) {
+    try {
+      const [session, ttl] = await Promise.all([
+        this.getSession(sessionId),
+        redisConnection.ttl(sessionKey(sessionId))
+      ]);
+      // KEEPTTL needs Redis 6, so carry the remaining lifetime over by hand
+      if (session && ttl > 0) {
+        session.lastUsedAt = new Date().toISOString();
+        await redisConnection.set(sessionKey(sessionId), JSON.stringify(session), 'EX', ttl);
+      }
+    } catch (error) {
+      logger.warn(`Failed to update auth session ${sessionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active sessions of a user, newest first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId) {
+    const sessionIds = await redisConnection.smembers(userSessionsKey(userId));
+    if (sessionIds.length === 0) {
+      return [];
+    }
+
+    const stored = await redisConnection.mget(...sessionIds.map(sessionKey));
+    const expired = sessionIds.filter((sessionId, index) => !stored[index]);
+    if (expired.length > 0) {
+      await redisConnection.srem(userSessionsKey(userId), ...expired);
+    }
+
+    return stored
+      .filter(Boolean)
+      .map((value) => JSON.parse(value))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} false when the user has no such session
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session || String(session.userId) !== String(userId)) {
+      return false;
+    }
+
+    await redisConnection.multi()
+      .del(sessionKey(sessionId), refreshKey(sessionId))
+      .srem(userSessionsKey(userId), sessionId)
+      .exec();
+    return true;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId) {
+    const sessionIds = await redisConnection.smembers(userSessionsKey(userId));
+
+    await redisConnection.del(
+      userSessionsKey(userId),
+      ...sessionIds.map(sessionKey),
+      ...sessionIds.map(refreshKey)
+    );
+    return sessionIds.length;
+  }
+}
+
+module.exports = new AuthSessionService();
+module.exports.SESSION_TTL_SECONDS = SESSION_TTL_SECONDS;
+module.exports.ROTATION_RESULT = ROTATION_RESULT;
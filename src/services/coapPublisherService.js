@@ -73,17 +73,19 @@ class CoAPPublisher {
   /**
    * Notify observers registered for a given deviceUuid
    * Walks the observer registry and sends a POST (or method you prefer).
+   * Resolves to one response per observer (null for observers that failed),
+   * or an empty array when nobody is observing the device.
    */
   async notifyObservers(deviceUuid, payload) {
     if (!this.observers) {
       logger.debug('No observer registry available to notify observers');
-      return;
+      return [];
     }
 
     const observersSet = this.observers.get(deviceUuid);
     if (!observersSet || observersSet.size === 0) {
       logger.debug(`No observers for device ${deviceUuid}`);
-      return;
+      return [];
     }
 
     const metricsManager = require('../utils/metricsManager');
@@ -114,7 +116,7 @@ class CoAPPublisher {
       }
     });
 
-    await Promise.all(promises);
+    return Promise.all(promises);
   }
 }
 
@@ -0,0 +1,414 @@
+/**
+ * Connectivity Service
+ *
+ * Tracks whether devices and sensors are online from their heartbeats
+ * (devices/{uuid}/status messages). A background monitor marks anything that
+ * stays quiet longer than its inactivity timeout as offline: sensors become
+ * disconnected, devices disconnected or faulty. The next heartbeat brings
+ * them back to active.
+ *
+ * Timeouts resolve per device (metadata.heartbeat.timeoutSeconds), then per
+ * device type (config.heartbeat.typeTimeouts, "sensor" for sensors), then
+ * config.heartbeat.timeoutSeconds.
+ *
+ * Every change is stored as a ConnectivityEvent for uptime reporting, sent
+ * to the organization's socket room and emitted to the rule engine (see
+ * ruleEngine/conditions/Connectivity).
+ */
+const { Op } = require('sequelize');
+const { Device, Sensor, Area, ConnectivityEvent, sequelize } = require('../models/initModels');
+const { ApiError } = require('../middlewares/errorHandler');
+const notificationManager = require('../utils/notificationManager');
+const RuleEngineEventBus = require('../ruleEngine/core/RuleEngineEventBus');
+const { CONNECTIVITY_KEY, CONNECTIVITY, OFFLINE_STATUSES, connectivityOf } = require('../ruleEngine/conditions/Connectivity');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const CONNECTIVITY_REASONS = {
+  HEARTBEAT: 'heartbeat',
+  TIMEOUT: 'heartbeat_timeout',
+  REPORTED: 'reported'
+};
+
+const CONNECTIVITY_EVENT = 'connectivity-changed';
+const RULE_ENGINE_EVENT = 'device-connectivity';
+
+const SENSOR_OFFLINE_STATUS = 'disconnected';
+const ONLINE_STATUS = 'active';
+
+const MODELS = { device: Device, sensor: Sensor };
+
+const heartbeatSettings = (entity) => {
+  let metadata = entity.metadata;
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (error) {
+      metadata = null;
+    }
+  }
+  return (metadata && metadata.heartbeat) || {};
+};
+
+/**
+ * Seconds each originator spent online and offline between from and to.
+ * Time before an originator's first known state is not counted.
+ * @param {Array} priorEvents - Latest event of each originator before from
+ * @param {Array} events - Events between from and to, oldest first
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Map<string, Object>} "type:id" -> { onlineSeconds, offlineSeconds, outages }
+ */
+const computeUptime = (priorEvents, events, from, to) => {
+  const timelines = new Map();
+  const timelineFor = (event) => {
+    const key = `${event.originatorType}:${event.originatorId}`;
+    if (!timelines.has(key)) {
+      timelines.set(key, { state: null, cursor: from.getTime(), online: 0, offline: 0, outages: 0 });
+    }
+    return timelines.get(key);
+  };
+
+  priorEvents.forEach((event) => {
+    timelineFor(event).state = event.connectivity;
+  });
+
+  events.forEach((event) => {
+    const timeline = timelineFor(event);
+    const at = Math.min(Math.max(new Date(event.occurredAt).getTime(), from.getTime()), to.getTime());
+    if (timeline.state) {
+      timeline[timeline.state] += at - timeline.cursor;
+    }
+    if (event.connectivity === CONNECTIVITY.OFFLINE && timeline.state !== CONNECTIVITY.OFFLINE) {
+      timeline.outages++;
+    }
+    timeline.state = event.connectivity;
+    timeline.cursor = at;
+  });
+
+  const uptime = new Map();
+  for (const [key, timeline] of timelines) {
+    if (timeline.state) {
+      timeline[timeline.state] += to.getTime() - timeline.cursor;
+    }
+    uptime.set(key, {
+      onlineSeconds: Math.round(timeline.online / 1000),
+      offlineSeconds: Math.round(timeline.offline / 1000),
+      outages: timeline.outages
+    });
+  }
+  return uptime;
+};
+
+class ConnectivityService {
+  /**
+   * Record a heartbeat from a device or sensor. A heartbeat reporting
+   * status "offline" (a device announcing its disconnect) marks it offline
+   * right away; any other heartbeat brings an offline originator back online.
+   * @param {string} uuid - Device or sensor UUID
+   * @param {Object} options - { reportedStatus, at }
+   * @returns {Promise<Object|null>} { originatorType, uuid, connectivity, changed }, null if unknown
+   */
+  async recordHeartbeat(uuid, options = {}) {
+    const originator = await this._findOriginator(uuid);
+    if (!originator) {
+      logger.warn(`Heartbeat from unknown device or sensor ${uuid}`);
+      return null;
+    }
+
+    const { type, entity } = originator;
+    const now = options.at || new Date();
+
+    if (options.reportedStatus === CONNECTIVITY.OFFLINE) {
+      const changed = await this._markOffline(type, entity, CONNECTIVITY_REASONS.REPORTED, now);
+      return { originatorType: type, uuid, connectivity: CONNECTIVITY.OFFLINE, changed };
+    }
+
+    await entity.update({ lastHeartbeat: now });
+
+    let changed = false;
+    if (await this._offlineFromMonitoring(type, entity)) {
+      changed = await this._transition(type, entity, ONLINE_STATUS, CONNECTIVITY_REASONS.HEARTBEAT, now);
+    }
+
+    return { originatorType: type, uuid, connectivity: connectivityOf(entity.status), changed };
+  }
+
+  /**
+   * Mark active devices and sensors offline once their heartbeats are overdue
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of originators marked offline
+   */
+  async detectOffline(now = new Date()) {
+    let marked = 0;
+
+    for (const type of Object.keys(MODELS)) {
+      // Timeouts can differ per device, so the overdue check happens here
+      // rather than in the query
+      const candidates = await MODELS[type].findAll({
+        where: { status: ONLINE_STATUS, lastHeartbeat: { [Op.ne]: null } }
+      });
+
+      for (const entity of candidates) {
+        const overdueAt = new Date(entity.lastHeartbeat).getTime() + this.timeoutFor(type, entity) * 1000;
+        if (overdueAt > now.getTime()) {
+          continue;
+        }
+        if (await this._markOffline(type, entity, CONNECTIVITY_REASONS.TIMEOUT, now)) {
+          marked++;
+        }
+      }
+    }
+
+    if (marked > 0) {
+      logger.info('Marked devices and sensors offline after missed heartbeats', { marked });
+    }
+    return marked;
+  }
+
+  /**
+   * Seconds without a heartbeat before an originator counts as offline
+   * @param {string} type - device or sensor
+   * @param {Object} entity - Device or Sensor
+   * @returns {number}
+   */
+  timeoutFor(type, entity) {
+    const { timeoutSeconds, typeTimeouts } = config.heartbeat;
+    if (type === 'device') {
+      const perDevice = parseInt(heartbeatSettings(entity).timeoutSeconds, 10);
+      if (perDevice > 0) {
+        return perDevice;
+      }
+      return typeTimeouts[entity.deviceType] || timeoutSeconds;
+    }
+    return typeTimeouts.sensor || timeoutSeconds;
+  }
+
+  /**
+   * Status an originator gets when it goes offline
+   * @param {string} type - device or sensor
+   * @param {Object} entity - Device or Sensor
+   * @returns {string}
+   */
+  offlineStatusFor(type, entity) {
+    if (type === 'sensor') {
+      return SENSOR_OFFLINE_STATUS;
+    }
+    const configured = heartbeatSettings(entity).offlineStatus || config.heartbeat.offlineStatus;
+    return OFFLINE_STATUSES.includes(configured) ? configured : OFFLINE_STATUSES[0];
+  }
+
+  /**
+   * Connectivity changes of a device or sensor, newest first
+   * @param {string} type - device or sensor
+   * @param {number} id - Device or sensor ID
+   * @param {Object} options - { from, to, limit }
+   * @returns {Promise<Array>}
+   */
+  async getHistory(type, id, options = {}) {
+    const where = { originatorType: type, originatorId: id };
+    if (options.from || options.to) {
+      where.occurredAt = {
+        ...(options.from && { [Op.gte]: options.from }),
+        ...(options.to && { [Op.lte]: options.to })
+      };
+    }
+
+    return ConnectivityEvent.findAll({
+      where,
+      order: [['occurredAt', 'DESC'], ['id', 'DESC']],
+      limit: options.limit || 100
+    });
+  }
+
+  /**
+   * Current connectivity of a device with its recent changes
+   * @param {number} deviceId - Device ID
+   * @param {Object} options - { from, to, limit } for the history
+   * @returns {Promise<Object>} { deviceId, uuid, status, connectivity, lastHeartbeat, timeoutSeconds, history }
+   */
+  async getDeviceConnectivity(deviceId, options = {}) {
+    const device = await Device.findByPk(deviceId);
+    if (!device) {
+      throw new ApiError(404, `Device with ID ${deviceId} not found`);
+    }
+
+    return {
+      deviceId: device.id,
+      uuid: device.uuid,
+      status: device.status,
+      connectivity: connectivityOf(device.status),
+      lastHeartbeat: device.lastHeartbeat,
+      timeoutSeconds: this.timeoutFor('device', device),
+      history: await this.getHistory('device', device.id, options)
+    };
+  }
+
+  /**
+   * Online and offline time of each of an organization's devices and sensors
+   * @param {number} organizationId - Organization ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @returns {Promise<Map<string, Object>>} "type:id" -> { onlineSeconds, offlineSeconds, outages }
+   */
+  async getUptime(organizationId, from, to) {
+    const [priorEvents, events] = await Promise.all([
+      ConnectivityEvent.findAll({
+        where: {
+          id: {
+            [Op.in]: sequelize.literal(
+              '(SELECT MAX(id) FROM ConnectivityEvent WHERE organizationId = :organizationId ' +
+              'AND occurredAt < :from GROUP BY originatorType, originatorId)'
+            )
+          }
+        },
+        replacements: { organizationId, from }
+      }),
+      ConnectivityEvent.findAll({
+        where: { organizationId, occurredAt: { [Op.gte]: from, [Op.lte]: to } },
+        order: [['occurredAt', 'ASC'], ['id', 'ASC']]
+      })
+    ]);
+
+    return computeUptime(priorEvents, events, from, to);
+  }
+
+  /**
+   * Periodically run detectOffline; call once in the API process
+   */
+  startHeartbeatMonitor() {
+    if (this.monitorInterval) {
+      return;
+    }
+
+    this.monitorInterval = setInterval(async () => {
+      if (this.isChecking) {
+        return;
+      }
+      this.isChecking = true;
+      try {
+        await this.detectOffline();
+      } catch (error) {
+        logger.error(`Failed to check device heartbeats: ${error.message}`);
+      } finally {
+        this.isChecking = false;
+      }
+    }, config.heartbeat.checkInterval);
+
+    logger.info('Heartbeat monitor started');
+  }
+
+  stopHeartbeatMonitor() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+
+  async _findOriginator(uuid) {
+    const device = await Device.findOne({ where: { uuid } });
+    if (device) {
+      return { type: 'device', entity: device };
+    }
+    const sensor = await Sensor.findOne({ where: { uuid } });
+    return sensor ? { type: 'sensor', entity: sensor } : null;
+  }
+
+  // Disconnected always means missed heartbeats; faulty only when the
+  // monitor set it, so a heartbeat never overrides an operator's decision
+  async _offlineFromMonitoring(type, entity) {
+    if (entity.status === SENSOR_OFFLINE_STATUS) {
+      return true;
+    }
+    if (type !== 'device' || entity.status !== 'faulty') {
+      return false;
+    }
+    const lastEvent = await ConnectivityEvent.findOne({
+      where: { originatorType: type, originatorId: entity.id },
+      order: [['occurredAt', 'DESC'], ['id', 'DESC']]
+    });
+    return Boolean(lastEvent && lastEvent.connectivity === CONNECTIVITY.OFFLINE && lastEvent.status === 'faulty');
+  }
+
+  async _markOffline(type, entity, reason, now) {
+    if (connectivityOf(entity.status) === CONNECTIVITY.OFFLINE) {
+      return false;
+    }
+    return this._transition(type, entity, this.offlineStatusFor(type, entity), reason, now);
+  }
+
+  async _transition(type, entity, status, reason, now) {
+    const previousStatus = entity.status;
+    // Conditional on the status read so concurrent monitors record one change
+    const [changed] = await MODELS[type].update({ status }, {
+      where: { id: entity.id, status: previousStatus }
+    });
+    if (!changed) {
+      return false;
+    }
+    entity.status = status;
+
+    const organizationId = await this._organizationIdFor(type, entity);
+    const event = await ConnectivityEvent.create({
+      organizationId,
+      originatorType: type,
+      originatorId: entity.id,
+      originatorUuid: entity.uuid,
+      connectivity: connectivityOf(status),
+      status,
+      previousStatus,
+      reason,
+      lastHeartbeat: entity.lastHeartbeat || null,
+      occurredAt: now
+    });
+
+    await this._publish(type, entity, event);
+    logger.info(`${type} ${entity.uuid} is ${event.connectivity}`, { status, previousStatus, reason });
+    return true;
+  }
+
+  async _publish(type, entity, event) {
+    const payload = {
+      originatorType: type,
+      originatorId: entity.id,
+      uuid: entity.uuid,
+      name: entity.name,
+      organizationId: event.organizationId,
+      connectivity: event.connectivity,
+      status: event.status,
+      previousStatus: event.previousStatus,
+      reason: event.reason,
+      lastHeartbeat: event.lastHeartbeat,
+      timestamp: event.occurredAt
+    };
+
+    if (event.organizationId) {
+      notificationManager.sendRoomNotification(CONNECTIVITY_EVENT, payload, [`org-${event.organizationId}`]);
+    }
+
+    await RuleEngineEventBus.emit(RULE_ENGINE_EVENT, {
+      [type === 'device' ? 'deviceUUID' : 'sensorUUID']: entity.uuid,
+      variableNames: [CONNECTIVITY_KEY],
+      connectivity: event.connectivity,
+      organizationId: event.organizationId
+    });
+  }
+
+  async _organizationIdFor(type, entity) {
+    const area = await Area.findOne({
+      attributes: ['organizationId'],
+      include: [{
+        model: MODELS[type],
+        where: { id: entity.id },
+        attributes: [],
+        through: { attributes: [] }
+      }]
+    });
+    return area ? area.organizationId : null;
+  }
+}
+
+module.exports = new ConnectivityService();
+module.exports.CONNECTIVITY_EVENT = CONNECTIVITY_EVENT;
+module.exports.CONNECTIVITY_REASONS = CONNECTIVITY_REASONS;
+module.exports.computeUptime = computeUptime;
@@ -0,0 +1,650 @@
+/**
+ * Device Command Service
+ *
+ * Delivers commands to physical devices over the protocol they speak:
+ * - mqtt: published on devices/{uuid}/commands
+ * - coap: pushed to the device's registered observers
+ * - anything else: appended to a Redis-backed queue the device polls over HTTP
+ *
+ * Every command is persisted as a DeviceCommand and walks the lifecycle
+ * pending -> sent -> acknowledged, or ends as failed/expired. Devices confirm
+ * a command by echoing its commandId on devices/{uuid}/commands/ack (MQTT,
+ * CoAP or HTTP); only then is the requested state recorded as a new
+ * DeviceStateInstance. Unconfirmed commands are re-sent with exponential
+ * backoff until maxAttempts or their TTL runs out, so devices must treat
+ * commandId as an idempotency key.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Device, DeviceCommand } = require('../models/initModels');
+const { ApiError } = require('../middlewares/errorHandler');
+const redisConnection = require('../config/redis');
+const mqttPublisher = require('./mqttPublisherService');
+const coapPublisher = require('./coapPublisherService');
+const deviceStateInstanceService = require('./deviceStateInstanceService');
+const { canActForDevice } = require('./deviceTokenService');
+const notificationManager = require('../utils/notificationManager');
+const metricsManager = require('../utils/metricsManager');
+const { getPaginationParams, buildPaginatedResult } = require('../utils/paginationUtil');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const POLL_QUEUE_PREFIX = 'device:commands:';
+
+const DELIVERY_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  QUEUED: 'queued',
+  FAILED: 'failed'
+};
+
+const COMMAND_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  ACKNOWLEDGED: 'acknowledged',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+const OPEN_STATUSES = [COMMAND_STATUS.PENDING, COMMAND_STATUS.SENT];
+
+const DEVICE_ATTRIBUTES = ['id', 'uuid', 'name', 'communicationProtocol'];
+
+class DeviceCommandService {
+  constructor() {
+    this.retryInterval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Resolve the delivery channel for a device from its communicationProtocol
+   * @param {Object} device - Device instance
+   * @returns {'mqtt'|'coap'|'http'} Channel name
+   */
+  resolveChannel(device) {
+    switch (device.communicationProtocol) {
+    case 'mqtt':
+      return 'mqtt';
+    case 'coap':
+      return 'coap';
+    default:
+      return 'http';
+    }
+  }
+
+  /**
+   * Persist a command for a device and make the first delivery attempt
+   * @param {Object} device - Device instance (id, uuid, communicationProtocol)
+   * @param {Object} command - { stateName, value }
+   * @param {Object} options - { initiatedBy, initiatorId, ruleChainId, ruleChainNodeId, triggerChain }
+   * @returns {Promise<{command: Object, delivery: Object}>} Stored command and first delivery record
+   */
+  async sendCommand(device, command, options = {}) {
+    const now = Date.now();
+    const deviceCommand = await DeviceCommand.create({
+      commandId: crypto.randomUUID(),
+      deviceId: device.id,
+      stateName: command.stateName || null,
+      value: String(command.value),
+      payload: command.payload || null,
+      channel: this.resolveChannel(device),
+      status: COMMAND_STATUS.PENDING,
+      maxAttempts: config.commands.maxAttempts,
+      expiresAt: new Date(now + config.commands.ttl * 1000),
+      initiatedBy: options.initiatedBy || 'system',
+      initiatorId: options.initiatorId || null,
+      ruleChainId: options.ruleChainId || null,
+      ruleChainNodeId: options.ruleChainNodeId || null,
+      triggerChain: options.triggerChain && options.triggerChain.length ? options.triggerChain : null
+    });
+
+    const delivery = await this._attempt(deviceCommand, device);
+    return { command: deviceCommand, delivery };
+  }
+
+  /**
+   * Send a message to a device over its channel without touching persistence
+   * @param {Object} device - Device instance (uuid, communicationProtocol)
+   * @param {Object} message - Wire message, must carry commandId
+   * @returns {Promise<Object>} Delivery record { commandId, channel, status, reason?, timestamp }
+   */
+  async dispatch(device, message) {
+    const channel = this.resolveChannel(device);
+
+    let delivery;
+    try {
+      switch (channel) {
+      case 'mqtt':
+        delivery = await this._dispatchMqtt(device, message);
+        break;
+      case 'coap':
+        delivery = await this._dispatchCoap(device, message);
+        break;
+      default:
+        delivery = await this._enqueueForPolling(device.uuid, message);
+      }
+    } catch (error) {
+      logger.error('Device command dispatch failed', {
+        deviceUuid: device.uuid,
+        channel,
+        error: error.message
+      });
+      delivery = { channel, status: DELIVERY_STATUS.FAILED, reason: error.message };
+    }
+
+    delivery = {
+      commandId: message.commandId,
+      ...delivery,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      metricsManager.incrementCounter('device_commands_total', {
+        protocol: delivery.channel,
+        deliveryStatus: delivery.status
+      });
+    } catch (err) {
+      logger.warn('Failed to record device command metric', { error: err.message });
+    }
+
+    logger.info('Device command dispatched', {
+      deviceUuid: device.uuid,
+      commandId: delivery.commandId,
+      channel: delivery.channel,
+      status: delivery.status
+    });
+
+    return delivery;
+  }
+
+  /**
+   * Record a device's acknowledgement and apply the confirmed state
+   * @param {string} deviceUuid - UUID of the acknowledging device
+   * @param {string} commandId - Command identifier from the wire message
+   * @param {Object} result - { status: 'ok'|'error', error? }
+   * @returns {Promise<{command: Object, duplicate: boolean}>}
+   */
+  async acknowledge(deviceUuid, commandId, result = {}) {
+    const deviceCommand = await DeviceCommand.findOne({
+      where: { commandId },
+      include: [{ model: Device, as: 'device', attributes: DEVICE_ATTRIBUTES }]
+    });
+
+    if (!deviceCommand || !deviceCommand.device || deviceCommand.device.uuid !== deviceUuid) {
+      throw new ApiError(404, 'Command not found');
+    }
+
+    if (deviceCommand.status === COMMAND_STATUS.ACKNOWLEDGED) {
+      return { command: deviceCommand, duplicate: true };
+    }
+
+    if (!OPEN_STATUSES.includes(deviceCommand.status)) {
+      throw new ApiError(409, `Command is already ${deviceCommand.status}`);
+    }
+
+    const changes = result.status === 'error'
+      ? {
+        status: COMMAND_STATUS.FAILED,
+        nextAttemptAt: null,
+        lastError: String(result.error || 'Rejected by device').substring(0, 255)
+      }
+      : {
+        status: COMMAND_STATUS.ACKNOWLEDGED,
+        acknowledgedAt: new Date(),
+        nextAttemptAt: null,
+        lastError: null
+      };
+
+    // A concurrent ack or the retry monitor closed the command first
+    if (!(await this._updateIfOpen(deviceCommand, changes))) {
+      await deviceCommand.reload();
+      if (deviceCommand.status === COMMAND_STATUS.ACKNOWLEDGED) {
+        return { command: deviceCommand, duplicate: true };
+      }
+      throw new ApiError(409, `Command is already ${deviceCommand.status}`);
+    }
+
+    if (result.status === 'error') {
+      this._recordOutcome(COMMAND_STATUS.FAILED);
+      logger.warn('Device rejected command', { deviceUuid, commandId, error: result.error });
+      return { command: deviceCommand, duplicate: false };
+    }
+
+    this._recordOutcome(COMMAND_STATUS.ACKNOWLEDGED);
+    logger.info('Device acknowledged command', { deviceUuid, commandId });
+
+    await this._applyConfirmedState(deviceCommand, deviceCommand.device);
+
+    return { command: deviceCommand, duplicate: false };
+  }
+
+  /**
+   * Record an acknowledgement sent with a device token. Tokens belong to
+   * sensors, so the ack arrives on the sensor's UUID and may confirm the
+   * commands of any device the token acts for.
+   * @param {string} sensorUuid - UUID of the token's sensor
+   * @param {string} commandId - Command identifier from the wire message
+   * @param {Object} result - { status: 'ok'|'error', error? }
+   * @returns {Promise<{command: Object, duplicate: boolean}>}
+   */
+  async acknowledgeWithToken(sensorUuid, commandId, result = {}) {
+    const deviceCommand = await DeviceCommand.findOne({
+      where: { commandId },
+      include: [{ model: Device, as: 'device', attributes: DEVICE_ATTRIBUTES }]
+    });
+
+    const deviceUuid = deviceCommand && deviceCommand.device ? deviceCommand.device.uuid : null;
+    if (!deviceUuid || !(await canActForDevice(sensorUuid, deviceUuid))) {
+      throw new ApiError(404, 'Command not found');
+    }
+
+    return this.acknowledge(deviceUuid, commandId, result);
+  }
+
+  /**
+   * Expire stale commands and re-send the ones whose acknowledgement is overdue
+   * @param {Date} now - Reference time
+   * @returns {Promise<{expired: number, retried: number, failed: number}>}
+   */
+  async processDueCommands(now = new Date()) {
+    const [expired] = await DeviceCommand.update(
+      { status: COMMAND_STATUS.EXPIRED, nextAttemptAt: null },
+      {
+        where: {
+          status: { [Op.in]: OPEN_STATUSES },
+          expiresAt: { [Op.lte]: now }
+        }
+      }
+    );
+    if (expired > 0) {
+      this._recordOutcome(COMMAND_STATUS.EXPIRED, expired);
+    }
+
+    const dueCommands = await DeviceCommand.findAll({
+      where: {
+        status: { [Op.in]: OPEN_STATUSES },
+        nextAttemptAt: { [Op.lte]: now }
+      },
+      include: [{ model: Device, as: 'device', attributes: DEVICE_ATTRIBUTES }],
+      order: [['nextAttemptAt', 'ASC']],
+      limit: 100
+    });
+
+    let retried = 0;
+    let failed = 0;
+    for (const deviceCommand of dueCommands) {
+      // Another instance's retry monitor took this one
+      if (!(await this._claimDue(deviceCommand, now))) {
+        continue;
+      }
+
+      if (deviceCommand.attempts >= deviceCommand.maxAttempts) {
+        const closed = await this._updateIfOpen(deviceCommand, {
+          status: COMMAND_STATUS.FAILED,
+          nextAttemptAt: null,
+          lastError: `No acknowledgement after ${deviceCommand.attempts} attempts`
+        });
+        if (closed) {
+          this._recordOutcome(COMMAND_STATUS.FAILED);
+          failed++;
+        }
+        continue;
+      }
+
+      await this._attempt(deviceCommand, deviceCommand.device);
+      retried++;
+    }
+
+    if (expired > 0 || retried > 0 || failed > 0) {
+      logger.info('Processed due device commands', { expired, retried, failed });
+    }
+
+    return { expired, retried, failed };
+  }
+
+  /**
+   * Periodically run processDueCommands; call once in the process that owns
+   * the MQTT/CoAP transports.
+   */
+  startRetryMonitor() {
+    if (this.retryInterval) {
+      return;
+    }
+
+    this.retryInterval = setInterval(async () => {
+      if (this.isProcessing) {
+        return;
+      }
+      this.isProcessing = true;
+      try {
+        await this.processDueCommands();
+      } catch (error) {
+        logger.error(`Failed to process due device commands: ${error.message}`);
+      } finally {
+        this.isProcessing = false;
+      }
+    }, config.commands.retryInterval);
+
+    logger.info('Device command retry monitor started');
+  }
+
+  stopRetryMonitor() {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+    }
+  }
+
+  /**
+   * List commands sent to a device, newest first
+   * @param {number} deviceId - Device ID
+   * @param {Object} options - { status, page, limit }
+   * @returns {Promise<Object>} Paginated commands
+   */
+  async listCommands(deviceId, options = {}) {
+    const pagination = getPaginationParams(options);
+    const where = { deviceId };
+    if (options.status) {
+      where.status = options.status;
+    }
+
+    const { rows, count } = await DeviceCommand.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    return buildPaginatedResult(rows, count, pagination);
+  }
+
+  /**
+   * Send a copy of an earlier command as a fresh command
+   * @param {number} deviceId - Device ID the command must belong to
+   * @param {string} commandId - Command to re-send
+   * @param {number} userId - User requesting the re-send
+   * @returns {Promise<{command: Object, delivery: Object}>}
+   */
+  async resendCommand(deviceId, commandId, userId) {
+    const original = await DeviceCommand.findOne({
+      where: { commandId, deviceId },
+      include: [{ model: Device, as: 'device', attributes: DEVICE_ATTRIBUTES }]
+    });
+
+    if (!original) {
+      throw new ApiError(404, 'Command not found');
+    }
+
+    if (original.status === COMMAND_STATUS.ACKNOWLEDGED) {
+      throw new ApiError(409, 'Command was already acknowledged by the device');
+    }
+
+    // Supersede the original so the retry monitor stops re-sending it
+    if (OPEN_STATUSES.includes(original.status)) {
+      await original.update({
+        status: COMMAND_STATUS.FAILED,
+        nextAttemptAt: null,
+        lastError: 'Superseded by a manual re-send'
+      });
+    }
+
+    return this.sendCommand(
+      original.device,
+      { stateName: original.stateName, value: original.value, payload: original.payload },
+      { initiatedBy: 'user', initiatorId: userId }
+    );
+  }
+
+  /**
+   * Take the commands waiting for a device from its poll queue and mark them sent
+   * @param {string} deviceUuid - Device UUID
+   * @param {number} limit - Maximum number of commands to return
+   * @returns {Promise<Array<Object>>} Commands, oldest first
+   */
+  async takePendingCommands(deviceUuid, limit = 20) {
+    const key = `${POLL_QUEUE_PREFIX}${deviceUuid}`;
+    const [[rangeError, entries], [trimError]] = await redisConnection
+      .multi()
+      .lrange(key, 0, limit - 1)
+      .ltrim(key, limit, -1)
+      .exec();
+
+    if (rangeError || trimError) {
+      throw rangeError || trimError;
+    }
+
+    const queued = new Map();
+    entries.forEach((entry) => {
+      const message = JSON.parse(entry);
+      queued.set(message.commandId, message);
+    });
+    if (queued.size === 0) {
+      return [];
+    }
+
+    // Drop anything that expired, failed or was confirmed while it sat in the queue
+    const openCommands = await DeviceCommand.findAll({
+      where: {
+        commandId: { [Op.in]: Array.from(queued.keys()) },
+        status: { [Op.in]: OPEN_STATUSES }
+      }
+    });
+
+    const now = new Date();
+    for (const deviceCommand of openCommands) {
+      await deviceCommand.update({
+        status: COMMAND_STATUS.SENT,
+        sentAt: now,
+        nextAttemptAt: new Date(now.getTime() + this._backoffDelay(deviceCommand.attempts))
+      });
+    }
+
+    const openIds = new Set(openCommands.map((deviceCommand) => deviceCommand.commandId));
+    return Array.from(queued.values()).filter((message) => openIds.has(message.commandId));
+  }
+
+  async _attempt(deviceCommand, device) {
+    const attempts = deviceCommand.attempts + 1;
+    const delivery = await this.dispatch(device, this._toMessage(deviceCommand));
+    const now = new Date();
+    const nextAttemptAt = new Date(now.getTime() + this._backoffDelay(attempts));
+    const updates = { attempts };
+
+    if (delivery.status === DELIVERY_STATUS.SENT || delivery.status === DELIVERY_STATUS.DELIVERED) {
+      Object.assign(updates, { status: COMMAND_STATUS.SENT, sentAt: now, nextAttemptAt, lastError: null });
+    } else if (delivery.status === DELIVERY_STATUS.QUEUED) {
+      // Plain HTTP devices pick the command up on their next poll; that poll starts the ack timer
+      Object.assign(updates, {
+        status: COMMAND_STATUS.PENDING,
+        nextAttemptAt: delivery.channel === 'http' ? null : nextAttemptAt,
+        lastError: delivery.reason || null
+      });
+    } else if (attempts >= deviceCommand.maxAttempts) {
+      Object.assign(updates, { status: COMMAND_STATUS.FAILED, nextAttemptAt: null, lastError: delivery.reason });
+    } else {
+      Object.assign(updates, { nextAttemptAt, lastError: delivery.reason });
+    }
+
+    // The device may have acknowledged while the command was being sent
+    const updated = await this._updateIfOpen(deviceCommand, updates);
+    if (updated && updates.status === COMMAND_STATUS.FAILED) {
+      this._recordOutcome(COMMAND_STATUS.FAILED);
+    }
+    return delivery;
+  }
+
+  /**
+   * Write changes to a command only while it is still pending or sent, so
+   * of two racing writers (acks, retries) only one moves it on
+   * @param {Object} deviceCommand - DeviceCommand instance, updated in place on success
+   * @param {Object} changes - Column values
+   * @returns {Promise<boolean>} Whether the command was still open
+   */
+  async _updateIfOpen(deviceCommand, changes) {
+    const [updated] = await DeviceCommand.update(changes, {
+      where: { id: deviceCommand.id, status: { [Op.in]: OPEN_STATUSES } }
+    });
+    if (updated === 0) {
+      return false;
+    }
+    deviceCommand.set(changes);
+    return true;
+  }
+
+  /**
+   * Push a due command's nextAttemptAt out before handling it. Every API
+   * instance runs the retry monitor; only the one whose update still finds
+   * the nextAttemptAt it read gets to send the command.
+   * @param {Object} deviceCommand - Due DeviceCommand instance
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} Whether this instance claimed the command
+   */
+  async _claimDue(deviceCommand, now) {
+    const nextAttemptAt = new Date(now.getTime() + config.commands.ackTimeout);
+    const [claimed] = await DeviceCommand.update({ nextAttemptAt }, {
+      where: {
+        id: deviceCommand.id,
+        status: { [Op.in]: OPEN_STATUSES },
+        nextAttemptAt: deviceCommand.nextAttemptAt
+      }
+    });
+    if (claimed === 0) {
+      return false;
+    }
+    deviceCommand.set({ nextAttemptAt });
+    return true;
+  }
+
+  _backoffDelay(attempts) {
+    const { ackTimeout, maxBackoff } = config.commands;
+    return Math.min(ackTimeout * 2 ** Math.max(attempts - 1, 0), maxBackoff);
+  }
+
+  _toMessage(deviceCommand) {
+    return {
+      commandId: deviceCommand.commandId,
+      stateName: deviceCommand.stateName,
+      value: deviceCommand.value,
+      payload: deviceCommand.payload,
+      initiatedBy: deviceCommand.initiatedBy,
+      ruleChainId: deviceCommand.ruleChainId,
+      nodeId: deviceCommand.ruleChainNodeId,
+      attempt: deviceCommand.attempts + 1,
+      expiresAt: deviceCommand.expiresAt
+    };
+  }
+
+  async _applyConfirmedState(deviceCommand, device) {
+    if (!deviceCommand.stateName) {
+      return;
+    }
+
+    try {
+      const result = await deviceStateInstanceService.createInstance(
+        {
+          deviceUuid: device.uuid,
+          stateName: deviceCommand.stateName,
+          value: deviceCommand.value,
+          initiatedBy: deviceCommand.initiatedBy,
+          triggerChain: deviceCommand.triggerChain || []
+        },
+        deviceCommand.initiatorId
+      );
+
+      if (result.metadata) {
+        await notificationManager.queueStateChangeNotification(
+          {
+            ...result.metadata,
+            triggeredBy: deviceCommand.initiatedBy,
+            commandId: deviceCommand.commandId,
+            ...(deviceCommand.ruleChainId && {
+              ruleChainDetails: {
+                ruleChainId: deviceCommand.ruleChainId,
+                nodeId: deviceCommand.ruleChainNodeId
+              }
+            })
+          },
+          null,
+          true
+        );
+      }
+    } catch (error) {
+      logger.error('Failed to record state for acknowledged command', {
+        commandId: deviceCommand.commandId,
+        deviceUuid: device.uuid,
+        stateName: deviceCommand.stateName,
+        error: error.message
+      });
+    }
+  }
+
+  _recordOutcome(commandStatus, count = 1) {
+    try {
+      metricsManager.incrementCounter('device_command_outcomes_total', { commandStatus }, count);
+    } catch (err) {
+      logger.warn('Failed to record device command outcome metric', { error: err.message });
+    }
+  }
+
+  async _dispatchMqtt(device, message) {
+    if (!config.features.mqtt.enabled) {
+      return { channel: 'mqtt', status: DELIVERY_STATUS.FAILED, reason: 'MQTT is disabled' };
+    }
+
+    const published = await mqttPublisher.publishCommand(message, device.uuid);
+    return {
+      channel: 'mqtt',
+      status: published ? DELIVERY_STATUS.SENT : DELIVERY_STATUS.QUEUED,
+      topic: `devices/${device.uuid}/commands`,
+      ...(published ? {} : { reason: 'MQTT publisher not connected; queued for retry' })
+    };
+  }
+
+  async _dispatchCoap(device, message) {
+    const responses = await coapPublisher.notifyObservers(device.uuid, {
+      event: 'command',
+      deviceUuid: device.uuid,
+      command: message,
+      timestamp: new Date().toISOString()
+    });
+
+    // Nobody is observing the device right now, so leave it for the next poll
+    if (!responses || responses.length === 0) {
+      const queued = await this._enqueueForPolling(device.uuid, message);
+      return { ...queued, channel: 'coap', reason: 'No CoAP observers registered; queued for polling' };
+    }
+
+    const acknowledged = responses.filter((res) => res && String(res.code).startsWith('2'));
+    return {
+      channel: 'coap',
+      status: acknowledged.length > 0 ? DELIVERY_STATUS.DELIVERED : DELIVERY_STATUS.FAILED,
+      observersNotified: responses.length,
+      observersAcknowledged: acknowledged.length,
+      ...(acknowledged.length > 0 ? {} : { reason: 'No CoAP observer acknowledged the command' })
+    };
+  }
+
+  async _enqueueForPolling(deviceUuid, message) {
+    const key = `${POLL_QUEUE_PREFIX}${deviceUuid}`;
+    const { pollQueueTtl, pollQueueMaxLength } = config.commands;
+
+    const results = await redisConnection
+      .multi()
+      .rpush(key, JSON.stringify({ ...message, queuedAt: new Date().toISOString() }))
+      .ltrim(key, -pollQueueMaxLength, -1)
+      .expire(key, pollQueueTtl)
+      .exec();
+
+    // exec() resolves even when single commands fail, e.g. RPUSH on a key of another type
+    const failed = (results || []).find(([error]) => error);
+    if (!results || failed) {
+      throw failed ? failed[0] : new Error('Poll queue transaction was aborted');
+    }
+
+    return { channel: 'http', status: DELIVERY_STATUS.QUEUED };
+  }
+}
+
+module.exports = new DeviceCommandService();
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.COMMAND_STATUS = COMMAND_STATUS;
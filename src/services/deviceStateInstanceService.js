@@ -3,10 +3,11 @@ const { ApiError } = require('../middlewares/errorHandler');
 const metricsManager = require('../utils/metricsManager');
 const sequelize = require('../config/database');
 const logger = require('../utils/logger');
+const ruleEngineEventBus = require('../ruleEngine/core/RuleEngineEventBus');
 
 class DeviceStateInstanceService {
   async createInstance(data, userId) {
-    const { deviceUuid, stateName, value, initiatedBy } = data;
+    const { deviceUuid, stateName, value, initiatedBy, triggerChain = [] } = data;
 
     // Find device by UUID
     const device = await Device.findOne({
@@ -61,6 +62,18 @@ class DeviceStateInstanceService {
       initiatorId: userId
     });
 
+    // Let rule chains keyed on this device state react to the change.
+    // triggerChain lists the rule chains whose actions led here (loop protection)
+    ruleEngineEventBus.emit('device-state-change', {
+      deviceUUID: device.uuid,
+      deviceStateId: deviceState.id,
+      variableNames: [stateName],
+      value,
+      oldValue: currentInstance ? currentInstance.value : null,
+      initiatedBy: initiatedBy || 'user',
+      triggerChain
+    });
+
     // Record device state change metric
     try {
       const getOrganizationId = async (deviceId) => {
@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const DeviceToken = require('../models/DeviceToken');
 const Sensor = require('../models/Sensor');
+const { sequelize } = require('../models/initModels');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 
@@ -218,11 +219,38 @@ const deleteToken = async (tokenId) => {
   }
 };
 
+// Whether a token may act for a device (poll its commands, acknowledge them).
+// Tokens belong to sensors while commands are addressed to devices, so a
+// token acts for its own sensor UUID and for devices sharing an area with it.
+const canActForDevice = async (sensorUuid, deviceUuid) => {
+  if (!sensorUuid || !deviceUuid) {
+    return false;
+  }
+  if (sensorUuid === deviceUuid) {
+    return true;
+  }
+
+  const rows = await sequelize.query(`
+    SELECT d.id
+    FROM Device d
+    JOIN AreaDevice ad ON ad.deviceId = d.id
+    JOIN AreaSensor ars ON ars.areaId = ad.areaId
+    JOIN Sensor s ON s.id = ars.sensorId
+    WHERE s.uuid = :sensorUuid AND d.uuid = :deviceUuid
+    LIMIT 1
+  `, {
+    replacements: { sensorUuid, deviceUuid },
+    type: sequelize.QueryTypes.SELECT
+  });
+  return rows.length > 0;
+};
+
 module.exports = {
   createToken,
   validateToken,
   getTokensBySensor,
   revokeToken,
   getTokenById,
-  deleteToken
+  deleteToken,
+  canActForDevice
 }; 
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Gateway Credential Service
+ *
+ * MQTT logins for gateway devices. A gateway connects with its device UUID
+ * as username and a generated secret as password. Only a SHA-256 hash of the
+ * secret is stored, so the plaintext is returned once, when the credential
+ * is created. Credentials stay valid until they expire or are revoked.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Device, GatewayCredential } = require('../models/initModels');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const CREDENTIAL_STATUS = {
+  ACTIVE: 'active',
+  REVOKED: 'revoked'
+};
+
+const CREDENTIAL_ATTRIBUTES = ['id', 'deviceId', 'status', 'expiresAt', 'lastUsed', 'createdBy', 'createdAt'];
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+class GatewayCredentialService {
+  /**
+   * Issue a new credential for a gateway
+   * @param {number} deviceId - Gateway device ID
+   * @param {Object} options - { expiresAt, createdBy }
+   * @returns {Promise<Object>} { credential, secret }, the secret is not stored
+   */
+  async createCredential(deviceId, { expiresAt = null, createdBy = null } = {}) {
+    const device = await Device.findByPk(deviceId, { attributes: ['id', 'uuid', 'deviceType'] });
+    if (!device) {
+      throw new ApiError(404, 'Device not found');
+    }
+    if (device.deviceType !== 'gateway') {
+      throw new ApiError(400, 'Only gateway devices can have gateway credentials');
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const credential = await GatewayCredential.create({
+      deviceId: device.id,
+      secretHash: hashSecret(secret),
+      expiresAt,
+      createdBy,
+      status: CREDENTIAL_STATUS.ACTIVE
+    });
+
+    logger.info(`Gateway credential ${credential.id} issued for device ${device.uuid}`);
+
+    return {
+      credential: {
+        id: credential.id,
+        deviceId: credential.deviceId,
+        username: device.uuid,
+        status: credential.status,
+        expiresAt: credential.expiresAt,
+        createdAt: credential.createdAt
+      },
+      secret
+    };
+  }
+
+  /**
+   * Credentials of a gateway, without their secrets
+   * @param {number} deviceId - Gateway device ID
+   * @returns {Promise<Array>}
+   */
+  async listCredentials(deviceId) {
+    return GatewayCredential.findAll({
+      where: { deviceId },
+      attributes: CREDENTIAL_ATTRIBUTES,
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Revoke a credential; gateways already connected with it stay connected
+   * until they reconnect
+   * @param {number} deviceId - Gateway device ID
+   * @param {number} credentialId - Credential ID
+   * @returns {Promise<Object>} The revoked credential
+   */
+  async revokeCredential(deviceId, credentialId) {
+    const credential = await GatewayCredential.findOne({
+      where: { id: credentialId, deviceId },
+      attributes: CREDENTIAL_ATTRIBUTES
+    });
+    if (!credential) {
+      throw new ApiError(404, 'Gateway credential not found');
+    }
+
+    await credential.update({ status: CREDENTIAL_STATUS.REVOKED });
+    return credential;
+  }
+
+  /**
+   * Gateway device a UUID/secret pair belongs to
+   * @param {string} deviceUuid - Gateway device UUID (the MQTT username)
+   * @param {string|Buffer} secret - Credential secret (the MQTT password)
+   * @returns {Promise<Object|null>} Device, null when the pair is not valid
+   */
+  async verify(deviceUuid, secret) {
+    if (!deviceUuid || !secret) {
+      return null;
+    }
+
+    const now = new Date();
+    const credential = await GatewayCredential.findOne({
+      where: {
+        secretHash: hashSecret(secret.toString()),
+        status: CREDENTIAL_STATUS.ACTIVE,
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: now } }
+        ]
+      },
+      include: [{ model: Device, attributes: ['id', 'uuid', 'deviceType'] }]
+    });
+
+    if (!credential || !credential.Device || credential.Device.uuid !== deviceUuid ||
+      credential.Device.deviceType !== 'gateway') {
+      return null;
+    }
+
+    GatewayCredential.update({ lastUsed: now }, { where: { id: credential.id } })
+      .catch((error) => logger.error(`Error updating gateway credential lastUsed: ${error.message}`));
+
+    return credential.Device;
+  }
+}
+
+module.exports = new GatewayCredentialService();
+module.exports.CREDENTIAL_STATUS = CREDENTIAL_STATUS;
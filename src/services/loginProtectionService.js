@@ -0,0 +1,235 @@
+/**
+ * Login Protection Service
+ *
+ * Brute-force protection for password logins, on two levels:
+ * - throttling: failed logins are counted per client IP and per email address
+ *   in Redis, so the limits hold across every API instance. The counts reset
+ *   when their window, started by the first failure, ends:
+ *
+ *     auth:login-failures:ip:{ip}
+ *     auth:login-failures:account:{sha256(email)}
+ *
+ * - lockout: User.accessFailedCount counts an account's consecutive failed
+ *   logins. From the threshold on, every failure locks the account until
+ *   User.lockoutEnd, each lock twice as long as the one before up to the
+ *   maximum. A successful login or an admin unlock resets the count.
+ *
+ * Throttled and locked logins get the same 429 answer, and neither checks the
+ * password. Lockouts and unlocks are logged with an `audit` field.
+ */
+const crypto = require('crypto');
+const redisConnection = require('../config/redis');
+const config = require('../config');
+const { ApiError } = require('../middlewares/errorHandler');
+const metricsManager = require('../utils/metricsManager');
+const logger = require('../utils/logger');
+
+const FAILURES_KEY_PREFIX = 'auth:login-failures:';
+
+// Start the window with the first failure; later ones must not extend it
+const COUNT_FAILURE_SCRIPT = `
+  local failures = redis.call('INCR', KEYS[1])
+  if failures == 1 then
+    redis.call('EXPIRE', KEYS[1], ARGV[1])
+  end
+  return failures
+`;
+
+const ipKey = (ip) => `${FAILURES_KEY_PREFIX}ip:${ip}`;
+const accountKey = (email) => `${FAILURES_KEY_PREFIX}account:${crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex')}`;
+
+class LoginProtectionService {
+  /**
+   * Refuse a login attempt while its IP or email address is throttled
+   * @param {string} email - Email the login is for
+   * @param {string|null} ip - Client IP, null when unknown (e.g. MQTT logins)
+   * @returns {Promise<void>}
+   * @throws {ApiError} 429 with retryAfter
+   */
+  async checkThrottle(email, ip) {
+    const { maxFailuresPerIp, maxFailuresPerAccount } = config.auth.throttle;
+    const scopes = [{ reason: 'account', key: accountKey(email), limit: maxFailuresPerAccount }];
+    if (ip) {
+      scopes.push({ reason: 'ip', key: ipKey(ip), limit: maxFailuresPerIp });
+    }
+
+    let counts;
+    try {
+      counts = await redisConnection.mget(...scopes.map((scope) => scope.key));
+    } catch (error) {
+      // The account lockout still applies
+      logger.warn(`Failed to check login throttling: ${error.message}`);
+      return;
+    }
+
+    const exceeded = scopes.find((scope, index) => scope.limit > 0 && Number(counts[index]) >= scope.limit);
+    if (!exceeded) {
+      return;
+    }
+
+    let retryAfter = config.auth.throttle.window;
+    try {
+      const ttl = await redisConnection.ttl(exceeded.key);
+      if (ttl > 0) {
+        retryAfter = ttl;
+      }
+    } catch (error) {
+      logger.warn(`Failed to read login throttling window: ${error.message}`);
+    }
+
+    this.recordThrottled(exceeded.reason);
+    throw this.tooManyAttempts(retryAfter);
+  }
+
+  /**
+   * Seconds left of an account's lock
+   * @param {Object} user - User instance
+   * @returns {number} 0 when the account is not locked
+   */
+  lockoutRemaining(user) {
+    if (!user.lockoutEnd) {
+      return 0;
+    }
+    return Math.max(Math.ceil((new Date(user.lockoutEnd).getTime() - Date.now()) / 1000), 0);
+  }
+
+  /**
+   * Refuse a login to a locked account
+   * @param {Object} user - User instance
+   * @throws {ApiError} 429 with retryAfter
+   */
+  checkLockout(user) {
+    const remaining = this.lockoutRemaining(user);
+    if (remaining > 0) {
+      this.recordThrottled('lockout');
+      throw this.tooManyAttempts(remaining);
+    }
+  }
+
+  /**
+   * Length of the lock a failed login causes
+   * @param {number} failures - Consecutive failed logins, including this one
+   * @returns {number} Seconds, 0 below the threshold
+   */
+  lockoutDuration(failures) {
+    const { threshold, baseDuration, maxDuration } = config.auth.lockout;
+    if (threshold <= 0 || failures < threshold) {
+      return 0;
+    }
+    // Capped exponent keeps the multiplication finite
+    return Math.min(baseDuration * 2 ** Math.min(failures - threshold, 30), maxDuration);
+  }
+
+  /**
+   * Count a failed login
+   * @param {string} email - Email the login was for
+   * @param {string|null} ip - Client IP
+   * @param {Object|null} user - User instance, null when the email is unknown
+   * @returns {Promise<void>}
+   */
+  async recordFailure(email, ip, user) {
+    const { window } = config.auth.throttle;
+    const keys = ip ? [accountKey(email), ipKey(ip)] : [accountKey(email)];
+
+    try {
+      await Promise.all(keys.map((key) => redisConnection.eval(COUNT_FAILURE_SCRIPT, 1, key, window)));
+    } catch (error) {
+      logger.warn(`Failed to count failed login: ${error.message}`);
+    }
+
+    if (!user) {
+      return;
+    }
+
+    // Increment in the database so concurrent failures are all counted, and
+    // lock based on the count they left behind
+    await user.increment('accessFailedCount');
+    await user.reload({ attributes: ['accessFailedCount'] });
+    const failures = user.accessFailedCount;
+    const duration = this.lockoutDuration(failures);
+
+    if (duration > 0) {
+      const lockoutEnd = new Date(Date.now() + duration * 1000);
+      await user.update({ lockoutEnd });
+
+      logger.warn(`🚨 Account of user ${user.id} locked for ${duration}s after ${failures} failed logins`, {
+        audit: 'auth_account_locked',
+        userId: user.id,
+        failures,
+        lockoutEnd,
+        ip
+      });
+
+      try {
+        metricsManager.incrementCounter('auth_account_lockouts_total');
+      } catch (err) {
+        logger.warn('Failed to record account lockout metric', { error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Clear the failures of an account after a successful login
+   * @param {string} email - Email the login was for
+   * @param {Object} user - User instance
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email, user) {
+    try {
+      await redisConnection.del(accountKey(email));
+    } catch (error) {
+      logger.warn(`Failed to reset login throttling: ${error.message}`);
+    }
+
+    if (user.accessFailedCount || user.lockoutEnd) {
+      await user.update({ accessFailedCount: 0, lockoutEnd: null });
+    }
+  }
+
+  /**
+   * Lift an account's lock and throttling before they run out
+   * @param {Object} user - User instance
+   * @param {number} unlockedBy - ID of the admin unlocking the account
+   * @returns {Promise<Object>} The user
+   */
+  async unlockAccount(user, unlockedBy) {
+    const wasLocked = this.lockoutRemaining(user) > 0;
+
+    await user.update({ accessFailedCount: 0, lockoutEnd: null });
+
+    try {
+      await redisConnection.del(accountKey(user.email));
+    } catch (error) {
+      logger.warn(`Failed to reset login throttling of user ${user.id}: ${error.message}`);
+    }
+
+    logger.warn(`Account of user ${user.id} unlocked by user ${unlockedBy}`, {
+      audit: 'auth_account_unlocked',
+      userId: user.id,
+      unlockedBy,
+      wasLocked
+    });
+
+    return user;
+  }
+
+  tooManyAttempts(retryAfter) {
+    const error = new ApiError(429, 'Too many failed login attempts, please try again later');
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  /**
+   * Count a refused login
+   * @param {string} reason - ip, account or lockout
+   */
+  recordThrottled(reason) {
+    try {
+      metricsManager.incrementCounter('auth_login_throttled_total', { reason });
+    } catch (err) {
+      logger.warn('Failed to record login throttling metric', { error: err.message });
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
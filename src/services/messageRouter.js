@@ -6,7 +6,12 @@ const CommonAdapter = require('../adapters/commonAdapter');
 const MQTTAdapter = require('../adapters/mqttAdapter');
 const CoapAdapter = require('../adapters/coapAdapter');
 const dataStreamController = require('../controllers/dataStreamController');
-const deviceController = require('../controllers/deviceController');
+const deviceCommandService = require('./deviceCommandService');
+const connectivityService = require('./connectivityService');
+const deviceStateInstanceService = require('./deviceStateInstanceService');
+const { canActForDevice } = require('./deviceTokenService');
+const notificationManager = require('../utils/notificationManager');
+const config = require('../config');
 const { DeviceToken } = require('../models/initModels');
 
 class MessageRouter {
@@ -33,6 +38,7 @@ class MessageRouter {
     
     // Command routes
     this.routes.set('commands', this.handleCommands.bind(this));
+    this.routes.set('commandAck', this.handleCommandAck.bind(this));
     
     // Broadcast routes
     this.routes.set('broadcast', this.handleBroadcast.bind(this));
@@ -96,6 +102,8 @@ class MessageRouter {
         return 'dataStream';
       } else if (path.includes('/status')) {
         return 'deviceStatus';
+      } else if (path.includes('/commands/ack')) {
+        return 'commandAck';
       } else if (path.includes('/commands')) {
         return 'commands';
       }
@@ -108,6 +116,8 @@ class MessageRouter {
         return 'dataStream';
       } else if (path.includes('/status')) {
         return 'deviceStatus';
+      } else if (path.includes('/commands/ack')) {
+        return 'commandAck';
       } else if (path.includes('/commands')) {
         return 'commands';
       }
@@ -129,20 +139,6 @@ class MessageRouter {
         return CommonAdapter.createErrorResponse('Invalid device identifier in message', 'INVALID_DEVICE_UUID');
       }
       
-      // Check if this is from internal publisher (no authentication needed)
-      const isInternalPublisher = message.clientId && message.clientId.startsWith('aemos-publisher-');
-      
-      // Skip processing entirely for internal publisher messages to prevent feedback loops
-      if (isInternalPublisher) {
-        logger.info(`Skipping data stream processing for internal publisher message from ${message.clientId} to prevent feedback loop`);
-        return CommonAdapter.createSuccessResponse({
-          message: 'Internal publisher data stream message acknowledged (no processing)',
-          topic: message.topic,
-          deviceUuid: deviceUuid,
-          skipped: true
-        });
-      }
-      
       // Authenticate device for external clients
       const device = await this.authenticateDevice(deviceUuid, message);
       if (!device) {
@@ -223,7 +219,8 @@ class MessageRouter {
   }
   
   /**
-   * Handle device status messages
+   * Handle device status messages. Each one is a heartbeat; a payload with
+   * status "offline" marks the device offline right away.
    * @param {Object} message - Message object
    * @returns {Promise<Object>} Processing result
    */
@@ -240,20 +237,12 @@ class MessageRouter {
         return CommonAdapter.createErrorResponse('Device authentication failed', 'AUTHENTICATION_FAILED');
       }
       
-      // Update device status
-      const mockReq = {
-        params: { uuid: deviceUuid },
-        body: message.payload
-      };
-      
-      const mockRes = {
-        status: (code) => ({
-          json: (data) => ({ statusCode: code, data })
-        })
-      };
-      
-      // Call device controller
-      const result = await deviceController.updateDevice(mockReq, mockRes);
+      const result = await connectivityService.recordHeartbeat(deviceUuid, {
+        reportedStatus: message.payload.status
+      });
+      if (!result) {
+        return CommonAdapter.createErrorResponse('Device not found', 'DEVICE_NOT_FOUND');
+      }
       
       return CommonAdapter.createSuccessResponse(result);
     } catch (error) {
@@ -263,28 +252,52 @@ class MessageRouter {
   }
   
   /**
-   * Handle device state messages
+   * Handle device state reports (devices/{uuid}/state). The report is recorded
+   * as a DeviceStateInstance, so rule chains keyed on the state run just as
+   * for changes made by users or rule chains.
+   * Payload: { stateName, value, deviceUuid?, token }; deviceUuid names the
+   * reported device when the topic carries the token's sensor UUID.
    * @param {Object} message - Message object
    * @returns {Promise<Object>} Processing result
    */
   async handleDeviceState(message) {
     try {
-      // Skip processing if this is from internal publisher to prevent feedback loops
-      if (message.clientId && message.clientId.startsWith('aemos-publisher-')) {
-        logger.info(`Skipping device state processing for internal publisher message from ${message.clientId}`);
-        return CommonAdapter.createSuccessResponse({
-          message: 'Internal publisher message acknowledged (no processing)',
-          topic: message.topic,
-          deviceUuid: message.payload.deviceUuid,
-          skipped: true
-        });
+      const tokenUuid = MQTTAdapter.extractDeviceUuid(message.topic);
+      if (!tokenUuid) {
+        return CommonAdapter.createErrorResponse('Invalid device identifier in message', 'INVALID_DEVICE_UUID');
       }
-
+      
+      // Authenticate device
+      const device = await this.authenticateDevice(tokenUuid, message);
+      if (!device) {
+        return CommonAdapter.createErrorResponse('Device authentication failed', 'AUTHENTICATION_FAILED');
+      }
+      
+      const { stateName, value } = message.payload;
+      if (!stateName || value === undefined || value === null) {
+        return CommonAdapter.createErrorResponse('stateName and value are required', 'INVALID_PAYLOAD');
+      }
+      
+      const deviceUuid = message.payload.deviceUuid || tokenUuid;
+      if (!(await canActForDevice(tokenUuid, deviceUuid))) {
+        logger.warn(`Token of ${tokenUuid} may not report the state of device ${deviceUuid}`);
+        return CommonAdapter.createErrorResponse('Device authentication failed', 'AUTHENTICATION_FAILED');
+      }
+      
+      const result = await deviceStateInstanceService.createInstance({
+        deviceUuid,
+        stateName,
+        value: String(value),
+        initiatedBy: 'device'
+      }, null);
+      
+      notificationManager.queueStateChangeNotification(result.metadata, null, config.broadcastAll || false);
       
       return CommonAdapter.createSuccessResponse({
-        message: 'Device state message acknowledged',
-        topic: message.topic,
-        deviceUuid: message.payload.deviceUuid
+        deviceUuid,
+        stateName,
+        value: result.instance.value,
+        oldValue: result.metadata.oldValue
       });
     } catch (error) {
       logger.error(`Error handling device state: ${error.message}`);
@@ -299,20 +312,6 @@ class MessageRouter {
    */
   async handleRuleChain(message) {
     try {
-      // Skip processing if this is from internal publisher to prevent feedback loops
-      if (message.clientId && message.clientId.startsWith('aemos-publisher-')) {
-        logger.info(`Skipping rule chain processing for internal publisher message from ${message.clientId}`);
-        return CommonAdapter.createSuccessResponse({
-          message: 'Internal publisher rule chain message acknowledged (no processing)',
-          topic: message.topic,
-          organizationId: message.payload.organizationId,
-          ruleChainId: message.payload.ruleChainId,
-          skipped: true
-        });
-      }
-
-   
-      
       return CommonAdapter.createSuccessResponse({
         message: 'Rule chain message acknowledged',
         topic: message.topic,
@@ -357,6 +356,45 @@ class MessageRouter {
     }
   }
   
+  /**
+   * Handle command acknowledgements (devices/{uuid}/commands/ack)
+   * Payload: { commandId, status: 'ok' | 'error', error?, token }
+   * @param {Object} message - Message object
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleCommandAck(message) {
+    try {
+      const deviceUuid = this.extractDeviceUuid(message);
+      if (!deviceUuid) {
+        return CommonAdapter.createErrorResponse('Invalid device identifier in message', 'INVALID_DEVICE_UUID');
+      }
+
+      // Authenticate device
+      const device = await this.authenticateDevice(deviceUuid, message);
+      if (!device) {
+        return CommonAdapter.createErrorResponse('Device authentication failed', 'AUTHENTICATION_FAILED');
+      }
+
+      const { commandId, status, error } = message.payload;
+      if (!commandId) {
+        return CommonAdapter.createErrorResponse('commandId is required', 'INVALID_PAYLOAD');
+      }
+
+      // The topic carries the token's sensor UUID, not the commanded device's
+      const result = await deviceCommandService.acknowledgeWithToken(deviceUuid, commandId, { status, error });
+
+      return CommonAdapter.createSuccessResponse({
+        deviceUuid,
+        commandId,
+        status: result.command.status,
+        duplicate: result.duplicate
+      });
+    } catch (error) {
+      logger.error(`Error handling command acknowledgement: ${error.message}`);
+      return CommonAdapter.createErrorResponse(`Command acknowledgement error: ${error.message}`, 'COMMAND_ACK_ERROR');
+    }
+  }
+
   /**
    * Handle broadcast messages
    * @param {Object} message - Message object
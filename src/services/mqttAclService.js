@@ -0,0 +1,175 @@
+/**
+ * MQTT Topic ACL Service
+ *
+ * Decides which topics an MQTT session may publish and subscribe to. The
+ * broker asks it through aedes.authorizePublish/authorizeSubscribe (see
+ * mqttService):
+ * - device sessions publish under devices/{uuid}/ and subscribe to their
+ *   own devices/{uuid}/commands topic, and to the commands topics of the
+ *   devices their token acts for (device tokens belong to sensors)
+ * - gateway sessions publish under their own and their organizations'
+ *   devices/{uuid}/ and subscribe to those devices' commands topics
+ * - organization sessions (dashboard users) subscribe to
+ *   organizations/{orgId}/# of their organizations, and to the topics of
+ *   devices and sensors they may view (device.view / sensor.view in the
+ *   owning organization); system admins may subscribe to anything
+ * - service sessions (the internal publisher) and anonymous sessions allowed
+ *   in development are not restricted
+ */
+const { sequelize } = require('../models/initModels');
+const { canActForDevice } = require('./deviceTokenService');
+
+const SESSION_TYPES = {
+  DEVICE: 'device',
+  GATEWAY: 'gateway',
+  ORGANIZATION: 'organization',
+  SERVICE: 'service',
+  ANONYMOUS: 'anonymous'
+};
+
+const UNRESTRICTED_TYPES = [SESSION_TYPES.SERVICE, SESSION_TYPES.ANONYMOUS];
+
+// Permission an organization member needs to follow an originator's topics
+const VIEW_PERMISSIONS = {
+  device: 'device.view',
+  sensor: 'sensor.view'
+};
+
+const isWildcard = (level) => level === '+' || level === '#';
+
+const includesId = (ids, id) => (ids || []).map(String).includes(String(id));
+
+class MqttAclService {
+  /**
+   * Whether a session may publish to a topic
+   * @param {Object} session - MQTT session ({ type, deviceUuid, organizationIds })
+   * @param {string} topic - Topic name
+   * @returns {Promise<boolean>}
+   */
+  async canPublish(session, topic) {
+    if (UNRESTRICTED_TYPES.includes(session.type)) {
+      return true;
+    }
+
+    if (session.type === SESSION_TYPES.DEVICE) {
+      return topic.startsWith(`devices/${session.deviceUuid}/`);
+    }
+
+    if (session.type === SESSION_TYPES.GATEWAY) {
+      const [root, uuid, ...rest] = topic.split('/');
+      return root === 'devices' && rest.length > 0 && this._isGatewayDevice(session, uuid);
+    }
+
+    // Organization sessions are read-only
+    return false;
+  }
+
+  /**
+   * Whether a session may subscribe to a topic filter
+   * @param {Object} session - MQTT session ({ type, deviceUuid, organizationIds })
+   * @param {string} topicFilter - Topic filter, possibly with wildcards
+   * @returns {Promise<boolean>}
+   */
+  async canSubscribe(session, topicFilter) {
+    if (UNRESTRICTED_TYPES.includes(session.type)) {
+      return true;
+    }
+
+    if (session.type === SESSION_TYPES.DEVICE) {
+      const [root, uuid, ...rest] = topicFilter.split('/');
+      return root === 'devices' && rest.join('/') === 'commands' && !isWildcard(uuid) &&
+        canActForDevice(session.deviceUuid, uuid);
+    }
+
+    if (session.type === SESSION_TYPES.GATEWAY) {
+      const [root, uuid, ...rest] = topicFilter.split('/');
+      return root === 'devices' && rest.join('/') === 'commands' && this._isGatewayDevice(session, uuid);
+    }
+
+    if (session.type === SESSION_TYPES.ORGANIZATION) {
+      if (session.isSystemAdmin) {
+        return true;
+      }
+
+      const [root, owner] = topicFilter.split('/');
+
+      // The owner level must be literal, "organizations/+/#" would reach
+      // every organization
+      if (!owner || isWildcard(owner)) {
+        return false;
+      }
+      if (root === 'organizations') {
+        return includesId(session.organizationIds, owner);
+      }
+      if (root === 'devices') {
+        const owners = await this._ownersOf(owner);
+        return owners.some(({ organizationId, originatorType }) => {
+          const permissions = (session.permissions || {})[organizationId] || [];
+          return includesId(session.organizationIds, organizationId) &&
+            permissions.includes(VIEW_PERMISSIONS[originatorType]);
+        });
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Organizations a device or sensor belongs to through its areas
+   * @param {string} uuid - Device or sensor UUID
+   * @returns {Promise<Array<number>>}
+   */
+  async organizationsOf(uuid) {
+    const owners = await this._ownersOf(uuid);
+    return [...new Set(owners.map((owner) => owner.organizationId))];
+  }
+
+  /**
+   * Whether a gateway may act for a device: itself, or a device or sensor in
+   * one of its organizations
+   * @param {Object} session - Gateway session
+   * @param {string} uuid - Device or sensor UUID from the topic
+   * @returns {Promise<boolean>}
+   */
+  async _isGatewayDevice(session, uuid) {
+    if (!uuid || isWildcard(uuid)) {
+      return false;
+    }
+    if (uuid === session.deviceUuid) {
+      return true;
+    }
+
+    const organizationIds = await this.organizationsOf(uuid);
+    return organizationIds.some((organizationId) => includesId(session.organizationIds, organizationId));
+  }
+
+  /**
+   * Organizations a device or sensor belongs to through its areas, with the
+   * kind of originator the UUID names
+   * @param {string} uuid - Device or sensor UUID
+   * @returns {Promise<Array<Object>>} { organizationId, originatorType }
+   */
+  async _ownersOf(uuid) {
+    const rows = await sequelize.query(`
+      SELECT a.organizationId, 'device' AS originatorType
+      FROM Device d
+      JOIN AreaDevice ad ON ad.deviceId = d.id
+      JOIN Area a ON a.id = ad.areaId
+      WHERE d.uuid = :uuid
+      UNION
+      SELECT a.organizationId, 'sensor' AS originatorType
+      FROM Sensor s
+      JOIN AreaSensor ars ON ars.sensorId = s.id
+      JOIN Area a ON a.id = ars.areaId
+      WHERE s.uuid = :uuid
+    `, {
+      replacements: { uuid },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return rows.map((row) => ({ organizationId: Number(row.organizationId), originatorType: row.originatorType }));
+  }
+}
+
+module.exports = new MqttAclService();
+module.exports.SESSION_TYPES = SESSION_TYPES;
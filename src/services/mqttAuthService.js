@@ -0,0 +1,190 @@
+/**
+ * MQTT Auth Service
+ *
+ * Resolves the username/password an MQTT client connects with into the
+ * principal its session is built from:
+ * - dashboard users connect with their AEMOS email and password, or with
+ *   username "jwt" and an access token from authService as password. Users
+ *   with two-factor authentication have to use an access token.
+ * - gateways connect with their device UUID and a gateway credential secret
+ *
+ * User principals carry the user's organization memberships and the
+ * permissions each membership grants, which mqttAclService authorizes topics
+ * against. Everything is resolved once, when the client connects.
+ */
+const { User, sequelize } = require('../models/initModels');
+const authService = require('./authService');
+const roleService = require('./roleService');
+const gatewayCredentialService = require('./gatewayCredentialService');
+const mqttAclService = require('./mqttAclService');
+const authSessionService = require('./authSessionService');
+const twoFactorService = require('./twoFactorService');
+const loginProtectionService = require('./loginProtectionService');
+const { isTokenBlacklisted } = require('./tokenBlacklistService');
+const logger = require('../utils/logger');
+
+// Username that marks the password as a JWT access token
+const JWT_USERNAME = 'jwt';
+
+class MqttAuthService {
+  /**
+   * Whether a username is an email address
+   * @param {string} username - MQTT username
+   * @returns {boolean}
+   */
+  isUserLogin(username) {
+    return typeof username === 'string' && username.includes('@');
+  }
+
+  /**
+   * Whether a username asks for JWT authentication
+   * @param {string} username - MQTT username
+   * @returns {boolean}
+   */
+  isJwtLogin(username) {
+    return username === JWT_USERNAME;
+  }
+
+  /**
+   * Authenticate a user by email and password
+   * @param {string} email - User email
+   * @param {string|Buffer} password - User password
+   * @returns {Promise<Object|null>} User principal, null when the credentials are not valid
+   */
+  async authenticateUser(email, password) {
+    try {
+      const user = await authService.verifyCredentials(email, password.toString());
+
+      // A password alone is not enough for users with a second factor; they
+      // connect with an access token instead
+      if (await twoFactorService.getLoginRequirement(user.id)) {
+        logger.warn(`MQTT password login refused for user ${user.id}, two-factor authentication applies`);
+        return null;
+      }
+
+      const principal = await this.buildUserPrincipal(user, 'password');
+      if (principal) {
+        await loginProtectionService.recordSuccess(email, user);
+      }
+      return principal;
+    } catch (error) {
+      // Wrong credentials, disabled users, or throttled and locked accounts
+      if ([401, 403, 429].includes(error.statusCode)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Authenticate a user by JWT access token
+   * @param {string|Buffer} token - Access token
+   * @returns {Promise<Object|null>} User principal, null when the token is not valid
+   */
+  async authenticateJwt(token) {
+    const accessToken = token.toString();
+    if (await isTokenBlacklisted(accessToken)) {
+      return null;
+    }
+
+    let decoded;
+    try {
+      decoded = authService.verifyToken(accessToken);
+    } catch (error) {
+      return null;
+    }
+
+    // Refresh and MFA challenge tokens are not access tokens
+    if (decoded.tokenType) {
+      return null;
+    }
+    if (decoded.sid && !(await authSessionService.isSessionActive(decoded.sid))) {
+      return null;
+    }
+
+    const user = await User.findByPk(decoded.id, { attributes: { exclude: ['password'] } });
+    return this.buildUserPrincipal(user, 'jwt');
+  }
+
+  /**
+   * Authenticate a gateway by device UUID and credential secret
+   * @param {string} deviceUuid - Gateway device UUID
+   * @param {string|Buffer} secret - Gateway credential secret
+   * @returns {Promise<Object|null>} Gateway principal, null when the credentials are not valid
+   */
+  async authenticateGateway(deviceUuid, secret) {
+    const device = await gatewayCredentialService.verify(deviceUuid, secret);
+    if (!device) {
+      return null;
+    }
+
+    return {
+      deviceId: device.id,
+      deviceUuid: device.uuid,
+      organizationIds: await mqttAclService.organizationsOf(device.uuid)
+    };
+  }
+
+  /**
+   * Principal of an active, verified user
+   * @param {Object|null} user - User instance
+   * @param {string} authMethod - password or jwt
+   * @returns {Promise<Object|null>} { userId, email, authMethod, isSystemAdmin, organizationIds, permissions }
+   */
+  async buildUserPrincipal(user, authMethod) {
+    if (!user || user.status === false) {
+      if (user) {
+        logger.warn(`MQTT login refused for inactive user ${user.id}`);
+      }
+      return null;
+    }
+    if (user.emailVerified === false) {
+      logger.warn(`MQTT login refused for user ${user.id} with unverified email`);
+      return null;
+    }
+
+    const [isSystemAdmin, permissions] = await Promise.all([
+      roleService.userIsSystemAdmin(user.id),
+      this.getMembershipPermissions(user.id)
+    ]);
+
+    return {
+      userId: user.id,
+      email: user.email,
+      authMethod,
+      isSystemAdmin,
+      organizationIds: Object.keys(permissions).map(Number),
+      permissions
+    };
+  }
+
+  /**
+   * Permissions a user holds in each organization they are an active member of
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Map of organization ID to permission names
+   */
+  async getMembershipPermissions(userId) {
+    const rows = await sequelize.query(`
+      SELECT ou.organizationId, p.name AS permission
+      FROM OrganizationUser ou
+      LEFT JOIN RolePermission rp ON rp.roleId = ou.role
+      LEFT JOIN Permission p ON p.id = rp.permissionId
+      WHERE ou.userId = :userId AND ou.status = 'active'
+    `, {
+      replacements: { userId },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return rows.reduce((permissions, row) => {
+      const organizationId = String(row.organizationId);
+      permissions[organizationId] = permissions[organizationId] || [];
+      if (row.permission && !permissions[organizationId].includes(row.permission)) {
+        permissions[organizationId].push(row.permission);
+      }
+      return permissions;
+    }, {});
+  }
+}
+
+module.exports = new MqttAuthService();
+module.exports.JWT_USERNAME = JWT_USERNAME;
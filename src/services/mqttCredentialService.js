@@ -0,0 +1,190 @@
+/**
+ * MQTT Credential Service
+ *
+ * Service-account credentials for AEMOS' own MQTT clients (the publishers in
+ * the API server and in rule engine workers). Credentials come from
+ * MQTT_SERVICE_USERNAME/MQTT_SERVICE_PASSWORD when configured. Otherwise the
+ * broker process generates them at startup and rotates them on a schedule,
+ * sharing the current pair with other processes through Redis:
+ *
+ *   mqtt:service-credentials  { username, password, issuedAt }
+ *
+ * After a rotation the previous password stays valid for a grace period so
+ * publishers have time to reconnect with the new one.
+ */
+const crypto = require('crypto');
+const redisConnection = require('../config/redis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const CREDENTIALS_KEY = 'mqtt:service-credentials';
+
+// Client IDs with this prefix are reserved for service-account sessions
+const SERVICE_CLIENT_ID_PREFIX = 'aemos-publisher-';
+
+// The hard-coded defaults earlier releases shipped with
+const LEGACY_CREDENTIALS = { username: 'publisher', password: 'publisher-secret' };
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const matches = (candidate, expected) => crypto.timingSafeEqual(digest(candidate), digest(expected));
+
+class MqttCredentialService {
+  constructor() {
+    this.current = null;
+    this.previous = null;
+    this.rotationInterval = null;
+  }
+
+  /**
+   * Whether the credentials come from configuration rather than rotation
+   * @returns {boolean}
+   */
+  isConfigured() {
+    const { password } = config.features.mqtt.serviceAccount;
+    return Boolean(password) && password !== LEGACY_CREDENTIALS.password;
+  }
+
+  /**
+   * Set up the credentials the broker accepts. Called once by the broker process.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    const { username, password } = config.features.mqtt.serviceAccount;
+
+    if (password === LEGACY_CREDENTIALS.password) {
+      logger.error('MQTT_SERVICE_PASSWORD is set to the old default publisher password; generating credentials instead');
+    }
+
+    if (this.isConfigured()) {
+      this.current = { username, password, issuedAt: new Date() };
+      logger.info('MQTT service credentials loaded from configuration');
+      return;
+    }
+
+    await this.rotate();
+  }
+
+  /**
+   * Issue a new password, keeping the current one valid for the grace period
+   * @returns {Promise<void>}
+   */
+  async rotate() {
+    const { username, gracePeriod } = config.features.mqtt.serviceAccount;
+
+    if (this.current) {
+      this.previous = { ...this.current, expiresAt: new Date(Date.now() + gracePeriod) };
+    }
+    this.current = {
+      username,
+      password: crypto.randomBytes(32).toString('hex'),
+      issuedAt: new Date()
+    };
+
+    try {
+      await redisConnection.set(CREDENTIALS_KEY, JSON.stringify(this.current));
+    } catch (error) {
+      // Publishers in this process still get them from memory
+      logger.warn(`Failed to share MQTT service credentials through Redis: ${error.message}`);
+    }
+
+    logger.info('MQTT service credentials rotated', { issuedAt: this.current.issuedAt });
+  }
+
+  /**
+   * Credentials a service client should connect with
+   * @returns {Promise<Object|null>} { username, password }, null if none have been issued
+   */
+  async getCredentials() {
+    const { username, password } = config.features.mqtt.serviceAccount;
+    if (this.isConfigured()) {
+      return { username, password };
+    }
+
+    if (this.current) {
+      return { username: this.current.username, password: this.current.password };
+    }
+
+    try {
+      const stored = await redisConnection.get(CREDENTIALS_KEY);
+      if (stored) {
+        const credentials = JSON.parse(stored);
+        return { username: credentials.username, password: credentials.password };
+      }
+    } catch (error) {
+      logger.error(`Failed to load MQTT service credentials: ${error.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Whether a username belongs to the service account
+   * @param {string} username - MQTT username
+   * @returns {boolean}
+   */
+  isServiceUsername(username) {
+    return Boolean(username) && username === config.features.mqtt.serviceAccount.username;
+  }
+
+  /**
+   * Check credentials against the current and, during its grace period, the
+   * previous service password
+   * @param {string} username - MQTT username
+   * @param {string|Buffer} password - MQTT password
+   * @returns {boolean}
+   */
+  verify(username, password) {
+    if (!password || !this.isServiceUsername(username)) {
+      return false;
+    }
+
+    const candidates = [this.current];
+    if (this.previous && this.previous.expiresAt > new Date()) {
+      candidates.push(this.previous);
+    }
+
+    // Compare against every candidate so timing does not reveal which matched
+    return candidates
+      .filter(Boolean)
+      .map((credentials) => matches(password.toString(), credentials.password))
+      .includes(true);
+  }
+
+  /**
+   * Whether credentials are the hard-coded defaults of earlier releases
+   * @param {string} username - MQTT username
+   * @param {string|Buffer} password - MQTT password
+   * @returns {boolean}
+   */
+  isLegacyCredentials(username, password) {
+    return username === LEGACY_CREDENTIALS.username && password?.toString() === LEGACY_CREDENTIALS.password;
+  }
+
+  startRotation() {
+    const { rotationInterval } = config.features.mqtt.serviceAccount;
+    if (this.rotationInterval || this.isConfigured() || rotationInterval <= 0) {
+      return;
+    }
+
+    this.rotationInterval = setInterval(async () => {
+      try {
+        await this.rotate();
+      } catch (error) {
+        logger.error(`Failed to rotate MQTT service credentials: ${error.message}`);
+      }
+    }, rotationInterval);
+
+    logger.info('MQTT service credential rotation started');
+  }
+
+  stopRotation() {
+    if (this.rotationInterval) {
+      clearInterval(this.rotationInterval);
+      this.rotationInterval = null;
+    }
+  }
+}
+
+module.exports = new MqttCredentialService();
+module.exports.SERVICE_CLIENT_ID_PREFIX = SERVICE_CLIENT_ID_PREFIX;
+module.exports.CREDENTIALS_KEY = CREDENTIALS_KEY;
@@ -3,6 +3,10 @@
  */
 const logger = require('../utils/logger');
 const config = require('../config/features');
+const mqttCredentialService = require('./mqttCredentialService');
+
+// Longest wait between attempts to pick up the service credentials
+const MAX_INITIALIZE_DELAY = 30000;
 
 class MQTTPublisherService {
   constructor() {
@@ -11,6 +15,8 @@ class MQTTPublisherService {
     this.publishQueue = [];
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
+    this.initializeTimer = null;
+    this.initializeAttempts = 0;
   }
 
   /**
@@ -25,15 +31,24 @@ class MQTTPublisherService {
     try {
       const mqtt = require('mqtt');
       
+      // Workers may start before the broker process has stored the
+      // generated credentials in Redis, so keep waiting for them
+      const credentials = await mqttCredentialService.getCredentials();
+      if (!credentials) {
+        this.scheduleInitialize('no service credentials yet; start the MQTT broker or set MQTT_SERVICE_PASSWORD');
+        return;
+      }
+      this.initializeAttempts = 0;
+      
       // Create MQTT client for publishing
       this.mqttClient = mqtt.connect(`mqtt://${config.mqtt.host}:${config.mqtt.port}`, {
-        clientId: `aemos-publisher-${Date.now()}`,
+        clientId: `${mqttCredentialService.SERVICE_CLIENT_ID_PREFIX}${Date.now()}`,
         clean: true,
         connectTimeout: 4000,
         reconnectPeriod: 1000,
         keepalive: 60,
-        username: 'publisher',
-        password: 'publisher-secret'
+        username: credentials.username,
+        password: credentials.password
       });
 
       this.mqttClient.on('connect', () => {
@@ -52,6 +67,7 @@ class MQTTPublisherService {
       this.mqttClient.on('close', () => {
         logger.warn('MQTT publisher disconnected');
         this.isConnected = false;
+        this.refreshCredentials();
       });
 
       this.mqttClient.on('reconnect', () => {
@@ -60,6 +76,38 @@ class MQTTPublisherService {
 
     } catch (error) {
       logger.error('Failed to initialize MQTT publisher:', error);
+      this.scheduleInitialize(error.message);
+    }
+  }
+
+  /**
+   * Try initialize() again later, backing off up to MAX_INITIALIZE_DELAY.
+   * Messages published meanwhile wait in publishQueue.
+   * @param {string} reason - Why the publisher could not start
+   */
+  scheduleInitialize(reason) {
+    if (this.initializeTimer) {
+      return;
+    }
+
+    const delay = Math.min(this.retryDelay * 2 ** this.initializeAttempts, MAX_INITIALIZE_DELAY);
+    this.initializeAttempts++;
+    logger.warn(`MQTT publisher not started (${reason}), retrying in ${delay}ms`);
+
+    this.initializeTimer = setTimeout(() => {
+      this.initializeTimer = null;
+      this.initialize();
+    }, delay);
+  }
+
+  /**
+   * Pick up rotated service credentials before the client reconnects
+   */
+  async refreshCredentials() {
+    const credentials = await mqttCredentialService.getCredentials();
+    if (credentials && this.mqttClient) {
+      this.mqttClient.options.username = credentials.username;
+      this.mqttClient.options.password = credentials.password;
     }
   }
 
@@ -135,10 +183,11 @@ class MQTTPublisherService {
    * Publish command to MQTT
    * @param {Object} command - Command object
    * @param {string} deviceUuid - Device UUID
+   * @returns {Promise<boolean>} True if handed to the broker, false if queued or disabled
    */
   async publishCommand(command, deviceUuid) {
     if (!config.mqtt.enabled) {
-      return;
+      return false;
     }
 
     const message = {
@@ -152,7 +201,7 @@ class MQTTPublisherService {
     };
 
     const topic = `devices/${deviceUuid}/commands`;
-    await this.publish(topic, message, { qos: 2, retain: false });
+    return this.publish(topic, message, { qos: 2, retain: false });
   }
 
   /**
@@ -209,10 +258,11 @@ class MQTTPublisherService {
    * @param {string} topic - MQTT topic
    * @param {Object} message - Message to publish
    * @param {Object} options - Publish options
+   * @returns {Promise<boolean>} True if handed to the client, false if queued for retry
    */
   async publish(topic, message, options = {}) {
     if (!config.mqtt.enabled) {
-      return;
+      return false;
     }
 
     const defaultOptions = {
@@ -226,7 +276,7 @@ class MQTTPublisherService {
     if (!this.isConnected || !this.mqttClient) {
       this.publishQueue.push({ topic, message, options: publishOptions });
       logger.debug(`Message queued for topic ${topic} (client not connected)`);
-      return;
+      return false;
     }
 
     try {
@@ -241,11 +291,12 @@ class MQTTPublisherService {
           logger.debug(`Published to ${topic}: ${payload.substring(0, 100)}...`);
         }
       });
-
+      return true;
     } catch (error) {
       logger.error(`Error publishing to ${topic}:`, error);
       // Queue for retry
       this.publishQueue.push({ topic, message, options: publishOptions, retries: 0 });
+      return false;
     }
   }
 
@@ -283,6 +334,10 @@ class MQTTPublisherService {
    * Shutdown MQTT publisher
    */
   shutdown() {
+    if (this.initializeTimer) {
+      clearTimeout(this.initializeTimer);
+      this.initializeTimer = null;
+    }
     if (this.mqttClient) {
       this.mqttClient.end();
       this.mqttClient = null;
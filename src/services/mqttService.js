@@ -1,5 +1,18 @@
 /**
  * MQTT Service for handling MQTT connections, authentication, and message routing
+ *
+ * Authenticated device sessions double as presence: connecting counts as a
+ * heartbeat and disconnecting marks the device offline (see
+ * connectivityService). Every device session carries a Last Will on
+ * devices/{uuid}/status so subscribers learn about connections that drop
+ * without a DISCONNECT.
+ *
+ * Besides device tokens, the broker accepts dashboard users (email/password
+ * or JWT) and gateway credentials, resolved by mqttAuthService. Gateways get
+ * the same presence tracking and Last Will as devices.
+ *
+ * Which topics a session may publish and subscribe to is enforced by the
+ * broker through mqttAclService.
  */
 const aedes = require('aedes')();
 const net = require('net');
@@ -7,8 +20,33 @@ const logger = require('../utils/logger');
 const config = require('../config');
 const MQTTAdapter = require('../adapters/mqttAdapter');
 const messageRouter = require('./messageRouter');
+const connectivityService = require('./connectivityService');
+const mqttAclService = require('./mqttAclService');
+const mqttCredentialService = require('./mqttCredentialService');
+const mqttAuthService = require('./mqttAuthService');
+const metricsManager = require('../utils/metricsManager');
 const { DeviceToken } = require('../models/initModels');
 
+const { SESSION_TYPES } = mqttAclService;
+const { SERVICE_CLIENT_ID_PREFIX } = mqttCredentialService;
+
+const LAST_WILL_QOS = 1;
+
+// Sessions whose connection counts as the presence of a device
+const PRESENCE_TYPES = [SESSION_TYPES.DEVICE, SESSION_TYPES.GATEWAY];
+
+/**
+ * Last Will the broker publishes for a device whose connection drops
+ * @param {string} deviceUuid - Device UUID
+ * @returns {Object} Will packet
+ */
+const buildLastWill = (deviceUuid) => ({
+  topic: `devices/${deviceUuid}/status`,
+  payload: Buffer.from(JSON.stringify({ status: 'offline', reason: 'connection-lost' })),
+  qos: LAST_WILL_QOS,
+  retain: false
+});
+
 class MQTTService {
   constructor() {
     this.server = null;
@@ -37,6 +75,25 @@ class MQTTService {
         this.handleClientConnection(client);
       });
       
+      // Handle client disconnection
+      aedes.on('clientDisconnect', (client) => {
+        this.handleClientDisconnect(client);
+      });
+      
+      // Handle subscriptions
+      aedes.on('subscribe', (subscriptions, client) => {
+        if (client) {
+          this.handleSubscribe(client, subscriptions);
+        }
+      });
+      
+      // Handle unsubscriptions
+      aedes.on('unsubscribe', (unsubscriptions, client) => {
+        if (client) {
+          this.handleUnsubscribe(client, unsubscriptions);
+        }
+      });
+      
       // Handle client authentication
       aedes.authenticate = async (client, username, password, callback) => {
         try {
@@ -52,6 +109,29 @@ class MQTTService {
         }
       };
       
+      // Enforce topic ACLs
+      aedes.authorizePublish = async (client, packet, callback) => {
+        try {
+          const isAuthorized = await this.authorizeTopic(client, 'publish', packet.topic);
+          callback(isAuthorized ? null : new Error(`Not authorized to publish to ${packet.topic}`));
+        } catch (error) {
+          logger.error(`Publish authorization error: ${error.message}`);
+          callback(error);
+        }
+      };
+      
+      aedes.authorizeSubscribe = async (client, subscription, callback) => {
+        try {
+          const isAuthorized = await this.authorizeTopic(client, 'subscribe', subscription.topic);
+          // A null subscription is refused (granted QoS 128) without
+          // disconnecting the client
+          callback(null, isAuthorized ? subscription : null);
+        } catch (error) {
+          logger.error(`Subscribe authorization error: ${error.message}`);
+          callback(error);
+        }
+      };
+      
       // Handle published messages
       aedes.on('publish', (packet, client) => {
         if (client) {
@@ -86,33 +166,20 @@ class MQTTService {
     // Store client
     this.clients.set(client.id, client);
     
-    // Handle client disconnection
-    aedes.on('clientDisconnect', (client) => {
-      this.handleClientDisconnect(client);
-    });
-    
     // Handle client errors
     client.on('error', (error) => {
       logger.error(`MQTT client error (${client.id}): ${error.message}`);
     });
     
-    // Handle subscriptions
-    aedes.on('subscribe', (subscriptions, client) => {
-      if (client) {
-        this.handleSubscribe(client, subscriptions);
-      }
-    });
-    
-    // Handle unsubscriptions
-    aedes.on('unsubscribe', (unsubscriptions, client) => {
-      if (client) {
-        this.handleUnsubscribe(client, unsubscriptions);
-      }
-    });
+    const session = this.authenticatedClients.get(client.id);
+    if (session && session.client === client && PRESENCE_TYPES.includes(session.type)) {
+      session.connectedSince = new Date();
+      session.ip = client.conn && client.conn.remoteAddress ? client.conn.remoteAddress : null;
+      
+      this.recordPresence(session.deviceUuid);
+    }
   }
   
-
-  
   /**
    * Authenticate client
    * @param {Object} client - MQTT client
@@ -127,9 +194,27 @@ class MQTTService {
       logger.info(`   Password length: ${password ? password.length : 0}`);
       logger.info(`   Token-based auth enabled: ${config.features.mqtt.authentication.tokenBased}`);
 
-      // Allow internal publisher with dedicated credentials
-      if (username === 'publisher' && password?.toString() === 'publisher-secret') {
+      // The old hard-coded publisher credentials are no longer accepted
+      if (mqttCredentialService.isLegacyCredentials(username, password)) {
+        this.auditRejection(client, username, 'legacy_credentials');
+        return false;
+      }
+      
+      // Internal publishers authenticate with the rotating service credentials,
+      // and only they may use the reserved client ID prefix
+      const hasServiceClientId = Boolean(client.id) && client.id.startsWith(SERVICE_CLIENT_ID_PREFIX);
+      if (hasServiceClientId || mqttCredentialService.isServiceUsername(username)) {
+        if (!mqttCredentialService.verify(username, password)) {
+          this.auditRejection(client, username, hasServiceClientId ? 'reserved_client_id' : 'invalid_service_credentials');
+          return false;
+        }
+        
         logger.info(`✅ Internal publisher authenticated: ${client.id}`);
+        this.authenticatedClients.set(client.id, {
+          client,
+          type: SESSION_TYPES.SERVICE,
+          authenticatedAt: new Date()
+        });
         return true;
       }
       
@@ -137,12 +222,62 @@ class MQTTService {
       if (!username || !password) {
         if (process.env.NODE_ENV === 'development' || process.env.MQTT_ALLOW_UNAUTHENTICATED === 'true') {
           logger.info(`Allowing unauthenticated MQTT connection for client ${client.id} (development mode)`);
+          this.authenticatedClients.set(client.id, {
+            client,
+            type: SESSION_TYPES.ANONYMOUS,
+            authenticatedAt: new Date()
+          });
           return true;
         }
         logger.warn(`No credentials provided for client ${client.id}`);
         return false;
       }
       
+      // Dashboard users log in with their email and password, or with a JWT
+      // access token under the "jwt" username
+      if (mqttAuthService.isUserLogin(username) || mqttAuthService.isJwtLogin(username)) {
+        const isJwt = mqttAuthService.isJwtLogin(username);
+        const user = isJwt
+          ? await mqttAuthService.authenticateJwt(password)
+          : await mqttAuthService.authenticateUser(username, password);
+        
+        if (!user) {
+          logger.warn(`❌ MQTT user login failed for client ${client.id}`);
+          this.recordAuthRejection(isJwt ? 'invalid_jwt' : 'invalid_user_credentials');
+          return false;
+        }
+        
+        this.authenticatedClients.set(client.id, {
+          client,
+          type: SESSION_TYPES.ORGANIZATION,
+          ...user,
+          authenticatedAt: new Date()
+        });
+        
+        logger.info(`✅ MQTT client ${client.id} authenticated as user ${user.userId}`);
+        return true;
+      }
+      
+      // Gateways log in with their device UUID and a gateway credential
+      const gateway = await mqttAuthService.authenticateGateway(username, password);
+      if (gateway) {
+        if (!client._will) {
+          client._will = buildLastWill(gateway.deviceUuid);
+        }
+        
+        this.authenticatedClients.set(client.id, {
+          client,
+          type: SESSION_TYPES.GATEWAY,
+          ...gateway,
+          protocolVersion: client.version,
+          qos: client._will.qos,
+          authenticatedAt: new Date()
+        });
+        
+        logger.info(`✅ MQTT client ${client.id} authenticated as gateway ${gateway.deviceUuid}`);
+        return true;
+      }
+      
       // For token-based authentication, username is device UUID and password is token
       if (config.features.mqtt.authentication.tokenBased) {
         const deviceUuid = username;
@@ -186,10 +321,21 @@ class MQTTService {
           return false;
         }
         
-        // Store authenticated client
+        // aedes stores client._will once authentication succeeds, so a
+        // session without its own Last Will gets the default one
+        if (!client._will) {
+          client._will = buildLastWill(deviceUuid);
+        }
+        
+        // Store authenticated client; the connection details are completed
+        // once the broker has registered it
         this.authenticatedClients.set(client.id, {
+          client,
+          type: SESSION_TYPES.DEVICE,
           deviceUuid,
           token,
+          protocolVersion: client.version,
+          qos: client._will.qos,
           authenticatedAt: new Date()
         });
         
@@ -197,8 +343,8 @@ class MQTTService {
         return true;
       }
       
-      // For username/password authentication
-      logger.warn(`❌ Username/password authentication not implemented`);
+      logger.warn(`❌ No matching credentials for client ${client.id}`);
+      this.recordAuthRejection('invalid_credentials');
       return false;
       
     } catch (error) {
@@ -207,6 +353,36 @@ class MQTTService {
     }
   }
   
+  /**
+   * Record a rejected attempt to pass as an internal publisher
+   * @param {Object} client - MQTT client
+   * @param {string} username - Username the client sent
+   * @param {string} reason - legacy_credentials, reserved_client_id or invalid_service_credentials
+   */
+  auditRejection(client, username, reason) {
+    logger.warn(`🚨 MQTT service account login rejected for client ${client.id}`, {
+      audit: 'mqtt_service_account',
+      reason,
+      clientId: client.id,
+      username,
+      ip: client.conn && client.conn.remoteAddress ? client.conn.remoteAddress : null
+    });
+    
+    this.recordAuthRejection(reason);
+  }
+  
+  /**
+   * Count a rejected login
+   * @param {string} reason - Why the credentials were rejected
+   */
+  recordAuthRejection(reason) {
+    try {
+      metricsManager.incrementCounter('mqtt_auth_rejections_total', { reason });
+    } catch (err) {
+      logger.warn('Failed to record MQTT auth rejection metric', { error: err.message });
+    }
+  }
+  
   /**
    * Handle client disconnect
    * @param {Object} client - MQTT client
@@ -214,9 +390,93 @@ class MQTTService {
   handleClientDisconnect(client) {
     logger.info(`MQTT client disconnected: ${client.id}`);
     
-    // Remove from clients map
-    this.clients.delete(client.id);
-    this.authenticatedClients.delete(client.id);
+    // A reconnect with the same client ID authenticates before the broker
+    // drops the previous connection, so only remove entries this client owns
+    if (this.clients.get(client.id) === client) {
+      this.clients.delete(client.id);
+    }
+    
+    const session = this.authenticatedClients.get(client.id);
+    if (session && session.client === client) {
+      this.authenticatedClients.delete(client.id);
+      if (PRESENCE_TYPES.includes(session.type)) {
+        this.recordPresence(session.deviceUuid, 'offline');
+      }
+    }
+  }
+  
+  /**
+   * Check a publish or subscribe against the client's topic ACL
+   * @param {Object|null} client - MQTT client, null for wills of clients on another broker
+   * @param {string} operation - publish or subscribe
+   * @param {string} topic - Topic or topic filter
+   * @returns {Promise<boolean>} Whether the operation is allowed
+   */
+  async authorizeTopic(client, operation, topic) {
+    // Read before anything is awaited: a Last Will is authorized while the
+    // client disconnects, right before its session is removed
+    const session = client ? this.authenticatedClients.get(client.id) : null;
+    
+    let isAuthorized = false;
+    if (session) {
+      isAuthorized = operation === 'publish'
+        ? await mqttAclService.canPublish(session, topic)
+        : await mqttAclService.canSubscribe(session, topic);
+    }
+    
+    if (!isAuthorized) {
+      const clientType = session ? session.type : 'unauthenticated';
+      logger.warn(`🚫 MQTT ${operation} to ${topic} denied for ${clientType} client ${client ? client.id : 'unknown'}`);
+      this.recordAclDenial(operation, clientType);
+    }
+    return isAuthorized;
+  }
+  
+  /**
+   * Count a denied publish or subscribe
+   * @param {string} operation - publish or subscribe
+   * @param {string} clientType - Session type, or unauthenticated
+   */
+  recordAclDenial(operation, clientType) {
+    try {
+      metricsManager.incrementCounter('mqtt_acl_denials_total', { operation, clientType });
+    } catch (err) {
+      logger.warn('Failed to record MQTT ACL denial metric', { error: err.message });
+    }
+  }
+  
+  /**
+   * Record a device connecting or disconnecting as a heartbeat
+   * @param {string} deviceUuid - Device UUID
+   * @param {string} reportedStatus - "offline" when the device went away
+   */
+  async recordPresence(deviceUuid, reportedStatus) {
+    try {
+      await connectivityService.recordHeartbeat(deviceUuid, { reportedStatus });
+    } catch (error) {
+      logger.error(`Error recording MQTT presence for ${deviceUuid}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Current MQTT connection of a device
+   * @param {string} deviceUuid - Device UUID
+   * @returns {Object|null} Connection details, null when the device is not connected
+   */
+  getConnection(deviceUuid) {
+    for (const [clientId, session] of this.authenticatedClients) {
+      if (session.deviceUuid === deviceUuid && session.connectedSince) {
+        return {
+          clientId,
+          protocol: 'mqtt',
+          protocolVersion: session.protocolVersion,
+          ip: session.ip,
+          connectedSince: session.connectedSince,
+          qos: session.qos
+        };
+      }
+    }
+    return null;
   }
   
   /**
@@ -228,8 +488,16 @@ class MQTTService {
     try {
       const { topic, payload, qos, retain } = packet;
       
+      // A closed client only publishes its Last Will; presence was already
+      // recorded when it disconnected
+      if (client.closed) {
+        logger.debug(`📴 Last Will delivered for ${client.id}: ${topic}`);
+        return;
+      }
+      
       // Check if this is from internal publisher (system-generated messages)
-      const isInternalPublisher = client.id && client.id.startsWith('aemos-publisher-');
+      const session = this.authenticatedClients.get(client.id);
+      const isInternalPublisher = Boolean(session) && session.type === SESSION_TYPES.SERVICE;
       
       if (isInternalPublisher) {
         // Internal publisher messages are system-generated (e.g., rule chain results, notifications)
@@ -241,14 +509,11 @@ class MQTTService {
       // External MQTT client message
       logger.info(`📥 MQTT publish received: ${topic} from external client ${client.id}`);
       
-      // Check authentication for external clients
-      if (config.features.mqtt.authentication.enabled) {
-        const authInfo = this.authenticatedClients.get(client.id);
-        if (!authInfo) {
-          logger.warn(`Unauthenticated client ${client.id} attempted to publish to ${topic}`);
-          // For testing, allow unauthenticated clients to publish but log warning
-          // In production, you would return here to block unauthenticated messages
-        }
+      // The broker already checked the topic ACL; a client without a
+      // session can only get here if it was dropped in the meantime
+      if (config.features.mqtt.authentication.enabled && !session) {
+        logger.warn(`Unauthenticated client ${client.id} attempted to publish to ${topic}`);
+        return;
       }
       
       // Normalize message
@@ -318,13 +583,9 @@ class MQTTService {
       logger.debug(`MQTT subscribe from ${client.id}:`, subscriptions);
       
       // Check if client is authenticated
-      if (config.features.mqtt.authentication.enabled) {
-        const authInfo = this.authenticatedClients.get(client.id);
-        if (!authInfo) {
-          logger.warn(`Unauthenticated client ${client.id} attempted to subscribe`);
-          // For testing, allow unauthenticated clients to subscribe but log warning
-          // In production, you would return here to block unauthenticated subscriptions
-        }
+      if (config.features.mqtt.authentication.enabled && !this.authenticatedClients.has(client.id)) {
+        logger.warn(`Unauthenticated client ${client.id} attempted to subscribe`);
+        return;
       }
       
       // Accept subscriptions
@@ -1,9 +1,10 @@
 const config = require('../config');
 const logger = require('../utils/logger');
 const socketManager = require('../utils/socketManager');
+const { sendMail } = require('../utils/mailTransport');
 
 /**
- * Send email notification to user
+ * Send email notification to user through the configured mail transport
  * @param {Object} user - User object with email
  * @param {String} subject - Email subject
  * @param {String} message - Email message
@@ -11,13 +12,7 @@ const socketManager = require('../utils/socketManager');
  */
 const sendEmailNotification = async (user, subject, message) => {
   try {
-    // In a real-world application, this would connect to an email service
-    // such as SendGrid, Mailgun, AWS SES, etc.
-    
-    logger.info(`[EMAIL] To: ${user.email}, Subject: ${subject}`);
-    logger.debug(`[EMAIL CONTENT] ${message}`);
-    
-    // Simulate email sending success
+    await sendMail({ to: user.email, subject, text: message });
     return true;
   } catch (error) {
     logger.error(`Failed to send email notification: ${error.message}`, { error });
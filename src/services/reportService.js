@@ -1,6 +1,8 @@
 const { sequelize } = require('../models/initModels');
 const { ApiError } = require('../middlewares/errorHandler');
 const roleService = require('../services/roleService');
+const connectivityService = require('../services/connectivityService');
+const { CONNECTIVITY, connectivityOf } = require('../ruleEngine/conditions/Connectivity');
 
 /**
  * Get device status report by organization
@@ -352,22 +354,37 @@ const getRuleChainExecutionReport = async (organizationId, user) => {
       }
     }
     
+    // Run counts and failure rates come from the RuleChainExecution history
+    // (last 7 days); lifetime counters come from RuleChain itself
     const query = `
       SELECT 
         rc.id,
         rc.name AS rule_chain,
         o.name AS organization,
-        rc.executionInterval,
-        rc.lastExecution,
-        DATEDIFF(NOW(), rc.lastExecution) AS days_since_last_exec,
+        rc.executionType,
+        rc.cronExpression,
+        COALESCE(MAX(rce.startedAt), rc.lastExecutedAt) AS lastExecutedAt,
+        rc.lastErrorAt,
+        rc.executionCount,
+        rc.failureCount,
+        DATEDIFF(NOW(), COALESCE(MAX(rce.startedAt), rc.lastExecutedAt)) AS days_since_last_exec,
+        COUNT(rce.id) AS runs_last_7_days,
+        SUM(CASE WHEN rce.status IN ('failed', 'timeout') THEN 1 ELSE 0 END) AS failures_last_7_days,
+        SUM(CASE WHEN rce.status = 'aborted' THEN 1 ELSE 0 END) AS aborted_last_7_days,
+        ROUND(AVG(rce.durationMs)) AS avg_duration_ms,
         CASE 
-          WHEN rc.status = 1 AND DATEDIFF(NOW(), rc.lastExecution) > 7 THEN 'Warning - Not recently executed'
-          WHEN rc.status = 0 THEN 'Disabled'
+          WHEN COALESCE(MAX(rce.startedAt), rc.lastExecutedAt) IS NULL THEN 'Never executed'
+          WHEN COUNT(rce.id) = 0 THEN 'Warning - Not recently executed'
+          WHEN SUM(CASE WHEN rce.status IN ('failed', 'timeout') THEN 1 ELSE 0 END) > 0 THEN 'Warning - Recent failures'
           ELSE 'Active'
         END AS status
       FROM RuleChain rc
       JOIN Organization o ON rc.organizationId = o.id
+      LEFT JOIN RuleChainExecution rce
+        ON rce.ruleChainId = rc.id
+        AND rce.startedAt >= DATE_SUB(NOW(), INTERVAL 7 DAY)
       WHERE rc.organizationId = :organizationId
+      GROUP BY rc.id, rc.name, o.name
       ORDER BY days_since_last_exec DESC
     `;
     
@@ -539,6 +556,176 @@ const getTicketResolutionReport = async (organizationId, user) => {
   }
 };
 
+/**
+ * Devices and sensors of an organization with the areas they belong to,
+ * one row per originator and area
+ * @param {Number} organizationId - The ID of the organization to filter by
+ * @returns {Promise<Array>}
+ */
+const getConnectivityMembers = async (organizationId) => {
+  const query = `
+    SELECT 
+      'device' AS originator_type,
+      d.id AS originator_id,
+      d.uuid,
+      d.name,
+      d.status,
+      d.lastHeartbeat AS last_heartbeat,
+      a.id AS area_id,
+      a.name AS area
+    FROM Device d
+    JOIN AreaDevice ad ON d.id = ad.deviceId
+    JOIN Area a ON ad.areaId = a.id
+    WHERE a.organizationId = :organizationId
+    UNION ALL
+    SELECT 
+      'sensor' AS originator_type,
+      s.id AS originator_id,
+      s.uuid,
+      s.name,
+      s.status,
+      s.lastHeartbeat AS last_heartbeat,
+      a.id AS area_id,
+      a.name AS area
+    FROM Sensor s
+    JOIN AreaSensor asen ON s.id = asen.sensorId
+    JOIN Area a ON asen.areaId = a.id
+    WHERE a.organizationId = :organizationId
+  `;
+
+  return sequelize.query(query, {
+    replacements: { organizationId },
+    type: sequelize.QueryTypes.SELECT
+  });
+};
+
+const uptimePercentage = (onlineSeconds, offlineSeconds) => {
+  const tracked = onlineSeconds + offlineSeconds;
+  return tracked > 0 ? `${(onlineSeconds / tracked * 100).toFixed(2)}%` : null;
+};
+
+/**
+ * Get uptime of each device and sensor of an organization from its
+ * connectivity history. Time before an originator's first heartbeat is
+ * not counted.
+ * @param {Number} organizationId - The ID of the organization to filter by
+ * @param {Object} user - The user requesting the report
+ * @param {Object} range - { from, to } Dates
+ * @returns {Promise<Array>} Array of device and sensor uptime data
+ */
+const getDeviceUptimeReport = async (organizationId, user, range) => {
+  try {
+    // Check if user is a System Admin
+    const isSystemAdmin = await roleService.userIsSystemAdmin(user.id);
+    
+    // If not system admin, verify user has access to this organization
+    if (!isSystemAdmin) {
+      const userOrgs = await roleService.getUserOrganizations(user.id);
+      const orgIds = userOrgs.map(org => org.id);
+      
+      if (!orgIds.includes(Number(organizationId))) {
+        throw new ApiError(403, 'Forbidden: You do not have access to this organization');
+      }
+    }
+    
+    const [members, uptime] = await Promise.all([
+      getConnectivityMembers(organizationId),
+      connectivityService.getUptime(Number(organizationId), range.from, range.to)
+    ]);
+    
+    const rows = new Map();
+    members.forEach((member) => {
+      const key = `${member.originator_type}:${member.originator_id}`;
+      if (rows.has(key)) {
+        rows.get(key).areas.push(member.area);
+        return;
+      }
+      const { onlineSeconds = 0, offlineSeconds = 0, outages = 0 } = uptime.get(key) || {};
+      rows.set(key, {
+        originator_type: member.originator_type,
+        id: member.originator_id,
+        uuid: member.uuid,
+        name: member.name,
+        status: member.status,
+        last_heartbeat: member.last_heartbeat,
+        areas: [member.area],
+        online_seconds: onlineSeconds,
+        offline_seconds: offlineSeconds,
+        outages,
+        uptime_percentage: uptimePercentage(onlineSeconds, offlineSeconds)
+      });
+    });
+    
+    return Array.from(rows.values());
+  } catch (error) {
+    console.error('Error in getDeviceUptimeReport:', error.message);
+    throw error instanceof ApiError ? error : new ApiError(500, 'Failed to generate device uptime report');
+  }
+};
+
+/**
+ * Get uptime of each area of an organization, summed over its devices and sensors
+ * @param {Number} organizationId - The ID of the organization to filter by
+ * @param {Object} user - The user requesting the report
+ * @param {Object} range - { from, to } Dates
+ * @returns {Promise<Array>} Array of area uptime data
+ */
+const getAreaUptimeReport = async (organizationId, user, range) => {
+  try {
+    // Check if user is a System Admin
+    const isSystemAdmin = await roleService.userIsSystemAdmin(user.id);
+    
+    // If not system admin, verify user has access to this organization
+    if (!isSystemAdmin) {
+      const userOrgs = await roleService.getUserOrganizations(user.id);
+      const orgIds = userOrgs.map(org => org.id);
+      
+      if (!orgIds.includes(Number(organizationId))) {
+        throw new ApiError(403, 'Forbidden: You do not have access to this organization');
+      }
+    }
+    
+    const [members, uptime] = await Promise.all([
+      getConnectivityMembers(organizationId),
+      connectivityService.getUptime(Number(organizationId), range.from, range.to)
+    ]);
+    
+    const areas = new Map();
+    members.forEach((member) => {
+      if (!areas.has(member.area_id)) {
+        areas.set(member.area_id, {
+          id: member.area_id,
+          area: member.area,
+          device_count: 0,
+          sensor_count: 0,
+          offline_now: 0,
+          online_seconds: 0,
+          offline_seconds: 0,
+          outages: 0
+        });
+      }
+      const area = areas.get(member.area_id);
+      const { onlineSeconds = 0, offlineSeconds = 0, outages = 0 } =
+        uptime.get(`${member.originator_type}:${member.originator_id}`) || {};
+      
+      area[member.originator_type === 'device' ? 'device_count' : 'sensor_count']++;
+      if (connectivityOf(member.status) === CONNECTIVITY.OFFLINE) {
+        area.offline_now++;
+      }
+      area.online_seconds += onlineSeconds;
+      area.offline_seconds += offlineSeconds;
+      area.outages += outages;
+    });
+    
+    return Array.from(areas.values())
+      .map((area) => ({ ...area, uptime_percentage: uptimePercentage(area.online_seconds, area.offline_seconds) }))
+      .sort((a, b) => b.offline_seconds - a.offline_seconds);
+  } catch (error) {
+    console.error('Error in getAreaUptimeReport:', error.message);
+    throw error instanceof ApiError ? error : new ApiError(500, 'Failed to generate area uptime report');
+  }
+};
+
 module.exports = {
   getDeviceStatusReport,
   getSensorTelemetryReport,
@@ -549,5 +736,7 @@ module.exports = {
   getRuleChainExecutionReport,
   getSensorAnomalyReport,
   getUserRoleDistributionReport,
-  getTicketResolutionReport
+  getTicketResolutionReport,
+  getDeviceUptimeReport,
+  getAreaUptimeReport
 }; 
\ No newline at end of file
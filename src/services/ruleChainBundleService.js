@@ -0,0 +1,444 @@
+/**
+ * Rule Chain Bundle Service
+ *
+ * Exports a rule chain as a portable JSON bundle and imports such bundles
+ * into an organization. Sensor and device UUIDs are swapped for placeholders
+ * such as "{{sensor:1}}" on export; the importer maps each placeholder to a
+ * sensor or device of the target organization. Nodes refer to each other by
+ * name, since node IDs only mean something inside one database.
+ *
+ *   {
+ *     format: 'aemos-rule-chain', formatVersion: 1,
+ *     ruleChain: { name, description, executionType, ... },
+ *     placeholders: [{ placeholder: '{{sensor:1}}', type: 'sensor', name: 'Bench 3', keys: ['temperature'] }],
+ *     nodes: [{ name, type, config, next, edges: [{ label, target }] }]
+ *   }
+ */
+const { RuleChain, RuleChainNode, Sensor, Device } = require('../models/initModels');
+const sequelize = require('../config/database');
+const { ApiError } = require('../middlewares/errorHandler');
+const { ruleChainService } = require('./ruleChainService');
+const ruleChainVersionService = require('./ruleChainVersionService');
+const { sensorBelongsToOrganization } = require('./sensorService');
+const { deviceBelongsToOrganization } = require('./deviceService');
+const { validateUUID } = require('../utils/uuidValidator');
+const ExpressionEvaluator = require('../ruleEngine/expressions/ExpressionEvaluator');
+const MessageTemplate = require('../ruleEngine/expressions/MessageTemplate');
+const logger = require('../utils/logger');
+
+const BUNDLE_FORMAT = 'aemos-rule-chain';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// RuleChain columns that travel with a bundle (no counters, timestamps or owner)
+const CHAIN_FIELDS = [
+  'name', 'description', 'executionType', 'scheduleEnabled', 'cronExpression',
+  'timezone', 'priority', 'maxRetries', 'retryDelay', 'scheduleMetadata'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{(sensor|device):\d+\}\}/g;
+
+const parseConfig = (config) => {
+  if (typeof config !== 'string') return config || null;
+  try {
+    return JSON.parse(config);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Apply fn to every string inside a config, keeping its shape
+const mapStrings = (value, fn) => {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+};
+
+const collectPlaceholders = (value, found = new Set()) => {
+  mapStrings(value, (text) => {
+    (text.match(PLACEHOLDER_PATTERN) || []).forEach((placeholder) => found.add(placeholder));
+    return text;
+  });
+  return found;
+};
+
+/**
+ * List the sensors and devices a node reads or commands, wherever the engine
+ * looks for them: filter leaves, action commands, notification messages and
+ * expression inputs/outputs
+ * @param {Object} config - Parsed node config
+ * @param {string} nodeType - filter, transform or action
+ * @returns {Array<{type: string, uuid: string, key: string|null}>}
+ */
+const extractEntityReferences = (config, nodeType) => {
+  if (!config || typeof config !== 'object') return [];
+  const references = [];
+
+  if (nodeType === 'filter') {
+    const walk = (expr) => {
+      if (!expr || typeof expr !== 'object') return;
+      if ((expr.type === 'AND' || expr.type === 'OR') && Array.isArray(expr.expressions)) {
+        expr.expressions.forEach(walk);
+        return;
+      }
+      const leafType = expr.sourceType === 'device' ? 'device' : 'sensor';
+      [expr.UUID, expr.uuid].filter(Boolean).forEach((uuid) => references.push({ type: leafType, uuid, key: expr.key || null }));
+      if (expr.sensorUUID) references.push({ type: 'sensor', uuid: expr.sensorUUID, key: expr.key || null });
+      if (expr.deviceUUID) references.push({ type: 'device', uuid: expr.deviceUUID, key: expr.key || null });
+    };
+    walk(config);
+  } else if (nodeType === 'transform' && config.type === 'expression') {
+    try {
+      ExpressionEvaluator.extractReferences(ExpressionEvaluator.parse(config.expression))
+        .forEach((ref) => references.push({ type: ref.sourceType, uuid: ref.UUID, key: ref.key }));
+    } catch (err) {
+      // Unparseable expressions are reported by validation on import
+    }
+    const output = config.output || {};
+    if (output.UUID) {
+      references.push({ type: output.sourceType === 'device' ? 'device' : 'sensor', uuid: output.UUID, key: output.key || null });
+    }
+  } else if (nodeType === 'action' && ['notification', 'clear_alarm'].includes(config.type)) {
+    [config.title, config.insight].filter((text) => typeof text === 'string').forEach((text) => {
+      try {
+        MessageTemplate.extractReferences(text)
+          .forEach((ref) => references.push({ type: ref.sourceType, uuid: ref.UUID, key: ref.key }));
+      } catch (err) {
+        // Reported by validation on import
+      }
+    });
+    if (config.originator && config.originator.UUID) {
+      references.push({ type: config.originator.sourceType === 'device' ? 'device' : 'sensor', uuid: config.originator.UUID, key: null });
+    }
+  } else if (nodeType === 'action' && config.command && config.command.deviceUuid) {
+    references.push({ type: 'device', uuid: config.command.deviceUuid, key: config.command.stateName || null });
+  }
+
+  return references;
+};
+
+class RuleChainBundleService {
+  /**
+   * Build a portable bundle from a rule chain's live nodes
+   * @param {number} ruleChainId - Rule chain ID
+   * @returns {Promise<Object>} Bundle
+   */
+  async exportChain(ruleChainId) {
+    const ruleChain = await RuleChain.findByPk(ruleChainId);
+    if (!ruleChain) {
+      throw new ApiError(404, 'Rule chain not found');
+    }
+    const nodes = await RuleChainNode.findAll({ where: { ruleChainId }, order: [['id', 'ASC']] });
+
+    // Number placeholders in order of first use
+    const placeholders = new Map();
+    const parsedNodes = nodes.map((node) => {
+      const config = parseConfig(node.config);
+      extractEntityReferences(config, node.type).forEach(({ type, uuid, key }) => {
+        if (!placeholders.has(uuid)) {
+          const count = [...placeholders.values()].filter((entry) => entry.type === type).length;
+          placeholders.set(uuid, { placeholder: `{{${type}:${count + 1}}}`, type, keys: new Set() });
+        }
+        if (key) placeholders.get(uuid).keys.add(key);
+      });
+      return { node, config };
+    });
+
+    const names = await this._entityNames([...placeholders.entries()]);
+    const replaceUuids = (text) => [...placeholders.entries()].reduce(
+      (result, [uuid, entry]) => result.split(uuid).join(entry.placeholder),
+      text
+    );
+
+    const nameById = new Map(nodes.map((node) => [node.id, node.name]));
+    return {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      sourceVersion: ruleChain.publishedVersion || null,
+      ruleChain: Object.fromEntries(CHAIN_FIELDS.map((field) => [field, ruleChain[field] === undefined ? null : ruleChain[field]])),
+      placeholders: [...placeholders.entries()].map(([uuid, entry]) => ({
+        placeholder: entry.placeholder,
+        type: entry.type,
+        name: names.get(uuid) || null,
+        keys: [...entry.keys]
+      })),
+      nodes: parsedNodes.map(({ node, config }) => ({
+        name: node.name,
+        type: node.type,
+        config: config === null ? null : mapStrings(config, replaceUuids),
+        next: node.nextNodeId ? nameById.get(node.nextNodeId) || null : null,
+        edges: ruleChainService._parseNodeEdges(node.edges).map((edge) => ({
+          label: edge.label,
+          target: nameById.get(Number(edge.targetNodeId)) || null
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Create a rule chain in an organization from a bundle
+   * @param {Object} input - { organizationId, bundle, mappings, name }
+   *   mappings: { '{{sensor:1}}': '<sensor uuid>', ... }; name overrides the bundle's chain name
+   * @returns {Promise<Object>} { ruleChain, nodes }
+   */
+  async importChain(input) {
+    const { organizationId, bundle, mappings = {}, name } = input;
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      throw new ApiError(400, `Not a rule chain bundle (expected format "${BUNDLE_FORMAT}")`);
+    }
+    if (bundle.formatVersion !== BUNDLE_FORMAT_VERSION) {
+      throw new ApiError(400, `Unsupported bundle format version ${bundle.formatVersion}`);
+    }
+
+    const declared = new Map((bundle.placeholders || []).map((entry) => [entry.placeholder, entry]));
+    const errors = [];
+
+    // Every placeholder used by a node must be declared and mapped
+    const used = collectPlaceholders(bundle.nodes.map((node) => node.config));
+    used.forEach((placeholder) => {
+      if (!declared.has(placeholder)) {
+        errors.push({ path: 'bundle.placeholders', value: placeholder, error: 'Placeholder is used by a node but not declared' });
+      }
+    });
+    declared.forEach((entry, placeholder) => {
+      if (used.has(placeholder) && !mappings[placeholder]) {
+        errors.push({
+          path: `mappings.${placeholder}`,
+          value: entry.name || null,
+          error: `No ${entry.type} mapped for this placeholder`
+        });
+      }
+    });
+
+    errors.push(...this.linkErrors(bundle.nodes, 'bundle.nodes'));
+    errors.push(...await this._checkMappedEntities(declared, mappings, used, organizationId));
+    this._throwIfInvalid(errors, 'Bundle could not be mapped to this organization');
+
+    const substitute = (text) => text.replace(PLACEHOLDER_PATTERN, (placeholder) => mappings[placeholder]);
+    const nodes = bundle.nodes.map((node) => ({
+      ...node,
+      config: node.config === null || node.config === undefined ? null : mapStrings(node.config, substitute)
+    }));
+
+    // UUIDs written into a config directly, not through a placeholder, must
+    // belong to the organization as well
+    this._throwIfInvalid(
+      await this.entityReferenceErrors(nodes, organizationId, 'bundle.nodes'),
+      'Bundle could not be mapped to this organization'
+    );
+
+    return this.createChainFromNodes(
+      organizationId,
+      { ...bundle.ruleChain, name: name || bundle.ruleChain.name },
+      nodes,
+      { origin: 'import', notes: 'Imported from bundle', invalidMessage: 'Bundle nodes are not valid' }
+    );
+  }
+
+  /**
+   * Problems with links between bundle-style nodes, which name their targets
+   * @param {Array<Object>} nodes - [{ name, next, edges: [{ label, target }] }]
+   * @param {string} path - Path prefix for error details
+   * @returns {Array<Object>} Problems as { path, value, error }
+   */
+  linkErrors(nodes, path) {
+    const names = new Set(nodes.map((node) => node.name));
+    const errors = [];
+    nodes.forEach((node, index) => {
+      if (node.next && !names.has(node.next)) {
+        errors.push({ path: `${path}[${index}].next`, value: node.next, error: 'No node with this name in the rule chain' });
+      }
+      (node.edges || []).forEach((edge, edgeIndex) => {
+        if (!names.has(edge.target)) {
+          errors.push({ path: `${path}[${index}].edges[${edgeIndex}].target`, value: edge.target, error: 'No node with this name in the rule chain' });
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Everything that would stop bundle-style nodes from becoming a rule chain:
+   * broken links, then the same checks as publishing a version (configs via
+   * validateRuleChainConfig, names, edges, cycles)
+   * @param {Array<Object>} nodes - Bundle-style nodes with real UUIDs
+   * @param {string} path - Path prefix for error details
+   * @returns {Array<Object>} Problems as { path, value, error }
+   */
+  nodeErrors(nodes, path = 'nodes') {
+    const errors = this.linkErrors(nodes, path);
+    if (errors.length > 0) {
+      return errors;
+    }
+    return ruleChainVersionService.validateSnapshot(this._toSnapshot(nodes))
+      .map((error) => ({ ...error, path: error.path.replace(/^nodes/, path) }));
+  }
+
+  // Version snapshot of bundle-style nodes, numbered in order
+  _toSnapshot(nodes) {
+    const idByName = new Map(nodes.map((node, index) => [node.name, index + 1]));
+    return nodes.map((node, index) => ({
+      id: index + 1,
+      name: node.name,
+      type: node.type,
+      config: node.config === undefined ? null : node.config,
+      nextNodeId: node.next ? idByName.get(node.next) : null,
+      edges: (node.edges || []).map((edge) => ({ label: edge.label, targetNodeId: idByName.get(edge.target) }))
+    }));
+  }
+
+  /**
+   * Create a rule chain and its nodes from bundle-style nodes whose configs
+   * already hold real UUIDs, validated like a published version
+   * @param {number} organizationId - Owner of the new chain
+   * @param {Object} chainFields - RuleChain columns (see CHAIN_FIELDS)
+   * @param {Array<Object>} nodes - [{ name, type, config, next, edges: [{ label, target }] }]
+   * @param {Object} options - { origin, notes, invalidMessage } for the first version and errors
+   * @returns {Promise<Object>} { ruleChain, nodes }
+   */
+  async createChainFromNodes(organizationId, chainFields, nodes, options = {}) {
+    const { origin = 'import', notes = null, invalidMessage = 'Rule chain nodes are not valid' } = options;
+    this._throwIfInvalid(this.nodeErrors(nodes), invalidMessage);
+    const snapshot = this._toSnapshot(nodes);
+
+    const transaction = await sequelize.transaction();
+    let ruleChain;
+    const created = [];
+    try {
+      ruleChain = await RuleChain.create({
+        ...Object.fromEntries(CHAIN_FIELDS.filter((field) => chainFields[field] !== undefined && chainFields[field] !== null)
+          .map((field) => [field, chainFields[field]])),
+        organizationId
+      }, { transaction });
+
+      for (const node of snapshot) {
+        created.push(await RuleChainNode.create({
+          ruleChainId: ruleChain.id,
+          name: node.name,
+          type: node.type,
+          config: node.config === null ? null : JSON.stringify(node.config)
+        }, { transaction }));
+      }
+
+      const idMap = new Map(snapshot.map((node, index) => [node.id, created[index].id]));
+      for (const [index, node] of snapshot.entries()) {
+        if (!node.nextNodeId && node.edges.length === 0) continue;
+        await created[index].update({
+          nextNodeId: node.nextNodeId ? idMap.get(node.nextNodeId) : null,
+          edges: node.edges.length > 0
+            ? node.edges.map((edge) => ({ label: edge.label, targetNodeId: idMap.get(edge.targetNodeId) }))
+            : null
+        }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await ruleChainVersionService.recordLiveEdit(ruleChain.id, notes, origin);
+
+    logger.info('Created rule chain from nodes', {
+      ruleChainId: ruleChain.id,
+      organizationId,
+      origin,
+      nodes: created.length
+    });
+    return { ruleChain, nodes: created };
+  }
+
+  /**
+   * Check that a UUID names a sensor or device of an organization
+   * @param {string} type - sensor or device
+   * @param {string} uuid - UUID to check
+   * @param {number} organizationId - Organization that must own it
+   * @returns {Promise<string|null>} Problem description, or null when it belongs
+   */
+  async entityError(type, uuid, organizationId) {
+    const format = validateUUID(uuid);
+    if (!format.valid) {
+      return format.error;
+    }
+
+    const model = type === 'device' ? Device : Sensor;
+    const entity = await model.findOne({ where: { uuid }, attributes: ['id'] });
+    const belongs = entity && (type === 'device'
+      ? await deviceBelongsToOrganization(entity.id, organizationId)
+      : await sensorBelongsToOrganization(entity.id, organizationId));
+    return belongs ? null : `No ${type} with this UUID in organization ${organizationId}`;
+  }
+
+  /**
+   * Check every sensor and device bundle-style nodes refer to against an
+   * organization, however the UUID got into the config
+   * @param {Array<Object>} nodes - Bundle-style nodes with real UUIDs
+   * @param {number} organizationId - Organization that must own them
+   * @param {string} path - Path prefix for error details
+   * @returns {Promise<Array<Object>>} Problems as { path, value, error }
+   */
+  async entityReferenceErrors(nodes, organizationId, path = 'nodes') {
+    const errors = [];
+    const checked = new Map();
+    for (const [index, node] of nodes.entries()) {
+      for (const { type, uuid } of extractEntityReferences(parseConfig(node.config), node.type)) {
+        const checkKey = `${type}:${uuid}`;
+        if (!checked.has(checkKey)) {
+          checked.set(checkKey, await this.entityError(type, uuid, organizationId));
+        }
+        const error = checked.get(checkKey);
+        if (error) {
+          errors.push({ path: `${path}[${index}].config`, value: uuid, error });
+        }
+      }
+    }
+    return errors;
+  }
+
+  // Mapped UUIDs must be sensors/devices of the target organization
+  async _checkMappedEntities(declared, mappings, used, organizationId) {
+    const errors = [];
+    for (const [placeholder, entry] of declared) {
+      const uuid = mappings[placeholder];
+      if (!uuid || !used.has(placeholder)) continue;
+
+      const error = await this.entityError(entry.type, uuid, organizationId);
+      if (error) {
+        errors.push({ path: `mappings.${placeholder}`, value: uuid, error });
+      }
+    }
+    return errors;
+  }
+
+  // Display names help the importer pick the matching sensor or device
+  async _entityNames(entries) {
+    const names = new Map();
+    const byType = { sensor: [], device: [] };
+    entries.forEach(([uuid, entry]) => byType[entry.type].push(uuid));
+
+    const [sensors, devices] = await Promise.all([
+      byType.sensor.length ? Sensor.findAll({ where: { uuid: byType.sensor }, attributes: ['uuid', 'name'] }) : [],
+      byType.device.length ? Device.findAll({ where: { uuid: byType.device }, attributes: ['uuid', 'name'] }) : []
+    ]);
+    [...sensors, ...devices].forEach((entity) => names.set(entity.uuid, entity.name));
+    return names;
+  }
+
+  _throwIfInvalid(errors, message) {
+    if (errors.length > 0) {
+      const error = new ApiError(400, message);
+      error.details = errors;
+      throw error;
+    }
+  }
+}
+
+module.exports = new RuleChainBundleService();
+module.exports.BUNDLE_FORMAT = BUNDLE_FORMAT;
+module.exports.BUNDLE_FORMAT_VERSION = BUNDLE_FORMAT_VERSION;
+module.exports.extractEntityReferences = extractEntityReferences;
+module.exports.mapStrings = mapStrings;
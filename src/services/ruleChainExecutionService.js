@@ -0,0 +1,177 @@
+/**
+ * Rule Chain Execution Service
+ *
+ * Stores one RuleChainExecution row per rule chain run (event-triggered,
+ * scheduled or manual) with its trigger, inputs, per-node results and
+ * outcome, serves that history to the API and prunes rows older than
+ * config.ruleEngine.executionHistory.retentionDays.
+ */
+const { Op } = require('sequelize');
+const { RuleChain, RuleChainExecution } = require('../models/initModels');
+const { ApiError } = require('../middlewares/errorHandler');
+const { getPaginationParams, buildPaginatedResult } = require('../utils/paginationUtil');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const EXECUTION_STATUSES = ['success', 'aborted', 'failed', 'timeout'];
+
+// Columns that can grow large; left out of list responses
+const DETAIL_ATTRIBUTES = ['inputData', 'nodeResults', 'finalData'];
+
+// Ownership check function for middleware
+const getRuleChainExecutionForOwnershipCheck = async (executionId) => {
+  const execution = await RuleChainExecution.findByPk(executionId, {
+    attributes: ['id', 'ruleChainId'],
+    include: [{ model: RuleChain, as: 'ruleChain', attributes: ['organizationId'] }]
+  });
+  if (!execution || !execution.ruleChain) return null;
+  return {
+    id: execution.id,
+    organizationId: execution.ruleChain.organizationId
+  };
+};
+
+class RuleChainExecutionService {
+  constructor() {
+    this.pruneInterval = null;
+    this.isPruning = false;
+  }
+
+  /**
+   * Store the outcome of a rule chain run. Failures are logged, never thrown,
+   * so history can't break execution.
+   * @param {Object} entry - { ruleChainId, ruleChainVersion, trigger, rawData, result, error, startedAt, durationMs }
+   * @returns {Promise<Object|null>} Created RuleChainExecution or null
+   */
+  async record(entry) {
+    const { ruleChainId, ruleChainVersion = null, trigger = {}, rawData = {}, result, error, startedAt, durationMs } = entry;
+    const { type: triggerType = 'manual', ...triggerEvent } = trigger;
+
+    let status = 'success';
+    if (error) {
+      status = error.isTimeout ? 'timeout' : 'failed';
+    } else if (result && result.status === 'aborted') {
+      status = 'aborted';
+    }
+
+    try {
+      return await RuleChainExecution.create({
+        ruleChainId,
+        ruleChainVersion,
+        triggerType,
+        triggerEvent: Object.keys(triggerEvent).length ? triggerEvent : null,
+        inputData: {
+          sensorData: rawData.sensorData || [],
+          deviceData: rawData.deviceData || []
+        },
+        nodeResults: result && result.executionDetails ? result.executionDetails.executedNodes : null,
+        finalData: result && result.executionDetails ? result.executionDetails.finalData : null,
+        summary: result ? result.summary : null,
+        status,
+        abortReason: (result && result.summary && result.summary.abortedReason) || null,
+        error: error ? String(error.message).slice(0, 255) : null,
+        durationMs,
+        startedAt
+      });
+    } catch (err) {
+      logger.warn('Failed to record rule chain execution', { ruleChainId, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * List a rule chain's runs, newest first
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {Object} options - { status, triggerType, page, limit }
+   * @returns {Promise<Object>} Paginated executions without the bulky detail columns
+   */
+  async listExecutions(ruleChainId, options = {}) {
+    const pagination = getPaginationParams(options);
+    const where = { ruleChainId };
+    if (options.status) {
+      where.status = options.status;
+    }
+    if (options.triggerType) {
+      where.triggerType = options.triggerType;
+    }
+
+    const { rows, count } = await RuleChainExecution.findAndCountAll({
+      where,
+      attributes: { exclude: DETAIL_ATTRIBUTES },
+      order: [['startedAt', 'DESC']],
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    return buildPaginatedResult(rows, count, pagination);
+  }
+
+  async getExecution(executionId) {
+    const execution = await RuleChainExecution.findByPk(executionId);
+    if (!execution) {
+      throw new ApiError(404, 'Rule chain execution not found');
+    }
+    return execution;
+  }
+
+  /**
+   * Delete runs older than the retention window, in batches
+   * @param {Date} now - Reference time (defaults to current time)
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async pruneExpired(now = new Date()) {
+    const { retentionDays, pruneBatchSize } = config.ruleEngine.executionHistory;
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+
+    let deleted = 0;
+    let batch;
+    do {
+      batch = await RuleChainExecution.destroy({
+        where: { startedAt: { [Op.lt]: cutoff } },
+        limit: pruneBatchSize
+      });
+      deleted += batch;
+    } while (batch === pruneBatchSize);
+
+    if (deleted > 0) {
+      logger.info('Pruned rule chain execution history', { deleted, cutoff: cutoff.toISOString() });
+    }
+
+    return deleted;
+  }
+
+  startRetentionPruner() {
+    if (this.pruneInterval) {
+      return;
+    }
+
+    this.pruneInterval = setInterval(async () => {
+      if (this.isPruning) {
+        return;
+      }
+      this.isPruning = true;
+      try {
+        await this.pruneExpired();
+      } catch (error) {
+        logger.error(`Failed to prune rule chain execution history: ${error.message}`);
+      } finally {
+        this.isPruning = false;
+      }
+    }, config.ruleEngine.executionHistory.pruneInterval);
+
+    logger.info('Rule chain execution retention pruner started', {
+      retentionDays: config.ruleEngine.executionHistory.retentionDays
+    });
+  }
+
+  stopRetentionPruner() {
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = null;
+    }
+  }
+}
+
+module.exports = new RuleChainExecutionService();
+module.exports.EXECUTION_STATUSES = EXECUTION_STATUSES;
+module.exports.getRuleChainExecutionForOwnershipCheck = getRuleChainExecutionForOwnershipCheck;
@@ -8,10 +8,11 @@ const {
   DeviceState,
   DeviceStateInstance,
 } = require('../models/initModels');
-const deviceStateInstanceService = require('./deviceStateInstanceService');
-const notificationManager = require('../utils/notificationManager');
 const { parseDuration } = require('../utils/timeUtils');
 const mqttPublisher = require('./mqttPublisherService');
+const deviceCommandService = require('./deviceCommandService');
+const ruleChainExecutionService = require('./ruleChainExecutionService');
+const { DELIVERY_STATUS } = require('./deviceCommandService');
 const logger = require('../utils/logger');
 const sequelize = require('../config/database');
 const { Sequelize } = require('sequelize');
@@ -20,8 +21,39 @@ const { collectWithTimeout, withTimeout } = require('../utils/timeoutUtils');
 const { TimeoutError, ERROR_CODES } = require('../utils/TimeoutError');
 const timeoutMetrics = require('../utils/timeoutMetrics');
 const metricsManager = require('../utils/metricsManager');
-const { validateRuleChainConfig } = require('../utils/uuidValidator');
+const { validateRuleChainConfig, validateUUID } = require('../utils/uuidValidator');
+const { EDGE_LABELS, NOTIFICATION_SEVERITIES } = require('../validators/ruleChainValidators');
+const ExpressionEvaluator = require('../ruleEngine/expressions/ExpressionEvaluator');
+const MessageTemplate = require('../ruleEngine/expressions/MessageTemplate');
+const WindowAggregator = require('../ruleEngine/aggregates/WindowAggregator');
+const ConditionStateStore = require('../ruleEngine/conditions/ConditionStateStore');
+const { CONNECTIVITY_KEY, connectivityOf } = require('../ruleEngine/conditions/Connectivity');
 const config = require('../config');
+
+// Edge labels followed for each node outcome. Filters report true/false,
+// with success/failure accepted as aliases so a chain can be read either way.
+const OUTCOME_EDGE_LABELS = {
+  true: ['true', 'success'],
+  false: ['false', 'failure'],
+  success: ['success'],
+  failure: ['failure'],
+  error: ['error'],
+};
+
+// Attempts a filter gets at saving its state before it settles for its last evaluation
+const MAX_FILTER_STATE_ATTEMPTS = 3;
+
+// Time operators that consume a condition's duration themselves; on any other
+// condition the duration is how long it must keep holding before it passes
+const DURATION_OPERATORS = ['valueOlderThan', 'valueNewerThan', 'valueInLast'];
+
+// Operators a resetValue (hysteresis off threshold) can apply to
+const HYSTERESIS_OPERATORS = ['>', '>=', '<', '<='];
+
+// Upper bound on historical readings one replay simulation walks through
+const MAX_REPLAY_POINTS = 500;
+const DEFAULT_REPLAY_POINTS = 200;
+
 // Ownership check function for middleware
 const getRuleChainForOwnershipCheck = async (id) => {
   try {
@@ -212,29 +244,14 @@ class RuleChainService {
   // RuleChainNode operations
   async createNode(data) {
     try {
-      let config = data.config;
-      
-      if (config) {
-        if (typeof config === 'string') {
-          try {
-            config = JSON.parse(config);
-          } catch (err) {
-            const error = new Error('Invalid JSON in config field');
-            error.statusCode = 400;
-            throw error;
-          }
-        }
-        
-        const validation = validateRuleChainConfig(config, data.type);
-        if (!validation.valid) {
-          const error = new Error('Invalid rule chain node configuration: one or more UUIDs are invalid');
-          error.statusCode = 400;
-          error.details = validation.errors;
-          throw error;
-        }
-        
+      if (data.config) {
+        const config = this._validateNodeConfig(data.config, data.type);
         data.config = typeof data.config === 'string' ? data.config : JSON.stringify(config);
       }
+
+      if (data.edges !== undefined && data.edges !== null) {
+        await this._validateNodeEdges(data.ruleChainId, null, data.edges, data.nextNodeId);
+      }
       
       const existingNode = await RuleChainNode.findOne({
         where: {
@@ -250,6 +267,7 @@ class RuleChainService {
       }
 
       const node = await RuleChainNode.create(data);
+      await this._recordLiveEdit(node.ruleChainId, `Added node ${node.name}`);
       return node;
     } catch (error) {
       throw error;
@@ -305,29 +323,8 @@ class RuleChainService {
         if (data.config === null) {
           updateData.config = null;
         } else {
-          let config = data.config;
-          const originalWasString = typeof config === 'string';
-          
-          if (originalWasString) {
-            try {
-              config = JSON.parse(config);
-            } catch (err) {
-              const error = new Error('Invalid JSON in config field');
-              error.statusCode = 400;
-              throw error;
-            }
-          }
-          
-          const nodeType = data.type || node.type;
-          const validation = validateRuleChainConfig(config, nodeType);
-          if (!validation.valid) {
-            const error = new Error('Invalid rule chain node configuration: one or more UUIDs are invalid');
-            error.statusCode = 400;
-            error.details = validation.errors;
-            throw error;
-          }
-          
-          updateData.config = originalWasString ? data.config : JSON.stringify(config);
+          const config = this._validateNodeConfig(data.config, data.type || node.type);
+          updateData.config = typeof data.config === 'string' ? data.config : JSON.stringify(config);
         }
       }
 
@@ -358,12 +355,31 @@ class RuleChainService {
         updateData.nextNodeId = data.nextNodeId;
       }
 
+      if (data.edges !== undefined || data.nextNodeId !== undefined) {
+        const edges = data.edges !== undefined ? data.edges : node.edges;
+        const nextNodeId = data.nextNodeId !== undefined ? data.nextNodeId : node.nextNodeId;
+        await this._validateNodeEdges(node.ruleChainId, node.id, edges, nextNodeId);
+      }
+
+      if (data.edges !== undefined) {
+        updateData.edges = data.edges;
+      }
+
       if (Object.keys(updateData).length === 0) {
         return node;
       }
 
       await node.update(updateData);
       await node.reload();
+
+      if (updateData.config !== undefined || updateData.type !== undefined) {
+        // Hold/hysteresis/cooldown state belongs to the old condition
+        ConditionStateStore.clearNodeState(node.ruleChainId, node.id).catch((err) => {
+          logger.warn('Failed to clear rule chain node state', { nodeId: node.id, error: err.message });
+        });
+      }
+
+      await this._recordLiveEdit(node.ruleChainId, `Updated node ${node.name}`);
       return node;
     } catch (error) {
       logger.error('Error in updateNode:', error);
@@ -373,28 +389,299 @@ class RuleChainService {
 
   async deleteNode(id) {
     try {
+      const node = await RuleChainNode.findByPk(id);
       const deleted = await RuleChainNode.destroy({
         where: { id },
       });
+      if (deleted && node) {
+        await this._recordLiveEdit(node.ruleChainId, `Deleted node ${node.name}`);
+      }
       return deleted;
     } catch (error) {
       throw error;
     }
   }
 
+  // Direct node edits publish a new version so executions stay traceable
+  async _recordLiveEdit(ruleChainId, notes) {
+    const ruleChainVersionService = require('./ruleChainVersionService');
+    await ruleChainVersionService.recordLiveEdit(ruleChainId, notes);
+  }
+
+  /**
+   * Parses and validates a node config (UUIDs, expressions, aggregates and
+   * timing options); throws a 400 error with details when it is invalid
+   * @param {Object|string} rawConfig - Config object or JSON string
+   * @param {string} nodeType - filter, transform or action
+   * @returns {Object} Parsed config
+   */
+  _validateNodeConfig(rawConfig, nodeType) {
+    let config = rawConfig;
+    if (typeof config === 'string') {
+      try {
+        config = JSON.parse(config);
+      } catch (err) {
+        const error = new Error('Invalid JSON in config field');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    const validation = validateRuleChainConfig(config, nodeType);
+    if (!validation.valid) {
+      const error = new Error('Invalid rule chain node configuration: one or more UUIDs are invalid');
+      error.statusCode = 400;
+      error.details = validation.errors;
+      throw error;
+    }
+    this._validateTransformConfig(config, nodeType);
+    this._validateAggregateConfig(config, nodeType);
+    this._validateConditionOptions(config, nodeType);
+    this._validateNotificationConfig(config, nodeType);
+
+    return config;
+  }
+
+  /**
+   * Normalizes a node's edges column into an array of { label, targetNodeId }
+   * @param {Array|string|null} edges - Stored edges value
+   * @returns {Array} Edge list (empty when the node has no labelled edges)
+   */
+  _parseNodeEdges(edges) {
+    if (!edges) return [];
+    let parsed = edges;
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (err) {
+        return [];
+      }
+    }
+    return Array.isArray(parsed) ? parsed : [];
+  }
+
+  /**
+   * Validates a node's outgoing edges against the rest of its rule chain.
+   * Every target must be another node of the same chain and the resulting
+   * graph (edges plus legacy nextNodeId links) must stay acyclic.
+   * @param {number} ruleChainId - Rule chain the node belongs to
+   * @param {number|null} nodeId - ID of the node being saved (null on create)
+   * @param {Array} edges - Proposed outgoing edges
+   * @param {number|null} nextNodeId - Proposed legacy next node
+   */
+  async _validateNodeEdges(ruleChainId, nodeId, edges, nextNodeId) {
+    const nodeEdges = this._parseNodeEdges(edges);
+    const siblings = await RuleChainNode.findAll({
+      where: { ruleChainId },
+      attributes: ['id', 'nextNodeId', 'edges'],
+    });
+    const siblingIds = new Set(siblings.map((sibling) => Number(sibling.id)));
+    const errors = [];
+
+    nodeEdges.forEach((edge, idx) => {
+      if (!EDGE_LABELS.includes(edge.label)) {
+        errors.push({
+          path: `edges[${idx}].label`,
+          value: edge.label,
+          error: `Edge label must be one of: ${EDGE_LABELS.join(', ')}`,
+        });
+      }
+      const targetId = Number(edge.targetNodeId);
+      if (nodeId !== null && targetId === Number(nodeId)) {
+        errors.push({
+          path: `edges[${idx}].targetNodeId`,
+          value: edge.targetNodeId,
+          error: 'A node cannot link to itself',
+        });
+      } else if (!siblingIds.has(targetId)) {
+        errors.push({
+          path: `edges[${idx}].targetNodeId`,
+          value: edge.targetNodeId,
+          error: 'Target node does not exist in this rule chain',
+        });
+      }
+    });
+
+    if (errors.length === 0 && nodeId !== null) {
+      const adjacency = new Map();
+      siblings.forEach((sibling) => {
+        const id = Number(sibling.id);
+        const isSavedNode = id === Number(nodeId);
+        const targets = this._parseNodeEdges(isSavedNode ? nodeEdges : sibling.edges).map(
+          (edge) => Number(edge.targetNodeId)
+        );
+        const next = isSavedNode ? nextNodeId : sibling.nextNodeId;
+        if (next) targets.push(Number(next));
+        adjacency.set(id, targets);
+      });
+
+      const cycle = this._findCycle(adjacency);
+      if (cycle) {
+        errors.push({
+          path: 'edges',
+          value: cycle,
+          error: `Edges would create a cycle: ${cycle.join(' -> ')}`,
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('Invalid rule chain node edges');
+      error.statusCode = 400;
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Finds a cycle in a node adjacency map using depth-first search
+   * @param {Map<number, number[]>} adjacency - Node ID to outgoing node IDs
+   * @returns {number[]|null} Node IDs forming the cycle, or null if acyclic
+   */
+  _findCycle(adjacency) {
+    const visiting = new Set();
+    const done = new Set();
+    const path = [];
+
+    const visit = (id) => {
+      if (done.has(id)) return null;
+      if (visiting.has(id)) {
+        return [...path.slice(path.indexOf(id)), id];
+      }
+      visiting.add(id);
+      path.push(id);
+      for (const target of adjacency.get(id) || []) {
+        const cycle = visit(target);
+        if (cycle) return cycle;
+      }
+      path.pop();
+      visiting.delete(id);
+      done.add(id);
+      return null;
+    };
+
+    for (const id of adjacency.keys()) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  /**
+   * Picks the node execution starts from: the first node (in chain order)
+   * that no other node links to, falling back to the first node
+   * @param {Array} nodes - Rule chain nodes
+   * @returns {Object} Entry node
+   */
+  _resolveEntryNode(nodes) {
+    const referenced = new Set();
+    nodes.forEach((node) => {
+      if (node.nextNodeId) referenced.add(Number(node.nextNodeId));
+      this._parseNodeEdges(node.edges).forEach((edge) =>
+        referenced.add(Number(edge.targetNodeId))
+      );
+    });
+    return nodes.find((node) => !referenced.has(Number(node.id))) || nodes[0];
+  }
+
+  /**
+   * Lists every node a node can lead to, whichever outcome it ends with
+   * @param {Object} node - Rule chain node
+   * @returns {number[]} Distinct target node IDs
+   */
+  _getSuccessorIds(node) {
+    const edges = this._parseNodeEdges(node.edges);
+    const targets = edges.length > 0
+      ? edges.map((edge) => Number(edge.targetNodeId))
+      : [node.nextNodeId].filter(Boolean).map(Number);
+    return [...new Set(targets)];
+  }
+
+  /**
+   * Counts, for every node reachable from the entry node, how many distinct
+   * reachable nodes link to it
+   * @param {Object} entryNode - Node execution starts from
+   * @param {Object} nodesMap - Rule chain nodes keyed by ID
+   * @returns {Map<number, number>} Node ID to number of reachable predecessors
+   */
+  _countReachablePredecessors(entryNode, nodesMap) {
+    const counts = new Map([[Number(entryNode.id), 0]]);
+    const queue = [entryNode];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const targetId of this._getSuccessorIds(node)) {
+        if (!nodesMap[targetId]) continue;
+        if (!counts.has(targetId)) {
+          counts.set(targetId, 0);
+          queue.push(nodesMap[targetId]);
+        }
+        counts.set(targetId, counts.get(targetId) + 1);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Resolves the nodes to run after a node finished with the given outcome.
+   * Nodes without labelled edges keep the legacy linear behaviour: follow
+   * nextNodeId unless a filter failed.
+   * @param {Object} node - Node that just executed
+   * @param {string} outcome - true, false, success, failure, error or skipped
+   *   (action still cooling down; nothing follows it)
+   * @param {Object} nodesMap - Rule chain nodes keyed by ID
+   * @returns {Array<{label: string, node: Object}>} Next nodes with the edge label taken
+   */
+  _getNextNodes(node, outcome, nodesMap) {
+    const edges = this._parseNodeEdges(node.edges);
+
+    if (edges.length === 0) {
+      if (!node.nextNodeId || ['false', 'error', 'skipped'].includes(outcome)) return [];
+      const nextNode = nodesMap[node.nextNodeId];
+      return nextNode ? [{ label: 'next', node: nextNode }] : [];
+    }
+
+    const labels = OUTCOME_EDGE_LABELS[outcome] || [];
+    return edges
+      .filter((edge) => labels.includes(edge.label))
+      .map((edge) => ({ label: edge.label, node: nodesMap[edge.targetNodeId] }))
+      .filter((next) => next.node);
+  }
+
   // Rule Chain Execution
   /**
    * Executes a rule chain with the provided data
+   *
+   * Nodes are walked as a DAG starting at the entry node, in topological
+   * order: a node joined by several branches runs once, after every
+   * predecessor reachable from the entry node has either run or been ruled
+   * out, and only if at least one of them took an edge to it. Labelled edges
+   * (true/false for filters, success/failure for actions, error for thrown
+   * failures) pick the branches to follow; nodes without edges fall back to
+   * nextNodeId. Every branch taken is reported in nodeResults.branches.
+   * Actions with a `cooldown` that fired too recently are skipped and end
+   * their branch.
    * @param {number} ruleChainId - The ID of the rule chain to execute
    * @param {Object} rawData - Object containing arrays of sensor and device data
    * @param {Array} rawData.sensorData - Array of sensor data objects with UUID
    * @param {Array} rawData.deviceData - Array of device data objects with UUID
    * @param {Object} rawData.meta - Metadata about partial data (optional)
+   * @param {Object} rawData.meta.trigger - What started the run, stored with its
+   *   RuleChainExecution history row ({ type, ... }; defaults to manual)
    * @param {number} timeoutMs - Timeout for rule chain execution (optional)
+   * @param {Object} options - Execution options (optional)
+   * @param {boolean} options.dryRun - Evaluate without side effects: actions
+   *   report what they would send instead of sending it, and neither
+   *   execution history nor metrics are recorded
+   * @param {Object} options.stateStore - Hold/hysteresis/cooldown state store
+   *   (defaults to the shared Redis ConditionStateStore)
+   * @param {Function} options.clock - Current time in ms for that state
    */
-  async execute(ruleChainId, rawData, timeoutMs = null) {
+  async execute(ruleChainId, rawData, timeoutMs = null, options = {}) {
+    const { dryRun = false, stateStore = ConditionStateStore, clock = Date.now } = options;
     const timeout = timeoutMs || config.ruleEngine.timeouts.ruleChain;
     const startTime = Date.now();
+    let ruleChainFound = false;
+    let ruleChainVersion = null;
 
     const executeFn = async () => {
       // Transform arrays into maps for efficient lookup
@@ -403,6 +690,8 @@ class RuleChainService {
       // Get rule chain with nodes
       const ruleChain = await this.findChainById(ruleChainId);
       if (!ruleChain) throw new Error('Rule chain not found');
+      ruleChainFound = true;
+      ruleChainVersion = ruleChain.publishedVersion || null;
       if (!ruleChain.nodes || ruleChain.nodes.length === 0) {
         return { result: 'No nodes to execute' };
       }
@@ -414,15 +703,21 @@ class RuleChainService {
       });
 
       const MAX_EXECUTION_STEPS = 1000;
-      const visitedNodeIds = new Set();
-
-      let currentNode = ruleChain.nodes[0];
+      const executedNodeIds = new Set();
+      let executionSteps = 0;
+
+      const entryNode = this._resolveEntryNode(ruleChain.nodes);
+      const predecessorCounts = this._countReachablePredecessors(entryNode, nodesMap);
+      const settledCounts = new Map();
+      const activatedNodeIds = new Set([Number(entryNode.id)]);
+      const pending = [entryNode];
       const results = [];
 
       const nodeResults = {
         filters: [],
         transformations: [],
         actions: [],
+        branches: [],
       };
 
       let allFiltersPassed = true;
@@ -430,19 +725,43 @@ class RuleChainService {
       let actionsExecuted = 0;
       let abortedReason = null;
 
-      while (currentNode) {
-        if (visitedNodeIds.has(currentNode.id)) {
-          logger.error('Circular rule chain detected; stopping execution', {
-            ruleChainId,
-            nodeId: currentNode.id,
-            nodeName: currentNode.name,
-            visitedCount: visitedNodeIds.size
-          });
-          abortedReason = 'circular';
-          break;
+      const abortCircular = (nodeId) => {
+        logger.error('Circular rule chain detected; stopping execution', {
+          ruleChainId,
+          nodeId,
+          nodeName: nodesMap[nodeId] && nodesMap[nodeId].name,
+          visitedCount: executedNodeIds.size
+        });
+        abortedReason = 'circular';
+      };
+
+      // Settles the link from a node that ran (or was ruled out) to one of its
+      // targets. Once all of a target's predecessors have settled it is queued
+      // if any of them took the link, otherwise it is ruled out in turn.
+      const settle = (targetId, taken) => {
+        if (taken && executedNodeIds.has(targetId)) {
+          abortCircular(targetId);
+          return;
         }
-        visitedNodeIds.add(currentNode.id);
-        if (visitedNodeIds.size > MAX_EXECUTION_STEPS) {
+        if (taken) activatedNodeIds.add(targetId);
+        const settled = (settledCounts.get(targetId) || 0) + 1;
+        settledCounts.set(targetId, settled);
+        if (settled !== predecessorCounts.get(targetId)) return;
+
+        if (activatedNodeIds.has(targetId)) {
+          pending.push(nodesMap[targetId]);
+        } else {
+          this._getSuccessorIds(nodesMap[targetId])
+            .filter((id) => nodesMap[id])
+            .forEach((id) => settle(id, false));
+        }
+      };
+
+      while (pending.length > 0 && !abortedReason) {
+        const currentNode = pending.shift();
+        executedNodeIds.add(Number(currentNode.id));
+        executionSteps++;
+        if (executionSteps > MAX_EXECUTION_STEPS) {
           logger.error('Rule chain exceeded max execution steps; stopping', {
             ruleChainId,
             maxSteps: MAX_EXECUTION_STEPS
@@ -453,110 +772,230 @@ class RuleChainService {
 
         const nodeType = currentNode.type;
         const config = currentNode.config || '{}';
-        let actionResult;
-
-        switch (nodeType) {
-          case 'filter':
-            actionResult = this._evaluateCondition(data, config);
-            const filterResult = {
-              nodeId: currentNode.id,
-              type: 'filter',
-              passed: actionResult,
-              config,
-            };
-            results.push(filterResult);
+        let outcome;
 
-            // Add to categorized results
-            nodeResults.filters.push({
-              nodeId: currentNode.id,
-              passed: actionResult,
-              condition: config,
-            });
+        try {
+          switch (nodeType) {
+            case 'filter': {
+              const { passed, conditionState } = await this._evaluateFilterNode(
+                ruleChainId,
+                currentNode.id,
+                data,
+                config,
+                { stateStore, now: clock() }
+              );
+              outcome = passed ? 'true' : 'false';
+              results.push({
+                nodeId: currentNode.id,
+                type: 'filter',
+                passed,
+                outcome,
+                config,
+                ...(conditionState && { conditionState }),
+              });
 
-            try {
-              metricsManager.incrementCounter('rule_filter_evaluations_total', {
-                ruleChainId: String(ruleChainId),
-                result: actionResult ? 'passed' : 'failed'
+              // Add to categorized results
+              nodeResults.filters.push({
+                nodeId: currentNode.id,
+                passed,
+                condition: config,
               });
-            } catch (err) {
-              logger.warn('Failed to record filter evaluation metric', { error: err.message });
+
+              try {
+                if (!dryRun) {
+                  metricsManager.incrementCounter('rule_filter_evaluations_total', {
+                    ruleChainId: String(ruleChainId),
+                    result: passed ? 'passed' : 'failed'
+                  });
+                }
+              } catch (err) {
+                logger.warn('Failed to record filter evaluation metric', { error: err.message });
+              }
+
+              if (!passed) {
+                allFiltersPassed = false;
+              }
+              break;
             }
 
-            if (!actionResult) {
-              allFiltersPassed = false;
+            case 'transform': {
+              data = this._transformData(data, config);
+              outcome = 'success';
+              results.push({
+                nodeId: currentNode.id,
+                type: 'transform',
+                newData: data,
+                outcome,
+                config,
+              });
+
+              // Add to categorized results
+              nodeResults.transformations.push({
+                nodeId: currentNode.id,
+                transformationType: config.type,
+                dataSnapshot: { ...data },
+              });
+              transformationsCount++;
               break;
             }
-            break;
-
-          case 'transform':
-            data = this._transformData(data, config);
-            const transformResult = {
-              nodeId: currentNode.id,
-              type: 'transform',
-              newData: data,
-              config,
-            };
-            results.push(transformResult);
 
-            // Add to categorized results
-            nodeResults.transformations.push({
-              nodeId: currentNode.id,
-              transformationType: config.type,
-              dataSnapshot: { ...data },
-            });
-            transformationsCount++;
-            break;
-
-          case 'action':
-            actionResult = await this._performAction(config, data);
-            const actionExecutionResult = {
-              nodeId: currentNode.id,
-              type: 'action',
-              actionResult,
-              config,
-            };
-            results.push(actionExecutionResult);
-
-            // Add to categorized results with enhanced device information
-            nodeResults.actions.push({
-              nodeId: currentNode.id,
-              status: actionResult.status,
-              SourceType: {
-                deviceUuid: config.command.deviceUuid,
-                value: config.command.value,
-                deviceType: config.type,
-              },
-              command: config.command,
-              timestamp: actionResult.timestamp,
-              notificationSent: false, // Will be updated after notification is sent
-            });
-            actionsExecuted++;
+            case 'action': {
+              const cooldownMs = typeof config.cooldown === 'string' ? parseDuration(config.cooldown) : 0;
+              const cooldown = cooldownMs > 0
+                ? await stateStore.claimCooldown(ruleChainId, currentNode.id, cooldownMs)
+                : null;
+
+              if (cooldown && !cooldown.claimed) {
+                // Fired recently; this branch stops here until the cooldown ends
+                outcome = 'skipped';
+                const skippedAt = new Date().toISOString();
+                results.push({
+                  nodeId: currentNode.id,
+                  type: 'action',
+                  actionResult: { status: 'skipped', reason: 'cooldown', remainingMs: cooldown.remainingMs, timestamp: skippedAt },
+                  outcome,
+                  config,
+                });
+                nodeResults.actions.push({
+                  nodeId: currentNode.id,
+                  status: 'skipped',
+                  reason: 'cooldown',
+                  remainingMs: cooldown.remainingMs,
+                  command: config.command,
+                  timestamp: skippedAt,
+                  notificationSent: false,
+                });
+                break;
+              }
 
-            try {
-              const actionType = config.type || 'device_command';
-              metricsManager.incrementCounter('rule_action_executions_total', {
-                ruleChainId: String(ruleChainId),
-                actionType: String(actionType)
+              const isNotification = ['notification', 'clear_alarm'].includes(config.type);
+              const actionContext = {
+                ruleChainId,
+                nodeId: currentNode.id,
+                organizationId: ruleChain.organizationId,
+                trigger: (rawData.meta && rawData.meta.trigger) || null,
+                triggerChain: [...((rawData.meta && rawData.meta.triggerChain) || []), ruleChainId],
+                dryRun,
+              };
+              let actionResult;
+              if (config.type === 'notification') {
+                actionResult = await this._performNotification(config, data, actionContext);
+              } else if (config.type === 'clear_alarm') {
+                actionResult = await this._performAlarmClear(config, data, actionContext);
+              } else {
+                actionResult = await this._performAction(config, data, actionContext);
+              }
+              if (cooldown && actionResult.status !== 'success') {
+                await stateStore.releaseCooldown(ruleChainId, currentNode.id);
+              }
+              outcome = actionResult.status === 'success' ? 'success' : 'failure';
+              results.push({
+                nodeId: currentNode.id,
+                type: 'action',
+                actionResult,
+                outcome,
+                config,
               });
-            } catch (err) {
-              logger.warn('Failed to record action execution metric', { error: err.message });
+
+              if (isNotification) {
+                nodeResults.actions.push({
+                  nodeId: currentNode.id,
+                  status: actionResult.status,
+                  notification: actionResult.notification || null,
+                  notificationId: actionResult.notificationId || null,
+                  alarm: actionResult.alarm || null,
+                  delivered: actionResult.delivered || null,
+                  ...(actionResult.dryRun && { dryRun: true }),
+                  error: actionResult.error,
+                  timestamp: actionResult.timestamp,
+                  notificationSent: config.type === 'notification' && actionResult.status === 'success' && !actionResult.dryRun,
+                });
+              } else {
+                // Add to categorized results with enhanced device information
+                nodeResults.actions.push({
+                  nodeId: currentNode.id,
+                  status: actionResult.status,
+                  SourceType: {
+                    deviceUuid: config.command.deviceUuid,
+                    value: config.command.value,
+                    deviceType: config.type,
+                  },
+                  command: config.command,
+                  commandId: actionResult.commandId || null,
+                  commandStatus: actionResult.commandStatus || null,
+                  delivery: actionResult.delivery || null,
+                  ...(actionResult.dryRun && { dryRun: true }),
+                  error: actionResult.error,
+                  timestamp: actionResult.timestamp,
+                  notificationSent: false, // Will be updated after notification is sent
+                });
+              }
+              actionsExecuted++;
+
+              try {
+                const actionType = config.type || 'device_command';
+                if (!dryRun) {
+                  metricsManager.incrementCounter('rule_action_executions_total', {
+                    ruleChainId: String(ruleChainId),
+                    actionType: String(actionType)
+                  });
+                }
+              } catch (err) {
+                logger.warn('Failed to record action execution metric', { error: err.message });
+              }
+              break;
             }
-            break;
 
-          default:
-            results.push({
-              nodeId: currentNode.id,
-              type: 'unknown',
-              message: 'Unknown node type',
-              config,
-            });
+            default:
+              outcome = 'success';
+              results.push({
+                nodeId: currentNode.id,
+                type: 'unknown',
+                message: 'Unknown node type',
+                config,
+              });
+          }
+        } catch (error) {
+          // Without an error edge the failure aborts the whole execution as before
+          const hasErrorEdge = this._parseNodeEdges(currentNode.edges).some(
+            (edge) => edge.label === 'error'
+          );
+          if (!hasErrorEdge) throw error;
+
+          logger.warn('Rule chain node failed; following error edge', {
+            ruleChainId,
+            nodeId: currentNode.id,
+            error: error.message
+          });
+          outcome = 'error';
+          results.push({
+            nodeId: currentNode.id,
+            type: nodeType,
+            outcome,
+            error: error.message,
+            config,
+          });
         }
 
-        if (nodeType === 'filter' && !actionResult) {
-          break;
+        const takenIds = new Set();
+        for (const next of this._getNextNodes(currentNode, outcome, nodesMap)) {
+          nodeResults.branches.push({
+            fromNodeId: currentNode.id,
+            label: next.label,
+            toNodeId: next.node.id,
+          });
+          takenIds.add(Number(next.node.id));
         }
+        for (const targetId of this._getSuccessorIds(currentNode)) {
+          if (abortedReason) break;
+          if (nodesMap[targetId]) settle(targetId, takenIds.has(targetId));
+        }
+      }
 
-        currentNode = currentNode.nextNodeId ? nodesMap[currentNode.nextNodeId] : null;
+      // A branch that was taken but never became ready is waiting on itself
+      if (!abortedReason) {
+        const waitingId = [...activatedNodeIds].find((id) => !executedNodeIds.has(id));
+        if (waitingId !== undefined) abortCircular(waitingId);
       }
 
       const summary = {
@@ -564,6 +1003,7 @@ class RuleChainService {
         filtersPassed: allFiltersPassed,
         transformationsApplied: transformationsCount,
         actionsExecuted: actionsExecuted,
+        branchesTaken: nodeResults.branches.length,
         abortedReason: abortedReason || undefined,
       };
 
@@ -594,6 +1034,10 @@ class RuleChainService {
         }
       );
 
+      if (dryRun) {
+        return result;
+      }
+
       const duration = (Date.now() - startTime) / 1000;
       const status = result.status || 'success';
 
@@ -614,10 +1058,22 @@ class RuleChainService {
         logger.warn('Failed to record rule execution metrics', { error: err.message });
       }
 
+      if (ruleChainFound) {
+        await this._recordExecution(ruleChainId, rawData, startTime, { result, ruleChainVersion });
+      }
+
       return result;
     } catch (error) {
+      if (dryRun) {
+        throw error;
+      }
+
       const duration = (Date.now() - startTime) / 1000;
 
+      if (ruleChainFound) {
+        await this._recordExecution(ruleChainId, rawData, startTime, { error, ruleChainVersion });
+      }
+
       if (error.isTimeout) {
         logger.error('Rule chain execution timed out', {
           ruleChainId,
@@ -661,6 +1117,19 @@ class RuleChainService {
     }
   }
 
+  async _recordExecution(ruleChainId, rawData, startTime, outcome) {
+    await ruleChainExecutionService.record({
+      ruleChainId: Number(ruleChainId),
+      ruleChainVersion: outcome.ruleChainVersion,
+      trigger: (rawData && rawData.meta && rawData.meta.trigger) || undefined,
+      rawData: rawData || {},
+      result: outcome.result,
+      error: outcome.error,
+      startedAt: new Date(startTime),
+      durationMs: Date.now() - startTime
+    });
+  }
+
   /**
    * Transforms array-based data into UUID-keyed maps
    * @param {Object} rawData - The raw data with arrays
@@ -711,6 +1180,17 @@ class RuleChainService {
    *   value: 30
    * }
    *
+   * Aggregate Expression Format (value over a trailing window, see WindowAggregator):
+   * {
+   *   sourceType: "sensor",
+   *   UUID: "aaabbb123",
+   *   key: "humidity",
+   *   aggregate: "avg",       // avg | min | max | sum | count
+   *   window: "10m",          // parseDuration format
+   *   operator: ">",
+   *   value: 70
+   * }
+   *
    * Complex Expression Format (Nested AND/OR):
    * {
    *   type: "AND",
@@ -760,7 +1240,7 @@ class RuleChainService {
     }
 
     // Handle simple expression
-    const { sourceType, UUID, key, operator, value, duration } = config;
+    const { sourceType, UUID, key, operator, value, duration, aggregate, window } = config;
 
     // Get the appropriate data source
     const sourceMap = sourceType === 'sensor' ? data.sensorData : data.deviceData;
@@ -774,7 +1254,9 @@ class RuleChainService {
       return false;
     }
 
-    const sourceValue = sourceInstance[key];
+    // Aggregate conditions compare the value collected for their window
+    const valueKey = aggregate ? WindowAggregator.aggregateKey(key, aggregate, window) : key;
+    const sourceValue = sourceInstance[valueKey];
     const sourceTimestamp = sourceInstance['timestamp'];
 
     // Special operators that don't need sourceValue to be defined
@@ -933,62 +1415,570 @@ class RuleChainService {
     }
   }
 
-  _transformData(sensorData, config) {
-    const { key, operation, operand } = config;
-    let val = sensorData[key];
+  /**
+   * Rejects expression transforms that don't parse or lack an output target
+   * @param {Object} config - Parsed node config
+   * @param {string} nodeType - Node type
+   */
+  _validateTransformConfig(config, nodeType) {
+    if (nodeType !== 'transform' || !config || config.type !== 'expression') {
+      return;
+    }
 
-    switch (operation) {
-      case 'multiply':
-        val *= operand;
-        break;
-      case 'add':
-        val += operand;
-        break;
-      case 'subtract':
-        val -= operand;
-        break;
-      case 'divide':
-        val /= operand;
-        break;
-      default:
-        break;
+    const details = [];
+    try {
+      ExpressionEvaluator.parse(config.expression);
+    } catch (err) {
+      details.push({ path: 'config.expression', value: config.expression, error: err.message });
+    }
+
+    const output = config.output || {};
+    if (!output.key) {
+      details.push({ path: 'config.output.key', value: output.key, error: 'Output key is required' });
+    }
+    if (!output.UUID) {
+      details.push({ path: 'config.output.UUID', value: output.UUID, error: 'Output UUID is required' });
+    }
+    if (output.sourceType && !['sensor', 'device'].includes(output.sourceType)) {
+      details.push({ path: 'config.output.sourceType', value: output.sourceType, error: 'Must be sensor or device' });
     }
 
-    return { ...sensorData, [key]: val };
+    if (details.length > 0) {
+      const error = new Error('Invalid transform expression');
+      error.statusCode = 400;
+      error.details = details;
+      throw error;
+    }
   }
 
-  async _performAction(config, sensorData) {
-    try {
-      // Validate required configuration
-      if (!config.command.deviceUuid) {
-        throw new Error('Device UUID is required for action execution');
-      }
-      if (!config.command) {
-        throw new Error('Command is required for action execution');
-      }
-      if (config.command.value === undefined) {
-        throw new Error('Value is required for action execution');
+  /**
+   * Evaluates a filter node, applying its hold duration and hysteresis.
+   *
+   * A plain comparison (or AND/OR root) with a `duration` only passes once the
+   * condition has held continuously for that long. Conditions with a
+   * `resetValue` latch: after passing, they keep passing until the value
+   * crosses resetValue instead of value (e.g. on above 30, off below 27).
+   * The state behind both lives in Redis (ConditionStateStore) so all workers
+   * see the same history; filters without these options never touch it.
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {number} nodeId - Filter node ID
+   * @param {Object} data - Combined sensor and device data maps
+   * @param {Object} config - The filter configuration
+   * @param {Object} options - { stateStore, now } (defaults: ConditionStateStore, Date.now())
+   * @returns {Promise<{passed: boolean, conditionState?: Object}>}
+   */
+  async _evaluateFilterNode(ruleChainId, nodeId, data, config, options = {}) {
+    const { stateStore = ConditionStateStore, now = Date.now() } = options;
+    const holdMs = this._holdDuration(config);
+    const hysteresis = this._hasResetValue(config);
+    if (!holdMs && !hysteresis) {
+      return { passed: this._evaluateCondition(data, config) };
+    }
+
+    // Read, evaluate and save again whenever another worker saved this
+    // filter's state in between, so no worker acts on a stale history
+    let condition;
+    let rawPassed;
+    let since;
+    let passed;
+    for (let attempt = 1; ; attempt++) {
+      const state = await stateStore.getFilterState(ruleChainId, nodeId);
+      condition = hysteresis && state.latched ? this._applyResetValues(config) : config;
+      rawPassed = this._evaluateCondition(data, condition);
+
+      since = null;
+      passed = false;
+      if (rawPassed) {
+        since = state.since || now;
+        passed = state.latched || now - since >= holdMs;
       }
 
-      // Return action execution result
-      return {
-        status: 'success',
-        commandSent: config.command,
-        timestamp: new Date().toISOString(),
-        deviceInfo: {
-          uuid: config.command.deviceUuid,
-          type: config.type || 'unknown',
-        },
-        sensorData,
-      };
-    } catch (error) {
-      logger.error('Error in _performAction:', error);
-      return {
-        status: 'error',
-        error: error.message,
-        timestamp: new Date().toISOString(),
-      };
+      if (passed === state.latched && since === state.since) break;
+      if (await stateStore.saveFilterState(ruleChainId, nodeId, { latched: passed, since }, state.version)) break;
+      if (attempt >= MAX_FILTER_STATE_ATTEMPTS) {
+        logger.warn('Filter state kept changing while saving; using the last evaluation', {
+          ruleChainId,
+          nodeId,
+          attempts: attempt
+        });
+        break;
+      }
     }
+
+    return {
+      passed,
+      conditionState: {
+        rawPassed,
+        latched: passed,
+        heldMs: since ? now - since : 0,
+        ...(holdMs && { holdMs }),
+        usedResetValue: condition !== config,
+      },
+    };
+  }
+
+  _holdDuration(config) {
+    if (!config || typeof config.duration !== 'string' || DURATION_OPERATORS.includes(config.operator)) {
+      return 0;
+    }
+    return parseDuration(config.duration);
+  }
+
+  _hasResetValue(config) {
+    if (config.type && Array.isArray(config.expressions)) {
+      return config.expressions.some((expr) => this._hasResetValue(expr));
+    }
+    return config.resetValue !== undefined && config.resetValue !== null;
+  }
+
+  // Swap each condition's threshold for its off threshold
+  _applyResetValues(config) {
+    if (config.type && Array.isArray(config.expressions)) {
+      return { ...config, expressions: config.expressions.map((expr) => this._applyResetValues(expr)) };
+    }
+    if (config.resetValue === undefined || config.resetValue === null) {
+      return config;
+    }
+    return { ...config, value: config.resetValue };
+  }
+
+  /**
+   * Rejects bad hold durations, resetValues and action cooldowns
+   * @param {Object} config - Parsed node config
+   * @param {string} nodeType - Node type
+   */
+  _validateConditionOptions(config, nodeType) {
+    if (!config || !['filter', 'action'].includes(nodeType)) {
+      return;
+    }
+
+    const details = [];
+    const checkDuration = (path, value) => {
+      if (typeof value !== 'string' || parseDuration(value) <= 0) {
+        details.push({ path, value, error: 'Must be a duration like "30s", "10m", "2h" or "1d"' });
+      }
+    };
+
+    if (nodeType === 'action') {
+      if (config.cooldown !== undefined && config.cooldown !== null) {
+        checkDuration('config.cooldown', config.cooldown);
+      }
+    } else {
+      if (config.duration !== undefined && config.duration !== null && !DURATION_OPERATORS.includes(config.operator)) {
+        checkDuration('config.duration', config.duration);
+      }
+
+      const walk = (condition, path) => {
+        if (condition.type && Array.isArray(condition.expressions)) {
+          condition.expressions.forEach((expr, index) => walk(expr, `${path}.expressions[${index}]`));
+          return;
+        }
+        if (condition.resetValue === undefined || condition.resetValue === null) {
+          return;
+        }
+
+        const { operator, value, resetValue } = condition;
+        let error = null;
+        if (!HYSTERESIS_OPERATORS.includes(operator)) {
+          error = `resetValue needs one of the operators ${HYSTERESIS_OPERATORS.join(', ')}`;
+        } else if (typeof resetValue !== 'number' || typeof value !== 'number') {
+          error = 'resetValue and value must be numbers';
+        } else if (operator.startsWith('>') ? resetValue > value : resetValue < value) {
+          error = `resetValue must be on the other side of value for operator ${operator}`;
+        }
+        if (error) {
+          details.push({ path: `${path}.resetValue`, value: resetValue, error });
+        }
+      };
+      walk(config, 'config');
+    }
+
+    if (details.length > 0) {
+      const error = new Error('Invalid condition timing options');
+      error.statusCode = 400;
+      error.details = details;
+      throw error;
+    }
+  }
+
+  /**
+   * Rejects notification actions without a known severity or title, or whose
+   * message placeholders don't parse, and alarm options that don't fit
+   * @param {Object} config - Parsed node config
+   * @param {string} nodeType - Node type
+   */
+  _validateNotificationConfig(config, nodeType) {
+    if (nodeType !== 'action' || !config || !['notification', 'clear_alarm'].includes(config.type)) {
+      return;
+    }
+
+    const alarmDetails = this._alarmOptionErrors(config);
+    if (config.type === 'clear_alarm') {
+      if (alarmDetails.length > 0) {
+        const error = new Error('Invalid clear alarm action');
+        error.statusCode = 400;
+        error.details = alarmDetails;
+        throw error;
+      }
+      return;
+    }
+
+    const details = [];
+    if (!NOTIFICATION_SEVERITIES.includes(config.severity)) {
+      details.push({ path: 'config.severity', value: config.severity, error: `Must be one of ${NOTIFICATION_SEVERITIES.join(', ')}` });
+    }
+    if (typeof config.title !== 'string' || config.title.trim() === '') {
+      details.push({ path: 'config.title', value: config.title, error: 'Title is required' });
+    }
+    if (config.insight !== undefined && config.insight !== null && typeof config.insight !== 'string') {
+      details.push({ path: 'config.insight', value: config.insight, error: 'Must be a string' });
+    }
+    ['title', 'insight'].forEach((field) => {
+      if (typeof config[field] !== 'string') return;
+      try {
+        MessageTemplate.parse(config[field]);
+      } catch (err) {
+        details.push({ path: `config.${field}`, value: config[field], error: err.message });
+      }
+    });
+    if (config.roles !== undefined && config.roles !== null
+      && (!Array.isArray(config.roles) || config.roles.some((role) => typeof role !== 'string'))) {
+      details.push({ path: 'config.roles', value: config.roles, error: 'Must be a list of role names' });
+    }
+    if (config.alarmType !== undefined && config.alarmType !== null) {
+      details.push(...alarmDetails);
+      if (config.escalateAfter !== undefined && config.escalateAfter !== null
+        && (typeof config.escalateAfter !== 'string' || parseDuration(config.escalateAfter) <= 0)) {
+        details.push({ path: 'config.escalateAfter', value: config.escalateAfter, error: 'Must be a duration like "30s", "10m", "2h" or "1d"' });
+      }
+    } else if (config.escalateAfter !== undefined && config.escalateAfter !== null) {
+      details.push({ path: 'config.escalateAfter', value: config.escalateAfter, error: 'Only alarms (with an alarmType) escalate' });
+    }
+
+    if (details.length > 0) {
+      const error = new Error('Invalid notification action');
+      error.statusCode = 400;
+      error.details = details;
+      throw error;
+    }
+  }
+
+  // alarmType and originator checks shared by notification and clear_alarm actions
+  _alarmOptionErrors(config) {
+    const details = [];
+    if (typeof config.alarmType !== 'string' || config.alarmType.trim() === '' || config.alarmType.length > 100) {
+      details.push({ path: 'config.alarmType', value: config.alarmType, error: 'Alarm type must be a name of at most 100 characters' });
+    }
+    if (config.originator !== undefined && config.originator !== null) {
+      const { sourceType = 'sensor', UUID } = config.originator;
+      if (!['sensor', 'device'].includes(sourceType)) {
+        details.push({ path: 'config.originator.sourceType', value: sourceType, error: 'Must be sensor or device' });
+      }
+      const uuidCheck = validateUUID(UUID);
+      if (!uuidCheck.valid) {
+        details.push({ path: 'config.originator.UUID', value: UUID, error: uuidCheck.error });
+      }
+    }
+    return details;
+  }
+
+  /**
+   * Rejects aggregate filter conditions with an unknown function or a bad window
+   * @param {Object} config - Parsed node config
+   * @param {string} nodeType - Node type
+   */
+  _validateAggregateConfig(config, nodeType) {
+    if (nodeType !== 'filter' || !config) {
+      return;
+    }
+
+    const details = [];
+    const walk = (condition, path) => {
+      if (condition.type && Array.isArray(condition.expressions)) {
+        condition.expressions.forEach((expr, index) => walk(expr, `${path}.expressions[${index}]`));
+        return;
+      }
+      WindowAggregator.validateAggregateCondition(condition).forEach((error) => {
+        details.push({ path, value: { aggregate: condition.aggregate, window: condition.window }, error });
+      });
+    };
+    walk(config, 'config');
+
+    if (details.length > 0) {
+      const error = new Error('Invalid aggregate filter condition');
+      error.statusCode = 400;
+      error.details = details;
+      throw error;
+    }
+  }
+
+  /**
+   * Applies a transform node to the execution data.
+   *
+   * Expression transforms ({ type: 'expression', expression, output: { sourceType, UUID, key } })
+   * evaluate a sandboxed expression (see ExpressionEvaluator) over the UUID-keyed
+   * data and store the result under output, where later filters and actions can
+   * read it like any other sensor/device value.
+   *
+   * Arithmetic transforms ({ operation, operand, key, sourceType?, UUID? })
+   * apply one operation to a single value; without a UUID they act on a
+   * top-level key as before.
+   * @param {Object} data - { sensorData, deviceData } maps
+   * @param {Object} config - Transform node config
+   * @returns {Object} New execution data
+   */
+  _transformData(data, config) {
+    if (config.type === 'expression') {
+      const ast = ExpressionEvaluator.parse(config.expression);
+      const value = ExpressionEvaluator.evaluate(ast, data);
+      const { sourceType = 'sensor', UUID, key } = config.output || {};
+      const mapName = sourceType === 'device' ? 'deviceData' : 'sensorData';
+
+      return {
+        ...data,
+        [mapName]: {
+          ...data[mapName],
+          [UUID]: { ...(data[mapName] || {})[UUID], [key]: value }
+        }
+      };
+    }
+
+    if (config.UUID) {
+      const mapName = config.sourceType === 'device' ? 'deviceData' : 'sensorData';
+      const values = (data[mapName] || {})[config.UUID] || {};
+      const transformed = this._applyOperation(values[config.key], config.operation, config.operand);
+
+      return {
+        ...data,
+        [mapName]: {
+          ...data[mapName],
+          [config.UUID]: { ...values, [config.key]: transformed }
+        }
+      };
+    }
+
+    return { ...data, [config.key]: this._applyOperation(data[config.key], config.operation, config.operand) };
+  }
+
+  _applyOperation(value, operation, operand) {
+    let val = value;
+
+    switch (operation) {
+      case 'multiply':
+        val *= operand;
+        break;
+      case 'add':
+        val += operand;
+        break;
+      case 'subtract':
+        val -= operand;
+        break;
+      case 'divide':
+        val /= operand;
+        break;
+      default:
+        break;
+    }
+
+    return val;
+  }
+
+  /**
+   * Sends an action node's command to its device as a persisted DeviceCommand
+   * (see deviceCommandService) and reports the first delivery attempt.
+   * The device state is only recorded once the device acknowledges the command;
+   * a first attempt that could not be delivered or queued yields status 'error'.
+   * @param {Object} config - Action node config ({ type, command })
+   * @param {Object} sensorData - Current execution data
+   * @param {Object} context - Execution context ({ ruleChainId, nodeId, triggerChain })
+   */
+  async _performAction(config, sensorData, context = {}) {
+    try {
+      // Validate required configuration
+      if (!config.command) {
+        throw new Error('Command is required for action execution');
+      }
+      if (!config.command.deviceUuid) {
+        throw new Error('Device UUID is required for action execution');
+      }
+      if (config.command.value === undefined) {
+        throw new Error('Value is required for action execution');
+      }
+
+      const device = await Device.findOne({
+        where: { uuid: config.command.deviceUuid },
+        attributes: ['id', 'uuid', 'name', 'communicationProtocol']
+      });
+      if (!device) {
+        throw new Error(`Device ${config.command.deviceUuid} not found`);
+      }
+
+      const deviceInfo = {
+        uuid: config.command.deviceUuid,
+        type: config.type || 'unknown',
+        protocol: device.communicationProtocol,
+      };
+
+      if (context.dryRun) {
+        // Simulation: report the command without storing or dispatching it
+        return {
+          status: 'success',
+          dryRun: true,
+          commandSent: config.command,
+          timestamp: new Date().toISOString(),
+          deviceInfo,
+          sensorData,
+        };
+      }
+
+      const { command, delivery } = await deviceCommandService.sendCommand(
+        device,
+        { stateName: config.command.stateName, value: config.command.value },
+        {
+          initiatedBy: 'rule_chain',
+          ruleChainId: context.ruleChainId,
+          ruleChainNodeId: context.nodeId,
+          triggerChain: context.triggerChain
+        }
+      );
+
+      return {
+        status: delivery.status === DELIVERY_STATUS.FAILED ? 'error' : 'success',
+        commandSent: config.command,
+        commandId: command.commandId,
+        commandStatus: command.status,
+        delivery,
+        timestamp: new Date().toISOString(),
+        deviceInfo,
+        sensorData,
+        ...(delivery.status === DELIVERY_STATUS.FAILED && { error: delivery.reason }),
+      };
+    } catch (error) {
+      logger.error('Error in _performAction:', error);
+      return {
+        status: 'error',
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  }
+
+  /**
+   * Raises a notification action: renders its title and insight from the
+   * execution data (see MessageTemplate), stores a Notification and fans it
+   * out to the organization through ruleNotificationService. With an
+   * alarmType it raises a deduplicated alarm instead (see alarmService).
+   * @param {Object} config - { type: 'notification', severity, title, insight, roles, alarmType, escalateAfter }
+   * @param {Object} data - Current execution data
+   * @param {Object} context - Execution context ({ ruleChainId, nodeId, organizationId, trigger, dryRun })
+   */
+  async _performNotification(config, data, context = {}) {
+    const notification = {
+      severity: config.severity,
+      title: MessageTemplate.render(config.title, data),
+      insight: MessageTemplate.render(config.insight, data),
+      roles: config.roles || null,
+      ...(config.alarmType && { alarmType: config.alarmType, ...this._alarmOriginator(config, context) }),
+    };
+
+    if (context.dryRun) {
+      // Simulation: report what would be sent without storing or delivering it
+      return {
+        status: 'success',
+        dryRun: true,
+        notification,
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    try {
+      if (config.alarmType) {
+        const alarmService = require('./alarmService');
+        const { alarm, created } = await alarmService.raise({
+          ...notification,
+          organizationId: context.organizationId,
+          ruleChainId: context.ruleChainId,
+          escalateAfterMs: typeof config.escalateAfter === 'string' ? parseDuration(config.escalateAfter) : null,
+        });
+
+        return {
+          status: 'success',
+          notification,
+          notificationId: alarm.id,
+          alarm: { id: alarm.id, status: alarm.status, created, occurrences: alarm.occurrences },
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      const ruleNotificationService = require('./ruleNotificationService');
+      const { notificationId, recipients, delivered } = await ruleNotificationService.notify({
+        ...notification,
+        organizationId: context.organizationId,
+        ruleChainId: context.ruleChainId,
+        nodeId: context.nodeId,
+      });
+
+      return {
+        status: 'success',
+        notification,
+        notificationId,
+        recipients,
+        delivered,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.error('Error in _performNotification:', error);
+      return {
+        status: 'error',
+        notification,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      };
+    }
+  }
+
+  /**
+   * Clears the open alarm of the given type for the execution's originator
+   * @param {Object} config - { type: 'clear_alarm', alarmType, originator }
+   * @param {Object} data - Current execution data
+   * @param {Object} context - Execution context ({ ruleChainId, organizationId, trigger, dryRun })
+   */
+  async _performAlarmClear(config, data, context = {}) {
+    const target = { alarmType: config.alarmType, ...this._alarmOriginator(config, context) };
+
+    if (context.dryRun) {
+      return { status: 'success', dryRun: true, alarm: target, timestamp: new Date().toISOString() };
+    }
+
+    try {
+      const alarmService = require('./alarmService');
+      const alarm = await alarmService.clearByOriginator({ ...target, organizationId: context.organizationId });
+
+      return {
+        status: 'success',
+        alarm: { ...target, id: alarm ? alarm.id : null, cleared: Boolean(alarm) },
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.error('Error in _performAlarmClear:', error);
+      return { status: 'error', error: error.message, timestamp: new Date().toISOString() };
+    }
+  }
+
+  /**
+   * Whose alarm an action raises or clears: the config's originator, else the
+   * sensor or device that triggered the run, else the rule chain itself
+   * @returns {{originatorType: string, originatorUuid: string}}
+   */
+  _alarmOriginator(config, context) {
+    if (config.originator && config.originator.UUID) {
+      return { originatorType: config.originator.sourceType || 'sensor', originatorUuid: config.originator.UUID };
+    }
+    const trigger = context.trigger || {};
+    if (['sensor', 'device'].includes(trigger.originatorType) && trigger.originatorUUID) {
+      return { originatorType: trigger.originatorType, originatorUuid: trigger.originatorUUID };
+    }
+    return { originatorType: 'rule_chain', originatorUuid: String(context.ruleChainId) };
   }
 
   /**
@@ -998,30 +1988,58 @@ class RuleChainService {
    * @param {Map} deviceReqs - Map to collect device requirements
    */
   _extractRequirements(expression, sensorReqs, deviceReqs) {
-    if (expression.type && expression.expressions) {
+    if (expression.type === 'expression') {
+      // Transform node: collect every value the expression reads
+      const ast = ExpressionEvaluator.parse(expression.expression);
+      ExpressionEvaluator.extractReferences(ast).forEach((reference) =>
+        this._extractRequirements(reference, sensorReqs, deviceReqs)
+      );
+    } else if (expression.type === 'notification') {
+      // Notification action: collect the values its messages mention
+      [expression.title, expression.insight].filter(Boolean).forEach((template) =>
+        MessageTemplate.extractReferences(template).forEach((reference) =>
+          this._extractRequirements(reference, sensorReqs, deviceReqs)
+        )
+      );
+    } else if (expression.type && expression.expressions) {
       // Handle nested AND/OR expressions
       expression.expressions.forEach((expr) =>
         this._extractRequirements(expr, sensorReqs, deviceReqs)
       );
     } else {
       // Handle leaf node (actual condition)
-      const { sourceType, UUID, key } = expression;
+      const { sourceType, UUID, key, aggregate, window } = expression;
       if (!UUID || !key) return;
 
+      // Aggregate conditions need their window collected, not the latest value
+      const requirement = aggregate ? WindowAggregator.aggregateKey(key, aggregate, window) : key;
+
       if (sourceType === 'sensor') {
         if (!sensorReqs.has(UUID)) {
           sensorReqs.set(UUID, new Set());
         }
-        sensorReqs.get(UUID).add(key);
+        sensorReqs.get(UUID).add(requirement);
       } else if (sourceType === 'device') {
         if (!deviceReqs.has(UUID)) {
           deviceReqs.set(UUID, new Set());
         }
-        deviceReqs.get(UUID).add(key);
+        deviceReqs.get(UUID).add(requirement);
       }
     }
   }
 
+  // DataStream stores every reading as a string
+  _castTelemetryValue(value, datatype) {
+    switch (datatype) {
+      case 'number':
+        return Number(value);
+      case 'boolean':
+        return String(value).toLowerCase() === 'true';
+      default:
+        return value;
+    }
+  }
+
   /**
    * Collects latest sensor values based on requirements with timeout
    * @param {Map} sensorReqs - Map of sensor UUIDs to required parameters
@@ -1043,14 +2061,28 @@ class RuleChainService {
           const sensorDataObject = { UUID };
 
           for (const param of parameters) {
+            if (param === CONNECTIVITY_KEY) {
+              sensorDataObject[param] = connectivityOf(sensor.status);
+              continue;
+            }
+            const windowed = WindowAggregator.parseAggregateKey(param);
             const telemetry = await TelemetryData.findOne({
               where: {
                 sensorId: sensor.id,
-                variableName: param,
+                variableName: windowed ? windowed.key : param,
               },
             });
 
-            if (telemetry) {
+            if (telemetry && windowed) {
+              const aggregated = await WindowAggregator.aggregateSensorVariable(
+                telemetry,
+                windowed.aggregate,
+                windowed.window
+              );
+              if (aggregated !== null) {
+                sensorDataObject[param] = aggregated;
+              }
+            } else if (telemetry) {
               const latestStream = await DataStream.findOne({
                 where: { telemetryDataId: telemetry.id },
                 order: [['recievedAt', 'DESC']],
@@ -1058,18 +2090,8 @@ class RuleChainService {
               });
 
               if (latestStream) {
-                let value = latestStream.value;
-                let receivedAt = latestStream.recievedAt;
-                switch (telemetry.datatype) {
-                  case 'number':
-                    value = Number(value);
-                    break;
-                  case 'boolean':
-                    value = value.toLowerCase() === 'true';
-                    break;
-                }
-                sensorDataObject[param] = value;
-                sensorDataObject['timestamp'] = receivedAt;
+                sensorDataObject[param] = this._castTelemetryValue(latestStream.value, telemetry.datatype);
+                sensorDataObject['timestamp'] = latestStream.recievedAt;
               }
             }
           }
@@ -1128,14 +2150,28 @@ class RuleChainService {
           const deviceDataObject = { UUID };
 
           for (const param of parameters) {
+            if (param === CONNECTIVITY_KEY) {
+              deviceDataObject[param] = connectivityOf(device.status);
+              continue;
+            }
+            const windowed = WindowAggregator.parseAggregateKey(param);
             const state = await DeviceState.findOne({
               where: {
                 deviceId: device.id,
-                stateName: param,
+                stateName: windowed ? windowed.key : param,
               },
             });
 
-            if (state) {
+            if (state && windowed) {
+              const aggregated = await WindowAggregator.aggregateDeviceState(
+                state,
+                windowed.aggregate,
+                windowed.window
+              );
+              if (aggregated !== null) {
+                deviceDataObject[param] = aggregated;
+              }
+            } else if (state) {
               const latestInstance = await DeviceStateInstance.findOne({
                 where: { deviceStateId: state.id },
                 order: [['fromTimestamp', 'DESC']],
@@ -1183,17 +2219,378 @@ class RuleChainService {
   }
 
   /**
-   * Triggers execution of all rule chains for an organization
-   * @param {string} options.originProtocol - Protocol that triggered this (mqtt, coap, http)
-   * @param {string} options.deviceUuid - Device UUID that triggered this (for CoAP notifications)
+   * Collects the latest sensor and device values a rule chain's nodes refer to
+   * and wraps them in the execution context expected by execute()
+   * @param {Object} ruleChain - Rule chain with its nodes loaded
+   * @param {Object} options - { triggerChain, trigger } carried into meta for loop
+   *   protection and execution history
+   * @returns {Promise<Object>} { sensorData, deviceData, meta }
+   */
+  async _collectExecutionData(ruleChain, options = {}) {
+    const { triggerChain = [], trigger } = options;
+
+    // Extract data requirements from node configs
+    const sensorReqs = new Map();
+    const deviceReqs = new Map();
+
+    for (const node of ruleChain.nodes) {
+      try {
+        const config = node.config || '{}';
+        this._extractRequirements(config, sensorReqs, deviceReqs);
+      } catch (error) {
+        logger.error(
+          `Error parsing config for node ${node.id} in rule chain ${ruleChain.id}:`,
+          error
+        );
+        // Continue with next node
+      }
+    }
+
+    // Collect required data with timeouts
+    const collectionStartTime = Date.now();
+    const dataCollectionTimeout = config.ruleEngine.timeouts.dataCollection;
+
+    const missingSources = [];
+    const timeoutDetails = {};
+
+    const [sensorResult, deviceResult] = await Promise.all([
+      this._collectSensorData(sensorReqs, dataCollectionTimeout)
+        .catch(err => {
+          if (err.isTimeout) {
+            const sourceIds = Array.from(sensorReqs.keys());
+            missingSources.push(...sourceIds.map(id => `sensor:${id}`));
+            timeoutDetails.sensor = {
+              timedOut: true,
+              duration: err.context?.duration || dataCollectionTimeout
+            };
+            timeoutMetrics.recordTimeout(err.code, err.context?.duration || dataCollectionTimeout);
+            logger.warn('Sensor data collection timed out', {
+              ruleChainId: ruleChain.id,
+              sensorUUIDs: sourceIds,
+              timeoutMs: dataCollectionTimeout,
+              errorCode: err.code
+            });
+            return { data: [], timeoutDetails: { timedOut: true, duration: err.context?.duration || dataCollectionTimeout } };
+          }
+          throw err;
+        }),
+      this._collectDeviceData(deviceReqs, dataCollectionTimeout)
+        .catch(err => {
+          if (err.isTimeout) {
+            const sourceIds = Array.from(deviceReqs.keys());
+            missingSources.push(...sourceIds.map(id => `device:${id}`));
+            timeoutDetails.device = {
+              timedOut: true,
+              duration: err.context?.duration || dataCollectionTimeout
+            };
+            timeoutMetrics.recordTimeout(err.code, err.context?.duration || dataCollectionTimeout);
+            logger.warn('Device data collection timed out', {
+              ruleChainId: ruleChain.id,
+              deviceUUIDs: sourceIds,
+              timeoutMs: dataCollectionTimeout,
+              errorCode: err.code
+            });
+            return { data: [], timeoutDetails: { timedOut: true, duration: err.context?.duration || dataCollectionTimeout } };
+          }
+          throw err;
+        })
+    ]);
+
+    const sensorData = sensorResult.data || sensorResult;
+    const deviceData = deviceResult.data || deviceResult;
+
+    if (sensorResult.timeoutDetails) {
+      timeoutDetails.sensor = sensorResult.timeoutDetails;
+      if (sensorResult.timeoutDetails.timedOut) {
+        const sourceIds = Array.from(sensorReqs.keys());
+        missingSources.push(...sourceIds.map(id => `sensor:${id}`));
+        timeoutMetrics.recordTimeout(ERROR_CODES.DATA_COLLECTION_TIMEOUT, sensorResult.timeoutDetails.duration);
+      }
+    }
+    if (deviceResult.timeoutDetails) {
+      timeoutDetails.device = deviceResult.timeoutDetails;
+      if (deviceResult.timeoutDetails.timedOut) {
+        const sourceIds = Array.from(deviceReqs.keys());
+        missingSources.push(...sourceIds.map(id => `device:${id}`));
+        timeoutMetrics.recordTimeout(ERROR_CODES.DATA_COLLECTION_TIMEOUT, deviceResult.timeoutDetails.duration);
+      }
+    }
+
+    // Build execution context with metadata
+    return {
+      sensorData,
+      deviceData,
+      meta: {
+        partialData: missingSources.length > 0,
+        missingSources,
+        timeoutDetails,
+        executionStart: collectionStartTime,
+        triggerChain,
+        trigger
+      }
+    };
+  }
+
+  /**
+   * Runs a scheduled rule chain against live data, the way trigger() does.
+   * A failed run is retried up to the chain's maxRetries, waiting retryDelay
+   * milliseconds between attempts. Every run bumps executionCount and
+   * lastExecutedAt; runs whose final attempt failed also bump failureCount
+   * and lastErrorAt. Failures are reported in the result rather than thrown
+   * so the queue does not add its own retries on top.
+   * @param {number} ruleChainId - The ID of the scheduled rule chain
+   * @returns {Promise<Object>} { ruleChainId, status: 'success'|'failed'|'skipped', attempts, result?, error? }
+   */
+  async runScheduled(ruleChainId) {
+    const ruleChain = await RuleChain.findByPk(ruleChainId, {
+      include: [{ model: RuleChainNode, as: 'nodes', required: false }]
+    });
+
+    if (!ruleChain) {
+      return { ruleChainId, status: 'skipped', message: 'Rule chain not found' };
+    }
+    if (!ruleChain.nodes || ruleChain.nodes.length === 0) {
+      return { ruleChainId, status: 'skipped', message: 'No nodes found' };
+    }
+
+    const maxAttempts = (ruleChain.maxRetries || 0) + 1;
+    const ruleChainTimeout = config.ruleEngine.timeouts.ruleChain;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const startTime = Date.now();
+        const executionContext = await this._collectExecutionData(ruleChain, {
+          trigger: { type: 'scheduled', attempt, maxAttempts }
+        });
+        const remainingTime = ruleChainTimeout - (Date.now() - startTime);
+        const result = await this.execute(ruleChain.id, executionContext, Math.max(remainingTime, 1000));
+
+        await this._recordScheduledRun(ruleChain.id, null);
+        return { ruleChainId, status: 'success', attempts: attempt, result };
+      } catch (error) {
+        lastError = error;
+        logger.warn('Scheduled rule chain run failed', {
+          ruleChainId,
+          attempt,
+          maxAttempts,
+          error: error.message,
+          errorCode: error.code
+        });
+
+        if (attempt < maxAttempts && ruleChain.retryDelay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, ruleChain.retryDelay));
+        }
+      }
+    }
+
+    await this._recordScheduledRun(ruleChain.id, lastError);
+    return {
+      ruleChainId,
+      status: 'failed',
+      attempts: maxAttempts,
+      error: lastError.message,
+      ...(lastError.code && { errorCode: lastError.code })
+    };
+  }
+
+  async _recordScheduledRun(ruleChainId, error) {
+    const now = new Date();
+    const changes = {
+      lastExecutedAt: now,
+      executionCount: Sequelize.literal('executionCount + 1')
+    };
+    if (error) {
+      changes.lastErrorAt = now;
+      changes.failureCount = Sequelize.literal('failureCount + 1');
+    }
+
+    try {
+      await RuleChain.update(changes, { where: { id: ruleChainId } });
+    } catch (err) {
+      logger.warn('Failed to record scheduled rule chain run', { ruleChainId, error: err.message });
+    }
+  }
+
+  /**
+   * Dry-runs a rule chain without side effects: no commands are stored or
+   * dispatched (so no MQTT publishes, DeviceStateInstances or notifications),
+   * no execution history, metrics or shared hold/cooldown state is written.
+   *
+   * Either evaluates hypothetical values once:
+   *   { sensorData: [{ UUID, temperature: 31 }], deviceData: [{ UUID, power: 'off' }] }
+   * or replays the DataStream readings the chain's filters use, in time order:
+   *   { replay: { from, to, limit }, deviceData: [...] }
+   * Aggregate conditions read their values as given (e.g. "avg(humidity,10m)")
+   * and are not recomputed during a replay.
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {Object} input - Hypothetical values or replay window
+   * @returns {Promise<Object>} Per-node trace, decisions and the actions that would fire
+   */
+  async simulate(ruleChainId, input = {}) {
+    const ruleChain = await this.findChainById(ruleChainId);
+    if (!ruleChain) {
+      const error = new Error('Rule chain not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (input.replay) {
+      return this._simulateReplay(ruleChain, input);
+    }
+
+    const result = await this.execute(
+      ruleChain.id,
+      {
+        sensorData: input.sensorData || [],
+        deviceData: input.deviceData || [],
+        meta: { trigger: { type: 'simulation' } }
+      },
+      null,
+      { dryRun: true, stateStore: ConditionStateStore.createMemoryStore() }
+    );
+
+    return { mode: 'values', ruleChainId: ruleChain.id, ...this._simulationReport(result) };
+  }
+
+  async _simulateReplay(ruleChain, input) {
+    const from = new Date(input.replay.from);
+    const to = new Date(input.replay.to);
+    const limit = Math.min(input.replay.limit || DEFAULT_REPLAY_POINTS, MAX_REPLAY_POINTS);
+
+    const sensorReqs = new Map();
+    for (const node of ruleChain.nodes || []) {
+      try {
+        this._extractRequirements(node.config || '{}', sensorReqs, new Map());
+      } catch (error) {
+        logger.warn('Skipping unreadable node config in replay', { nodeId: node.id, error: error.message });
+      }
+    }
+
+    const readings = [];
+    for (const [UUID, parameters] of sensorReqs) {
+      const sensor = await Sensor.findOne({ where: { UUID } });
+      if (!sensor) continue;
+
+      for (const param of parameters) {
+        if (WindowAggregator.parseAggregateKey(param)) continue;
+
+        const telemetry = await TelemetryData.findOne({ where: { sensorId: sensor.id, variableName: param } });
+        if (!telemetry) continue;
+
+        const rows = await DataStream.findAll({
+          where: {
+            telemetryDataId: telemetry.id,
+            recievedAt: { [Sequelize.Op.between]: [from, to] }
+          },
+          order: [['recievedAt', 'ASC']],
+          limit: limit + 1
+        });
+        rows.forEach((row) => readings.push({
+          UUID,
+          key: param,
+          value: this._castTelemetryValue(row.value, telemetry.datatype),
+          timestamp: row.recievedAt
+        }));
+      }
+    }
+
+    readings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const truncated = readings.length > limit;
+    const replayed = readings.slice(0, limit);
+
+    // Hold durations and cooldowns run on the replayed timeline
+    let replayNow = from.getTime();
+    const stateStore = ConditionStateStore.createMemoryStore(() => replayNow);
+    const latest = new Map();
+    const steps = [];
+    let actionsFired = 0;
+
+    for (const reading of replayed) {
+      const current = { ...(latest.get(reading.UUID) || { UUID: reading.UUID }) };
+      current[reading.key] = reading.value;
+      current.timestamp = reading.timestamp;
+      latest.set(reading.UUID, current);
+      replayNow = new Date(reading.timestamp).getTime();
+
+      const result = await this.execute(
+        ruleChain.id,
+        {
+          sensorData: Array.from(latest.values()),
+          deviceData: input.deviceData || [],
+          meta: { trigger: { type: 'simulation', replayedAt: reading.timestamp } }
+        },
+        null,
+        { dryRun: true, stateStore, clock: () => replayNow }
+      );
+
+      const report = this._simulationReport(result);
+      const fired = report.actions.filter((action) => action.status === 'success');
+      actionsFired += fired.length;
+      steps.push({
+        timestamp: reading.timestamp,
+        reading: { UUID: reading.UUID, key: reading.key, value: reading.value },
+        status: report.status,
+        decisions: report.decisions,
+        actions: report.actions
+      });
+    }
+
+    return {
+      mode: 'replay',
+      ruleChainId: ruleChain.id,
+      window: { from, to },
+      points: replayed.length,
+      truncated,
+      actionsFired,
+      steps
+    };
+  }
+
+  _simulationReport(result) {
+    const nodeResults = result.nodeResults || { filters: [], branches: [], actions: [] };
+    return {
+      status: result.status || 'success',
+      summary: result.summary || null,
+      trace: result.executionDetails ? result.executionDetails.executedNodes : [],
+      decisions: { filters: nodeResults.filters, branches: nodeResults.branches },
+      actions: nodeResults.actions,
+      finalData: result.executionDetails ? result.executionDetails.finalData : null
+    };
+  }
+
+  /**
+   * Triggers execution of the rule chains indexed for an originator's variables
+   * @param {string} originatorUUID - Sensor UUID, or device UUID when options.originatorType is 'device'
+   * @param {Array<string>} variableNames - Changed variable (sensor) or state (device) names
+   * @param {Object} options - Trigger options
+   * @param {string} options.originatorType - 'sensor' (default) or 'device'
+   * @param {string} options.triggerType - Event that started the run, recorded as meta.trigger.type;
+   *   defaults to telemetry-data for sensors and device-state-change for devices
+   * @param {Array<number>} options.triggerChain - Rule chains whose actions caused this trigger;
+   *   they are skipped and the trigger is dropped once the chain reaches maxTriggerDepth
    * @returns {Promise} Results of rule chain executions
    */
-  async trigger(sensorUUID = null, variableNames = []) {
+  async trigger(originatorUUID = null, variableNames = [], options = {}) {
     const RULE_CHAIN_TRIGGER_BATCH_SIZE = 50;
+    const { originatorType = 'sensor', triggerChain = [] } = options;
+    const triggerType = options.triggerType || (originatorType === 'device' ? 'device-state-change' : 'telemetry-data');
     try {
-      const ruleChainIds = await RuleChainIndex.getRuleChainsForSensor(sensorUUID, variableNames);
+      if (triggerChain.length >= config.ruleEngine.maxTriggerDepth) {
+        logger.warn('Rule chain trigger depth exceeded, dropping trigger', {
+          originatorType,
+          originatorUUID,
+          triggerChain,
+          maxTriggerDepth: config.ruleEngine.maxTriggerDepth
+        });
+        return;
+      }
+
+      const indexedIds = await RuleChainIndex.getRuleChainsForOriginator(originatorType, originatorUUID, variableNames);
+      // A chain never re-runs off a state change its own actions produced
+      const ruleChainIds = indexedIds.filter((id) => !triggerChain.includes(id));
       if (!ruleChainIds.length) {
-        console.log('No rule chains found for sensor UUID:', sensorUUID);
+        console.log(`No rule chains found for ${originatorType} UUID:`, originatorUUID);
         return;
       }
 
@@ -1215,6 +2612,8 @@ class RuleChainService {
         }
 
         for (const ruleChain of ruleChains) {
+        const ruleChainStartTime = Date.now();
+        const ruleChainTimeout = config.ruleEngine.timeouts.ruleChain;
         try {
           // Skip if no nodes
           if (!ruleChain.nodes || ruleChain.nodes.length === 0) {
@@ -1227,107 +2626,19 @@ class RuleChainService {
             continue;
           }
 
-          // 2. Extract data requirements from node configs
-          const sensorReqs = new Map();
-          const deviceReqs = new Map();
-
-          for (const node of ruleChain.nodes) {
-            try {
-              const config = node.config || '{}';
-              this._extractRequirements(config, sensorReqs, deviceReqs);
-            } catch (error) {
-              logger.error(
-                `Error parsing config for node ${node.id} in rule chain ${ruleChain.id}:`,
-                error
-              );
-              // Continue with next node
+          // 2. Collect the live data the chain's filters need
+          const executionContext = await this._collectExecutionData(ruleChain, {
+            triggerChain,
+            trigger: {
+              type: triggerType,
+              originatorType,
+              originatorUUID,
+              variableNames,
+              ...(triggerChain.length && { triggerChain })
             }
-          }
-
-          // 3. Collect required data with timeouts
-          const ruleChainStartTime = Date.now();
-          const dataCollectionTimeout = config.ruleEngine.timeouts.dataCollection;
-          const ruleChainTimeout = config.ruleEngine.timeouts.ruleChain;
-
-          const missingSources = [];
-          const timeoutDetails = {};
-
-          const [sensorResult, deviceResult] = await Promise.all([
-            this._collectSensorData(sensorReqs, dataCollectionTimeout)
-              .catch(err => {
-                if (err.isTimeout) {
-                  const sourceIds = Array.from(sensorReqs.keys());
-                  missingSources.push(...sourceIds.map(id => `sensor:${id}`));
-                  timeoutDetails.sensor = {
-                    timedOut: true,
-                    duration: err.context?.duration || dataCollectionTimeout
-                  };
-                  timeoutMetrics.recordTimeout(err.code, err.context?.duration || dataCollectionTimeout);
-                  logger.warn('Sensor data collection timed out', {
-                    ruleChainId: ruleChain.id,
-                    sensorUUIDs: sourceIds,
-                    timeoutMs: dataCollectionTimeout,
-                    errorCode: err.code
-                  });
-                  return { data: [], timeoutDetails: { timedOut: true, duration: err.context?.duration || dataCollectionTimeout } };
-                }
-                throw err;
-              }),
-            this._collectDeviceData(deviceReqs, dataCollectionTimeout)
-              .catch(err => {
-                if (err.isTimeout) {
-                  const sourceIds = Array.from(deviceReqs.keys());
-                  missingSources.push(...sourceIds.map(id => `device:${id}`));
-                  timeoutDetails.device = {
-                    timedOut: true,
-                    duration: err.context?.duration || dataCollectionTimeout
-                  };
-                  timeoutMetrics.recordTimeout(err.code, err.context?.duration || dataCollectionTimeout);
-                  logger.warn('Device data collection timed out', {
-                    ruleChainId: ruleChain.id,
-                    deviceUUIDs: sourceIds,
-                    timeoutMs: dataCollectionTimeout,
-                    errorCode: err.code
-                  });
-                  return { data: [], timeoutDetails: { timedOut: true, duration: err.context?.duration || dataCollectionTimeout } };
-                }
-                throw err;
-              })
-          ]);
-
-          const sensorData = sensorResult.data || sensorResult;
-          const deviceData = deviceResult.data || deviceResult;
-
-          if (sensorResult.timeoutDetails) {
-            timeoutDetails.sensor = sensorResult.timeoutDetails;
-            if (sensorResult.timeoutDetails.timedOut) {
-              const sourceIds = Array.from(sensorReqs.keys());
-              missingSources.push(...sourceIds.map(id => `sensor:${id}`));
-              timeoutMetrics.recordTimeout(ERROR_CODES.DATA_COLLECTION_TIMEOUT, sensorResult.timeoutDetails.duration);
-            }
-          }
-          if (deviceResult.timeoutDetails) {
-            timeoutDetails.device = deviceResult.timeoutDetails;
-            if (deviceResult.timeoutDetails.timedOut) {
-              const sourceIds = Array.from(deviceReqs.keys());
-              missingSources.push(...sourceIds.map(id => `device:${id}`));
-              timeoutMetrics.recordTimeout(ERROR_CODES.DATA_COLLECTION_TIMEOUT, deviceResult.timeoutDetails.duration);
-            }
-          }
-
-          // 4. Build execution context with metadata
-          const executionContext = {
-            sensorData,
-            deviceData,
-            meta: {
-              partialData: missingSources.length > 0,
-              missingSources,
-              timeoutDetails,
-              executionStart: ruleChainStartTime
-            }
-          };
+          });
 
-          // 5. Execute rule chain with timeout
+          // 3. Execute rule chain with timeout
           const remainingTime = ruleChainTimeout - (Date.now() - ruleChainStartTime);
           const executionResult = await this.execute(ruleChain.id, executionContext, Math.max(remainingTime, 1000));
           results.push({
@@ -1336,66 +2647,8 @@ class RuleChainService {
             status: 'success',
             result: executionResult,
           });
-          // trigger device state instance
-          const deviceStateInstance = executionResult.nodeResults.actions;
-          if (deviceStateInstance) {
-            for (const action of deviceStateInstance) {
-              try {
-                // Transform action data to match required format
-                const stateChangeData = {
-                  deviceUuid: action.command.deviceUuid,
-                  stateName: action.command.stateName,
-                  value: action.command.value,
-                  initiatedBy: 'rule_chain',
-                  metadata: {
-                    ruleChainId: ruleChain.id,
-                    ruleChainName: ruleChain.name,
-                    nodeId: action.nodeId,
-                  },
-                };
-
-                // Call createInstance with the transformed data
-                const result = await deviceStateInstanceService.createInstance(stateChangeData);
-
-                // Queue notification with the returned metadata
-                if (result.metadata) {
-                  await notificationManager.queueStateChangeNotification(
-                    {
-                      ...result.metadata,
-                      triggeredBy: 'rule_chain',
-                      ruleChainDetails: stateChangeData.metadata,
-                    },
-                    null, // default priority
-                    true // broadcast to all since it's system-initiated
-                  );
-
-                  // Update action with notification status
-                  action.notificationSent = true;
-                  action.notificationDetails = {
-                    triggeredBy: 'rule_chain',
-                    priority: 'normal',
-                    broadcast: true,
-                  };
-                }
-              } catch (error) {
-                logger.error(
-                  'Error processing device state change for action',
-                  {
-                    nodeId: action.nodeId,
-                    ruleChainId: ruleChain.id,
-                    ruleChainName: ruleChain.name,
-                    deviceUuid: action.command?.deviceUuid,
-                    stateName: action.command?.stateName,
-                    value: action.command?.value,
-                    error: error.message,
-                    statusCode: error.statusCode
-                  }
-                );
-                action.notificationSent = false;
-                action.error = error.message;
-              }
-            }
-          }
+          // Device state instances (and their notifications) are recorded by
+          // deviceCommandService once the device acknowledges each command
         } catch (error) {
           const duration = Date.now() - ruleChainStartTime;
 
@@ -0,0 +1,319 @@
+/**
+ * Rule Chain Template Service
+ *
+ * Catalogue of parameterised rule chains. A template declares typed inputs
+ * and a definition in the rule chain bundle node format whose strings may
+ * contain {{input:<name>}} placeholders. Instantiating a template resolves
+ * the inputs for one organization and creates ordinary RuleChain and
+ * RuleChainNode rows through ruleChainBundleService.
+ *
+ * Templates with organizationId null are global and visible to everyone;
+ * the others belong to one organization. Who may publish which kind is
+ * decided by the routes (rule.template.global / rule.template.manage).
+ */
+const { Op } = require('sequelize');
+const cron = require('node-cron');
+const { RuleChainTemplate } = require('../models/initModels');
+const { ApiError } = require('../middlewares/errorHandler');
+const ruleChainBundleService = require('./ruleChainBundleService');
+const { mapStrings } = require('./ruleChainBundleService');
+const { parseDuration } = require('../utils/timeUtils');
+
+const INPUT_TYPES = ['sensor', 'device', 'variable', 'state', 'number', 'string', 'boolean', 'duration', 'cron'];
+
+const INPUT_PATTERN = /\{\{input:([A-Za-z]\w*)\}\}/g;
+const WHOLE_INPUT_PATTERN = /^\{\{input:([A-Za-z]\w*)\}\}$/;
+
+// Stand-in values used to check a definition before anyone instantiates it
+const SAMPLE_VALUES = {
+  sensor: '00000000-0000-4000-8000-000000000000',
+  device: '00000000-0000-4000-8000-000000000001',
+  variable: 'value',
+  state: 'state',
+  number: 1,
+  string: 'value',
+  boolean: true,
+  duration: '1m',
+  cron: '* * * * *'
+};
+
+const collectInputNames = (definition) => {
+  const names = new Set();
+  mapStrings(definition, (text) => {
+    for (const match of text.matchAll(INPUT_PATTERN)) {
+      names.add(match[1]);
+    }
+    return text;
+  });
+  return names;
+};
+
+/**
+ * Replace input placeholders. A string that is only a placeholder takes the
+ * input's typed value (so numbers stay numbers); placeholders inside longer
+ * strings are interpolated as text.
+ * @param {Object} definition - Template definition
+ * @param {Object} values - Resolved input values by name
+ * @returns {Object} Definition without placeholders
+ */
+const applyInputs = (definition, values) => mapStrings(definition, (text) => {
+  const whole = text.match(WHOLE_INPUT_PATTERN);
+  if (whole) return values[whole[1]];
+  return text.replace(INPUT_PATTERN, (placeholder, name) => String(values[name]));
+});
+
+class RuleChainTemplateService {
+  /**
+   * Templates usable by an organization: global ones and its own
+   * @param {number} organizationId - Organization ID
+   * @param {Object} options - { category }
+   * @returns {Promise<Array>} Templates ordered by name
+   */
+  async listTemplates(organizationId, options = {}) {
+    const where = {
+      [Op.or]: [{ organizationId: null }, { organizationId }]
+    };
+    if (options.category) {
+      where.category = options.category;
+    }
+
+    return RuleChainTemplate.findAll({
+      where,
+      attributes: { exclude: ['definition'] },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * @param {number} id - Template ID
+   * @param {number|null} organizationId - Requesting organization; templates
+   *   of other organizations are reported as missing
+   * @returns {Promise<Object>} RuleChainTemplate
+   */
+  async getTemplate(id, organizationId = null) {
+    const template = await RuleChainTemplate.findByPk(id);
+    if (!template || (template.organizationId && Number(template.organizationId) !== Number(organizationId))) {
+      throw new ApiError(404, 'Rule chain template not found');
+    }
+    return template;
+  }
+
+  /**
+   * Publish a template
+   * @param {Object} data - { organizationId (omit for global), name, description, category, inputs, definition }
+   * @param {number} userId - Author
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data, userId = null) {
+    const organizationId = data.organizationId || null;
+    await this._ensureUniqueName(organizationId, data.name);
+    this.validateTemplate(data.inputs, data.definition);
+
+    return RuleChainTemplate.create({
+      organizationId,
+      name: data.name,
+      description: data.description || null,
+      category: data.category || null,
+      inputs: data.inputs,
+      definition: data.definition,
+      createdBy: userId,
+      updatedBy: userId
+    });
+  }
+
+  /**
+   * @param {number} id - Template ID
+   * @param {Object} data - Changed fields; organizationId selects the scope
+   *   (omit for global templates) and cannot move a template between scopes
+   * @param {number} userId - Editor
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(id, data, userId = null) {
+    const template = await this._getForScope(id, data.organizationId);
+
+    if (data.name !== undefined && data.name !== template.name) {
+      await this._ensureUniqueName(template.organizationId, data.name);
+    }
+    const inputs = data.inputs !== undefined ? data.inputs : template.inputs;
+    const definition = data.definition !== undefined ? data.definition : template.definition;
+    if (data.inputs !== undefined || data.definition !== undefined) {
+      this.validateTemplate(inputs, definition);
+    }
+
+    const updates = { updatedBy: userId };
+    ['name', 'description', 'category', 'inputs', 'definition'].forEach((field) => {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    });
+    await template.update(updates);
+    return template;
+  }
+
+  async deleteTemplate(id, organizationId = null) {
+    const template = await this._getForScope(id, organizationId);
+    await template.destroy();
+  }
+
+  /**
+   * Check a template's inputs and definition: every placeholder is declared,
+   * defaults fit their type, and the definition instantiated with sample
+   * values passes the same validation as an imported rule chain
+   * @throws {ApiError} 400 with details
+   */
+  validateTemplate(inputs, definition) {
+    const errors = [];
+    const declared = new Map();
+    inputs.forEach((input, index) => {
+      if (declared.has(input.name)) {
+        errors.push({ path: `inputs[${index}].name`, value: input.name, error: 'Input names must be unique' });
+      }
+      declared.set(input.name, input);
+      if (input.default !== undefined && input.default !== null) {
+        const problem = this._checkValue(input, input.default).error;
+        if (problem) {
+          errors.push({ path: `inputs[${index}].default`, value: input.default, error: problem });
+        }
+      }
+    });
+
+    collectInputNames(definition).forEach((name) => {
+      if (!declared.has(name)) {
+        errors.push({ path: 'definition', value: `{{input:${name}}}`, error: 'Placeholder does not match a declared input' });
+      }
+    });
+    this._throwIfInvalid(errors, 'Rule chain template is not valid');
+
+    const samples = Object.fromEntries(inputs.map((input) => [
+      input.name,
+      input.default !== undefined && input.default !== null
+        ? this._checkValue(input, input.default).value
+        : SAMPLE_VALUES[input.type]
+    ]));
+    const sample = applyInputs(definition, samples);
+    if (sample.ruleChain.cronExpression && !cron.validate(sample.ruleChain.cronExpression)) {
+      errors.push({ path: 'definition.ruleChain.cronExpression', value: definition.ruleChain.cronExpression, error: 'Invalid cron expression' });
+    }
+    errors.push(...ruleChainBundleService.nodeErrors(sample.nodes, 'definition.nodes'));
+    this._throwIfInvalid(errors, 'Rule chain template is not valid');
+  }
+
+  /**
+   * Create a rule chain in an organization from a template
+   * @param {number} id - Template ID
+   * @param {Object} input - { organizationId, values, name }
+   * @returns {Promise<Object>} { ruleChain, nodes }
+   */
+  async instantiate(id, input) {
+    const { organizationId, values = {}, name } = input;
+    const template = await this.getTemplate(id, organizationId);
+
+    const resolved = {};
+    const errors = [];
+    for (const templateInput of template.inputs) {
+      const path = `values.${templateInput.name}`;
+      const provided = values[templateInput.name];
+      if (provided === undefined || provided === null || provided === '') {
+        if (templateInput.default === undefined || templateInput.default === null) {
+          errors.push({ path, value: provided === undefined ? null : provided, error: `${templateInput.label || templateInput.name} is required` });
+          continue;
+        }
+        resolved[templateInput.name] = this._checkValue(templateInput, templateInput.default).value;
+        continue;
+      }
+
+      const { value, error } = this._checkValue(templateInput, provided);
+      const problem = error || (['sensor', 'device'].includes(templateInput.type)
+        ? await ruleChainBundleService.entityError(templateInput.type, value, organizationId)
+        : null);
+      if (problem) {
+        errors.push({ path, value: provided, error: problem });
+        continue;
+      }
+      resolved[templateInput.name] = value;
+    }
+    this._throwIfInvalid(errors, 'Template inputs are not valid');
+
+    // Covers UUIDs written into the definition or passed through string inputs
+    const definition = applyInputs(template.definition, resolved);
+    this._throwIfInvalid(
+      await ruleChainBundleService.entityReferenceErrors(definition.nodes, organizationId, 'definition.nodes'),
+      'Template refers to sensors or devices outside this organization'
+    );
+    return ruleChainBundleService.createChainFromNodes(
+      organizationId,
+      { ...definition.ruleChain, name: name || definition.ruleChain.name },
+      definition.nodes,
+      {
+        origin: 'template',
+        notes: `Created from template "${template.name}"`,
+        invalidMessage: 'Template produced an invalid rule chain'
+      }
+    );
+  }
+
+  /**
+   * Coerce and check one input value
+   * @returns {{value: *, error: string|null}}
+   */
+  _checkValue(input, raw) {
+    switch (input.type) {
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      return Number.isFinite(value) ? { value, error: null } : { value: raw, error: 'Must be a number' };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true, error: null };
+      if (raw === false || raw === 'false') return { value: false, error: null };
+      return { value: raw, error: 'Must be true or false' };
+    }
+    case 'duration':
+      return typeof raw === 'string' && parseDuration(raw) > 0
+        ? { value: raw, error: null }
+        : { value: raw, error: 'Must be a duration like "30s", "10m", "2h" or "1d"' };
+    case 'cron':
+      return typeof raw === 'string' && cron.validate(raw)
+        ? { value: raw, error: null }
+        : { value: raw, error: 'Must be a cron expression' };
+    case 'variable':
+    case 'state':
+      return typeof raw === 'string' && /^[\w.-]+$/.test(raw)
+        ? { value: raw, error: null }
+        : { value: raw, error: 'Must be a name made of letters, digits, "_", "." or "-"' };
+    default:
+      // sensor, device and string inputs are plain strings; UUIDs are checked against the organization
+      return typeof raw === 'string' && raw.length > 0
+        ? { value: raw, error: null }
+        : { value: raw, error: 'Must be a non-empty string' };
+    }
+  }
+
+  // Templates are edited within the scope they were published in
+  async _getForScope(id, organizationId) {
+    const template = await RuleChainTemplate.findByPk(id);
+    const scope = organizationId ? Number(organizationId) : null;
+    if (!template || (template.organizationId ? Number(template.organizationId) : null) !== scope) {
+      throw new ApiError(404, 'Rule chain template not found');
+    }
+    return template;
+  }
+
+  async _ensureUniqueName(organizationId, name) {
+    const existing = await RuleChainTemplate.findOne({ where: { organizationId, name } });
+    if (existing) {
+      throw new ApiError(409, 'A template with this name already exists');
+    }
+  }
+
+  _throwIfInvalid(errors, message) {
+    if (errors.length > 0) {
+      const error = new ApiError(400, message);
+      error.details = errors;
+      throw error;
+    }
+  }
+}
+
+module.exports = new RuleChainTemplateService();
+module.exports.INPUT_TYPES = INPUT_TYPES;
+module.exports.applyInputs = applyInputs;
@@ -0,0 +1,517 @@
+/**
+ * Rule Chain Version Service
+ *
+ * Keeps immutable snapshots of a rule chain's nodes in RuleChainVersion.
+ * RuleChainNode always holds the live graph that the engine executes and
+ * RuleChainIndex indexes; a version is published by applying its snapshot to
+ * those rows, and RuleChain.publishedVersion records which version is live.
+ *
+ * Each chain can have one draft, started from a published version, that is
+ * edited and validated without affecting the live graph until it is
+ * published. Rolling back publishes a copy of an older version, so history is
+ * never rewritten. Direct node edits through the node endpoints are recorded
+ * as versions too, so every execution can be traced to the graph that ran.
+ */
+const { Sequelize } = require('sequelize');
+const { RuleChain, RuleChainNode, RuleChainVersion } = require('../models/initModels');
+const sequelize = require('../config/database');
+const { ApiError } = require('../middlewares/errorHandler');
+const { ruleChainService } = require('./ruleChainService');
+const { EDGE_LABELS } = require('../validators/ruleChainValidators');
+const ConditionStateStore = require('../ruleEngine/conditions/ConditionStateStore');
+const logger = require('../utils/logger');
+
+const VERSION_STATUSES = ['draft', 'published', 'superseded'];
+
+// Snapshot columns listed without the node graph
+const SUMMARY_ATTRIBUTES = [
+  'id', 'ruleChainId', 'version', 'status', 'origin', 'baseVersion',
+  'notes', 'createdBy', 'publishedBy', 'publishedAt', 'createdAt', 'updatedAt'
+];
+
+const parseConfig = (config) => {
+  if (typeof config !== 'string') return config === undefined ? null : config;
+  try {
+    return JSON.parse(config);
+  } catch (err) {
+    return config;
+  }
+};
+
+// JSON with sorted object keys, so equal configs compare equal
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+class RuleChainVersionService {
+  /**
+   * Snapshot node rows (or draft node objects) in a stable, comparable form
+   * @param {Array<Object>} nodes - RuleChainNode rows or plain node objects
+   * @returns {Array<Object>} [{ id, name, type, config, nextNodeId, edges }] ordered by id
+   */
+  snapshotNodes(nodes) {
+    return (nodes || [])
+      .map((node) => ({
+        id: Number(node.id),
+        name: node.name,
+        type: node.type,
+        config: parseConfig(node.config),
+        nextNodeId: node.nextNodeId ? Number(node.nextNodeId) : null,
+        edges: ruleChainService._parseNodeEdges(node.edges).map((edge) => ({
+          label: edge.label,
+          targetNodeId: Number(edge.targetNodeId)
+        }))
+      }))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Check a snapshot the way the node endpoints check single nodes, plus the
+   * graph as a whole (unique names, edge targets inside the snapshot, no cycles)
+   * @param {Array<Object>} nodes - Snapshot nodes
+   * @returns {Array<Object>} Problems as { path, value, error }; empty when valid
+   */
+  validateSnapshot(nodes) {
+    const errors = [];
+    const ids = new Set();
+    const names = new Set();
+
+    nodes.forEach((node, index) => {
+      const path = `nodes[${index}]`;
+      if (ids.has(node.id)) {
+        errors.push({ path: `${path}.id`, value: node.id, error: 'Node IDs must be unique within a version' });
+      }
+      ids.add(node.id);
+      if (names.has(node.name)) {
+        errors.push({ path: `${path}.name`, value: node.name, error: 'A node with this name already exists in this rule chain' });
+      }
+      names.add(node.name);
+
+      if (node.config !== null && node.config !== undefined) {
+        try {
+          ruleChainService._validateNodeConfig(node.config, node.type);
+        } catch (err) {
+          const details = err.details || [{ path: 'config', value: node.config, error: err.message }];
+          details.forEach((detail) => errors.push({ ...detail, path: `${path}.${detail.path}` }));
+        }
+      }
+    });
+
+    const adjacency = new Map();
+    nodes.forEach((node, index) => {
+      const path = `nodes[${index}]`;
+      const targets = [];
+      node.edges.forEach((edge, edgeIndex) => {
+        if (!EDGE_LABELS.includes(edge.label)) {
+          errors.push({
+            path: `${path}.edges[${edgeIndex}].label`,
+            value: edge.label,
+            error: `Edge label must be one of: ${EDGE_LABELS.join(', ')}`
+          });
+        }
+        if (edge.targetNodeId === node.id) {
+          errors.push({ path: `${path}.edges[${edgeIndex}].targetNodeId`, value: edge.targetNodeId, error: 'A node cannot link to itself' });
+        } else if (!ids.has(edge.targetNodeId)) {
+          errors.push({ path: `${path}.edges[${edgeIndex}].targetNodeId`, value: edge.targetNodeId, error: 'Target node does not exist in this version' });
+        }
+        targets.push(edge.targetNodeId);
+      });
+      if (node.nextNodeId) {
+        if (!ids.has(node.nextNodeId)) {
+          errors.push({ path: `${path}.nextNodeId`, value: node.nextNodeId, error: 'Target node does not exist in this version' });
+        }
+        targets.push(node.nextNodeId);
+      }
+      adjacency.set(node.id, targets);
+    });
+
+    const cycle = ruleChainService._findCycle(adjacency);
+    if (cycle) {
+      errors.push({ path: 'nodes', value: cycle, error: `Edges would create a cycle: ${cycle.join(' -> ')}` });
+    }
+
+    return errors;
+  }
+
+  async listVersions(ruleChainId) {
+    await this._ensureBaseline(ruleChainId);
+    return RuleChainVersion.findAll({
+      where: { ruleChainId },
+      attributes: SUMMARY_ATTRIBUTES,
+      order: [[Sequelize.literal('version IS NULL'), 'DESC'], ['version', 'DESC']]
+    });
+  }
+
+  /**
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {number|string} version - Version number, or 'draft'
+   * @returns {Promise<Object>} RuleChainVersion including its nodes
+   */
+  async getVersion(ruleChainId, version) {
+    if (version !== 'draft' && !Number.isInteger(Number(version))) {
+      throw new ApiError(404, 'Rule chain version not found');
+    }
+    await this._ensureBaseline(ruleChainId);
+    const where = version === 'draft'
+      ? { ruleChainId, status: 'draft' }
+      : { ruleChainId, version: Number(version) };
+    const found = await RuleChainVersion.findOne({ where });
+    if (!found) {
+      throw new ApiError(404, version === 'draft' ? 'This rule chain has no draft' : 'Rule chain version not found');
+    }
+    return found;
+  }
+
+  /**
+   * Start a draft from the live version or an older one
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {Object} options - { fromVersion, notes }
+   * @param {number} userId - Author
+   * @returns {Promise<Object>} Created draft
+   */
+  async createDraft(ruleChainId, options = {}, userId = null) {
+    const ruleChain = await this._ensureBaseline(ruleChainId);
+
+    const existing = await RuleChainVersion.findOne({ where: { ruleChainId, status: 'draft' } });
+    if (existing) {
+      throw new ApiError(409, 'This rule chain already has a draft; publish or discard it first');
+    }
+
+    const source = await this.getVersion(ruleChainId, options.fromVersion || ruleChain.publishedVersion);
+
+    // baseVersion is what the draft replaces, even when it copies an older version
+    return RuleChainVersion.create({
+      ruleChainId,
+      status: 'draft',
+      origin: 'draft',
+      baseVersion: ruleChain.publishedVersion,
+      nodes: source.nodes,
+      notes: options.notes || null,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Replace the draft's nodes. Drafts may be saved while still invalid;
+   * validateDraft reports what would block publishing.
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {Object} changes - { nodes, notes }
+   * @returns {Promise<Object>} Updated draft
+   */
+  async updateDraft(ruleChainId, changes) {
+    const draft = await this.getVersion(ruleChainId, 'draft');
+    const updates = {};
+    if (changes.nodes !== undefined) {
+      updates.nodes = this.snapshotNodes(changes.nodes);
+    }
+    if (changes.notes !== undefined) {
+      updates.notes = changes.notes;
+    }
+    await draft.update(updates);
+    return draft;
+  }
+
+  async discardDraft(ruleChainId) {
+    const draft = await this.getVersion(ruleChainId, 'draft');
+    await draft.destroy();
+  }
+
+  async validateDraft(ruleChainId) {
+    const draft = await this.getVersion(ruleChainId, 'draft');
+    const errors = this.validateSnapshot(draft.nodes);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Make the draft the live graph
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {Object} options - { force, notes }; force publishes even when the
+   *   live version moved on since the draft was started
+   * @param {number} userId - Publisher
+   * @returns {Promise<Object>} The published version
+   */
+  async publishDraft(ruleChainId, options = {}, userId = null) {
+    const draft = await this.getVersion(ruleChainId, 'draft');
+    const ruleChain = await RuleChain.findByPk(ruleChainId);
+
+    const errors = this.validateSnapshot(draft.nodes);
+    if (errors.length > 0) {
+      const error = new ApiError(400, 'Draft is not valid and cannot be published');
+      error.details = errors;
+      throw error;
+    }
+
+    if (!options.force && draft.baseVersion !== ruleChain.publishedVersion) {
+      throw new ApiError(
+        409,
+        `Version ${ruleChain.publishedVersion} was published after this draft was started; publish with force to replace it`
+      );
+    }
+
+    return this._publish(ruleChain, draft.nodes, {
+      draft,
+      origin: 'draft',
+      notes: options.notes !== undefined ? options.notes : draft.notes,
+      userId
+    });
+  }
+
+  /**
+   * Publish a copy of an earlier version
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {number} version - Version to restore
+   * @param {number} userId - Who rolled back
+   * @returns {Promise<Object>} The new published version
+   */
+  async rollback(ruleChainId, version, userId = null) {
+    const target = await this.getVersion(ruleChainId, Number(version));
+    const ruleChain = await RuleChain.findByPk(ruleChainId);
+    if (target.version === ruleChain.publishedVersion) {
+      throw new ApiError(400, `Version ${target.version} is already live`);
+    }
+
+    return this._publish(ruleChain, target.nodes, {
+      origin: 'rollback',
+      notes: `Rollback to version ${target.version}`,
+      userId
+    });
+  }
+
+  /**
+   * Record the live graph as a new version after a direct node edit or import.
+   * Never throws: a failed recording must not undo the edit.
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {string} notes - What changed
+   * @param {string} origin - node-edit or import
+   */
+  async recordLiveEdit(ruleChainId, notes, origin = 'node-edit') {
+    try {
+      const ruleChain = await RuleChain.findByPk(ruleChainId);
+      if (!ruleChain) return null;
+      const nodes = await RuleChainNode.findAll({ where: { ruleChainId } });
+      return await this._storePublished(ruleChain, this.snapshotNodes(nodes), { origin, notes });
+    } catch (error) {
+      logger.warn('Failed to record rule chain version', { ruleChainId, origin, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Compare two versions by node name (IDs change when nodes are re-created)
+   * @param {number} ruleChainId - Rule chain ID
+   * @param {number|string} from - Version number or 'draft'
+   * @param {number|string} to - Version number or 'draft'
+   * @returns {Promise<Object>} { from, to, added, removed, changed, unchangedCount }
+   */
+  async diffVersions(ruleChainId, from, to) {
+    const [fromVersion, toVersion] = await Promise.all([
+      this.getVersion(ruleChainId, from),
+      this.getVersion(ruleChainId, to)
+    ]);
+    return { from, to, ...this.diffSnapshots(fromVersion.nodes, toVersion.nodes) };
+  }
+
+  diffSnapshots(fromNodes, toNodes) {
+    const describe = (nodes) => {
+      const namesById = new Map(nodes.map((node) => [node.id, node.name]));
+      return new Map(nodes.map((node) => [node.name, {
+        type: node.type,
+        config: node.config,
+        nextNode: node.nextNodeId ? namesById.get(node.nextNodeId) || null : null,
+        edges: node.edges.map((edge) => ({ label: edge.label, target: namesById.get(edge.targetNodeId) || null }))
+      }]));
+    };
+    const before = describe(fromNodes);
+    const after = describe(toNodes);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchangedCount = 0;
+
+    for (const [name, node] of after) {
+      if (!before.has(name)) {
+        added.push({ name, ...node });
+        continue;
+      }
+      const old = before.get(name);
+      const changes = {};
+      ['type', 'config', 'nextNode', 'edges'].forEach((field) => {
+        if (stableStringify(old[field]) !== stableStringify(node[field])) {
+          changes[field] = { from: old[field], to: node[field] };
+        }
+      });
+      if (Object.keys(changes).length > 0) {
+        changed.push({ name, changes });
+      } else {
+        unchangedCount++;
+      }
+    }
+    for (const [name, node] of before) {
+      if (!after.has(name)) {
+        removed.push({ name, ...node });
+      }
+    }
+
+    return { added, removed, changed, unchangedCount };
+  }
+
+  /**
+   * Chains created before versioning get their current graph recorded as version 1
+   * @returns {Promise<Object>} The rule chain
+   */
+  async _ensureBaseline(ruleChainId) {
+    const ruleChain = await RuleChain.findByPk(ruleChainId);
+    if (!ruleChain) {
+      throw new ApiError(404, 'Rule chain not found');
+    }
+    if (ruleChain.publishedVersion) {
+      return ruleChain;
+    }
+
+    const nodes = await RuleChainNode.findAll({ where: { ruleChainId } });
+    await this._storePublished(ruleChain, this.snapshotNodes(nodes), {
+      origin: 'baseline',
+      notes: 'Graph before versioning'
+    });
+    return ruleChain;
+  }
+
+  // Apply a snapshot to the live nodes and record it as the new live version
+  async _publish(ruleChain, snapshot, options) {
+    const transaction = await sequelize.transaction();
+    let published;
+    let changedNodeIds;
+    try {
+      const applied = await this._applySnapshot(ruleChain.id, snapshot, transaction);
+      changedNodeIds = applied.changedNodeIds;
+      const liveNodes = await RuleChainNode.findAll({ where: { ruleChainId: ruleChain.id }, transaction });
+      published = await this._storePublished(ruleChain, this.snapshotNodes(liveNodes), options, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Hold/hysteresis/cooldown state belongs to the replaced conditions
+    changedNodeIds.forEach((nodeId) => {
+      ConditionStateStore.clearNodeState(ruleChain.id, nodeId).catch((err) => {
+        logger.warn('Failed to clear rule chain node state', { nodeId, error: err.message });
+      });
+    });
+
+    logger.info('Published rule chain version', {
+      ruleChainId: ruleChain.id,
+      version: published.version,
+      origin: published.origin
+    });
+    return published;
+  }
+
+  async _storePublished(ruleChain, snapshot, options, transaction = null) {
+    const { draft, origin, notes, userId = null } = options;
+    const latest = await RuleChainVersion.max('version', { where: { ruleChainId: ruleChain.id }, transaction });
+    const version = (latest || 0) + 1;
+    const now = new Date();
+
+    await RuleChainVersion.update(
+      { status: 'superseded' },
+      { where: { ruleChainId: ruleChain.id, status: 'published' }, transaction }
+    );
+
+    const fields = {
+      version,
+      status: 'published',
+      origin,
+      nodes: snapshot,
+      notes: notes || null,
+      publishedBy: userId,
+      publishedAt: now
+    };
+    const published = draft
+      ? await draft.update(fields, { transaction })
+      : await RuleChainVersion.create({
+        ...fields,
+        ruleChainId: ruleChain.id,
+        baseVersion: ruleChain.publishedVersion || null,
+        createdBy: userId
+      }, { transaction });
+
+    await ruleChain.update({ publishedVersion: version }, { transaction });
+    return published;
+  }
+
+  /**
+   * Make the chain's RuleChainNode rows match a snapshot. Nodes whose snapshot
+   * ID is still a live node of the chain are updated in place (keeping their
+   * ID and Redis state keys); the rest are created, and live nodes missing
+   * from the snapshot are deleted. Edges are remapped to the resulting IDs.
+   * @returns {Promise<{changedNodeIds: number[]}>} Kept nodes whose type or config changed
+   */
+  async _applySnapshot(ruleChainId, snapshot, transaction) {
+    const live = await RuleChainNode.findAll({ where: { ruleChainId }, transaction });
+    const liveById = new Map(live.map((node) => [Number(node.id), node]));
+    const keptIds = new Set(snapshot.filter((node) => liveById.has(node.id)).map((node) => node.id));
+
+    const removedIds = live.map((node) => Number(node.id)).filter((id) => !keptIds.has(id));
+    if (removedIds.length > 0) {
+      // Links are rebuilt below; drop the ones into removed nodes so the delete can't trip them
+      await RuleChainNode.update(
+        { nextNodeId: null },
+        { where: { ruleChainId, nextNodeId: removedIds }, transaction }
+      );
+      await RuleChainNode.destroy({ where: { id: removedIds }, transaction, individualHooks: true });
+    }
+
+    // Park renamed nodes on unique names first so swapped names don't collide
+    for (const node of snapshot) {
+      const existing = liveById.get(node.id);
+      if (existing && existing.name !== node.name) {
+        await existing.update({ name: `${existing.id}:${existing.name}` }, { transaction });
+      }
+    }
+
+    const idMap = new Map();
+    const changedNodeIds = [];
+    for (const node of snapshot) {
+      const config = node.config === null || typeof node.config === 'string' ? node.config : JSON.stringify(node.config);
+      const existing = liveById.get(node.id);
+      if (existing) {
+        if (existing.type !== node.type || stableStringify(parseConfig(existing.config)) !== stableStringify(node.config)) {
+          changedNodeIds.push(node.id);
+        }
+        await existing.update({ name: node.name, type: node.type, config }, { transaction });
+        idMap.set(node.id, existing.id);
+      } else {
+        const created = await RuleChainNode.create(
+          { ruleChainId, name: node.name, type: node.type, config },
+          { transaction }
+        );
+        idMap.set(node.id, created.id);
+      }
+    }
+
+    for (const node of snapshot) {
+      await RuleChainNode.update(
+        {
+          nextNodeId: node.nextNodeId ? idMap.get(node.nextNodeId) || null : null,
+          edges: node.edges.length > 0
+            ? node.edges.map((edge) => ({ label: edge.label, targetNodeId: idMap.get(edge.targetNodeId) }))
+            : null
+        },
+        { where: { id: idMap.get(node.id) }, transaction, individualHooks: true }
+      );
+    }
+
+    return { changedNodeIds };
+  }
+}
+
+module.exports = new RuleChainVersionService();
+module.exports.VERSION_STATUSES = VERSION_STATUSES;
@@ -0,0 +1,108 @@
+/**
+ * Rule Notification Service
+ *
+ * Turns a notification action of a rule chain into a Notification row and
+ * delivers it to the organization: a socket event on the organization room,
+ * plus a personal message, email and SMS to each member according to their
+ * notifyByMessage, notifyByEmail and notifyBySMS settings.
+ */
+const { Notification, OrganizationUser, Role, User } = require('../models/initModels');
+const notificationManager = require('../utils/notificationManager');
+const { sendEmailNotification, sendSMSNotification } = require('./notificationService');
+const logger = require('../utils/logger');
+
+const NOTIFICATION_EVENT = 'rule-notification';
+
+class RuleNotificationService {
+  /**
+   * Store a notification and fan it out to the organization's members
+   * @param {Object} notification - { organizationId, severity, title, insight, roles, ruleChainId, nodeId }
+   *   roles limits delivery to members holding one of the named roles
+   * @returns {Promise<Object>} { notificationId, recipients, delivered: { message, email, sms } }
+   */
+  async notify(notification) {
+    const { organizationId, severity, title, insight, roles = null, ruleChainId = null, nodeId = null } = notification;
+
+    const record = await Notification.create({
+      organizationId,
+      severity,
+      title,
+      insight,
+      userGroup: roles && roles.length > 0 ? JSON.stringify(roles) : null,
+      createdAt: new Date()
+    });
+
+    const payload = {
+      notificationId: record.id,
+      organizationId,
+      severity,
+      title,
+      insight,
+      ruleChainId,
+      nodeId,
+      timestamp: new Date()
+    };
+
+    const delivered = await this.deliver(NOTIFICATION_EVENT, payload, { roles });
+    logger.info('Rule notification sent', { notificationId: record.id, organizationId, ruleChainId, severity, delivered });
+
+    return { notificationId: record.id, recipients: delivered.recipients, delivered: delivered.channels };
+  }
+
+  /**
+   * Send an event for a stored notification to the organization room and to
+   * each member through the channels they enabled
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event data with organizationId, severity, title and insight
+   * @param {Object} options - { roles, userIds } narrow the members reached
+   * @returns {Promise<Object>} { recipients, channels: { message, email, sms } }
+   */
+  async deliver(event, payload, options = {}) {
+    const { organizationId, severity, title, insight } = payload;
+    let recipients = await this.findRecipients(organizationId, options.roles || null);
+    if (options.userIds) {
+      recipients = recipients.filter((user) => options.userIds.map(Number).includes(Number(user.id)));
+    }
+
+    const messageRooms = recipients.filter((user) => user.notifyByMessage).map((user) => `user-${user.id}`);
+    notificationManager.sendRoomNotification(event, payload, [`org-${organizationId}`, ...messageRooms]);
+
+    const subject = `[${String(severity).toUpperCase()}] ${title}`;
+    const channels = { message: messageRooms.length, email: 0, sms: 0 };
+    for (const user of recipients) {
+      if (user.notifyByEmail && user.email && await sendEmailNotification(user, subject, insight || title)) {
+        channels.email++;
+      }
+      if (user.notifyBySMS && await sendSMSNotification(user, `${subject}${insight ? `: ${insight}` : ''}`)) {
+        channels.sms++;
+      }
+    }
+
+    return { recipients: recipients.length, channels };
+  }
+
+  /**
+   * Active members of an organization, optionally only those with given roles
+   * @param {number} organizationId - Organization ID
+   * @param {Array<string>|null} roles - Role names
+   * @returns {Promise<Array>} Users with their notification settings
+   */
+  async findRecipients(organizationId, roles = null) {
+    const memberships = await OrganizationUser.findAll({
+      where: { organizationId, status: 'active' },
+      attributes: ['userId'],
+      include: roles && roles.length > 0
+        ? [{ model: Role, attributes: [], where: { name: roles } }]
+        : []
+    });
+    if (memberships.length === 0) return [];
+
+    return User.findAll({
+      where: { id: memberships.map((membership) => membership.userId), status: true },
+      attributes: ['id', 'userName', 'email', 'phoneNumber', 'smsNumber', 'notifyByMessage', 'notifyByEmail', 'notifyBySMS']
+    });
+  }
+}
+
+module.exports = new RuleNotificationService();
+module.exports.NOTIFICATION_EVENT = NOTIFICATION_EVENT;
@@ -1,25 +1,59 @@
-// In-memory token blacklist
-// In a production environment, this should be replaced with Redis or another persistent store
-const blacklistedTokens = new Set();
-
-// Add a token to the blacklist
-const blacklistToken = (token, expiryTime) => {
-  blacklistedTokens.add(token);
-  
-  // Set a timeout to remove the token from the blacklist after it expires
-  // This helps prevent the blacklist from growing indefinitely
-  const tokenExpiryMs = expiryTime * 1000;
-  setTimeout(() => {
-    blacklistedTokens.delete(token);
-  }, tokenExpiryMs);
+const crypto = require('crypto');
+const redisConnection = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Revoked tokens are shared by every API instance through Redis and expire
+// together with the token:
+//   auth:revoked-token:{sha256(token)}
+const KEY_PREFIX = 'auth:revoked-token:';
+
+// Local copy so logouts on this instance still hold while Redis is unreachable
+const localBlacklist = new Map();
+
+const keyFor = (token) => `${KEY_PREFIX}${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+const pruneLocal = () => {
+  const now = Date.now();
+  for (const [key, expiresAt] of localBlacklist) {
+    if (expiresAt <= now) {
+      localBlacklist.delete(key);
+    }
+  }
+};
+
+// Add a token to the blacklist until it expires
+const blacklistToken = async (token, expiryTime) => {
+  const ttlSeconds = Math.max(Math.ceil(expiryTime), 1);
+  const key = keyFor(token);
+
+  pruneLocal();
+  localBlacklist.set(key, Date.now() + ttlSeconds * 1000);
+
+  try {
+    await redisConnection.set(key, '1', 'EX', ttlSeconds);
+  } catch (error) {
+    logger.error(`Failed to store revoked token in Redis: ${error.message}`);
+  }
 };
 
 // Check if a token is blacklisted
-const isTokenBlacklisted = (token) => {
-  return blacklistedTokens.has(token);
+const isTokenBlacklisted = async (token) => {
+  const key = keyFor(token);
+  const localExpiry = localBlacklist.get(key);
+  if (localExpiry && localExpiry > Date.now()) {
+    return true;
+  }
+
+  try {
+    return (await redisConnection.exists(key)) === 1;
+  } catch (error) {
+    logger.warn(`Failed to check revoked tokens in Redis: ${error.message}`);
+    return false;
+  }
 };
 
 module.exports = {
   blacklistToken,
-  isTokenBlacklisted
-}; 
\ No newline at end of file
+  isTokenBlacklisted,
+  KEY_PREFIX
+};
@@ -0,0 +1,300 @@
+/**
+ * Two-Factor Service
+ *
+ * TOTP second factor for user accounts. Enrolment stores a new secret as
+ * pending and returns it with an otpauth:// URI for the authenticator app's
+ * QR code. The factor is enabled once the user proves the app works by
+ * entering a code, which also hands out one-time recovery codes.
+ *
+ * Secrets are encrypted with AES-256-GCM. Recovery codes are only stored as
+ * SHA-256 hashes, and each code or TOTP time step is accepted once.
+ *
+ * Organizations with requireTwoFactor make the factor mandatory for their
+ * active members.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { UserTwoFactor, sequelize } = require('../models/initModels');
+const { ApiError } = require('../middlewares/errorHandler');
+const totp = require('../utils/totp');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// What a user has to do after entering their password
+const LOGIN_REQUIREMENT = {
+  VERIFY: 'verify',
+  ENROLL: 'enroll'
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(config.auth.twoFactor.encryptionKey || config.jwt.secret)
+  .digest();
+
+// iv:tag:ciphertext, base64 encoded
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+class TwoFactorService {
+  /**
+   * Two-factor state of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { enabled, required, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    const [record, required] = await Promise.all([
+      UserTwoFactor.findOne({ where: { userId } }),
+      this.isRequired(userId)
+    ]);
+    const enabled = Boolean(record && record.enabledAt);
+
+    return {
+      enabled,
+      required,
+      recoveryCodesRemaining: enabled ? (record.recoveryCodes || []).length : 0
+    };
+  }
+
+  /**
+   * Whether a user has an enabled second factor
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId) {
+    const record = await UserTwoFactor.findOne({
+      where: { userId, enabledAt: { [Op.ne]: null } },
+      attributes: ['id']
+    });
+    return Boolean(record);
+  }
+
+  /**
+   * Whether an organization the user is an active member of requires a second factor
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async isRequired(userId) {
+    const [result] = await sequelize.query(`
+      SELECT COUNT(*) AS count
+      FROM OrganizationUser ou
+      JOIN Organization o ON o.id = ou.organizationId
+      WHERE ou.userId = :userId AND ou.status = 'active' AND o.requireTwoFactor = true
+    `, {
+      replacements: { userId },
+      type: sequelize.QueryTypes.SELECT
+    });
+    return Number(result.count) > 0;
+  }
+
+  /**
+   * What a user must do after entering their password
+   * @param {number} userId - User ID
+   * @returns {Promise<string|null>} verify, enroll or null when the password is enough
+   */
+  async getLoginRequirement(userId) {
+    if (await this.isEnabled(userId)) {
+      return LOGIN_REQUIREMENT.VERIFY;
+    }
+    return (await this.isRequired(userId)) ? LOGIN_REQUIREMENT.ENROLL : null;
+  }
+
+  /**
+   * Start enrolment with a new secret, replacing an earlier pending one
+   * @param {Object} user - User instance
+   * @returns {Promise<Object>} { secret, otpauthUrl }
+   */
+  async beginEnrollment(user) {
+    const existing = await UserTwoFactor.findOne({ where: { userId: user.id } });
+    if (existing && existing.enabledAt) {
+      throw new ApiError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    const fields = { secret: encryptSecret(secret), recoveryCodes: null, lastUsedStep: null, enabledAt: null };
+    if (existing) {
+      await existing.update(fields);
+    } else {
+      await UserTwoFactor.create({ userId: user.id, ...fields });
+    }
+
+    return {
+      secret,
+      otpauthUrl: totp.provisioningUri({
+        secret,
+        accountName: user.email,
+        issuer: config.auth.twoFactor.issuer
+      })
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @param {number} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>>} Recovery codes, shown once
+   */
+  async enable(userId, code) {
+    const record = await UserTwoFactor.findOne({ where: { userId } });
+    if (!record) {
+      throw new ApiError(400, 'Two-factor enrolment has not been started');
+    }
+    if (record.enabledAt) {
+      throw new ApiError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const step = totp.verifyCode(decryptSecret(record.secret), code);
+    if (step === null) {
+      throw new ApiError(400, 'Invalid two-factor code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await record.update({
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+    });
+
+    logger.warn(`Two-factor authentication enabled for user ${userId}`, {
+      audit: 'auth_two_factor_enabled',
+      userId
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code of a user with an enabled factor.
+   * Recovery codes are used up.
+   * @param {number} userId - User ID
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<boolean>}
+   */
+  async verify(userId, code) {
+    const record = await UserTwoFactor.findOne({ where: { userId } });
+    if (!record || !record.enabledAt) {
+      return false;
+    }
+
+    const step = totp.verifyCode(decryptSecret(record.secret), code);
+    if (step !== null) {
+      // Conditional update so a code cannot be replayed, not even concurrently
+      const [updated] = await UserTwoFactor.update({ lastUsedStep: step }, {
+        where: {
+          id: record.id,
+          [Op.or]: [{ lastUsedStep: null }, { lastUsedStep: { [Op.lt]: step } }]
+        }
+      });
+      return updated === 1;
+    }
+
+    if (!normalizeRecoveryCode(code)) {
+      return false;
+    }
+
+    const left = await this._consumeRecoveryCode(record.id, hashRecoveryCode(code));
+    if (left === null) {
+      return false;
+    }
+
+    logger.warn(`Recovery code used by user ${userId}, ${left} left`, {
+      audit: 'auth_two_factor_recovery_code_used',
+      userId
+    });
+    return true;
+  }
+
+  /**
+   * Remove a recovery code under a row lock, so concurrent logins cannot
+   * both spend it
+   * @param {number} recordId - UserTwoFactor ID
+   * @param {string} hash - Hash of the recovery code
+   * @returns {Promise<number|null>} Codes left, null when the code is not there
+   */
+  async _consumeRecoveryCode(recordId, hash) {
+    const transaction = await sequelize.transaction();
+    try {
+      const record = await UserTwoFactor.findOne({
+        where: { id: recordId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const remaining = (record && record.recoveryCodes) || [];
+      if (!remaining.includes(hash)) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const recoveryCodes = remaining.filter((candidate) => candidate !== hash);
+      await record.update({ recoveryCodes }, { transaction });
+      await transaction.commit();
+      return recoveryCodes.length;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {number} userId - User ID
+   * @param {string} code - Current TOTP code or recovery code
+   * @returns {Promise<Array<string>>} New recovery codes, shown once
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    if (!(await this.verify(userId, code))) {
+      throw new ApiError(400, 'Invalid two-factor code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await UserTwoFactor.update({ recoveryCodes: recoveryCodes.map(hashRecoveryCode) }, { where: { userId } });
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn the second factor off
+   * @param {number} userId - User ID
+   * @param {string} code - Current TOTP code or recovery code
+   * @returns {Promise<void>}
+   */
+  async disable(userId, code) {
+    if (await this.isRequired(userId)) {
+      throw new ApiError(403, 'Your organization requires two-factor authentication');
+    }
+    if (!(await this.verify(userId, code))) {
+      throw new ApiError(400, 'Invalid two-factor code');
+    }
+
+    await UserTwoFactor.destroy({ where: { userId } });
+
+    logger.warn(`Two-factor authentication disabled for user ${userId}`, {
+      audit: 'auth_two_factor_disabled',
+      userId
+    });
+  }
+
+  /**
+   * @returns {Array<string>} Recovery codes like "3f9a1-0c7e2"
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: config.auth.twoFactor.recoveryCodeCount }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.LOGIN_REQUIREMENT = LOGIN_REQUIREMENT;
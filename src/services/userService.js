@@ -1,6 +1,7 @@
 const { User } = require('../models/initModels');
 const { ApiError } = require('../middlewares/errorHandler');
 const { sendUserWelcomeNotifications } = require('./notificationService');
+const authSessionService = require('./authSessionService');
 const logger = require('../utils/logger');
 
 /**
@@ -73,7 +74,8 @@ const getAllUsers = async () => {
 };
 
 /**
- * Update user
+ * Update user. Changing the password or disabling the user logs them out of
+ * every session.
  * @param {number} id - User ID
  * @param {Object} userData - Updated user data
  * @returns {Promise<Object>} Updated user
@@ -85,9 +87,16 @@ const updateUser = async (id, userData) => {
     throw new ApiError(404, 'User not found');
   }
   
+  const isDisabled = userData.status === false && user.status !== false;
+  
   // Update user
   await user.update(userData);
   
+  if (userData.password !== undefined || isDisabled) {
+    const revoked = await authSessionService.revokeAllSessions(user.id);
+    logger.info(`Revoked ${revoked} sessions of user ${user.id} after ${isDisabled ? 'the user was disabled' : 'a password change'}`);
+  }
+  
   // Remove password from response
   const userResponse = user.toJSON();
   delete userResponse.password;
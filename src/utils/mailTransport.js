@@ -0,0 +1,194 @@
+/**
+ * Mail Transport
+ *
+ * Delivers the emails notificationService sends. The transport is chosen with
+ * MAIL_TRANSPORT:
+ * - log   writes the message to the application log (default)
+ * - file  writes each message as an .eml file to MAIL_FILE_DIR, so tests and
+ *         local setups can read what would have been sent
+ * - smtp  hands the message to an SMTP server without TLS or authentication,
+ *         such as a local sink (MailHog, Mailpit) or a relay on the same host
+ *
+ * Other transports are plugged in with registerTransport(). A transport is an
+ * object with an async send({ from, to, subject, text }) method.
+ */
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('./logger');
+
+// Header values must not be able to start new headers
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+// Bare address of "Name <address>"
+const addressOf = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+/**
+ * Render a message in RFC 5322 format
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string}
+ */
+const formatMessage = ({ from, to, subject, text }) => {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${encodeHeader(headerValue(subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${uuidv4()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+
+  return `${headers.join('\r\n')}\r\n\r\n${String(text || '').replace(/\r?\n/g, '\r\n')}`;
+};
+
+const logTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    logger.info(`[EMAIL] To: ${to}, Subject: ${subject}`);
+    logger.debug(`[EMAIL CONTENT] ${text}`);
+    return {};
+  }
+});
+
+const fileTransport = ({ fileDirectory }) => ({
+  send: async (message) => {
+    const directory = path.resolve(fileDirectory);
+    const file = path.join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(file, formatMessage(message));
+
+    logger.info(`[EMAIL] To: ${message.to}, Subject: ${message.subject}, written to ${file}`);
+    return { file };
+  }
+});
+
+const smtpTransport = ({ smtp }) => ({
+  send: (message) => new Promise((resolve, reject) => {
+    // A line with only "." ends DATA, so lines starting with one get another
+    const data = `${formatMessage(message).replace(/^\./gm, '..')}\r\n.`;
+    const steps = [
+      { command: null, expect: 220 },
+      { command: `EHLO ${os.hostname()}`, expect: 250 },
+      { command: `MAIL FROM:<${addressOf(message.from)}>`, expect: 250 },
+      { command: `RCPT TO:<${addressOf(message.to)}>`, expect: 250 },
+      { command: 'DATA', expect: 354 },
+      { command: data, expect: 250 },
+      { command: 'QUIT', expect: 221 }
+    ];
+
+    const socket = net.createConnection({ host: smtp.host, port: smtp.port });
+    let buffer = '';
+    let step = 0;
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve({});
+      }
+    };
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(smtp.timeout, () => finish(new Error(`SMTP server ${smtp.host}:${smtp.port} timed out`)));
+    socket.on('error', finish);
+    socket.on('close', () => finish(new Error('SMTP connection closed before the message was sent')));
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      // Multi-line replies continue with "250-"; the last line has "250 "
+      let match;
+      while ((match = /^(\d{3})( [^\r\n]*)?\r?\n/m.exec(buffer))) {
+        const reply = buffer.slice(0, match.index + match[0].length).trim();
+        buffer = buffer.slice(match.index + match[0].length);
+
+        if (parseInt(match[1], 10) !== steps[step].expect) {
+          finish(new Error(`SMTP server rejected the message: ${reply}`));
+          return;
+        }
+
+        step += 1;
+        if (step === steps.length) {
+          finish();
+          return;
+        }
+        socket.write(`${steps[step].command}\r\n`);
+      }
+    });
+  })
+});
+
+const factories = {
+  log: logTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Make a transport available under a MAIL_TRANSPORT name
+ * @param {string} name - Transport name
+ * @param {Function} factory - Called with the mail config, returns the transport
+ */
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+/**
+ * Transport configured with MAIL_TRANSPORT, created on first use
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = factories[config.mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${config.mail.transport}"`);
+    }
+    activeTransport = factory(config.mail);
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the transport in use; null goes back to the configured one
+ * @param {Object|null} transport - Transport
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send a message through the transport in use
+ * @param {Object} message - { to, subject, text }, from defaults to MAIL_FROM
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = (message) => getTransport().send({ from: config.mail.from, ...message });
+
+module.exports = {
+  sendMail,
+  formatMessage,
+  registerTransport,
+  getTransport,
+  setTransport
+};
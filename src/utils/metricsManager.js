@@ -10,7 +10,12 @@ const MAX_LABEL_CARDINALITY = {
   status_code: 20,
   protocol: 5,
   result: 3,
-  actionType: 10
+  actionType: 10,
+  deliveryStatus: 5,
+  commandStatus: 5,
+  operation: 2,
+  clientType: 10,
+  reason: 10
 };
 
 const FORBIDDEN_LABELS = new Set([
@@ -221,6 +226,13 @@ class MetricsManager {
     outputCounter('telemetry_ingestion_total', 'Total telemetry data points ingested');
     outputCounter('notifications_sent_total', 'Total notifications sent');
     outputCounter('device_state_changes_total', 'Total device state changes');
+    outputCounter('device_commands_total', 'Total device commands dispatched');
+    outputCounter('device_command_outcomes_total', 'Total device commands that reached a final status');
+    outputCounter('mqtt_acl_denials_total', 'Total MQTT publishes and subscriptions denied by topic ACLs');
+    outputCounter('mqtt_auth_rejections_total', 'Total rejected MQTT logins');
+    outputCounter('auth_refresh_token_reuse_total', 'Total reused refresh tokens that revoked their session');
+    outputCounter('auth_account_lockouts_total', 'Total accounts locked after too many failed logins');
+    outputCounter('auth_login_throttled_total', 'Total logins refused by throttling or account lockout');
 
     const remainingCounters = Array.from(this.counters.entries())
       .filter(([key]) => !processedMetrics.has(key.split('{')[0]));
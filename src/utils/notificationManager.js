@@ -176,6 +176,32 @@ class NotificationManager {
     }
   }
   
+  /**
+   * Send an event to socket rooms right away. Processes without a socket
+   * server (rule engine workers) hand it to the API process through the
+   * notification bridge.
+   * @param {String} event - Socket event name
+   * @param {Object} payload - Event data
+   * @param {Array<String>} rooms - Room names
+   */
+  sendRoomNotification(event, payload, rooms) {
+    try {
+      if (socketManager.getIo()) {
+        rooms.forEach(room => socketManager.broadcastToRoom(room, event, payload));
+      } else {
+        notificationBridge.publish({
+          type: 'socket',
+          protocols: ['socket'],
+          event,
+          notification: payload,
+          rooms
+        });
+      }
+    } catch (error) {
+      logger.error(`Error sending ${event} notification`, error);
+    }
+  }
+
   /**
    * Stop the notification manager and clear resources
    */
@@ -28,6 +28,37 @@ const paginate = (data, options = {}) => {
   return results;
 };
 
+/**
+ * Translate page/limit options into database limit/offset values
+ * @param {Object} options - Pagination options
+ * @param {Number} options.page - Page number (1-based)
+ * @param {Number} options.limit - Records per page
+ * @returns {Object} { page, limit, offset }
+ */
+const getPaginationParams = (options = {}) => {
+  const page = parseInt(options.page, 10) || 1;
+  const limit = parseInt(options.limit, 10) || 20;
+
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Build the same response shape as paginate() from an already paged query
+ * @param {Array} rows - Records for the requested page
+ * @param {Number} count - Total number of matching records
+ * @param {Object} params - Result of getPaginationParams
+ * @returns {Object} Paginated data with metadata
+ */
+const buildPaginatedResult = (rows, count, { page, limit }) => ({
+  totalItems: count,
+  totalPages: Math.ceil(count / limit),
+  currentPage: page,
+  pageSize: limit,
+  data: rows
+});
+
 module.exports = {
-  paginate
+  paginate,
+  getPaginationParams,
+  buildPaginatedResult
 }; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const Joi = require('joi');
+const { NOTIFICATION_SEVERITIES } = require('./ruleChainValidators');
+
+const alarmSchema = {
+  // Schema for listing an organization's alarms
+  listQuery: Joi.object({
+    status: Joi.string().valid('active', 'acknowledged', 'cleared'),
+    severity: Joi.string().valid(...NOTIFICATION_SEVERITIES),
+    alarmType: Joi.string().max(100),
+    originatorUuid: Joi.string().max(64),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+  }),
+
+  // Schema for reading a single alarm
+  query: Joi.object({
+    organizationId: Joi.number().integer().required()
+  }),
+
+  // Schema for acknowledging or clearing an alarm
+  transition: Joi.object({
+    organizationId: Joi.number().integer().required(),
+    comment: Joi.string().max(2000).allow('', null)
+  }),
+
+  // Schema for assigning an alarm to a member
+  assign: Joi.object({
+    organizationId: Joi.number().integer().required(),
+    userId: Joi.number().integer().positive().required(),
+    comment: Joi.string().max(2000).allow('', null)
+  })
+};
+
+module.exports = {
+  alarmSchema
+};
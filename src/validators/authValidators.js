@@ -7,10 +7,51 @@ const authSchema = {
     password: Joi.string().required()
   }),
   
+  // A TOTP code, or a recovery code like 3f9a1-0c7e2
+  mfaCode: Joi.object({
+    code: Joi.string().trim().max(20).required()
+  }),
+  
+  mfaToken: Joi.object({
+    mfaToken: Joi.string().required()
+  }),
+  
+  mfaLogin: Joi.object({
+    mfaToken: Joi.string().required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+  
   refreshToken: Joi.object({
     refreshToken: Joi.string().required()
   }),
   
+  email: Joi.object({
+    email: Joi.string().email().required()
+  }),
+  
+  verifyEmail: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+  
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(8).required()
+  }),
+  
+  session: {
+    params: Joi.object({
+      id: Joi.string().guid({ version: 'uuidv4' }).required()
+    }),
+    body: Joi.object({})
+  },
+  
+  user: {
+    params: Joi.object({
+      id: Joi.number().integer().positive().required()
+    }),
+    body: Joi.object({})
+  },
+  
   signup: Joi.object({
     userName: Joi.string().min(3).max(256).required(),
     email: Joi.string().email().required(),
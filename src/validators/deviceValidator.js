@@ -1,10 +1,11 @@
 const Joi = require('joi');
 
 // Device validation schemas
-const allowedStatuses = ['active', 'inactive', 'pending', 'maintenance', 'faulty', 'retired'];
+const allowedStatuses = ['active', 'inactive', 'pending', 'maintenance', 'faulty', 'disconnected', 'retired'];
 const allowedDeviceTypes = ['actuator', 'controller', 'gateway', 'sensor_hub', 'hybrid'];
 const allowedControlTypes = ['binary', 'percentage', 'multistate', 'custom'];
 const allowedProtocols = ['wifi', 'ble', 'lorawan', 'zigbee', 'modbus', 'mqtt', 'http', 'coap'];
+const allowedCommandStatuses = ['pending', 'sent', 'acknowledged', 'failed', 'expired'];
 const deviceSchema = {
   create: Joi.object({
     name: Joi.string().max(50).required(),
@@ -43,6 +44,36 @@ const deviceSchema = {
   }),
   query: Joi.object({
     organizationId: Joi.number().integer().required()
+  }),
+  pendingCommandsQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(100)
+  }),
+  commandAck: Joi.object({
+    commandId: Joi.string().uuid().required(),
+    status: Joi.string().valid('ok', 'error').default('ok'),
+    error: Joi.string().max(255).allow('', null)
+  }),
+  commandListQuery: Joi.object({
+    organizationId: Joi.number().integer().required(),
+    status: Joi.string().valid(...allowedCommandStatuses),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+  }),
+  commandResend: Joi.object({
+    organizationId: Joi.number().integer().required()
+  }),
+  connectivityQuery: Joi.object({
+    organizationId: Joi.number().integer().required(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    limit: Joi.number().integer().min(1).max(500)
+  }),
+  connectionQuery: Joi.object({
+    organizationId: Joi.number().integer().required()
+  }),
+  gatewayCredentialCreate: Joi.object({
+    organizationId: Joi.number().integer().required(),
+    expiresAt: Joi.date().iso().greater('now').allow(null)
   })
 };
 
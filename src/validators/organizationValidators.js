@@ -27,7 +27,8 @@ const organizationSchema = {
     zip: Joi.string().max(50).allow('', null),
     email: Joi.string().email().allow('', null),
     isParent: Joi.boolean(),
-    contactNumber: Joi.string().max(50).allow('', null)
+    contactNumber: Joi.string().max(50).allow('', null),
+    requireTwoFactor: Joi.boolean()
   }),
   query: Joi.object({
     organizationId: Joi.number().integer().required()
@@ -1,5 +1,10 @@
 const Joi = require('joi');
 
+const EDGE_LABELS = ['success', 'failure', 'true', 'false', 'error'];
+
+// Severities a notification action can raise
+const NOTIFICATION_SEVERITIES = ['info', 'warning', 'critical'];
+
 const createRuleChainSchema = Joi.object({
   name: Joi.string().max(100).required(),
   description: Joi.string().allow(null),
@@ -11,29 +16,191 @@ const updateRuleChainSchema = Joi.object({
   description: Joi.string().allow(null)
 });
 
+const ruleChainNodeEdgeSchema = Joi.object({
+  label: Joi.string().valid(...EDGE_LABELS).required(),
+  targetNodeId: Joi.number().integer().required()
+});
+
 const createRuleChainNodeSchema = Joi.object({
+  organizationId: Joi.number().integer(),
   name: Joi.string().max(100).required(),
   ruleChainId: Joi.number().integer().required(),
   type: Joi.string().valid('filter', 'transform', 'action').required(),
-  config: Joi.string().allow(null),
-  nextNodeId: Joi.number().integer().allow(null)
+  config: Joi.alternatives().try(Joi.string(), Joi.object()).allow(null),
+  nextNodeId: Joi.number().integer().allow(null),
+  edges: Joi.array().items(ruleChainNodeEdgeSchema).allow(null)
 });
 
 const updateRuleChainNodeSchema = Joi.object({
+  organizationId: Joi.number().integer(),
   name: Joi.string().max(100),
   type: Joi.string().valid('filter', 'transform', 'action'),
-  config: Joi.string().allow(null),
-  nextNodeId: Joi.number().integer().allow(null)
+  config: Joi.alternatives().try(Joi.string(), Joi.object()).allow(null),
+  nextNodeId: Joi.number().integer().allow(null),
+  edges: Joi.array().items(ruleChainNodeEdgeSchema).allow(null)
+});
+
+// A hypothetical sensor/device snapshot: { UUID, <variable>: <value>, ... }
+const simulationSourceSchema = Joi.object({
+  UUID: Joi.string().required()
+}).unknown(true);
+
+const simulateRuleChainSchema = Joi.object({
+  organizationId: Joi.number().integer(),
+  sensorData: Joi.array().items(simulationSourceSchema).max(100),
+  deviceData: Joi.array().items(simulationSourceSchema).max(100),
+  replay: Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().greater(Joi.ref('from')).required(),
+    limit: Joi.number().integer().min(1).max(500)
+  })
+})
+  .or('sensorData', 'deviceData', 'replay')
+  .nand('sensorData', 'replay');
+
+const versionNodeSchema = Joi.object({
+  id: Joi.number().integer().required(),
+  name: Joi.string().required(),
+  type: Joi.string().valid('filter', 'transform', 'action').required(),
+  config: Joi.alternatives().try(Joi.object(), Joi.string()).allow(null),
+  nextNodeId: Joi.number().integer().allow(null),
+  edges: Joi.array().items(ruleChainNodeEdgeSchema).allow(null)
+});
+
+const createDraftSchema = Joi.object({
+  organizationId: Joi.number().integer(),
+  fromVersion: Joi.number().integer().min(1),
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+const updateDraftSchema = Joi.object({
+  organizationId: Joi.number().integer(),
+  nodes: Joi.array().items(versionNodeSchema),
+  notes: Joi.string().max(1000).allow('', null)
+}).or('nodes', 'notes');
+
+const publishDraftSchema = Joi.object({
+  organizationId: Joi.number().integer(),
+  force: Joi.boolean(),
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+const versionRef = Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().valid('draft'));
+
+const versionDiffQuerySchema = Joi.object({
+  organizationId: Joi.number().integer().required(),
+  from: versionRef.required(),
+  to: versionRef.required()
+});
+
+const bundleNodeSchema = Joi.object({
+  name: Joi.string().required(),
+  type: Joi.string().valid('filter', 'transform', 'action').required(),
+  config: Joi.object().allow(null),
+  next: Joi.string().allow(null),
+  edges: Joi.array().items(Joi.object({
+    label: Joi.string().valid(...EDGE_LABELS).required(),
+    target: Joi.string().required()
+  })).allow(null)
+});
+
+const importRuleChainSchema = Joi.object({
+  organizationId: Joi.number().integer().required(),
+  name: Joi.string().max(100),
+  mappings: Joi.object().pattern(Joi.string(), Joi.string()),
+  bundle: Joi.object({
+    format: Joi.string().required(),
+    formatVersion: Joi.number().integer().required(),
+    ruleChain: Joi.object({
+      name: Joi.string().max(100).required()
+    }).unknown(true).required(),
+    placeholders: Joi.array().items(Joi.object({
+      placeholder: Joi.string().required(),
+      type: Joi.string().valid('sensor', 'device').required()
+    }).unknown(true)),
+    nodes: Joi.array().items(bundleNodeSchema).max(200).required()
+  }).unknown(true).required()
+});
+
+const templateInputSchema = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z]\w*$/).max(50).required(),
+  type: Joi.string().valid('sensor', 'device', 'variable', 'state', 'number', 'string', 'boolean', 'duration', 'cron').required(),
+  label: Joi.string().max(100),
+  description: Joi.string().max(500),
+  default: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).allow(null)
+});
+
+const templateDefinitionSchema = Joi.object({
+  ruleChain: Joi.object({
+    name: Joi.string().max(100).required()
+  }).unknown(true).required(),
+  nodes: Joi.array().items(bundleNodeSchema).min(1).max(200).required()
+});
+
+const createTemplateSchema = Joi.object({
+  organizationId: Joi.number().integer(),
+  name: Joi.string().max(100).required(),
+  description: Joi.string().allow('', null),
+  category: Joi.string().max(50).allow(null),
+  inputs: Joi.array().items(templateInputSchema).max(50).required(),
+  definition: templateDefinitionSchema.required()
+});
+
+const updateTemplateSchema = Joi.object({
+  organizationId: Joi.number().integer(),
+  name: Joi.string().max(100),
+  description: Joi.string().allow('', null),
+  category: Joi.string().max(50).allow(null),
+  inputs: Joi.array().items(templateInputSchema).max(50),
+  definition: templateDefinitionSchema
+}).or('name', 'description', 'category', 'inputs', 'definition');
+
+const templateScopeSchema = Joi.object({
+  organizationId: Joi.number().integer()
+});
+
+const instantiateTemplateSchema = Joi.object({
+  organizationId: Joi.number().integer().required(),
+  name: Joi.string().max(100),
+  values: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()))
+});
+
+const templateQuerySchema = Joi.object({
+  organizationId: Joi.number().integer().required(),
+  category: Joi.string().max(50)
 });
 
 const querySchema = Joi.object({
   organizationId: Joi.number().integer().required()
 });
 
+const executionQuerySchema = Joi.object({
+  organizationId: Joi.number().integer().required(),
+  status: Joi.string().valid('success', 'aborted', 'failed', 'timeout'),
+  triggerType: Joi.string().valid('telemetry-data', 'device-state-change', 'device-connectivity', 'scheduled', 'manual'),
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
 module.exports = {
+  EDGE_LABELS,
+  NOTIFICATION_SEVERITIES,
   createRuleChainSchema,
   updateRuleChainSchema,
+  ruleChainNodeEdgeSchema,
   createRuleChainNodeSchema,
   updateRuleChainNodeSchema,
-  querySchema
-}; 
\ No newline at end of file
+  simulateRuleChainSchema,
+  createDraftSchema,
+  updateDraftSchema,
+  publishDraftSchema,
+  versionDiffQuerySchema,
+  importRuleChainSchema,
+  createTemplateSchema,
+  updateTemplateSchema,
+  templateScopeSchema,
+  instantiateTemplateSchema,
+  templateQuerySchema,
+  querySchema,
+  executionQuerySchema
+};
@@ -4,6 +4,9 @@ const logger = require('../utils/logger');
 const RuleEngineWorker = require('../ruleEngine/core/RuleEngineWorker');
 const ScheduleManager = require('../ruleEngine/scheduling/ScheduleManager');
 const notificationBridge = require('../services/notificationBridgeService');
+const mqttPublisher = require('../services/mqttPublisherService');
+const ruleChainExecutionService = require('../services/ruleChainExecutionService');
+const config = require('../config');
 
 const start = async () => {
   try {
@@ -14,8 +17,15 @@ const start = async () => {
     notificationBridge.initializePublisher();
     logger.info('Notification bridge publisher initialized');
 
+    // Action nodes publish device commands straight to the broker
+    if (config.features.mqtt && config.features.mqtt.enabled) {
+      await mqttPublisher.initialize();
+      logger.info('MQTT publisher initialized');
+    }
+
     RuleEngineWorker.start();
     await ScheduleManager.initialize();
+    ruleChainExecutionService.startRetentionPruner();
 
     logger.info('Rule engine worker and scheduler started');
   } catch (error) {
@@ -27,6 +37,7 @@ const start = async () => {
 process.on('SIGTERM', async () => {
   await ScheduleManager.stop();
   await RuleEngineWorker.stop();
+  ruleChainExecutionService.stopRetentionPruner();
   notificationBridge.shutdown();
   process.exit(0);
 });
@@ -34,6 +45,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   await ScheduleManager.stop();
   await RuleEngineWorker.stop();
+  ruleChainExecutionService.stopRetentionPruner();
   notificationBridge.shutdown();
   process.exit(0);
 });
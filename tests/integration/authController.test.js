@@ -34,7 +34,7 @@ describe('Auth Controller', () => {
     it('should refresh token and return new token', async () => {
       // Arrange
       req.body.refreshToken = 'valid-refresh-token';
-      authService.refreshToken.mockResolvedValue({ token: 'new-access-token' });
+      authService.refreshToken.mockResolvedValue({ token: 'new-access-token', refreshToken: 'new-refresh-token' });
 
       // Act
       await authController.refreshToken(req, res, next);
@@ -45,7 +45,8 @@ describe('Auth Controller', () => {
       expect(res.json).toHaveBeenCalledWith({
         status: 'success',
         data: {
-          token: 'new-access-token'
+          token: 'new-access-token',
+          refreshToken: 'new-refresh-token'
         }
       });
       expect(next).not.toHaveBeenCalled();
@@ -21,6 +21,7 @@ describe('Notification protocols (socket/mqtt/coap)', () => {
   let mqttClient;
   let mqttService;
   let mqttPublisher;
+  let mqttCredentialService;
   let notificationManager;
   let coapPublisher;
   let coapServer;
@@ -39,6 +40,7 @@ describe('Notification protocols (socket/mqtt/coap)', () => {
     socketManager = require('../../src/utils/socketManager');
     mqttService = require('../../src/services/mqttService');
     mqttPublisher = require('../../src/services/mqttPublisherService');
+    mqttCredentialService = require('../../src/services/mqttCredentialService');
     notificationManager = require('../../src/utils/notificationManager');
     coapPublisher = require('../../src/services/coapPublisherService');
 
@@ -51,6 +53,7 @@ describe('Notification protocols (socket/mqtt/coap)', () => {
       });
     });
 
+    await mqttCredentialService.initialize();
     mqttService.initialize(1885, '127.0.0.1');
     await mqttPublisher.initialize();
 
@@ -103,9 +106,10 @@ describe('Notification protocols (socket/mqtt/coap)', () => {
 
     const socketEventPromise = waitForEvent(socketClient, 'device-state-change');
 
+    const { username, password } = await mqttCredentialService.getCredentials();
     mqttClient = mqtt.connect('mqtt://127.0.0.1:1885', {
-      username: 'publisher',
-      password: 'publisher-secret',
+      username,
+      password,
       clientId: 'notification-test-subscriber'
     });
 
@@ -0,0 +1,99 @@
+jest.mock('../../src/config/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  smembers: jest.fn(),
+  sadd: jest.fn(),
+  expire: jest.fn(),
+  del: jest.fn(),
+  multi: jest.fn(),
+  eval: jest.fn()
+}));
+
+const redisConnection = require('../../src/config/redis');
+const accountTokenService = require('../../src/services/accountTokenService');
+const { TOKEN_PURPOSE } = accountTokenService;
+
+// Just enough of Redis for the token records
+const installFakeRedis = () => {
+  const store = new Map();
+  const sets = new Map();
+  const members = (key) => sets.get(key) || new Set();
+
+  redisConnection.set.mockImplementation(async (key, value) => { store.set(key, value); return 'OK'; });
+  redisConnection.smembers.mockImplementation(async (key) => [...members(key)]);
+  redisConnection.sadd.mockImplementation(async (key, value) => { sets.set(key, members(key).add(value)); return 1; });
+  redisConnection.expire.mockResolvedValue(1);
+  redisConnection.del.mockImplementation(async (...keys) => { keys.forEach((key) => { store.delete(key); sets.delete(key); }); return keys.length; });
+  // Same as the consume script
+  redisConnection.eval.mockImplementation(async (script, keyCount, key) => {
+    const userId = store.get(key) || null;
+    store.delete(key);
+    return userId;
+  });
+  redisConnection.multi.mockImplementation(() => {
+    const queued = [];
+    const transaction = { exec: async () => Promise.all(queued.map((run) => run())) };
+    ['set', 'sadd', 'expire'].forEach((command) => {
+      transaction[command] = (...args) => {
+        queued.push(() => redisConnection[command](...args));
+        return transaction;
+      };
+    });
+    return transaction;
+  });
+
+  return store;
+};
+
+describe('AccountTokenService', () => {
+  let store;
+
+  beforeEach(() => {
+    store = installFakeRedis();
+  });
+
+  test('should store only a hash of the token, expiring with it', async () => {
+    const token = await accountTokenService.issueToken(TOKEN_PURPOSE.PASSWORD_RESET, 3, 3600);
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(redisConnection.set).toHaveBeenCalledWith(
+      expect.stringMatching(/^auth:account-token:password-reset:[0-9a-f]{64}$/),
+      '3',
+      'EX',
+      3600
+    );
+    expect([...store.keys()].some((key) => key.includes(token))).toBe(false);
+    expect(redisConnection.expire).toHaveBeenCalledWith('auth:user-account-tokens:password-reset:3', 3600);
+  });
+
+  test('should accept a token only once', async () => {
+    const token = await accountTokenService.issueToken(TOKEN_PURPOSE.PASSWORD_RESET, 3, 3600);
+
+    await expect(accountTokenService.consumeToken(TOKEN_PURPOSE.PASSWORD_RESET, token)).resolves.toBe(3);
+    await expect(accountTokenService.consumeToken(TOKEN_PURPOSE.PASSWORD_RESET, token)).resolves.toBeNull();
+  });
+
+  test('should void the user\'s other tokens of the purpose when one is used', async () => {
+    const older = await accountTokenService.issueToken(TOKEN_PURPOSE.PASSWORD_RESET, 3, 3600);
+    const newer = await accountTokenService.issueToken(TOKEN_PURPOSE.PASSWORD_RESET, 3, 3600);
+    const verification = await accountTokenService.issueToken(TOKEN_PURPOSE.EMAIL_VERIFICATION, 3, 3600);
+
+    await accountTokenService.consumeToken(TOKEN_PURPOSE.PASSWORD_RESET, newer);
+
+    await expect(accountTokenService.consumeToken(TOKEN_PURPOSE.PASSWORD_RESET, older)).resolves.toBeNull();
+    await expect(accountTokenService.consumeToken(TOKEN_PURPOSE.EMAIL_VERIFICATION, verification)).resolves.toBe(3);
+  });
+
+  test('should not accept a token for another purpose', async () => {
+    const token = await accountTokenService.issueToken(TOKEN_PURPOSE.EMAIL_VERIFICATION, 3, 3600);
+
+    await expect(accountTokenService.consumeToken(TOKEN_PURPOSE.PASSWORD_RESET, token)).resolves.toBeNull();
+  });
+
+  test('should fail with 503 while Redis is unavailable', async () => {
+    redisConnection.eval.mockRejectedValue(new Error('Connection is closed.'));
+
+    await expect(accountTokenService.consumeToken(TOKEN_PURPOSE.PASSWORD_RESET, 'a'.repeat(64)))
+      .rejects.toMatchObject({ statusCode: 503 });
+  });
+});
@@ -0,0 +1,262 @@
+jest.mock('../../src/models/initModels', () => ({
+  Notification: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  Ticket: {
+    create: jest.fn(),
+    findOne: jest.fn()
+  },
+  OrganizationUser: { findOne: jest.fn() },
+  User: {}
+}));
+
+jest.mock('../../src/services/ruleNotificationService', () => ({
+  deliver: jest.fn()
+}));
+
+jest.mock('../../src/utils/notificationManager', () => ({
+  sendRoomNotification: jest.fn()
+}));
+
+const { Notification, Ticket, OrganizationUser } = require('../../src/models/initModels');
+const sequelize = require('../../src/config/database');
+const ruleNotificationService = require('../../src/services/ruleNotificationService');
+const notificationManager = require('../../src/utils/notificationManager');
+const config = require('../../src/config');
+const alarmService = require('../../src/services/alarmService');
+const { ALARM_EVENTS } = alarmService;
+
+const raiseData = {
+  organizationId: 4,
+  alarmType: 'High Temperature',
+  originatorType: 'sensor',
+  originatorUuid: 'sensor-uuid',
+  severity: 'warning',
+  title: 'Greenhouse at 35.5 C',
+  insight: 'Fans are not keeping up',
+  ruleChainId: 10
+};
+
+const buildAlarm = (values = {}) => {
+  const alarm = {
+    id: 77,
+    organizationId: 4,
+    alarmType: 'High Temperature',
+    originatorType: 'sensor',
+    originatorUuid: 'sensor-uuid',
+    status: 'active',
+    severity: 'warning',
+    title: 'Greenhouse at 35.5 C',
+    occurrences: 1,
+    escalationLevel: 0,
+    ...values
+  };
+  alarm.update = jest.fn(async (updates) => Object.assign(alarm, updates));
+  return alarm;
+};
+
+const buildTicket = (values = {}) => {
+  const ticket = { id: 5, notificationId: 77, assignedTo: null, acknowledgedAt: null, ...values };
+  ticket.update = jest.fn(async (updates) => Object.assign(ticket, updates));
+  return ticket;
+};
+
+describe('AlarmService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    Notification.create.mockImplementation(async (values) => buildAlarm(values));
+    ruleNotificationService.deliver.mockResolvedValue({ recipients: 2, channels: { message: 2, email: 0, sms: 0 } });
+  });
+
+  describe('raise', () => {
+    test('should open an alarm with a ticket and notify the organization', async () => {
+      Notification.findOne.mockResolvedValue(null);
+
+      const { alarm, created } = await alarmService.raise({ ...raiseData, roles: ['Operator'], escalateAfterMs: 60000 });
+
+      expect(created).toBe(true);
+      expect(Notification.findOne).toHaveBeenCalledWith({ where: { dedupKey: '4:sensor:sensor-uuid:High Temperature' } });
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        organizationId: 4,
+        status: 'active',
+        dedupKey: '4:sensor:sensor-uuid:High Temperature',
+        occurrences: 1,
+        userGroup: '["Operator"]',
+        escalateAt: expect.any(Date)
+      }), { transaction });
+      expect(Ticket.create).toHaveBeenCalledWith({ notificationId: alarm.id, createdAt: expect.any(Date) }, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(ruleNotificationService.deliver).toHaveBeenCalledWith(
+        ALARM_EVENTS.RAISED,
+        expect.objectContaining({ alarmId: alarm.id, alarmType: 'High Temperature', status: 'active' }),
+        { roles: ['Operator'] }
+      );
+    });
+
+    test('should count another occurrence of an open alarm instead of opening a new one', async () => {
+      const existing = buildAlarm();
+      Notification.findOne.mockResolvedValue(existing);
+
+      const { alarm, created } = await alarmService.raise({ ...raiseData, severity: 'critical' });
+
+      expect(created).toBe(false);
+      expect(Notification.create).not.toHaveBeenCalled();
+      expect(alarm.occurrences).toBe(2);
+      expect(alarm.severity).toBe('critical');
+      expect(ruleNotificationService.deliver).not.toHaveBeenCalled();
+      expect(notificationManager.sendRoomNotification).toHaveBeenCalledWith(
+        ALARM_EVENTS.UPDATED,
+        expect.objectContaining({ alarmId: 77, occurrences: 2 }),
+        ['org-4']
+      );
+    });
+
+    test('should join the alarm another worker opened concurrently', async () => {
+      const winner = buildAlarm();
+      Notification.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(winner);
+      Notification.create.mockRejectedValue(Object.assign(new Error('duplicate'), { name: 'SequelizeUniqueConstraintError' }));
+
+      const { alarm, created } = await alarmService.raise(raiseData);
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(created).toBe(false);
+      expect(alarm).toBe(winner);
+      expect(winner.occurrences).toBe(2);
+    });
+  });
+
+  describe('acknowledge', () => {
+    test('should acknowledge and assign an unassigned alarm to the acknowledging user', async () => {
+      const alarm = buildAlarm({ escalateAt: new Date() });
+      const ticket = buildTicket();
+      Notification.findOne.mockResolvedValue(alarm);
+      Ticket.findOne.mockResolvedValue(ticket);
+
+      await alarmService.acknowledge(77, 4, 9, 'On it');
+
+      expect(ticket.update).toHaveBeenCalledWith({
+        acknowledgedAt: expect.any(Date),
+        assignedTo: 9,
+        assignedAt: expect.any(Date),
+        comment: 'On it'
+      });
+      expect(alarm.update).toHaveBeenCalledWith({ escalateAt: null, status: 'acknowledged' });
+      expect(notificationManager.sendRoomNotification).toHaveBeenCalledWith(
+        ALARM_EVENTS.ACKNOWLEDGED,
+        expect.objectContaining({ alarmId: 77, acknowledgedBy: 9 }),
+        ['org-4']
+      );
+    });
+
+    test('should reject acknowledging twice', async () => {
+      Notification.findOne.mockResolvedValue(buildAlarm({ status: 'acknowledged' }));
+      Ticket.findOne.mockResolvedValue(buildTicket({ acknowledgedAt: new Date(), assignedTo: 9 }));
+
+      await expect(alarmService.acknowledge(77, 4, 9)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should report a missing alarm', async () => {
+      Notification.findOne.mockResolvedValue(null);
+
+      await expect(alarmService.acknowledge(77, 4, 9)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('clear', () => {
+    test('should clear the alarm and free its dedup key', async () => {
+      const alarm = buildAlarm();
+      Notification.findOne.mockResolvedValue(alarm);
+
+      await alarmService.clear(77, 4, 9);
+
+      expect(alarm.update).toHaveBeenCalledWith({
+        status: 'cleared',
+        dedupKey: null,
+        escalateAt: null,
+        clearedAt: expect.any(Date),
+        clearedBy: 9
+      });
+      expect(notificationManager.sendRoomNotification).toHaveBeenCalledWith(
+        ALARM_EVENTS.CLEARED,
+        expect.objectContaining({ alarmId: 77, status: 'cleared', clearedBy: 9 }),
+        ['org-4']
+      );
+    });
+
+    test('should reject clearing a cleared alarm', async () => {
+      Notification.findOne.mockResolvedValue(buildAlarm({ status: 'cleared' }));
+
+      await expect(alarmService.clear(77, 4, 9)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('assign', () => {
+    test('should assign the ticket and notify the assignee', async () => {
+      const ticket = buildTicket();
+      Notification.findOne.mockResolvedValue(buildAlarm());
+      OrganizationUser.findOne.mockResolvedValue({ userId: 12 });
+      Ticket.findOne.mockResolvedValue(ticket);
+
+      await alarmService.assign(77, 4, 12, 9);
+
+      expect(ticket.update).toHaveBeenCalledWith({ assignedTo: 12, assignedAt: expect.any(Date) });
+      expect(ruleNotificationService.deliver).toHaveBeenCalledWith(
+        ALARM_EVENTS.ASSIGNED,
+        expect.objectContaining({ alarmId: 77, assignedTo: 12 }),
+        { userIds: [12] }
+      );
+    });
+
+    test('should reject assigning someone outside the organization', async () => {
+      Notification.findOne.mockResolvedValue(buildAlarm());
+      OrganizationUser.findOne.mockResolvedValue(null);
+
+      await expect(alarmService.assign(77, 4, 12, 9)).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'userId' })]
+      });
+      expect(Ticket.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('escalateDue', () => {
+    test('should raise the level and severity of overdue alarms', async () => {
+      const alarm = buildAlarm();
+      Notification.findAll.mockResolvedValue([alarm]);
+      Notification.update.mockResolvedValue([1]);
+      const now = new Date('2026-01-01T00:00:00Z');
+
+      const escalated = await alarmService.escalateDue(now);
+
+      expect(escalated).toBe(1);
+      expect(Notification.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          escalationLevel: 1,
+          severity: 'critical',
+          escalateAt: new Date(now.getTime() + config.alarms.escalateAfterMinutes * 60000)
+        }),
+        { where: { id: 77, status: 'active', escalationLevel: 0 } }
+      );
+      expect(ruleNotificationService.deliver).toHaveBeenCalledWith(
+        ALARM_EVENTS.ESCALATED,
+        expect.objectContaining({ alarmId: 77, escalationLevel: 1, severity: 'critical' })
+      );
+    });
+
+    test('should skip alarms another monitor already escalated', async () => {
+      Notification.findAll.mockResolvedValue([buildAlarm()]);
+      Notification.update.mockResolvedValue([0]);
+
+      const escalated = await alarmService.escalateDue(new Date());
+
+      expect(escalated).toBe(0);
+      expect(ruleNotificationService.deliver).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,6 +4,13 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const config = require('../../src/config');
 const tokenBlacklistService = require('../../src/services/tokenBlacklistService');
+const authSessionService = require('../../src/services/authSessionService');
+const accountTokenService = require('../../src/services/accountTokenService');
+const userService = require('../../src/services/userService');
+const loginProtectionService = require('../../src/services/loginProtectionService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const roleService = require('../../src/services/roleService');
+const { sendEmailNotification } = require('../../src/services/notificationService');
 
 // Mock dependencies
 jest.mock('../../src/models/initModels', () => ({
@@ -23,7 +30,54 @@ jest.mock('jsonwebtoken', () => ({
 }));
 
 jest.mock('../../src/services/tokenBlacklistService', () => ({
-  blacklistToken: jest.fn()
+  blacklistToken: jest.fn(),
+  isTokenBlacklisted: jest.fn()
+}));
+
+jest.mock('../../src/services/authSessionService', () => ({
+  ROTATION_RESULT: { ROTATED: 'rotated', REUSED: 'reused', REVOKED: 'revoked' },
+  createSession: jest.fn(),
+  storeRefreshToken: jest.fn(),
+  rotateRefreshToken: jest.fn(),
+  isSessionActive: jest.fn(),
+  touchSession: jest.fn(),
+  revokeSession: jest.fn(),
+  revokeAllSessions: jest.fn()
+}));
+
+jest.mock('../../src/services/accountTokenService', () => ({
+  TOKEN_PURPOSE: { PASSWORD_RESET: 'password-reset', EMAIL_VERIFICATION: 'email-verification' },
+  issueToken: jest.fn(),
+  consumeToken: jest.fn()
+}));
+
+jest.mock('../../src/services/loginProtectionService', () => ({
+  checkThrottle: jest.fn(),
+  checkLockout: jest.fn(),
+  recordFailure: jest.fn(),
+  recordSuccess: jest.fn(),
+  unlockAccount: jest.fn()
+}));
+
+jest.mock('../../src/services/twoFactorService', () => ({
+  LOGIN_REQUIREMENT: { VERIFY: 'verify', ENROLL: 'enroll' },
+  getLoginRequirement: jest.fn(),
+  beginEnrollment: jest.fn(),
+  enable: jest.fn(),
+  verify: jest.fn()
+}));
+
+jest.mock('../../src/services/roleService', () => ({
+  getUserPermissions: jest.fn(),
+  getUserRoleNames: jest.fn()
+}));
+
+jest.mock('../../src/services/userService', () => ({
+  updateUser: jest.fn()
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  sendEmailNotification: jest.fn()
 }));
 
 // Import the service after mocking dependencies
@@ -96,10 +150,306 @@ describe('Auth Service', () => {
         .rejects
         .toThrow('Invalid email or password');
     });
+    
+    it('should count failed logins towards throttling and the lockout', async () => {
+      const mockUser = { id: 1, email: 'test@example.com', password: 'hashed_password' };
+      User.findOne.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(false);
+      
+      await expect(authService.login('test@example.com', 'wrong_password', { ip: '10.0.0.5' }))
+        .rejects
+        .toMatchObject({ statusCode: 401 });
+      
+      expect(loginProtectionService.checkThrottle).toHaveBeenCalledWith('test@example.com', '10.0.0.5');
+      expect(loginProtectionService.recordFailure).toHaveBeenCalledWith('test@example.com', '10.0.0.5', mockUser);
+      expect(loginProtectionService.recordSuccess).not.toHaveBeenCalled();
+    });
+    
+    it('should count failed logins for unknown emails', async () => {
+      User.findOne.mockResolvedValue(null);
+      
+      await expect(authService.login('ghost@example.com', 'password123', { ip: '10.0.0.5' }))
+        .rejects
+        .toMatchObject({ statusCode: 401 });
+      
+      expect(loginProtectionService.recordFailure).toHaveBeenCalledWith('ghost@example.com', '10.0.0.5', null);
+    });
+    
+    it('should refuse locked accounts without checking the password', async () => {
+      User.findOne.mockResolvedValue({ id: 1, email: 'test@example.com', password: 'hashed_password' });
+      loginProtectionService.checkLockout.mockImplementation(() => {
+        throw new ApiError(429, 'Too many failed login attempts, please try again later');
+      });
+      
+      await expect(authService.login('test@example.com', 'password123'))
+        .rejects
+        .toMatchObject({ statusCode: 429 });
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+    
+    it('should refuse disabled users', async () => {
+      User.findOne.mockResolvedValue({ id: 1, email: 'test@example.com', password: 'hashed_password', status: false });
+      bcrypt.compare.mockResolvedValue(true);
+      
+      await expect(authService.login('test@example.com', 'password123'))
+        .rejects
+        .toMatchObject({ statusCode: 403, message: 'User account is disabled' });
+      expect(authSessionService.createSession).not.toHaveBeenCalled();
+      expect(loginProtectionService.recordSuccess).not.toHaveBeenCalled();
+    });
+    
+    it('should refuse users whose email is not verified', async () => {
+      User.findOne.mockResolvedValue({ id: 1, email: 'test@example.com', password: 'hashed_password', emailVerified: false });
+      bcrypt.compare.mockResolvedValue(true);
+      
+      await expect(authService.login('test@example.com', 'password123'))
+        .rejects
+        .toMatchObject({ statusCode: 403, message: 'Email address has not been verified' });
+      expect(authSessionService.createSession).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('two-factor login', () => {
+    const mockUser = { id: 1, name: 'Test User', email: 'test@example.com', password: 'hashed_password', roleId: 2 };
+    
+    beforeEach(() => {
+      jwt.sign.mockReturnValue('mock-token');
+      authSessionService.createSession.mockResolvedValue({ id: 'session-1' });
+      roleService.getUserPermissions.mockResolvedValue(['device.view']);
+      roleService.getUserRoleNames.mockResolvedValue(['Viewer']);
+    });
+    
+    it('should answer with an MFA challenge instead of tokens', async () => {
+      User.findOne.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(true);
+      twoFactorService.getLoginRequirement.mockResolvedValue('verify');
+      
+      const result = await authService.login('test@example.com', 'password123');
+      
+      expect(result).toEqual({ mfaRequired: true, enrollmentRequired: false, mfaToken: 'mock-token' });
+      expect(jwt.sign).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 1, tokenType: 'mfa', purpose: 'verify' }),
+        config.jwt.secret,
+        { expiresIn: config.auth.twoFactor.challengeTtl }
+      );
+      expect(authSessionService.createSession).not.toHaveBeenCalled();
+      // Failures are only reset once the second factor is checked
+      expect(loginProtectionService.recordSuccess).not.toHaveBeenCalled();
+    });
+    
+    it('should ask users of organizations requiring 2FA to enrol', async () => {
+      User.findOne.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(true);
+      twoFactorService.getLoginRequirement.mockResolvedValue('enroll');
+      
+      await expect(authService.login('test@example.com', 'password123'))
+        .resolves
+        .toMatchObject({ mfaRequired: true, enrollmentRequired: true });
+    });
+    
+    it('should issue tokens for a valid code and use the challenge up', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'mfa', purpose: 'verify', exp: Math.floor(Date.now() / 1000) + 120 });
+      User.findByPk.mockResolvedValue(mockUser);
+      twoFactorService.verify.mockResolvedValue(true);
+      
+      const result = await authService.completeTwoFactorLogin('mfa-token', '123456', { ip: '10.0.0.5' });
+      
+      expect(twoFactorService.verify).toHaveBeenCalledWith(1, '123456');
+      expect(tokenBlacklistService.blacklistToken).toHaveBeenCalledWith('mfa-token', expect.any(Number));
+      expect(loginProtectionService.recordSuccess).toHaveBeenCalledWith('test@example.com', mockUser);
+      expect(result).toMatchObject({
+        sessionId: 'session-1',
+        user: { id: 1, email: 'test@example.com' },
+        permissions: ['device.view'],
+        token: 'mock-token',
+        refreshToken: 'mock-token'
+      });
+      expect(result.recoveryCodes).toBeUndefined();
+    });
+    
+    it('should count wrong codes towards the lockout', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'mfa', purpose: 'verify', exp: Math.floor(Date.now() / 1000) + 120 });
+      User.findByPk.mockResolvedValue(mockUser);
+      twoFactorService.verify.mockResolvedValue(false);
+      
+      await expect(authService.completeTwoFactorLogin('mfa-token', '000000', { ip: '10.0.0.5' }))
+        .rejects
+        .toMatchObject({ statusCode: 401, message: 'Invalid two-factor code' });
+      expect(loginProtectionService.recordFailure).toHaveBeenCalledWith('test@example.com', '10.0.0.5', mockUser);
+      expect(authSessionService.createSession).not.toHaveBeenCalled();
+    });
+    
+    it('should refuse used, expired and non-MFA tokens', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'mfa', purpose: 'verify' });
+      tokenBlacklistService.isTokenBlacklisted.mockResolvedValue(true);
+      
+      await expect(authService.completeTwoFactorLogin('mfa-token', '123456'))
+        .rejects
+        .toMatchObject({ statusCode: 401, message: 'Invalid or expired MFA token' });
+      
+      tokenBlacklistService.isTokenBlacklisted.mockResolvedValue(false);
+      jwt.verify.mockReturnValue({ id: 1, sid: 'session-1' });
+      await expect(authService.completeTwoFactorLogin('access-token', '123456'))
+        .rejects
+        .toMatchObject({ statusCode: 401 });
+      
+      jwt.verify.mockImplementation(() => { throw new Error('jwt expired'); });
+      await expect(authService.completeTwoFactorLogin('mfa-token', '123456'))
+        .rejects
+        .toMatchObject({ statusCode: 401 });
+      expect(twoFactorService.verify).not.toHaveBeenCalled();
+    });
+    
+    it('should enrol during login and hand out the recovery codes', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'mfa', purpose: 'enroll', exp: Math.floor(Date.now() / 1000) + 120 });
+      User.findByPk.mockResolvedValue(mockUser);
+      twoFactorService.beginEnrollment.mockResolvedValue({ secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x' });
+      twoFactorService.enable.mockResolvedValue(['3f9a1-0c7e2']);
+      
+      await expect(authService.beginLoginEnrollment('mfa-token'))
+        .resolves
+        .toEqual({ secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x' });
+      expect(twoFactorService.beginEnrollment).toHaveBeenCalledWith(mockUser);
+      
+      const result = await authService.completeTwoFactorLogin('mfa-token', '123456');
+      
+      expect(twoFactorService.enable).toHaveBeenCalledWith(1, '123456');
+      expect(result).toMatchObject({ token: 'mock-token', recoveryCodes: ['3f9a1-0c7e2'] });
+    });
+    
+    it('should not restart enrolment for users who already have a second factor', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'mfa', purpose: 'verify' });
+      User.findByPk.mockResolvedValue(mockUser);
+      
+      await expect(authService.beginLoginEnrollment('mfa-token'))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+      expect(twoFactorService.beginEnrollment).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('unlockAccount', () => {
+    it('should unlock the user\'s account', async () => {
+      const user = { id: 4, email: 'ana@example.com', accessFailedCount: 0, lockoutEnd: null };
+      User.findByPk.mockResolvedValue(user);
+      
+      await expect(authService.unlockAccount(4, 1)).resolves.toEqual({
+        id: 4,
+        email: 'ana@example.com',
+        accessFailedCount: 0,
+        lockoutEnd: null
+      });
+      expect(loginProtectionService.unlockAccount).toHaveBeenCalledWith(user, 1);
+    });
+    
+    it('should return 404 for unknown users', async () => {
+      User.findByPk.mockResolvedValue(null);
+      
+      await expect(authService.unlockAccount(99, 1))
+        .rejects
+        .toMatchObject({ statusCode: 404 });
+    });
+  });
+  
+  describe('email verification', () => {
+    it('should email a verification link', async () => {
+      const user = { id: 4, userName: 'Ana', email: 'ana@example.com' };
+      accountTokenService.issueToken.mockResolvedValue('verify-token');
+      sendEmailNotification.mockResolvedValue(true);
+      
+      await expect(authService.sendVerificationEmail(user)).resolves.toBe(true);
+      
+      expect(accountTokenService.issueToken).toHaveBeenCalledWith('email-verification', 4, config.auth.emailVerificationTtl);
+      expect(sendEmailNotification).toHaveBeenCalledWith(
+        user,
+        'Verify your AEMOS email address',
+        expect.stringContaining(`${config.auth.appUrl}/verify-email?token=verify-token`)
+      );
+    });
+    
+    it('should mark the user of a valid token as verified', async () => {
+      const user = { id: 4, emailVerified: false, update: jest.fn() };
+      accountTokenService.consumeToken.mockResolvedValue(4);
+      User.findByPk.mockResolvedValue(user);
+      
+      await authService.verifyEmail('verify-token');
+      
+      expect(accountTokenService.consumeToken).toHaveBeenCalledWith('email-verification', 'verify-token');
+      expect(user.update).toHaveBeenCalledWith({ emailVerified: true });
+    });
+    
+    it('should reject unknown or used verification tokens', async () => {
+      accountTokenService.consumeToken.mockResolvedValue(null);
+      
+      await expect(authService.verifyEmail('used-token'))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+    });
+    
+    it('should only resend verification emails to unverified accounts', async () => {
+      User.findOne.mockResolvedValueOnce(null);
+      await authService.resendVerificationEmail('ghost@example.com');
+      
+      User.findOne.mockResolvedValueOnce({ id: 4, email: 'ana@example.com', emailVerified: true });
+      await authService.resendVerificationEmail('ana@example.com');
+      
+      expect(sendEmailNotification).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('password reset', () => {
+    it('should email a reset link to existing users', async () => {
+      const user = { id: 4, userName: 'Ana', email: 'ana@example.com' };
+      User.findOne.mockResolvedValue(user);
+      accountTokenService.issueToken.mockResolvedValue('reset-token');
+      
+      await authService.requestPasswordReset('ana@example.com');
+      
+      expect(accountTokenService.issueToken).toHaveBeenCalledWith('password-reset', 4, config.auth.passwordResetTtl);
+      expect(sendEmailNotification).toHaveBeenCalledWith(
+        user,
+        'Reset your AEMOS password',
+        expect.stringContaining(`${config.auth.appUrl}/reset-password?token=reset-token`)
+      );
+    });
+    
+    it('should quietly ignore unknown and disabled users', async () => {
+      User.findOne.mockResolvedValueOnce(null);
+      await expect(authService.requestPasswordReset('ghost@example.com')).resolves.toBeUndefined();
+      
+      User.findOne.mockResolvedValueOnce({ id: 4, email: 'ana@example.com', status: false });
+      await expect(authService.requestPasswordReset('ana@example.com')).resolves.toBeUndefined();
+      
+      expect(accountTokenService.issueToken).not.toHaveBeenCalled();
+      expect(sendEmailNotification).not.toHaveBeenCalled();
+    });
+    
+    it('should set the new password, verify the email address and lift the lockout', async () => {
+      accountTokenService.consumeToken.mockResolvedValue(4);
+      
+      await authService.resetPassword('reset-token', 'new-password');
+      
+      expect(accountTokenService.consumeToken).toHaveBeenCalledWith('password-reset', 'reset-token');
+      expect(userService.updateUser).toHaveBeenCalledWith(4, {
+        password: 'new-password',
+        emailVerified: true,
+        accessFailedCount: 0,
+        lockoutEnd: null
+      });
+    });
+    
+    it('should reject unknown or used reset tokens', async () => {
+      accountTokenService.consumeToken.mockResolvedValue(null);
+      
+      await expect(authService.resetPassword('used-token', 'new-password'))
+        .rejects
+        .toMatchObject({ statusCode: 400, message: 'Invalid or expired password reset token' });
+      expect(userService.updateUser).not.toHaveBeenCalled();
+    });
   });
   
   describe('logout', () => {
-    it('should blacklist valid token', () => {
+    it('should blacklist valid token', async () => {
       // Arrange
       const mockToken = 'valid-token';
       const mockDecodedToken = { id: 1, exp: Math.floor(Date.now() / 1000) + 3600 }; // token expires in 1 hour
@@ -107,15 +457,24 @@ describe('Auth Service', () => {
       jwt.verify.mockReturnValue(mockDecodedToken);
       
       // Act
-      const result = authService.logout(mockToken);
+      const result = await authService.logout(mockToken);
       
       // Assert
       expect(jwt.verify).toHaveBeenCalledWith(mockToken, config.jwt.secret);
       expect(tokenBlacklistService.blacklistToken).toHaveBeenCalledWith(mockToken, expect.any(Number));
+      expect(authSessionService.revokeSession).not.toHaveBeenCalled();
       expect(result).toBe(true);
     });
     
-    it('should handle invalid token gracefully', () => {
+    it('should revoke the session of the token', async () => {
+      jwt.verify.mockReturnValue({ id: 1, sid: 'session-1', exp: Math.floor(Date.now() / 1000) + 3600 });
+      
+      await expect(authService.logout('valid-token')).resolves.toBe(true);
+      
+      expect(authSessionService.revokeSession).toHaveBeenCalledWith(1, 'session-1');
+    });
+    
+    it('should handle invalid token gracefully', async () => {
       // Arrange
       const mockToken = 'invalid-token';
       
@@ -124,7 +483,7 @@ describe('Auth Service', () => {
       });
       
       // Act
-      const result = authService.logout(mockToken);
+      const result = await authService.logout(mockToken);
       
       // Assert
       expect(jwt.verify).toHaveBeenCalledWith(mockToken, config.jwt.secret);
@@ -133,6 +492,18 @@ describe('Auth Service', () => {
     });
   });
   
+  describe('logoutAll', () => {
+    it('should revoke every session and the current token', async () => {
+      authSessionService.revokeAllSessions.mockResolvedValue(3);
+      jwt.verify.mockReturnValue({ id: 1, sid: 'session-1', exp: Math.floor(Date.now() / 1000) + 3600 });
+      
+      await expect(authService.logoutAll(1, 'valid-token')).resolves.toBe(3);
+      
+      expect(authSessionService.revokeAllSessions).toHaveBeenCalledWith(1);
+      expect(tokenBlacklistService.blacklistToken).toHaveBeenCalledWith('valid-token', expect.any(Number));
+    });
+  });
+  
   describe('generateToken', () => {
     it('should generate JWT with correct payload', () => {
       // Arrange
@@ -193,7 +564,8 @@ describe('Auth Service', () => {
       const mockRefreshToken = 'valid-refresh-token';
       const mockDecodedToken = { 
         id: 1, 
-        tokenType: 'refresh'
+        tokenType: 'refresh',
+        sid: 'session-1'
       };
       const mockUser = {
         id: 1,
@@ -202,8 +574,11 @@ describe('Auth Service', () => {
       };
       
       jwt.verify.mockReturnValue(mockDecodedToken);
+      authSessionService.rotateRefreshToken.mockResolvedValue('rotated');
       User.findByPk.mockResolvedValue(mockUser);
-      jwt.sign.mockReturnValueOnce('new-access-token');
+      jwt.sign
+        .mockReturnValueOnce('new-refresh-token')
+        .mockReturnValueOnce('new-access-token');
       
       // Act
       const result = await authService.refreshToken(mockRefreshToken);
@@ -211,11 +586,45 @@ describe('Auth Service', () => {
       // Assert
       expect(jwt.verify).toHaveBeenCalledWith(mockRefreshToken, config.jwt.secret);
       expect(User.findByPk).toHaveBeenCalledWith(1);
+      expect(authSessionService.rotateRefreshToken).toHaveBeenCalledWith('session-1', mockRefreshToken, 'new-refresh-token');
+      expect(authSessionService.touchSession).toHaveBeenCalledWith('session-1');
       expect(result).toEqual({
-        token: 'new-access-token'
+        token: 'new-access-token',
+        refreshToken: 'new-refresh-token'
       });
     });
     
+    it('should revoke the session when a rotated refresh token is used again', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'refresh', sid: 'session-1' });
+      User.findByPk.mockResolvedValue({ id: 1 });
+      authSessionService.rotateRefreshToken.mockResolvedValue('reused');
+      
+      await expect(authService.refreshToken('stolen-refresh-token'))
+        .rejects
+        .toThrow('Refresh token has already been used');
+      expect(authSessionService.revokeSession).toHaveBeenCalledWith(1, 'session-1');
+      expect(authSessionService.touchSession).not.toHaveBeenCalled();
+    });
+    
+    it('should reject refresh tokens of revoked sessions', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'refresh', sid: 'session-1' });
+      User.findByPk.mockResolvedValue({ id: 1 });
+      authSessionService.rotateRefreshToken.mockResolvedValue('revoked');
+      
+      await expect(authService.refreshToken('revoked-refresh-token'))
+        .rejects
+        .toThrow('Session has been revoked');
+      expect(authSessionService.revokeSession).not.toHaveBeenCalled();
+    });
+    
+    it('should reject refresh tokens without a session', async () => {
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'refresh' });
+      
+      await expect(authService.refreshToken('legacy-refresh-token'))
+        .rejects
+        .toThrow('Session has been revoked');
+    });
+    
     it('should throw error when token is not a refresh token', async () => {
       // Arrange
       const mockToken = 'not-refresh-token';
@@ -240,7 +649,7 @@ describe('Auth Service', () => {
         tokenType: 'refresh'
       };
       
-      jwt.verify.mockReturnValue(mockDecodedToken);
+      jwt.verify.mockReturnValue({ ...mockDecodedToken, sid: 'session-1' });
       User.findByPk.mockResolvedValue(null);
       
       // Act & Assert
@@ -0,0 +1,151 @@
+jest.mock('../../src/config/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  exists: jest.fn(),
+  ttl: jest.fn(),
+  mget: jest.fn(),
+  smembers: jest.fn(),
+  sadd: jest.fn(),
+  srem: jest.fn(),
+  expire: jest.fn(),
+  del: jest.fn(),
+  multi: jest.fn(),
+  eval: jest.fn()
+}));
+
+const redisConnection = require('../../src/config/redis');
+const authSessionService = require('../../src/services/authSessionService');
+const { SESSION_TTL_SECONDS } = authSessionService;
+
+// Just enough of Redis for the session records
+const installFakeRedis = () => {
+  const store = new Map();
+  const sets = new Map();
+  const members = (key) => sets.get(key) || new Set();
+
+  redisConnection.get.mockImplementation(async (key) => store.get(key) || null);
+  redisConnection.set.mockImplementation(async (key, value) => { store.set(key, value); return 'OK'; });
+  redisConnection.exists.mockImplementation(async (key) => (store.has(key) ? 1 : 0));
+  redisConnection.ttl.mockImplementation(async (key) => (store.has(key) ? 600 : -2));
+  redisConnection.mget.mockImplementation(async (...keys) => keys.map((key) => store.get(key) || null));
+  redisConnection.smembers.mockImplementation(async (key) => [...members(key)]);
+  redisConnection.sadd.mockImplementation(async (key, value) => { sets.set(key, members(key).add(value)); return 1; });
+  redisConnection.srem.mockImplementation(async (key, ...values) => { values.forEach((value) => members(key).delete(value)); return values.length; });
+  redisConnection.expire.mockResolvedValue(1);
+  redisConnection.del.mockImplementation(async (...keys) => { keys.forEach((key) => { store.delete(key); sets.delete(key); }); return keys.length; });
+  // Same decisions as the rotation script
+  redisConnection.eval.mockImplementation(async (script, keyCount, key, presentedHash, nextHash) => {
+    if (!store.has(key)) {
+      return 'revoked';
+    }
+    if (store.get(key) !== presentedHash) {
+      return 'reused';
+    }
+    store.set(key, nextHash);
+    return 'rotated';
+  });
+  redisConnection.multi.mockImplementation(() => {
+    const queued = [];
+    const transaction = { exec: async () => Promise.all(queued.map((run) => run())) };
+    ['set', 'sadd', 'srem', 'expire', 'del'].forEach((command) => {
+      transaction[command] = (...args) => {
+        queued.push(() => redisConnection[command](...args));
+        return transaction;
+      };
+    });
+    return transaction;
+  });
+
+  return store;
+};
+
+describe('AuthSessionService', () => {
+  let store;
+
+  beforeEach(() => {
+    store = installFakeRedis();
+  });
+
+  test('should store a session that expires with its refresh token', async () => {
+    const session = await authSessionService.createSession(3, { ip: '10.0.0.5', userAgent: 'Firefox' });
+
+    expect(session).toEqual({
+      id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      userId: 3,
+      ip: '10.0.0.5',
+      userAgent: 'Firefox',
+      createdAt: expect.any(String),
+      lastUsedAt: expect.any(String)
+    });
+    expect(redisConnection.set).toHaveBeenCalledWith(`auth:session:${session.id}`, JSON.stringify(session), 'EX', SESSION_TTL_SECONDS);
+    await expect(authSessionService.isSessionActive(session.id)).resolves.toBe(true);
+    await expect(authSessionService.listSessions(3)).resolves.toEqual([session]);
+  });
+
+  test('should refuse to log in when sessions cannot be stored', async () => {
+    redisConnection.multi.mockImplementationOnce(() => ({
+      set() { return this; },
+      sadd() { return this; },
+      expire() { return this; },
+      exec: async () => { throw new Error('Stream isn\'t writeable'); }
+    }));
+
+    await expect(authSessionService.createSession(3)).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  test('should only let users revoke their own sessions', async () => {
+    const session = await authSessionService.createSession(3);
+
+    await expect(authSessionService.revokeSession(4, session.id)).resolves.toBe(false);
+    await expect(authSessionService.isSessionActive(session.id)).resolves.toBe(true);
+
+    await expect(authSessionService.revokeSession(3, session.id)).resolves.toBe(true);
+    await expect(authSessionService.isSessionActive(session.id)).resolves.toBe(false);
+    await expect(authSessionService.listSessions(3)).resolves.toEqual([]);
+  });
+
+  test('should revoke every session of a user', async () => {
+    const first = await authSessionService.createSession(3);
+    const second = await authSessionService.createSession(3);
+    const other = await authSessionService.createSession(4);
+
+    await expect(authSessionService.revokeAllSessions(3)).resolves.toBe(2);
+
+    await expect(authSessionService.isSessionActive(first.id)).resolves.toBe(false);
+    await expect(authSessionService.isSessionActive(second.id)).resolves.toBe(false);
+    await expect(authSessionService.isSessionActive(other.id)).resolves.toBe(true);
+  });
+
+  test('should drop expired sessions from the list', async () => {
+    const session = await authSessionService.createSession(3);
+    store.delete(`auth:session:${session.id}`);
+
+    await expect(authSessionService.listSessions(3)).resolves.toEqual([]);
+    expect(redisConnection.srem).toHaveBeenCalledWith('auth:user-sessions:3', session.id);
+  });
+
+  test('should rotate refresh tokens and detect reuse of replaced ones', async () => {
+    const session = await authSessionService.createSession(3);
+    await authSessionService.storeRefreshToken(session.id, 'refresh-1');
+
+    await expect(authSessionService.rotateRefreshToken(session.id, 'refresh-1', 'refresh-2')).resolves.toBe('rotated');
+    await expect(authSessionService.rotateRefreshToken(session.id, 'refresh-1', 'refresh-3')).resolves.toBe('reused');
+    await expect(authSessionService.rotateRefreshToken(session.id, 'refresh-2', 'refresh-3')).resolves.toBe('rotated');
+    expect(store.get(`auth:session-refresh:${session.id}`)).not.toContain('refresh');
+  });
+
+  test('should stop rotating once the session is revoked', async () => {
+    const session = await authSessionService.createSession(3);
+    await authSessionService.storeRefreshToken(session.id, 'refresh-1');
+
+    await authSessionService.revokeSession(3, session.id);
+
+    await expect(authSessionService.rotateRefreshToken(session.id, 'refresh-1', 'refresh-2')).resolves.toBe('revoked');
+  });
+
+  test('should let requests through while Redis is unreachable', async () => {
+    redisConnection.exists.mockRejectedValueOnce(new Error('Connection is closed.'));
+
+    await expect(authSessionService.isSessionActive('session-1')).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+const redis = require('../../src/config/redis');
+const ConditionStateStore = require('../../src/ruleEngine/conditions/ConditionStateStore');
+
+jest.mock('../../src/config/redis');
+jest.mock('../../src/utils/logger');
+
+describe('ConditionStateStore', () => {
+  beforeEach(() => {
+    redis.hgetall = jest.fn().mockResolvedValue({});
+    redis.eval = jest.fn().mockResolvedValue(1);
+    redis.set = jest.fn();
+    redis.pttl = jest.fn();
+    redis.del = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('filter state', () => {
+    test('should default to an unlatched filter with no hold start', async () => {
+      await expect(ConditionStateStore.getFilterState(10, 1)).resolves.toEqual({ latched: false, since: null, version: 0 });
+      expect(redis.hgetall).toHaveBeenCalledWith('rulechain:filter:10:1');
+    });
+
+    test('should read back a stored state', async () => {
+      redis.hgetall.mockResolvedValue({ latched: '1', since: '1700000000000', version: '4' });
+
+      await expect(ConditionStateStore.getFilterState(10, 1)).resolves.toEqual({ latched: true, since: 1700000000000, version: 4 });
+    });
+
+    test('should replace the state on the version it was read at', async () => {
+      await expect(ConditionStateStore.saveFilterState(10, 1, { latched: false, since: null }, 3)).resolves.toBe(true);
+
+      expect(redis.eval).toHaveBeenCalledWith(expect.stringContaining('EXPIRE'), 1, 'rulechain:filter:10:1', 3, '0', '', expect.any(Number));
+    });
+
+    test('should report a save lost to another worker', async () => {
+      redis.eval.mockResolvedValue(0);
+
+      await expect(ConditionStateStore.saveFilterState(10, 1, { latched: true, since: 1700000000000 }, 3)).resolves.toBe(false);
+    });
+  });
+
+  describe('cooldowns', () => {
+    test('should claim a free cooldown atomically', async () => {
+      redis.set.mockResolvedValue('OK');
+
+      const result = await ConditionStateStore.claimCooldown(10, 2, 60000);
+
+      expect(result).toEqual({ claimed: true, remainingMs: 60000 });
+      expect(redis.set).toHaveBeenCalledWith('rulechain:cooldown:10:2', expect.any(String), 'PX', 60000, 'NX');
+    });
+
+    test('should report the time left on a running cooldown', async () => {
+      redis.set.mockResolvedValue(null);
+      redis.pttl.mockResolvedValue(4200);
+
+      await expect(ConditionStateStore.claimCooldown(10, 2, 60000)).resolves.toEqual({ claimed: false, remainingMs: 4200 });
+    });
+
+    test('should drop both keys when a node is reset', async () => {
+      await ConditionStateStore.clearNodeState(10, 2);
+
+      expect(redis.del).toHaveBeenCalledWith('rulechain:filter:10:2', 'rulechain:cooldown:10:2');
+    });
+  });
+
+  describe('createMemoryStore', () => {
+    test('should keep state locally and expire cooldowns on its own clock', async () => {
+      let now = 1000;
+      const store = ConditionStateStore.createMemoryStore(() => now);
+
+      await expect(store.saveFilterState(10, 1, { latched: true, since: 500 }, 0)).resolves.toBe(true);
+      await expect(store.getFilterState(10, 1)).resolves.toEqual({ latched: true, since: 500, version: 1 });
+      await expect(store.saveFilterState(10, 1, { latched: false, since: null }, 0)).resolves.toBe(false);
+      await expect(store.claimCooldown(10, 2, 60000)).resolves.toEqual({ claimed: true, remainingMs: 60000 });
+
+      now += 30000;
+      await expect(store.claimCooldown(10, 2, 60000)).resolves.toEqual({ claimed: false, remainingMs: 30000 });
+
+      now += 30000;
+      await expect(store.claimCooldown(10, 2, 60000)).resolves.toMatchObject({ claimed: true });
+      expect(redis.hgetall).not.toHaveBeenCalled();
+      expect(redis.set).not.toHaveBeenCalled();
+    });
+  });
+});
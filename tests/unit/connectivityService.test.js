@@ -0,0 +1,207 @@
+jest.mock('../../src/models/initModels', () => ({
+  Device: { findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  Sensor: { findOne: jest.fn(), findAll: jest.fn(), update: jest.fn() },
+  Area: { findOne: jest.fn() },
+  ConnectivityEvent: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  sequelize: { literal: jest.fn((sql) => sql) }
+}));
+
+jest.mock('../../src/utils/notificationManager', () => ({
+  sendRoomNotification: jest.fn()
+}));
+
+jest.mock('../../src/ruleEngine/core/RuleEngineEventBus', () => ({
+  emit: jest.fn()
+}));
+
+const { Device, Sensor, Area, ConnectivityEvent } = require('../../src/models/initModels');
+const notificationManager = require('../../src/utils/notificationManager');
+const RuleEngineEventBus = require('../../src/ruleEngine/core/RuleEngineEventBus');
+const config = require('../../src/config');
+const connectivityService = require('../../src/services/connectivityService');
+const { computeUptime, CONNECTIVITY_EVENT } = connectivityService;
+
+const DEVICE_UUID = '123e4567-e89b-12d3-a456-426614174000';
+
+const buildEntity = (values = {}) => {
+  const entity = { id: 7, uuid: DEVICE_UUID, name: 'Fan', status: 'active', deviceType: 'actuator', metadata: null, ...values };
+  entity.update = jest.fn(async (updates) => Object.assign(entity, updates));
+  return entity;
+};
+
+describe('ConnectivityService', () => {
+  const heartbeatConfig = { ...config.heartbeat };
+
+  beforeEach(() => {
+    config.heartbeat = { timeoutSeconds: 300, typeTimeouts: {}, offlineStatus: 'disconnected', checkInterval: 30000 };
+    Device.update.mockResolvedValue([1]);
+    Sensor.update.mockResolvedValue([1]);
+    Area.findOne.mockResolvedValue({ organizationId: 4 });
+    ConnectivityEvent.create.mockImplementation(async (values) => ({ id: 1, ...values }));
+    RuleEngineEventBus.emit.mockResolvedValue({ rejected: false });
+  });
+
+  afterAll(() => {
+    config.heartbeat = heartbeatConfig;
+  });
+
+  describe('recordHeartbeat', () => {
+    test('should only refresh lastHeartbeat for an online device', async () => {
+      const device = buildEntity();
+      Device.findOne.mockResolvedValue(device);
+      const at = new Date('2026-01-01T10:00:00Z');
+
+      const result = await connectivityService.recordHeartbeat(DEVICE_UUID, { at });
+
+      expect(device.update).toHaveBeenCalledWith({ lastHeartbeat: at });
+      expect(Device.update).not.toHaveBeenCalled();
+      expect(ConnectivityEvent.create).not.toHaveBeenCalled();
+      expect(result).toEqual({ originatorType: 'device', uuid: DEVICE_UUID, connectivity: 'online', changed: false });
+    });
+
+    test('should bring a disconnected device back online and announce it', async () => {
+      const device = buildEntity({ status: 'disconnected' });
+      Device.findOne.mockResolvedValue(device);
+
+      const result = await connectivityService.recordHeartbeat(DEVICE_UUID);
+
+      expect(Device.update).toHaveBeenCalledWith({ status: 'active' }, { where: { id: 7, status: 'disconnected' } });
+      expect(ConnectivityEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        organizationId: 4,
+        originatorType: 'device',
+        originatorId: 7,
+        connectivity: 'online',
+        status: 'active',
+        previousStatus: 'disconnected',
+        reason: 'heartbeat'
+      }));
+      expect(notificationManager.sendRoomNotification).toHaveBeenCalledWith(
+        CONNECTIVITY_EVENT,
+        expect.objectContaining({ uuid: DEVICE_UUID, connectivity: 'online', status: 'active' }),
+        ['org-4']
+      );
+      expect(RuleEngineEventBus.emit).toHaveBeenCalledWith('device-connectivity', {
+        deviceUUID: DEVICE_UUID,
+        variableNames: ['connectivity'],
+        connectivity: 'online',
+        organizationId: 4
+      });
+      expect(result.changed).toBe(true);
+    });
+
+    test('should leave a device an operator marked faulty alone', async () => {
+      Device.findOne.mockResolvedValue(buildEntity({ status: 'faulty' }));
+      ConnectivityEvent.findOne.mockResolvedValue(null);
+
+      const result = await connectivityService.recordHeartbeat(DEVICE_UUID);
+
+      expect(Device.update).not.toHaveBeenCalled();
+      expect(result.connectivity).toBe('offline');
+    });
+
+    test('should revive a device the monitor marked faulty', async () => {
+      Device.findOne.mockResolvedValue(buildEntity({ status: 'faulty' }));
+      ConnectivityEvent.findOne.mockResolvedValue({ connectivity: 'offline', status: 'faulty' });
+
+      const result = await connectivityService.recordHeartbeat(DEVICE_UUID);
+
+      expect(Device.update).toHaveBeenCalledWith({ status: 'active' }, { where: { id: 7, status: 'faulty' } });
+      expect(result.connectivity).toBe('online');
+    });
+
+    test('should mark a sensor offline when it reports going offline', async () => {
+      Device.findOne.mockResolvedValue(null);
+      Sensor.findOne.mockResolvedValue(buildEntity({ id: 9, name: 'Probe', deviceType: undefined }));
+
+      const result = await connectivityService.recordHeartbeat(DEVICE_UUID, { reportedStatus: 'offline' });
+
+      expect(Sensor.update).toHaveBeenCalledWith({ status: 'disconnected' }, { where: { id: 9, status: 'active' } });
+      expect(ConnectivityEvent.create).toHaveBeenCalledWith(expect.objectContaining({ originatorType: 'sensor', reason: 'reported' }));
+      expect(RuleEngineEventBus.emit).toHaveBeenCalledWith('device-connectivity', expect.objectContaining({ sensorUUID: DEVICE_UUID }));
+      expect(result).toEqual({ originatorType: 'sensor', uuid: DEVICE_UUID, connectivity: 'offline', changed: true });
+    });
+
+    test('should ignore heartbeats from unknown originators', async () => {
+      Device.findOne.mockResolvedValue(null);
+      Sensor.findOne.mockResolvedValue(null);
+
+      await expect(connectivityService.recordHeartbeat(DEVICE_UUID)).resolves.toBeNull();
+    });
+  });
+
+  describe('detectOffline', () => {
+    const now = new Date('2026-01-01T10:00:00Z');
+    const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+    beforeEach(() => {
+      Sensor.findAll.mockResolvedValue([]);
+    });
+
+    test('should mark devices offline once their own timeout has passed', async () => {
+      config.heartbeat.typeTimeouts = { gateway: 60 };
+      const overdue = buildEntity({ id: 1, lastHeartbeat: secondsAgo(301) });
+      const recent = buildEntity({ id: 2, lastHeartbeat: secondsAgo(120) });
+      const gateway = buildEntity({ id: 3, deviceType: 'gateway', lastHeartbeat: secondsAgo(90) });
+      const patient = buildEntity({ id: 4, metadata: { heartbeat: { timeoutSeconds: 3600, offlineStatus: 'faulty' } }, lastHeartbeat: secondsAgo(900) });
+      const strict = buildEntity({ id: 5, metadata: { heartbeat: { timeoutSeconds: 30, offlineStatus: 'faulty' } }, lastHeartbeat: secondsAgo(45) });
+      Device.findAll.mockResolvedValue([overdue, recent, gateway, patient, strict]);
+
+      const marked = await connectivityService.detectOffline(now);
+
+      expect(marked).toBe(3);
+      expect(Device.update).toHaveBeenCalledTimes(3);
+      expect(Device.update).toHaveBeenCalledWith({ status: 'disconnected' }, { where: { id: 1, status: 'active' } });
+      expect(Device.update).toHaveBeenCalledWith({ status: 'disconnected' }, { where: { id: 3, status: 'active' } });
+      expect(Device.update).toHaveBeenCalledWith({ status: 'faulty' }, { where: { id: 5, status: 'active' } });
+      expect(ConnectivityEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        originatorId: 1,
+        connectivity: 'offline',
+        reason: 'heartbeat_timeout',
+        occurredAt: now
+      }));
+    });
+
+    test('should not announce a device another monitor already marked', async () => {
+      Device.findAll.mockResolvedValue([buildEntity({ lastHeartbeat: secondsAgo(600) })]);
+      Device.update.mockResolvedValue([0]);
+
+      const marked = await connectivityService.detectOffline(now);
+
+      expect(marked).toBe(0);
+      expect(ConnectivityEvent.create).not.toHaveBeenCalled();
+      expect(notificationManager.sendRoomNotification).not.toHaveBeenCalled();
+    });
+
+    test('should use the sensor timeout for sensors', async () => {
+      config.heartbeat.typeTimeouts = { sensor: 900 };
+      Device.findAll.mockResolvedValue([]);
+      Sensor.findAll.mockResolvedValue([buildEntity({ id: 9, lastHeartbeat: secondsAgo(600) })]);
+
+      await expect(connectivityService.detectOffline(now)).resolves.toBe(0);
+    });
+  });
+
+  describe('computeUptime', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    const to = new Date('2026-01-01T10:00:00Z');
+    const at = (hours) => new Date(from.getTime() + hours * 3600 * 1000);
+
+    test('should split the range into online and offline time per originator', () => {
+      const uptime = computeUptime(
+        [{ originatorType: 'device', originatorId: 1, connectivity: 'online' }],
+        [
+          { originatorType: 'device', originatorId: 1, connectivity: 'offline', occurredAt: at(2) },
+          { originatorType: 'device', originatorId: 1, connectivity: 'online', occurredAt: at(3) },
+          { originatorType: 'sensor', originatorId: 1, connectivity: 'online', occurredAt: at(6) },
+          { originatorType: 'sensor', originatorId: 1, connectivity: 'offline', occurredAt: at(9) }
+        ],
+        from,
+        to
+      );
+
+      expect(uptime.get('device:1')).toEqual({ onlineSeconds: 9 * 3600, offlineSeconds: 3600, outages: 1 });
+      // Nothing is known about the sensor before its first event
+      expect(uptime.get('sensor:1')).toEqual({ onlineSeconds: 3 * 3600, offlineSeconds: 3600, outages: 1 });
+    });
+  });
+});
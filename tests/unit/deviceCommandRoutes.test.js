@@ -0,0 +1,102 @@
+jest.mock('../../src/config/redis', () => ({
+  multi: jest.fn()
+}));
+
+jest.mock('../../src/models/DeviceToken', () => ({
+  findOne: jest.fn(),
+  update: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const DeviceToken = require('../../src/models/DeviceToken');
+const { sequelize } = require('../../src/models/initModels');
+const { errorHandler } = require('../../src/middlewares/errorHandler');
+const deviceCommandService = require('../../src/services/deviceCommandService');
+const deviceRoutes = require('../../src/routes/deviceRoutes');
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440010';
+const DEVICE_UUID = '550e8400-e29b-41d4-a716-446655440001';
+const COMMAND_ID = 'b3f1c2d4-1111-4222-8333-444455556666';
+
+// Goes through the real deviceAuth: tokens belong to sensors, commands to devices
+describe('Device command routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/devices', deviceRoutes);
+  app.use(errorHandler);
+
+  beforeEach(() => {
+    DeviceToken.findOne.mockResolvedValue({
+      token: 'sensor-token',
+      sensorId: 3,
+      Sensor: { id: 3, uuid: SENSOR_UUID },
+      save: jest.fn()
+    });
+    DeviceToken.update.mockResolvedValue([1]);
+  });
+
+  describe('GET /devices/:uuid/commands/pending', () => {
+    test('should hand a sensor token the commands of a device in its area', async () => {
+      jest.spyOn(sequelize, 'query').mockResolvedValue([{ id: 7 }]);
+      jest.spyOn(deviceCommandService, 'takePendingCommands').mockResolvedValue([{ commandId: COMMAND_ID }]);
+
+      const response = await request(app)
+        .get(`/api/v1/devices/${DEVICE_UUID}/commands/pending?limit=5`)
+        .set('Authorization', 'Bearer sensor-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.commands).toEqual([{ commandId: COMMAND_ID }]);
+      expect(deviceCommandService.takePendingCommands).toHaveBeenCalledWith(DEVICE_UUID, 5);
+      expect(sequelize.query).toHaveBeenCalledWith(expect.stringContaining('AreaSensor'), expect.objectContaining({
+        replacements: { sensorUuid: SENSOR_UUID, deviceUuid: DEVICE_UUID }
+      }));
+    });
+
+    test('should refuse devices outside the sensor\'s areas', async () => {
+      jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+      jest.spyOn(deviceCommandService, 'takePendingCommands');
+
+      const response = await request(app)
+        .get(`/api/v1/devices/${DEVICE_UUID}/commands/pending`)
+        .set('Authorization', 'Bearer sensor-token');
+
+      expect(response.status).toBe(403);
+      expect(deviceCommandService.takePendingCommands).not.toHaveBeenCalled();
+    });
+
+    test('should require a device token', async () => {
+      const response = await request(app).get(`/api/v1/devices/${DEVICE_UUID}/commands/pending`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /devices/:uuid/commands/ack', () => {
+    test('should let a sensor token acknowledge a command of a device in its area', async () => {
+      jest.spyOn(sequelize, 'query').mockResolvedValue([{ id: 7 }]);
+      jest.spyOn(deviceCommandService, 'acknowledge').mockResolvedValue({ command: { commandId: COMMAND_ID, status: 'acknowledged' }, duplicate: false });
+
+      const response = await request(app)
+        .post(`/api/v1/devices/${DEVICE_UUID}/commands/ack`)
+        .set('Authorization', 'Bearer sensor-token')
+        .send({ commandId: COMMAND_ID, status: 'ok' });
+
+      expect(response.status).toBe(200);
+      expect(deviceCommandService.acknowledge).toHaveBeenCalledWith(DEVICE_UUID, COMMAND_ID, { status: 'ok', error: undefined });
+    });
+
+    test('should refuse acknowledgements for devices outside the sensor\'s areas', async () => {
+      jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+      jest.spyOn(deviceCommandService, 'acknowledge');
+
+      const response = await request(app)
+        .post(`/api/v1/devices/${DEVICE_UUID}/commands/ack`)
+        .set('Authorization', 'Bearer sensor-token')
+        .send({ commandId: COMMAND_ID, status: 'ok' });
+
+      expect(response.status).toBe(403);
+      expect(deviceCommandService.acknowledge).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,411 @@
+jest.mock('../../src/config/redis', () => ({
+  multi: jest.fn()
+}));
+
+jest.mock('../../src/services/mqttPublisherService', () => ({
+  publishCommand: jest.fn()
+}));
+
+jest.mock('../../src/services/coapPublisherService', () => ({
+  notifyObservers: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceStateInstanceService', () => ({
+  createInstance: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceTokenService', () => ({
+  canActForDevice: jest.fn()
+}));
+
+jest.mock('../../src/utils/notificationManager', () => ({
+  queueStateChangeNotification: jest.fn()
+}));
+
+jest.mock('../../src/models/initModels', () => ({
+  Device: {},
+  DeviceCommand: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
+    findAndCountAll: jest.fn()
+  }
+}));
+
+const { Op } = require('sequelize');
+const redisConnection = require('../../src/config/redis');
+const mqttPublisher = require('../../src/services/mqttPublisherService');
+const coapPublisher = require('../../src/services/coapPublisherService');
+const deviceStateInstanceService = require('../../src/services/deviceStateInstanceService');
+const notificationManager = require('../../src/utils/notificationManager');
+const { canActForDevice } = require('../../src/services/deviceTokenService');
+const { DeviceCommand } = require('../../src/models/initModels');
+const config = require('../../src/config');
+const deviceCommandService = require('../../src/services/deviceCommandService');
+
+const DEVICE_UUID = '550e8400-e29b-41d4-a716-446655440001';
+
+const mockMulti = (execResult = []) => {
+  const pipeline = {
+    rpush: jest.fn().mockReturnThis(),
+    ltrim: jest.fn().mockReturnThis(),
+    expire: jest.fn().mockReturnThis(),
+    lrange: jest.fn().mockReturnThis(),
+    exec: jest.fn().mockResolvedValue(execResult)
+  };
+  redisConnection.multi.mockReturnValue(pipeline);
+  return pipeline;
+};
+
+const device = (communicationProtocol) => ({ id: 7, uuid: DEVICE_UUID, communicationProtocol });
+
+// Minimal stand-in for a DeviceCommand instance: update() and set() merge into the record
+const storedCommand = (overrides = {}) => {
+  const record = {
+    id: 1,
+    commandId: 'b3f1c2d4-1111-4222-8333-444455556666',
+    deviceId: 7,
+    stateName: 'power',
+    value: 'on',
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: 3,
+    initiatedBy: 'rule_chain',
+    initiatorId: null,
+    ruleChainId: 10,
+    ruleChainNodeId: 2,
+    ...overrides
+  };
+  record.update = jest.fn(async (changes) => Object.assign(record, changes));
+  record.set = jest.fn((changes) => Object.assign(record, changes));
+  record.reload = jest.fn(async () => record);
+  return record;
+};
+
+describe('DeviceCommandService', () => {
+  const originalMqttEnabled = config.features.mqtt.enabled;
+
+  beforeEach(() => {
+    config.features.mqtt.enabled = true;
+    // Conditional updates find the command still open
+    DeviceCommand.update.mockResolvedValue([1]);
+  });
+
+  afterAll(() => {
+    config.features.mqtt.enabled = originalMqttEnabled;
+  });
+
+  describe('dispatch over MQTT', () => {
+    test('should report sent when the publisher hands the command to the broker', async () => {
+      mqttPublisher.publishCommand.mockResolvedValue(true);
+
+      const delivery = await deviceCommandService.dispatch(
+        device('mqtt'),
+        { commandId: 'cmd-1', stateName: 'power', value: 'on' }
+      );
+
+      expect(mqttPublisher.publishCommand).toHaveBeenCalledWith(
+        expect.objectContaining({ commandId: 'cmd-1', stateName: 'power', value: 'on' }),
+        DEVICE_UUID
+      );
+      expect(delivery).toMatchObject({
+        commandId: 'cmd-1',
+        channel: 'mqtt',
+        status: 'sent',
+        topic: `devices/${DEVICE_UUID}/commands`
+      });
+    });
+
+    test('should report queued when the publisher is offline', async () => {
+      mqttPublisher.publishCommand.mockResolvedValue(false);
+
+      const delivery = await deviceCommandService.dispatch(device('mqtt'), { value: 'on' });
+
+      expect(delivery.status).toBe('queued');
+    });
+
+    test('should report failed when MQTT is disabled', async () => {
+      config.features.mqtt.enabled = false;
+
+      const delivery = await deviceCommandService.dispatch(device('mqtt'), { value: 'on' });
+
+      expect(mqttPublisher.publishCommand).not.toHaveBeenCalled();
+      expect(delivery).toMatchObject({ channel: 'mqtt', status: 'failed', reason: 'MQTT is disabled' });
+    });
+  });
+
+  describe('dispatch over CoAP', () => {
+    test('should report delivered when an observer acknowledges', async () => {
+      coapPublisher.notifyObservers.mockResolvedValue([{ code: '2.04' }, null]);
+
+      const delivery = await deviceCommandService.dispatch(device('coap'), { value: 'on' });
+
+      expect(delivery).toMatchObject({
+        channel: 'coap',
+        status: 'delivered',
+        observersNotified: 2,
+        observersAcknowledged: 1
+      });
+    });
+
+    test('should report failed when no observer acknowledges', async () => {
+      coapPublisher.notifyObservers.mockResolvedValue([null]);
+
+      const delivery = await deviceCommandService.dispatch(device('coap'), { value: 'on' });
+
+      expect(delivery.status).toBe('failed');
+    });
+
+    test('should fall back to the poll queue when nobody observes the device', async () => {
+      coapPublisher.notifyObservers.mockResolvedValue([]);
+      const pipeline = mockMulti();
+
+      const delivery = await deviceCommandService.dispatch(device('coap'), { value: 'on' });
+
+      expect(pipeline.rpush).toHaveBeenCalledWith(`device:commands:${DEVICE_UUID}`, expect.any(String));
+      expect(delivery).toMatchObject({ channel: 'coap', status: 'queued' });
+    });
+  });
+
+  describe('dispatch over HTTP polling', () => {
+    test('should queue commands for devices without a push protocol', async () => {
+      const pipeline = mockMulti();
+
+      const delivery = await deviceCommandService.dispatch(device('wifi'), { commandId: 'cmd-1', value: 'on' });
+
+      expect(JSON.parse(pipeline.rpush.mock.calls[0][1])).toMatchObject({ value: 'on', commandId: 'cmd-1' });
+      expect(pipeline.expire).toHaveBeenCalledWith(`device:commands:${DEVICE_UUID}`, config.commands.pollQueueTtl);
+      expect(delivery).toMatchObject({ channel: 'http', status: 'queued' });
+    });
+
+    test('should report failed when the queue is unavailable', async () => {
+      const pipeline = mockMulti();
+      pipeline.exec.mockRejectedValue(new Error('Connection is closed.'));
+
+      const delivery = await deviceCommandService.dispatch(device(null), { value: 'on' });
+
+      expect(delivery).toMatchObject({ channel: 'http', status: 'failed', reason: 'Connection is closed.' });
+    });
+
+    test('should report failed when a queued command is rejected', async () => {
+      mockMulti([
+        [new Error('WRONGTYPE Operation against a key holding the wrong kind of value'), null],
+        [null, 'OK'],
+        [null, 1]
+      ]);
+
+      const delivery = await deviceCommandService.dispatch(device(null), { value: 'on' });
+
+      expect(delivery).toMatchObject({ channel: 'http', status: 'failed', reason: expect.stringContaining('WRONGTYPE') });
+    });
+  });
+
+  describe('sendCommand', () => {
+    test('should persist the command and mark it sent once the broker has it', async () => {
+      mqttPublisher.publishCommand.mockResolvedValue(true);
+      DeviceCommand.create.mockImplementation(async (data) => storedCommand(data));
+
+      const { command, delivery } = await deviceCommandService.sendCommand(
+        device('mqtt'),
+        { stateName: 'power', value: 'on' },
+        { initiatedBy: 'rule_chain', ruleChainId: 10, ruleChainNodeId: 2 }
+      );
+
+      expect(DeviceCommand.create).toHaveBeenCalledWith(expect.objectContaining({
+        deviceId: 7,
+        channel: 'mqtt',
+        status: 'pending',
+        value: 'on',
+        expiresAt: expect.any(Date)
+      }));
+      expect(mqttPublisher.publishCommand).toHaveBeenCalledWith(
+        expect.objectContaining({ commandId: command.commandId, stateName: 'power', value: 'on' }),
+        DEVICE_UUID
+      );
+      expect(delivery.status).toBe('sent');
+      expect(command).toMatchObject({ status: 'sent', attempts: 1, nextAttemptAt: expect.any(Date) });
+    });
+
+    test('should wait for the device to poll before starting the ack timer', async () => {
+      mockMulti();
+      DeviceCommand.create.mockImplementation(async (data) => storedCommand(data));
+
+      const { command } = await deviceCommandService.sendCommand(device('http'), { stateName: 'power', value: 'on' });
+
+      expect(command).toMatchObject({ status: 'pending', attempts: 1, nextAttemptAt: null });
+    });
+  });
+
+  describe('acknowledge', () => {
+    test('should mark the command acknowledged and record the confirmed state', async () => {
+      const command = storedCommand({ status: 'sent', triggerChain: [10], device: { id: 7, uuid: DEVICE_UUID } });
+      DeviceCommand.findOne.mockResolvedValue(command);
+      deviceStateInstanceService.createInstance.mockResolvedValue({ metadata: { deviceUuid: DEVICE_UUID } });
+
+      const result = await deviceCommandService.acknowledge(DEVICE_UUID, command.commandId, { status: 'ok' });
+
+      expect(result.duplicate).toBe(false);
+      expect(command).toMatchObject({ status: 'acknowledged', acknowledgedAt: expect.any(Date) });
+      expect(deviceStateInstanceService.createInstance).toHaveBeenCalledWith(
+        { deviceUuid: DEVICE_UUID, stateName: 'power', value: 'on', initiatedBy: 'rule_chain', triggerChain: [10] },
+        null
+      );
+      expect(notificationManager.queueStateChangeNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ commandId: command.commandId, ruleChainDetails: { ruleChainId: 10, nodeId: 2 } }),
+        null,
+        true
+      );
+    });
+
+    test('should fail the command without touching state when the device rejects it', async () => {
+      const command = storedCommand({ status: 'sent', device: { id: 7, uuid: DEVICE_UUID } });
+      DeviceCommand.findOne.mockResolvedValue(command);
+
+      await deviceCommandService.acknowledge(DEVICE_UUID, command.commandId, { status: 'error', error: 'Relay stuck' });
+
+      expect(command).toMatchObject({ status: 'failed', lastError: 'Relay stuck' });
+      expect(deviceStateInstanceService.createInstance).not.toHaveBeenCalled();
+    });
+
+    test('should treat a repeated acknowledgement as a duplicate', async () => {
+      const command = storedCommand({ status: 'acknowledged', device: { id: 7, uuid: DEVICE_UUID } });
+      DeviceCommand.findOne.mockResolvedValue(command);
+
+      const result = await deviceCommandService.acknowledge(DEVICE_UUID, command.commandId);
+
+      expect(result.duplicate).toBe(true);
+      expect(deviceStateInstanceService.createInstance).not.toHaveBeenCalled();
+    });
+
+    test('should apply the state once when two acknowledgements race', async () => {
+      const command = storedCommand({ status: 'sent', device: { id: 7, uuid: DEVICE_UUID } });
+      DeviceCommand.findOne.mockResolvedValue(command);
+      // The other ack closed the command between our read and our update
+      DeviceCommand.update.mockResolvedValue([0]);
+      command.reload.mockImplementation(async () => Object.assign(command, { status: 'acknowledged' }));
+
+      const result = await deviceCommandService.acknowledge(DEVICE_UUID, command.commandId, { status: 'ok' });
+
+      expect(DeviceCommand.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'acknowledged' }),
+        { where: { id: 1, status: { [Op.in]: ['pending', 'sent'] } } }
+      );
+      expect(result.duplicate).toBe(true);
+      expect(deviceStateInstanceService.createInstance).not.toHaveBeenCalled();
+      expect(notificationManager.queueStateChangeNotification).not.toHaveBeenCalled();
+    });
+
+    test('should not let a device acknowledge another device\'s command', async () => {
+      DeviceCommand.findOne.mockResolvedValue(
+        storedCommand({ status: 'sent', device: { id: 8, uuid: '550e8400-e29b-41d4-a716-446655440099' } })
+      );
+
+      await expect(deviceCommandService.acknowledge(DEVICE_UUID, 'cmd')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should refuse to acknowledge an expired command', async () => {
+      DeviceCommand.findOne.mockResolvedValue(
+        storedCommand({ status: 'expired', device: { id: 7, uuid: DEVICE_UUID } })
+      );
+
+      await expect(deviceCommandService.acknowledge(DEVICE_UUID, 'cmd')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('acknowledgeWithToken', () => {
+    const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440010';
+
+    test('should confirm the command of a device the token acts for', async () => {
+      const command = storedCommand({ status: 'sent', stateName: null, device: { id: 7, uuid: DEVICE_UUID } });
+      DeviceCommand.findOne.mockResolvedValue(command);
+      canActForDevice.mockResolvedValue(true);
+
+      const result = await deviceCommandService.acknowledgeWithToken(SENSOR_UUID, command.commandId, { status: 'ok' });
+
+      expect(canActForDevice).toHaveBeenCalledWith(SENSOR_UUID, DEVICE_UUID);
+      expect(result.duplicate).toBe(false);
+      expect(command.status).toBe('acknowledged');
+    });
+
+    test('should not reveal commands of devices outside the token\'s areas', async () => {
+      const command = storedCommand({ status: 'sent', device: { id: 7, uuid: DEVICE_UUID } });
+      DeviceCommand.findOne.mockResolvedValue(command);
+      canActForDevice.mockResolvedValue(false);
+
+      await expect(deviceCommandService.acknowledgeWithToken(SENSOR_UUID, command.commandId))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(DeviceCommand.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDueCommands', () => {
+    test('should expire stale commands, retry overdue ones and fail exhausted ones', async () => {
+      mqttPublisher.publishCommand.mockResolvedValue(true);
+      DeviceCommand.update.mockResolvedValueOnce([2]);
+      const overdue = storedCommand({ status: 'sent', attempts: 1, device: device('mqtt') });
+      const exhausted = storedCommand({ status: 'sent', attempts: 3, device: device('mqtt') });
+      DeviceCommand.findAll.mockResolvedValue([overdue, exhausted]);
+
+      const now = new Date();
+      const result = await deviceCommandService.processDueCommands(now);
+
+      expect(DeviceCommand.update).toHaveBeenCalledWith(
+        { status: 'expired', nextAttemptAt: null },
+        expect.objectContaining({ where: expect.objectContaining({ expiresAt: expect.any(Object) }) })
+      );
+      expect(result).toEqual({ expired: 2, retried: 1, failed: 1 });
+      expect(overdue).toMatchObject({ status: 'sent', attempts: 2 });
+      expect(overdue.nextAttemptAt.getTime() - now.getTime()).toBeGreaterThanOrEqual(config.commands.ackTimeout * 2);
+      expect(exhausted).toMatchObject({ status: 'failed', lastError: 'No acknowledgement after 3 attempts' });
+    });
+
+    test('should skip commands another instance claimed first', async () => {
+      const nextAttemptAt = new Date(Date.now() - 1000);
+      const overdue = storedCommand({ status: 'sent', attempts: 1, nextAttemptAt, device: device('mqtt') });
+      DeviceCommand.findAll.mockResolvedValue([overdue]);
+      DeviceCommand.update.mockResolvedValueOnce([0]).mockResolvedValueOnce([0]);
+
+      const result = await deviceCommandService.processDueCommands();
+
+      expect(DeviceCommand.update).toHaveBeenLastCalledWith(
+        { nextAttemptAt: expect.any(Date) },
+        { where: { id: 1, status: { [Op.in]: ['pending', 'sent'] }, nextAttemptAt } }
+      );
+      expect(result).toEqual({ expired: 0, retried: 0, failed: 0 });
+      expect(mqttPublisher.publishCommand).not.toHaveBeenCalled();
+      expect(overdue.attempts).toBe(1);
+    });
+
+    test('should not overwrite an acknowledgement that arrives during a retry', async () => {
+      mqttPublisher.publishCommand.mockResolvedValue(true);
+      const overdue = storedCommand({ status: 'sent', attempts: 1, device: device('mqtt') });
+      DeviceCommand.findAll.mockResolvedValue([overdue]);
+      // Expiry, claim, then the retry's write finds the command acknowledged
+      DeviceCommand.update.mockResolvedValueOnce([0]).mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+
+      await deviceCommandService.processDueCommands();
+
+      expect(mqttPublisher.publishCommand).toHaveBeenCalled();
+      expect(overdue.set).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'sent' }));
+    });
+  });
+
+  describe('takePendingCommands', () => {
+    test('should return open queued commands oldest first and mark them sent', async () => {
+      const pipeline = mockMulti([
+        [null, [JSON.stringify({ commandId: 'a' }), JSON.stringify({ commandId: 'b' })]],
+        [null, 'OK']
+      ]);
+      const open = storedCommand({ commandId: 'a' });
+      DeviceCommand.findAll.mockResolvedValue([open]);
+
+      const commands = await deviceCommandService.takePendingCommands(DEVICE_UUID, 2);
+
+      expect(pipeline.lrange).toHaveBeenCalledWith(`device:commands:${DEVICE_UUID}`, 0, 1);
+      expect(pipeline.ltrim).toHaveBeenCalledWith(`device:commands:${DEVICE_UUID}`, 2, -1);
+      expect(commands.map((command) => command.commandId)).toEqual(['a']);
+      expect(open).toMatchObject({ status: 'sent', sentAt: expect.any(Date) });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../src/ruleEngine/indexing/RuleChainIndex', () => ({
+  getRuleChainsForOriginator: jest.fn()
+}));
+
+jest.mock('../../src/ruleEngine/core/RuleEngineEventBus', () => ({
+  emit: jest.fn()
+}));
+
+jest.mock('../../src/models/initModels', () => ({
+  Sensor: { findOne: jest.fn() },
+  Device: { findOne: jest.fn() },
+  TelemetryData: { findOne: jest.fn() },
+  DataStream: { findOne: jest.fn() },
+  DeviceState: { findOne: jest.fn() },
+  DeviceStateInstance: { findOne: jest.fn(), create: jest.fn() },
+  RuleChain: { findAll: jest.fn(), findByPk: jest.fn() },
+  RuleChainNode: { findAll: jest.fn(), findByPk: jest.fn(), findOne: jest.fn() }
+}));
+
+const RuleChainIndex = require('../../src/ruleEngine/indexing/RuleChainIndex');
+const ruleEngineEventBus = require('../../src/ruleEngine/core/RuleEngineEventBus');
+const { Device, DeviceState, DeviceStateInstance, RuleChain } = require('../../src/models/initModels');
+const { ruleChainService } = require('../../src/services/ruleChainService');
+const deviceStateInstanceService = require('../../src/services/deviceStateInstanceService');
+const config = require('../../src/config');
+
+const FAN_UUID = '550e8400-e29b-41d4-a716-446655440001';
+
+const fanChain = (id) => ({
+  id,
+  name: `Chain ${id}`,
+  nodes: [{
+    id: id * 10,
+    type: 'filter',
+    config: { sourceType: 'device', UUID: FAN_UUID, key: 'power', operator: '==', value: 'on' }
+  }]
+});
+
+describe('Device state change triggers', () => {
+  describe('ruleChainService.trigger for device originators', () => {
+    beforeEach(() => {
+      RuleChain.findAll.mockImplementation(async ({ where }) => where.id.map(fanChain));
+      jest.spyOn(ruleChainService, '_collectSensorData').mockResolvedValue({ data: [], timeoutDetails: { timedOut: false } });
+      jest.spyOn(ruleChainService, '_collectDeviceData').mockResolvedValue({
+        data: [{ UUID: FAN_UUID, power: 'on' }],
+        timeoutDetails: { timedOut: false }
+      });
+      jest.spyOn(ruleChainService, 'execute').mockResolvedValue({ status: 'success' });
+    });
+
+    test('should run the rule chains indexed for the device state', async () => {
+      RuleChainIndex.getRuleChainsForOriginator.mockResolvedValue([4, 5]);
+
+      await ruleChainService.trigger(FAN_UUID, ['power'], { originatorType: 'device' });
+
+      expect(RuleChainIndex.getRuleChainsForOriginator).toHaveBeenCalledWith('device', FAN_UUID, ['power']);
+      expect(ruleChainService.execute.mock.calls.map(([id]) => id)).toEqual([4, 5]);
+      expect(ruleChainService.execute).toHaveBeenCalledWith(
+        4,
+        expect.objectContaining({ meta: expect.objectContaining({ triggerChain: [] }) }),
+        expect.any(Number)
+      );
+    });
+
+    test('should not re-run a chain whose own action caused the state change', async () => {
+      RuleChainIndex.getRuleChainsForOriginator.mockResolvedValue([4, 5]);
+
+      await ruleChainService.trigger(FAN_UUID, ['power'], { originatorType: 'device', triggerChain: [4] });
+
+      expect(ruleChainService.execute.mock.calls.map(([id]) => id)).toEqual([5]);
+      expect(ruleChainService.execute).toHaveBeenCalledWith(
+        5,
+        expect.objectContaining({ meta: expect.objectContaining({ triggerChain: [4] }) }),
+        expect.any(Number)
+      );
+    });
+
+    test('should drop triggers once the chain reaches the maximum depth', async () => {
+      const triggerChain = Array.from({ length: config.ruleEngine.maxTriggerDepth }, (_, i) => i + 100);
+
+      await ruleChainService.trigger(FAN_UUID, ['power'], { originatorType: 'device', triggerChain });
+
+      expect(RuleChainIndex.getRuleChainsForOriginator).not.toHaveBeenCalled();
+      expect(ruleChainService.execute).not.toHaveBeenCalled();
+    });
+
+    test('should record connectivity changes as their own trigger type', async () => {
+      RuleChainIndex.getRuleChainsForOriginator.mockResolvedValue([4]);
+
+      await ruleChainService.trigger(FAN_UUID, ['connectivity'], {
+        originatorType: 'device',
+        triggerType: 'device-connectivity'
+      });
+
+      expect(ruleChainService.execute).toHaveBeenCalledWith(
+        4,
+        expect.objectContaining({
+          meta: expect.objectContaining({
+            trigger: expect.objectContaining({ type: 'device-connectivity', originatorUUID: FAN_UUID })
+          })
+        }),
+        expect.any(Number)
+      );
+    });
+  });
+
+  describe('connectivity key', () => {
+    test('should read connectivity from the device status instead of a device state', async () => {
+      Device.findOne.mockResolvedValue({ id: 7, uuid: FAN_UUID, status: 'disconnected' });
+
+      const result = await ruleChainService._collectDeviceData(new Map([[FAN_UUID, new Set(['connectivity'])]]));
+
+      expect(DeviceState.findOne).not.toHaveBeenCalled();
+      expect(result.data).toEqual([{ UUID: FAN_UUID, connectivity: 'offline' }]);
+    });
+  });
+
+  describe('deviceStateInstanceService.createInstance', () => {
+    test('should emit a device-state-change event carrying the trigger chain', async () => {
+      Device.findOne.mockResolvedValue({ id: 7, uuid: FAN_UUID, name: 'Fan' });
+      DeviceState.findOne.mockResolvedValue({ id: 3, stateName: 'power', allowedValues: null });
+      DeviceStateInstance.findOne.mockResolvedValue({ value: 'off', update: jest.fn() });
+      DeviceStateInstance.create.mockResolvedValue({ id: 42 });
+
+      await deviceStateInstanceService.createInstance(
+        { deviceUuid: FAN_UUID, stateName: 'power', value: 'on', initiatedBy: 'rule_chain', triggerChain: [4] },
+        null
+      );
+
+      expect(ruleEngineEventBus.emit).toHaveBeenCalledWith('device-state-change', {
+        deviceUUID: FAN_UUID,
+        deviceStateId: 3,
+        variableNames: ['power'],
+        value: 'on',
+        oldValue: 'off',
+        initiatedBy: 'rule_chain',
+        triggerChain: [4]
+      });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const ExpressionEvaluator = require('../../src/ruleEngine/expressions/ExpressionEvaluator');
+
+const { parse, evaluate, extractReferences, convertUnits, ExpressionError } = ExpressionEvaluator;
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const DEVICE_UUID = '550e8400-e29b-41d4-a716-446655440001';
+
+const data = {
+  sensorData: {
+    [SENSOR_UUID]: { temperature: 25, humidity: 60, pressure: '101325' }
+  },
+  deviceData: {
+    [DEVICE_UUID]: { voltage: 230, current: 2.5 }
+  }
+};
+
+const run = (expression) => evaluate(parse(expression), data);
+
+describe('ExpressionEvaluator', () => {
+  describe('arithmetic', () => {
+    test('should respect operator precedence and parentheses', () => {
+      expect(run('1 + 2 * 3')).toBe(7);
+      expect(run('(1 + 2) * 3')).toBe(9);
+      expect(run('10 % 4 - -2')).toBe(4);
+    });
+
+    test('should treat ^ as right-associative power', () => {
+      expect(run('2 ^ 3 ^ 2')).toBe(512);
+      expect(run('-2 ^ 2')).toBe(-4);
+    });
+
+    test('should support functions and constants', () => {
+      expect(run('max(1, 7, 3) + min(4, 2)')).toBe(9);
+      expect(run('abs(-3.5)')).toBe(3.5);
+      expect(run('round(3.14159, 2)')).toBe(3.14);
+      expect(run('round(pi)')).toBe(3);
+      expect(run('sqrt(16) + floor(1.9) + ceil(1.1)')).toBe(7);
+    });
+
+    test('should reject division by zero', () => {
+      expect(() => run('1 / (2 - 2)')).toThrow('Division by zero');
+    });
+  });
+
+  describe('references', () => {
+    test('should read sensor and device values by UUID', () => {
+      expect(run(`sensor[${SENSOR_UUID}].temperature * 2`)).toBe(50);
+      expect(run(`device['${DEVICE_UUID}'].voltage * device[${DEVICE_UUID}].current`)).toBe(575);
+    });
+
+    test('should coerce numeric strings', () => {
+      expect(run(`sensor[${SENSOR_UUID}].pressure / 100`)).toBe(1013.25);
+    });
+
+    test('should fail when a referenced value is missing', () => {
+      expect(() => run(`sensor[${SENSOR_UUID}].co2 + 1`)).toThrow(ExpressionError);
+      expect(() => run(`sensor[${SENSOR_UUID}].constructor`)).toThrow('No value');
+    });
+
+    test('should compute a dew point from temperature and humidity', () => {
+      const expression = `round(sensor[${SENSOR_UUID}].temperature - (100 - sensor[${SENSOR_UUID}].humidity) / 5, 1)`;
+      expect(run(expression)).toBe(17);
+    });
+
+    test('should list every referenced value', () => {
+      const ast = parse(`sensor[${SENSOR_UUID}].temperature + max(device[${DEVICE_UUID}].voltage, 0)`);
+
+      expect(extractReferences(ast)).toEqual([
+        { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature' },
+        { sourceType: 'device', UUID: DEVICE_UUID, key: 'voltage' }
+      ]);
+    });
+  });
+
+  describe('unit conversion', () => {
+    test('should convert temperatures with offsets', () => {
+      expect(convertUnits(100, 'C', 'F')).toBeCloseTo(212);
+      expect(convertUnits(32, 'F', 'C')).toBeCloseTo(0);
+      expect(convertUnits(0, 'C', 'K')).toBeCloseTo(273.15);
+    });
+
+    test('should convert within a dimension from an expression', () => {
+      expect(run(`convert(sensor[${SENSOR_UUID}].pressure, 'Pa', 'bar')`)).toBeCloseTo(1.01325);
+      expect(run('convert(1.5, \'kW\', \'W\')')).toBe(1500);
+    });
+
+    test('should reject unknown units and mismatched dimensions', () => {
+      expect(() => run('convert(1, \'C\', \'bar\')')).toThrow(ExpressionError);
+      expect(() => run('convert(1, \'C\', \'parsec\')')).toThrow(ExpressionError);
+      expect(() => run('convert(1, C, F)')).toThrow(ExpressionError);
+    });
+  });
+
+  describe('sandboxing', () => {
+    test.each([
+      'process.exit(1)',
+      'require(\'fs\')',
+      'constructor.constructor(\'return process\')()',
+      'this',
+      '1; 2',
+      '[1, 2]',
+      'x => x',
+      'toString(1)'
+    ])('should reject %s', (expression) => {
+      expect(() => parse(expression)).toThrow(ExpressionError);
+    });
+
+    test('should reject malformed input', () => {
+      expect(() => parse('')).toThrow(ExpressionError);
+      expect(() => parse('1 +')).toThrow(ExpressionError);
+      expect(() => parse('(1 + 2')).toThrow(ExpressionError);
+      expect(() => parse('abs(1, 2)')).toThrow(ExpressionError);
+      expect(() => parse(`sensor[${SENSOR_UUID}]`)).toThrow(ExpressionError);
+    });
+
+    test('should reject oversized expressions', () => {
+      expect(() => parse('1+'.repeat(300) + '1')).toThrow(ExpressionError);
+      expect(() => parse(Array(150).fill('1').join('+'))).toThrow(ExpressionError);
+    });
+
+    test('should reject non-finite results', () => {
+      expect(() => run('sqrt(-1)')).toThrow('finite');
+      expect(() => run('10 ^ 400')).toThrow('finite');
+    });
+  });
+});
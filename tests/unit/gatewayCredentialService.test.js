@@ -0,0 +1,94 @@
+jest.mock('../../src/models/initModels', () => ({
+  Device: { findByPk: jest.fn() },
+  GatewayCredential: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), update: jest.fn() }
+}));
+
+const crypto = require('crypto');
+const { Device, GatewayCredential } = require('../../src/models/initModels');
+const gatewayCredentialService = require('../../src/services/gatewayCredentialService');
+
+const GATEWAY_UUID = '123e4567-e89b-12d3-a456-426614174000';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('GatewayCredentialService', () => {
+  const gateway = { id: 12, uuid: GATEWAY_UUID, deviceType: 'gateway' };
+
+  beforeEach(() => {
+    GatewayCredential.create.mockImplementation(async (values) => ({ id: 1, createdAt: new Date(), ...values }));
+    GatewayCredential.update.mockResolvedValue([1]);
+  });
+
+  describe('createCredential', () => {
+    test('should store only the hash of the secret it returns', async () => {
+      Device.findByPk.mockResolvedValue(gateway);
+
+      const { credential, secret } = await gatewayCredentialService.createCredential(12, { createdBy: 3 });
+
+      expect(secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(GatewayCredential.create).toHaveBeenCalledWith({
+        deviceId: 12,
+        secretHash: sha256(secret),
+        expiresAt: null,
+        createdBy: 3,
+        status: 'active'
+      });
+      expect(credential).toEqual(expect.objectContaining({ id: 1, username: GATEWAY_UUID, status: 'active' }));
+      expect(credential).not.toHaveProperty('secretHash');
+    });
+
+    test('should refuse devices that are not gateways', async () => {
+      Device.findByPk.mockResolvedValue({ ...gateway, deviceType: 'actuator' });
+
+      await expect(gatewayCredentialService.createCredential(12)).rejects.toMatchObject({ statusCode: 400 });
+      expect(GatewayCredential.create).not.toHaveBeenCalled();
+    });
+
+    test('should report a missing device', async () => {
+      Device.findByPk.mockResolvedValue(null);
+
+      await expect(gatewayCredentialService.createCredential(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('verify', () => {
+    test('should return the gateway an active credential belongs to', async () => {
+      GatewayCredential.findOne.mockResolvedValue({ id: 1, Device: gateway });
+
+      await expect(gatewayCredentialService.verify(GATEWAY_UUID, Buffer.from('secret'))).resolves.toBe(gateway);
+      expect(GatewayCredential.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ secretHash: sha256('secret'), status: 'active' })
+      }));
+      expect(GatewayCredential.update).toHaveBeenCalledWith({ lastUsed: expect.any(Date) }, { where: { id: 1 } });
+    });
+
+    test('should refuse a credential presented under another device UUID', async () => {
+      GatewayCredential.findOne.mockResolvedValue({ id: 1, Device: gateway });
+
+      await expect(gatewayCredentialService.verify('987e6543-e21b-12d3-a456-426614174999', 'secret')).resolves.toBeNull();
+    });
+
+    test('should refuse unknown, revoked or expired credentials', async () => {
+      GatewayCredential.findOne.mockResolvedValue(null);
+
+      await expect(gatewayCredentialService.verify(GATEWAY_UUID, 'secret')).resolves.toBeNull();
+    });
+  });
+
+  describe('revokeCredential', () => {
+    test('should revoke a credential of the device', async () => {
+      const credential = { id: 1, deviceId: 12, status: 'active' };
+      credential.update = jest.fn(async (values) => Object.assign(credential, values));
+      GatewayCredential.findOne.mockResolvedValue(credential);
+
+      await expect(gatewayCredentialService.revokeCredential(12, 1)).resolves.toBe(credential);
+      expect(credential.status).toBe('revoked');
+    });
+
+    test('should report a credential of another device as missing', async () => {
+      GatewayCredential.findOne.mockResolvedValue(null);
+
+      await expect(gatewayCredentialService.revokeCredential(12, 5)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
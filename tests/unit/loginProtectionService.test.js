@@ -0,0 +1,181 @@
+jest.mock('../../src/config/redis', () => ({
+  mget: jest.fn(),
+  ttl: jest.fn(),
+  del: jest.fn(),
+  eval: jest.fn()
+}));
+
+jest.mock('../../src/utils/metricsManager', () => ({
+  incrementCounter: jest.fn()
+}));
+
+const redisConnection = require('../../src/config/redis');
+const metricsManager = require('../../src/utils/metricsManager');
+const logger = require('../../src/utils/logger');
+const config = require('../../src/config');
+const loginProtectionService = require('../../src/services/loginProtectionService');
+
+// Just enough of Redis for the failure counters
+const installFakeRedis = () => {
+  const store = new Map();
+
+  redisConnection.mget.mockImplementation(async (...keys) => keys.map((key) => (store.has(key) ? String(store.get(key)) : null)));
+  redisConnection.ttl.mockImplementation(async (key) => (store.has(key) ? 120 : -2));
+  redisConnection.del.mockImplementation(async (...keys) => { keys.forEach((key) => store.delete(key)); return keys.length; });
+  // Same as the counting script
+  redisConnection.eval.mockImplementation(async (script, keyCount, key) => {
+    store.set(key, (store.get(key) || 0) + 1);
+    return store.get(key);
+  });
+
+  return store;
+};
+
+const makeUser = (fields = {}) => {
+  const user = { id: 3, email: 'ops@example.com', accessFailedCount: 0, lockoutEnd: null, ...fields };
+  user.update = jest.fn(async (changes) => Object.assign(user, changes));
+  user.increment = jest.fn(async (field) => { user[field] += 1; return user; });
+  user.reload = jest.fn(async () => user);
+  return user;
+};
+
+describe('LoginProtectionService', () => {
+  const originalAuthConfig = config.auth;
+
+  beforeEach(() => {
+    installFakeRedis();
+    config.auth = {
+      ...originalAuthConfig,
+      lockout: { threshold: 3, baseDuration: 60, maxDuration: 600 },
+      throttle: { window: 900, maxFailuresPerIp: 4, maxFailuresPerAccount: 2 }
+    };
+  });
+
+  afterEach(() => {
+    config.auth = originalAuthConfig;
+  });
+
+  describe('throttling', () => {
+    test('should refuse an email address after too many failures', async () => {
+      await loginProtectionService.recordFailure('ops@example.com', '10.0.0.5', null);
+      await expect(loginProtectionService.checkThrottle('ops@example.com', '10.0.0.5')).resolves.toBeUndefined();
+
+      await loginProtectionService.recordFailure('OPS@example.com ', '10.0.0.6', null);
+
+      await expect(loginProtectionService.checkThrottle('ops@example.com', '10.0.0.7'))
+        .rejects.toMatchObject({ statusCode: 429, retryAfter: 120 });
+      expect(metricsManager.incrementCounter).toHaveBeenCalledWith('auth_login_throttled_total', { reason: 'account' });
+    });
+
+    test('should refuse an IP after too many failures across accounts', async () => {
+      for (const email of ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com']) {
+        await loginProtectionService.recordFailure(email, '10.0.0.5', null);
+      }
+
+      await expect(loginProtectionService.checkThrottle('e@example.com', '10.0.0.5'))
+        .rejects.toMatchObject({ statusCode: 429 });
+      await expect(loginProtectionService.checkThrottle('e@example.com', '10.0.0.6')).resolves.toBeUndefined();
+    });
+
+    test('should start the window with the first failure', async () => {
+      await loginProtectionService.recordFailure('ops@example.com', '10.0.0.5', null);
+
+      expect(redisConnection.eval).toHaveBeenCalledWith(expect.stringContaining('EXPIRE'), 1, expect.stringMatching(/^auth:login-failures:account:[0-9a-f]{64}$/), 900);
+      expect(redisConnection.eval).toHaveBeenCalledWith(expect.any(String), 1, 'auth:login-failures:ip:10.0.0.5', 900);
+    });
+
+    test('should let logins through while Redis is unavailable', async () => {
+      redisConnection.mget.mockRejectedValue(new Error('Connection is closed.'));
+
+      await expect(loginProtectionService.checkThrottle('ops@example.com', '10.0.0.5')).resolves.toBeUndefined();
+    });
+
+    test('should clear the account count after a successful login', async () => {
+      await loginProtectionService.recordFailure('ops@example.com', '10.0.0.5', null);
+      await loginProtectionService.recordSuccess('ops@example.com', makeUser());
+
+      await loginProtectionService.recordFailure('ops@example.com', '10.0.0.5', null);
+      await expect(loginProtectionService.checkThrottle('ops@example.com', null)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('lockout', () => {
+    test('should lock the account from the threshold on, doubling each time', () => {
+      expect(loginProtectionService.lockoutDuration(2)).toBe(0);
+      expect(loginProtectionService.lockoutDuration(3)).toBe(60);
+      expect(loginProtectionService.lockoutDuration(4)).toBe(120);
+      expect(loginProtectionService.lockoutDuration(10)).toBe(600);
+      expect(loginProtectionService.lockoutDuration(500)).toBe(600);
+    });
+
+    test('should lock and audit the account when a failure reaches the threshold', async () => {
+      const user = makeUser({ accessFailedCount: 2 });
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      await loginProtectionService.recordFailure('ops@example.com', '10.0.0.5', user);
+
+      expect(user.accessFailedCount).toBe(3);
+      expect(loginProtectionService.lockoutRemaining(user)).toBe(60);
+      expect(() => loginProtectionService.checkLockout(user)).toThrow(expect.objectContaining({ statusCode: 429, retryAfter: 60 }));
+      expect(warn).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        audit: 'auth_account_locked',
+        userId: 3,
+        failures: 3
+      }));
+      expect(metricsManager.incrementCounter).toHaveBeenCalledWith('auth_account_lockouts_total');
+    });
+
+    test('should only count failures below the threshold', async () => {
+      const user = makeUser();
+
+      await loginProtectionService.recordFailure('ops@example.com', null, user);
+
+      expect(user.increment).toHaveBeenCalledWith('accessFailedCount');
+      expect(user.accessFailedCount).toBe(1);
+      expect(user.update).not.toHaveBeenCalled();
+      expect(() => loginProtectionService.checkLockout(user)).not.toThrow();
+    });
+
+    test('should lock from the stored count when failures race', async () => {
+      const user = makeUser({ accessFailedCount: 1 });
+      // Another login failed between loading this user and counting its failure
+      user.reload.mockImplementation(async () => Object.assign(user, { accessFailedCount: 3 }));
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      await loginProtectionService.recordFailure('ops@example.com', null, user);
+
+      expect(user.update).toHaveBeenCalledWith({ lockoutEnd: expect.any(Date) });
+      expect(loginProtectionService.lockoutRemaining(user)).toBe(60);
+    });
+
+    test('should not lock accounts when disabled', () => {
+      config.auth.lockout = { ...config.auth.lockout, threshold: 0 };
+
+      expect(loginProtectionService.lockoutDuration(50)).toBe(0);
+    });
+
+    test('should reset the count after a successful login', async () => {
+      const user = makeUser({ accessFailedCount: 2 });
+
+      await loginProtectionService.recordSuccess('ops@example.com', user);
+
+      expect(user.update).toHaveBeenCalledWith({ accessFailedCount: 0, lockoutEnd: null });
+    });
+
+    test('should unlock the account and audit who did it', async () => {
+      const user = makeUser({ accessFailedCount: 4, lockoutEnd: new Date(Date.now() + 60000) });
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      await loginProtectionService.unlockAccount(user, 1);
+
+      expect(user.update).toHaveBeenCalledWith({ accessFailedCount: 0, lockoutEnd: null });
+      expect(redisConnection.del).toHaveBeenCalledWith(expect.stringMatching(/^auth:login-failures:account:/));
+      expect(warn).toHaveBeenCalledWith(expect.any(String), {
+        audit: 'auth_account_unlocked',
+        userId: 3,
+        unlockedBy: 1,
+        wasLocked: true
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const mailTransport = require('../../src/utils/mailTransport');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Minimal SMTP sink that records what clients send
+const startSmtpSink = (replies = {}) => new Promise((resolve) => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    const reply = (command, fallback) => socket.write(`${replies[command] || fallback}\r\n`);
+
+    socket.setEncoding('utf8');
+    socket.write('220 sink ready\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            reply('.', '250 queued');
+          } else {
+            received[received.length - 1].data.push(line);
+          }
+          continue;
+        }
+
+        const command = line.split(/[ :]/)[0].toUpperCase();
+        if (command === 'EHLO') {
+          socket.write('250-sink\r\n250 8BITMIME\r\n');
+        } else if (command === 'MAIL') {
+          received.push({ from: line, to: [], data: [] });
+          reply('MAIL', '250 ok');
+        } else if (command === 'RCPT') {
+          received[received.length - 1].to.push(line);
+          reply('RCPT', '250 ok');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('DATA', '354 go ahead');
+        } else if (command === 'QUIT') {
+          reply('QUIT', '221 bye');
+          socket.end();
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+});
+
+describe('mailTransport', () => {
+  const originalMailConfig = config.mail;
+
+  afterEach(() => {
+    config.mail = originalMailConfig;
+    mailTransport.setTransport(null);
+  });
+
+  describe('formatMessage', () => {
+    test('should render headers and a CRLF body', () => {
+      const raw = mailTransport.formatMessage({
+        from: 'AEMOS <no-reply@aemos.example>',
+        to: 'ops@example.com',
+        subject: 'Hello',
+        text: 'line one\nline two'
+      });
+
+      expect(raw).toMatch(/^From: AEMOS <no-reply@aemos.example>\r\nTo: ops@example.com\r\nSubject: Hello\r\n/);
+      expect(raw).toMatch(/\r\nMessage-ID: <[0-9a-f-]{36}@aemos.example>\r\n/);
+      expect(raw.endsWith('\r\n\r\nline one\r\nline two')).toBe(true);
+    });
+
+    test('should not let header values add headers', () => {
+      const raw = mailTransport.formatMessage({
+        from: 'no-reply@aemos.example',
+        to: 'ops@example.com',
+        subject: 'Hi\r\nBcc: attacker@example.com',
+        text: ''
+      });
+
+      expect(raw).not.toMatch(/\r\nBcc:/);
+    });
+
+    test('should encode non-ASCII subjects', () => {
+      const raw = mailTransport.formatMessage({ from: 'a@b.c', to: 'd@e.f', subject: 'Größe', text: '' });
+
+      expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Größe').toString('base64')}?=`);
+    });
+  });
+
+  test('should write messages to the mail directory with the file transport', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aemos-mail-'));
+    config.mail = { ...originalMailConfig, transport: 'file', fileDirectory: directory };
+
+    try {
+      const result = await mailTransport.sendMail({ to: 'ops@example.com', subject: 'Reset', text: 'token abc' });
+
+      expect(path.dirname(result.file)).toBe(directory);
+      const raw = fs.readFileSync(result.file, 'utf8');
+      expect(raw).toContain('To: ops@example.com');
+      expect(raw).toContain(`From: ${originalMailConfig.from}`);
+      expect(raw).toContain('token abc');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  describe('smtp transport', () => {
+    let sink;
+
+    beforeEach(async () => {
+      sink = await startSmtpSink();
+      config.mail = {
+        ...originalMailConfig,
+        transport: 'smtp',
+        from: 'AEMOS <no-reply@aemos.example>',
+        smtp: { host: '127.0.0.1', port: sink.port, timeout: 2000 }
+      };
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => sink.server.close(resolve));
+    });
+
+    test('should deliver the message to the SMTP server', async () => {
+      await mailTransport.sendMail({ to: 'ops@example.com', subject: 'Reset', text: 'first\n.hidden line' });
+
+      expect(sink.received).toHaveLength(1);
+      expect(sink.received[0].from).toBe('MAIL FROM:<no-reply@aemos.example>');
+      expect(sink.received[0].to).toEqual(['RCPT TO:<ops@example.com>']);
+      expect(sink.received[0].data).toContain('Subject: Reset');
+      // Dot-stuffed so the line does not end the message early
+      expect(sink.received[0].data).toContain('..hidden line');
+    });
+
+    test('should fail when the server rejects the recipient', async () => {
+      await new Promise((resolve) => sink.server.close(resolve));
+      sink = await startSmtpSink({ RCPT: '550 no such user' });
+      config.mail = { ...config.mail, smtp: { ...config.mail.smtp, port: sink.port } };
+
+      await expect(mailTransport.sendMail({ to: 'ghost@example.com', subject: 'Reset', text: '' }))
+        .rejects.toThrow('SMTP server rejected the message: 550 no such user');
+    });
+  });
+
+  test('should use registered transports', async () => {
+    const send = jest.fn().mockResolvedValue({ id: 'msg-1' });
+    mailTransport.registerTransport('memory', () => ({ send }));
+    config.mail = { ...originalMailConfig, transport: 'memory' };
+
+    await expect(mailTransport.sendMail({ to: 'ops@example.com', subject: 'Hi', text: 'x' })).resolves.toEqual({ id: 'msg-1' });
+    expect(send).toHaveBeenCalledWith({ from: originalMailConfig.from, to: 'ops@example.com', subject: 'Hi', text: 'x' });
+  });
+
+  test('should reject unknown transports', () => {
+    config.mail = { ...originalMailConfig, transport: 'pigeon' };
+
+    expect(() => mailTransport.getTransport()).toThrow('Unknown mail transport "pigeon"');
+  });
+});
@@ -28,8 +28,8 @@ jest.mock('../../src/controllers/dataStreamController', () => ({
   createDataStreamWithToken: jest.fn()
 }));
 
-jest.mock('../../src/controllers/deviceController', () => ({
-  updateDevice: jest.fn()
+jest.mock('../../src/services/connectivityService', () => ({
+  recordHeartbeat: jest.fn()
 }));
 
 jest.mock('../../src/models/initModels', () => ({
@@ -38,12 +38,27 @@ jest.mock('../../src/models/initModels', () => ({
   }
 }));
 
+jest.mock('../../src/services/deviceCommandService', () => ({
+  acknowledgeWithToken: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceStateInstanceService', () => ({
+  createInstance: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceTokenService', () => ({
+  canActForDevice: jest.fn()
+}));
+
+jest.mock('../../src/utils/notificationManager', () => ({
+  queueStateChangeNotification: jest.fn()
+}));
+
 describe('MessageRouter', () => {
   let messageRouter;
   let CommonAdapter;
   let MQTTAdapter;
   let dataStreamController;
-  let deviceController;
   let DeviceToken;
 
   beforeEach(() => {
@@ -53,7 +68,6 @@ describe('MessageRouter', () => {
     CommonAdapter = require('../../src/adapters/commonAdapter');
     MQTTAdapter = require('../../src/adapters/mqttAdapter');
     dataStreamController = require('../../src/controllers/dataStreamController');
-    deviceController = require('../../src/controllers/deviceController');
     DeviceToken = require('../../src/models/initModels').DeviceToken;
     
     // Reset the singleton instance
@@ -289,32 +303,48 @@ describe('MessageRouter', () => {
   });
 
   describe('handleDeviceStatus', () => {
-    it('should handle valid device status message', async () => {
+    let connectivityService;
+
+    beforeEach(() => {
+      CommonAdapter = require('../../src/adapters/commonAdapter');
+      MQTTAdapter = require('../../src/adapters/mqttAdapter');
+      connectivityService = require('../../src/services/connectivityService');
+      MQTTAdapter.extractDeviceUuid.mockReturnValue('test-device');
+      jest.spyOn(messageRouter, 'authenticateDevice').mockResolvedValue({ uuid: 'test-device' });
+      CommonAdapter.createSuccessResponse.mockImplementation((data) => ({ status: 'success', data }));
+      CommonAdapter.createErrorResponse.mockImplementation((message, code) => ({ status: 'error', message, code }));
+    });
+
+    it('should record the status message as a heartbeat', async () => {
       const message = {
         topic: 'devices/test-device/status',
         payload: { status: 'online', token: 'valid-token' }
       };
-
-      // Mock device UUID extraction
-      MQTTAdapter.extractDeviceUuid.mockReturnValue('test-device');
-
-      // Mock device authentication
-      DeviceToken.findOne.mockResolvedValue({
-        Device: { id: 1, status: 'active' }
+      connectivityService.recordHeartbeat.mockResolvedValue({
+        originatorType: 'sensor',
+        uuid: 'test-device',
+        connectivity: 'online',
+        changed: true
       });
 
-      // Mock controller response
-      deviceController.updateDevice.mockResolvedValue({
-        statusCode: 200,
-        data: { id: 1, status: 'online' }
+      const result = await messageRouter.handleDeviceStatus(message);
+
+      expect(connectivityService.recordHeartbeat).toHaveBeenCalledWith('test-device', { reportedStatus: 'online' });
+      expect(result).toEqual({
+        status: 'success',
+        data: { originatorType: 'sensor', uuid: 'test-device', connectivity: 'online', changed: true }
       });
+    });
 
-      CommonAdapter.createSuccessResponse.mockReturnValue({ status: 'success' });
+    it('should report heartbeats from unknown devices', async () => {
+      connectivityService.recordHeartbeat.mockResolvedValue(null);
 
-      const result = await messageRouter.handleDeviceStatus(message);
+      const result = await messageRouter.handleDeviceStatus({
+        topic: 'devices/test-device/status',
+        payload: { token: 'valid-token' }
+      });
 
-      expect(result.status).toBe('success');
-      expect(deviceController.updateDevice).toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'error', code: 'DEVICE_NOT_FOUND' });
     });
   });
 
@@ -343,6 +373,128 @@ describe('MessageRouter', () => {
     });
   });
 
+  describe('handleCommandAck', () => {
+    let deviceCommandService;
+
+    beforeEach(() => {
+      // messageRouter was re-required after resetModules, so pick up the same mock instances
+      CommonAdapter = require('../../src/adapters/commonAdapter');
+      MQTTAdapter = require('../../src/adapters/mqttAdapter');
+      deviceCommandService = require('../../src/services/deviceCommandService');
+    });
+
+    it('should acknowledge the command on behalf of the authenticated token', async () => {
+      const message = {
+        topic: 'devices/test-device/commands/ack',
+        payload: { commandId: 'cmd-1', status: 'ok', token: 'valid-token' }
+      };
+
+      MQTTAdapter.extractDeviceUuid.mockReturnValue('test-device');
+      jest.spyOn(messageRouter, 'authenticateDevice').mockResolvedValue({ uuid: 'test-device' });
+      deviceCommandService.acknowledgeWithToken.mockResolvedValue({
+        command: { status: 'acknowledged' },
+        duplicate: false
+      });
+      CommonAdapter.createSuccessResponse.mockImplementation((data) => ({ status: 'success', data }));
+
+      const result = await messageRouter.handleCommandAck(message);
+
+      expect(deviceCommandService.acknowledgeWithToken).toHaveBeenCalledWith('test-device', 'cmd-1', {
+        status: 'ok',
+        error: undefined
+      });
+      expect(result.data).toEqual({
+        deviceUuid: 'test-device',
+        commandId: 'cmd-1',
+        status: 'acknowledged',
+        duplicate: false
+      });
+    });
+
+    it('should reject acknowledgements without a commandId', async () => {
+      const message = {
+        topic: 'devices/test-device/commands/ack',
+        payload: { status: 'ok', token: 'valid-token' }
+      };
+
+      MQTTAdapter.extractDeviceUuid.mockReturnValue('test-device');
+      jest.spyOn(messageRouter, 'authenticateDevice').mockResolvedValue({ uuid: 'test-device' });
+      CommonAdapter.createErrorResponse.mockImplementation((message, code) => ({ status: 'error', code }));
+
+      const result = await messageRouter.handleCommandAck(message);
+
+      expect(result).toEqual({ status: 'error', code: 'INVALID_PAYLOAD' });
+      expect(deviceCommandService.acknowledgeWithToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleDeviceState', () => {
+    let deviceStateInstanceService;
+    let deviceTokenService;
+    let notificationManager;
+
+    beforeEach(() => {
+      CommonAdapter = require('../../src/adapters/commonAdapter');
+      MQTTAdapter = require('../../src/adapters/mqttAdapter');
+      deviceStateInstanceService = require('../../src/services/deviceStateInstanceService');
+      deviceTokenService = require('../../src/services/deviceTokenService');
+      notificationManager = require('../../src/utils/notificationManager');
+      CommonAdapter.createSuccessResponse.mockImplementation((data) => ({ status: 'success', data }));
+      CommonAdapter.createErrorResponse.mockImplementation((message, code) => ({ status: 'error', code }));
+    });
+
+    it('should record a reported state so rule chains keyed on it run', async () => {
+      const message = {
+        topic: 'devices/sensor-uuid/state',
+        payload: { deviceUuid: 'device-uuid', stateName: 'power', value: 'on', token: 'valid-token' }
+      };
+      const metadata = { deviceUuid: 'device-uuid', stateName: 'power', oldValue: 'off', newValue: 'on' };
+
+      MQTTAdapter.extractDeviceUuid.mockReturnValue('sensor-uuid');
+      jest.spyOn(messageRouter, 'authenticateDevice').mockResolvedValue({ uuid: 'sensor-uuid' });
+      deviceTokenService.canActForDevice.mockResolvedValue(true);
+      deviceStateInstanceService.createInstance.mockResolvedValue({ instance: { value: 'on' }, metadata });
+
+      const result = await messageRouter.handleDeviceState(message);
+
+      expect(messageRouter.authenticateDevice).toHaveBeenCalledWith('sensor-uuid', message);
+      expect(deviceTokenService.canActForDevice).toHaveBeenCalledWith('sensor-uuid', 'device-uuid');
+      expect(deviceStateInstanceService.createInstance).toHaveBeenCalledWith(
+        { deviceUuid: 'device-uuid', stateName: 'power', value: 'on', initiatedBy: 'device' },
+        null
+      );
+      expect(notificationManager.queueStateChangeNotification).toHaveBeenCalledWith(metadata, null, expect.any(Boolean));
+      expect(result.data).toEqual({ deviceUuid: 'device-uuid', stateName: 'power', value: 'on', oldValue: 'off' });
+    });
+
+    it('should not record states of devices the token does not act for', async () => {
+      MQTTAdapter.extractDeviceUuid.mockReturnValue('sensor-uuid');
+      jest.spyOn(messageRouter, 'authenticateDevice').mockResolvedValue({ uuid: 'sensor-uuid' });
+      deviceTokenService.canActForDevice.mockResolvedValue(false);
+
+      const result = await messageRouter.handleDeviceState({
+        topic: 'devices/sensor-uuid/state',
+        payload: { deviceUuid: 'other-device', stateName: 'power', value: 'on', token: 'valid-token' }
+      });
+
+      expect(result).toEqual({ status: 'error', code: 'AUTHENTICATION_FAILED' });
+      expect(deviceStateInstanceService.createInstance).not.toHaveBeenCalled();
+    });
+
+    it('should reject reports without a state name or value', async () => {
+      MQTTAdapter.extractDeviceUuid.mockReturnValue('sensor-uuid');
+      jest.spyOn(messageRouter, 'authenticateDevice').mockResolvedValue({ uuid: 'sensor-uuid' });
+
+      const result = await messageRouter.handleDeviceState({
+        topic: 'devices/sensor-uuid/state',
+        payload: { stateName: 'power', token: 'valid-token' }
+      });
+
+      expect(result).toEqual({ status: 'error', code: 'INVALID_PAYLOAD' });
+      expect(deviceStateInstanceService.createInstance).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleBroadcast', () => {
     it('should handle valid broadcast message', async () => {
       const message = {
@@ -3,6 +3,7 @@ const { authenticate, authorize } = require('../../../src/middlewares/auth');
 const { ApiError } = require('../../../src/middlewares/errorHandler');
 const { User, Role } = require('../../../src/models/initModels');
 const { isTokenBlacklisted } = require('../../../src/services/tokenBlacklistService');
+const authSessionService = require('../../../src/services/authSessionService');
 const config = require('../../../src/config');
 
 // Mock dependencies
@@ -18,6 +19,9 @@ jest.mock('../../../src/models/initModels', () => ({
 jest.mock('../../../src/services/tokenBlacklistService', () => ({
   isTokenBlacklisted: jest.fn()
 }));
+jest.mock('../../../src/services/authSessionService', () => ({
+  isSessionActive: jest.fn()
+}));
 
 describe('Auth Middleware', () => {
   let req;
@@ -99,6 +103,45 @@ describe('Auth Middleware', () => {
       expect(next.mock.calls[0][0].message).toBe('Token is no longer valid');
     });
 
+    it('should reject tokens of a revoked session', async () => {
+      req.headers.authorization = 'Bearer session.jwt.token';
+      isTokenBlacklisted.mockResolvedValue(false);
+      jwt.verify.mockReturnValue({ id: 1, sid: 'session-1' });
+      authSessionService.isSessionActive.mockResolvedValue(false);
+
+      await authenticate(req, res, next);
+
+      expect(authSessionService.isSessionActive).toHaveBeenCalledWith('session-1');
+      expect(User.findByPk).not.toHaveBeenCalled();
+      expect(next.mock.calls[0][0].statusCode).toBe(401);
+      expect(next.mock.calls[0][0].message).toBe('Session has been revoked');
+    });
+
+    it('should reject refresh and MFA challenge tokens', async () => {
+      req.headers.authorization = 'Bearer mfa.jwt.token';
+      isTokenBlacklisted.mockResolvedValue(false);
+      jwt.verify.mockReturnValue({ id: 1, tokenType: 'mfa', purpose: 'verify' });
+
+      await authenticate(req, res, next);
+
+      expect(User.findByPk).not.toHaveBeenCalled();
+      expect(next.mock.calls[0][0].statusCode).toBe(401);
+      expect(next.mock.calls[0][0].message).toBe('Invalid token');
+    });
+
+    it('should remember the session of the token', async () => {
+      req.headers.authorization = 'Bearer session.jwt.token';
+      isTokenBlacklisted.mockResolvedValue(false);
+      jwt.verify.mockReturnValue({ id: 1, sid: 'session-1' });
+      authSessionService.isSessionActive.mockResolvedValue(true);
+      User.findByPk.mockResolvedValue({ id: 1 });
+
+      await authenticate(req, res, next);
+
+      expect(req.sessionId).toBe('session-1');
+      expect(next).toHaveBeenCalledWith();
+    });
+
     it('should reject when user does not exist', async () => {
       // Arrange
       const mockToken = 'valid.jwt.token';
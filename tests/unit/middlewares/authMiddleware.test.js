@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const { authenticateToken } = require('../../../src/middlewares/authMiddleware');
+const { ApiError } = require('../../../src/middlewares/errorHandler');
+const { User } = require('../../../src/models/initModels');
+const { isTokenBlacklisted } = require('../../../src/services/tokenBlacklistService');
+const authSessionService = require('../../../src/services/authSessionService');
+
+// Mock dependencies
+jest.mock('jsonwebtoken');
+jest.mock('../../../src/models/initModels', () => ({
+  User: {
+    findByPk: jest.fn()
+  }
+}));
+jest.mock('../../../src/services/roleService', () => ({}));
+jest.mock('../../../src/services/tokenBlacklistService', () => ({
+  isTokenBlacklisted: jest.fn()
+}));
+jest.mock('../../../src/services/authSessionService', () => ({
+  isSessionActive: jest.fn()
+}));
+
+describe('authMiddleware', () => {
+  let req;
+  let next;
+
+  // Resolves once the middleware has called next
+  const run = () => new Promise((resolve) => {
+    next = jest.fn(resolve);
+    authenticateToken(req, {}, next);
+  });
+
+  beforeEach(() => {
+    req = { headers: { authorization: 'Bearer access.jwt.token' } };
+    isTokenBlacklisted.mockResolvedValue(false);
+    authSessionService.isSessionActive.mockResolvedValue(true);
+    jwt.verify.mockImplementation((token, secret, callback) => callback(null, { id: 1, sid: 'session-1' }));
+    User.findByPk.mockResolvedValue({ id: 1 });
+  });
+
+  describe('authenticateToken', () => {
+    it('should pass tokens of an active session', async () => {
+      await run();
+
+      expect(authSessionService.isSessionActive).toHaveBeenCalledWith('session-1');
+      expect(req.user).toEqual({ id: 1 });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject logged out tokens', async () => {
+      isTokenBlacklisted.mockResolvedValue(true);
+
+      await run();
+
+      expect(next).toHaveBeenCalledWith(expect.any(ApiError));
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 401, message: 'Token is no longer valid' });
+      expect(jwt.verify).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens of a revoked session', async () => {
+      authSessionService.isSessionActive.mockResolvedValue(false);
+
+      await run();
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 401, message: 'Session has been revoked' });
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/models/initModels', () => ({
+  sequelize: {
+    query: jest.fn(),
+    QueryTypes: { SELECT: 'SELECT' }
+  }
+}));
+
+const { sequelize } = require('../../src/models/initModels');
+const mqttAclService = require('../../src/services/mqttAclService');
+const { SESSION_TYPES } = mqttAclService;
+
+const DEVICE_UUID = '123e4567-e89b-12d3-a456-426614174000';
+const OTHER_UUID = '987e6543-e21b-12d3-a456-426614174999';
+
+describe('MqttAclService', () => {
+  const deviceSession = { type: SESSION_TYPES.DEVICE, deviceUuid: DEVICE_UUID };
+  const organizationSession = {
+    type: SESSION_TYPES.ORGANIZATION,
+    organizationIds: [4, 7],
+    permissions: { 4: ['device.view'], 7: ['device.view', 'sensor.view'] }
+  };
+  const gatewaySession = { type: SESSION_TYPES.GATEWAY, deviceUuid: DEVICE_UUID, organizationIds: [4] };
+
+  describe('canPublish', () => {
+    test('should only let a device publish under its own UUID', async () => {
+      await expect(mqttAclService.canPublish(deviceSession, `devices/${DEVICE_UUID}/datastream`)).resolves.toBe(true);
+      await expect(mqttAclService.canPublish(deviceSession, `devices/${DEVICE_UUID}/commands/ack`)).resolves.toBe(true);
+      await expect(mqttAclService.canPublish(deviceSession, `devices/${OTHER_UUID}/datastream`)).resolves.toBe(false);
+      await expect(mqttAclService.canPublish(deviceSession, 'organizations/4/broadcast')).resolves.toBe(false);
+    });
+
+    test('should keep organization sessions read-only', async () => {
+      await expect(mqttAclService.canPublish(organizationSession, 'organizations/4/broadcast')).resolves.toBe(false);
+    });
+
+    test('should let a gateway publish for devices in its organizations', async () => {
+      sequelize.query.mockResolvedValueOnce([{ organizationId: 4, originatorType: 'sensor' }]);
+      sequelize.query.mockResolvedValueOnce([{ organizationId: 5, originatorType: 'device' }]);
+
+      await expect(mqttAclService.canPublish(gatewaySession, `devices/${DEVICE_UUID}/status`)).resolves.toBe(true);
+      await expect(mqttAclService.canPublish(gatewaySession, `devices/${OTHER_UUID}/datastream`)).resolves.toBe(true);
+      await expect(mqttAclService.canPublish(gatewaySession, 'devices/9/datastream')).resolves.toBe(false);
+      await expect(mqttAclService.canPublish(gatewaySession, 'devices/+/datastream')).resolves.toBe(false);
+      await expect(mqttAclService.canPublish(gatewaySession, 'organizations/4/broadcast')).resolves.toBe(false);
+      expect(sequelize.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not restrict the internal publisher', async () => {
+      await expect(mqttAclService.canPublish({ type: SESSION_TYPES.SERVICE }, 'organizations/4/rule-chains')).resolves.toBe(true);
+    });
+  });
+
+  describe('canSubscribe', () => {
+    test('should only let a device subscribe to its own commands', async () => {
+      await expect(mqttAclService.canSubscribe(deviceSession, `devices/${DEVICE_UUID}/commands`)).resolves.toBe(true);
+      await expect(mqttAclService.canSubscribe(deviceSession, `devices/${DEVICE_UUID}/#`)).resolves.toBe(false);
+      await expect(mqttAclService.canSubscribe(deviceSession, 'devices/+/commands')).resolves.toBe(false);
+    });
+
+    test('should let a device token subscribe to the commands of devices in its sensor\'s areas', async () => {
+      sequelize.query.mockResolvedValueOnce([{ id: 7 }]);
+      sequelize.query.mockResolvedValueOnce([]);
+
+      await expect(mqttAclService.canSubscribe(deviceSession, `devices/${OTHER_UUID}/commands`)).resolves.toBe(true);
+      await expect(mqttAclService.canSubscribe(deviceSession, 'devices/550e8400-e29b-41d4-a716-446655440001/commands')).resolves.toBe(false);
+      await expect(mqttAclService.canSubscribe(deviceSession, `devices/${OTHER_UUID}/datastream`)).resolves.toBe(false);
+      expect(sequelize.query).toHaveBeenCalledWith(expect.stringContaining('AreaSensor'), expect.objectContaining({
+        replacements: { sensorUuid: DEVICE_UUID, deviceUuid: OTHER_UUID }
+      }));
+    });
+
+    test('should let organization sessions subscribe to their own organization topics', async () => {
+      await expect(mqttAclService.canSubscribe(organizationSession, 'organizations/4/#')).resolves.toBe(true);
+      await expect(mqttAclService.canSubscribe(organizationSession, 'organizations/7/broadcast')).resolves.toBe(true);
+      await expect(mqttAclService.canSubscribe(organizationSession, 'organizations/5/#')).resolves.toBe(false);
+      await expect(mqttAclService.canSubscribe(organizationSession, 'organizations/+/broadcast')).resolves.toBe(false);
+      await expect(mqttAclService.canSubscribe(organizationSession, '#')).resolves.toBe(false);
+      expect(sequelize.query).not.toHaveBeenCalled();
+    });
+
+    test('should let a gateway subscribe to the commands of its organizations\' devices', async () => {
+      sequelize.query.mockResolvedValue([{ organizationId: 4, originatorType: 'device' }]);
+
+      await expect(mqttAclService.canSubscribe(gatewaySession, `devices/${DEVICE_UUID}/commands`)).resolves.toBe(true);
+      await expect(mqttAclService.canSubscribe(gatewaySession, `devices/${OTHER_UUID}/commands`)).resolves.toBe(true);
+      await expect(mqttAclService.canSubscribe(gatewaySession, `devices/${OTHER_UUID}/datastream`)).resolves.toBe(false);
+      await expect(mqttAclService.canSubscribe(gatewaySession, 'devices/+/commands')).resolves.toBe(false);
+    });
+
+    test('should let organization sessions follow devices they may view', async () => {
+      sequelize.query.mockResolvedValue([{ organizationId: 7, originatorType: 'sensor' }]);
+
+      await expect(mqttAclService.canSubscribe(organizationSession, `devices/${DEVICE_UUID}/status`)).resolves.toBe(true);
+      expect(sequelize.query).toHaveBeenCalledWith(expect.any(String), {
+        replacements: { uuid: DEVICE_UUID },
+        type: 'SELECT'
+      });
+    });
+
+    test('should require the view permission of the originator in the owning organization', async () => {
+      sequelize.query.mockResolvedValue([{ organizationId: 4, originatorType: 'sensor' }]);
+
+      await expect(mqttAclService.canSubscribe(organizationSession, `devices/${DEVICE_UUID}/datastream`)).resolves.toBe(false);
+    });
+
+    test('should let system admins subscribe to anything', async () => {
+      const adminSession = { type: SESSION_TYPES.ORGANIZATION, isSystemAdmin: true, organizationIds: [], permissions: {} };
+
+      await expect(mqttAclService.canSubscribe(adminSession, '#')).resolves.toBe(true);
+      await expect(mqttAclService.canPublish(adminSession, 'organizations/4/broadcast')).resolves.toBe(false);
+    });
+
+    test('should refuse devices of other organizations and device wildcards', async () => {
+      sequelize.query.mockResolvedValue([{ organizationId: 5, originatorType: 'device' }]);
+
+      await expect(mqttAclService.canSubscribe(organizationSession, `devices/${OTHER_UUID}/datastream`)).resolves.toBe(false);
+      await expect(mqttAclService.canSubscribe(organizationSession, 'devices/+/datastream')).resolves.toBe(false);
+      expect(sequelize.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
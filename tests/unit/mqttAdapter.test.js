@@ -244,6 +244,13 @@ describe('MQTTAdapter', () => {
       expect(result).toBe('commands');
     });
 
+    it('should identify command acknowledgement messages', () => {
+      const topic = 'devices/test-device/commands/ack';
+      const result = MQTTAdapter.getMessageType(topic);
+
+      expect(result).toBe('commandAck');
+    });
+
     it('should identify broadcast messages', () => {
       const topic = 'organizations/org-123/broadcast';
       const result = MQTTAdapter.getMessageType(topic);
@@ -0,0 +1,155 @@
+jest.mock('../../src/models/initModels', () => ({
+  User: { findByPk: jest.fn() },
+  sequelize: {
+    query: jest.fn(),
+    QueryTypes: { SELECT: 'SELECT' }
+  }
+}));
+
+jest.mock('../../src/services/authService', () => ({
+  verifyCredentials: jest.fn(),
+  verifyToken: jest.fn()
+}));
+
+jest.mock('../../src/services/roleService', () => ({
+  userIsSystemAdmin: jest.fn()
+}));
+
+jest.mock('../../src/services/gatewayCredentialService', () => ({
+  verify: jest.fn()
+}));
+
+jest.mock('../../src/services/mqttAclService', () => ({
+  organizationsOf: jest.fn()
+}));
+
+jest.mock('../../src/services/tokenBlacklistService', () => ({
+  isTokenBlacklisted: jest.fn()
+}));
+
+jest.mock('../../src/services/twoFactorService', () => ({
+  getLoginRequirement: jest.fn()
+}));
+
+jest.mock('../../src/services/loginProtectionService', () => ({
+  recordSuccess: jest.fn()
+}));
+
+const { User, sequelize } = require('../../src/models/initModels');
+const { ApiError } = require('../../src/middlewares/errorHandler');
+const authService = require('../../src/services/authService');
+const roleService = require('../../src/services/roleService');
+const gatewayCredentialService = require('../../src/services/gatewayCredentialService');
+const mqttAclService = require('../../src/services/mqttAclService');
+const { isTokenBlacklisted } = require('../../src/services/tokenBlacklistService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const loginProtectionService = require('../../src/services/loginProtectionService');
+const mqttAuthService = require('../../src/services/mqttAuthService');
+
+const GATEWAY_UUID = '123e4567-e89b-12d3-a456-426614174000';
+
+describe('MqttAuthService', () => {
+  const user = { id: 3, email: 'ops@example.com', status: true };
+
+  beforeEach(() => {
+    roleService.userIsSystemAdmin.mockResolvedValue(false);
+    isTokenBlacklisted.mockReturnValue(false);
+    sequelize.query.mockResolvedValue([
+      { organizationId: 4, permission: 'device.view' },
+      { organizationId: 4, permission: 'sensor.view' },
+      { organizationId: 7, permission: null }
+    ]);
+  });
+
+  describe('authenticateUser', () => {
+    test('should resolve a user with their memberships and permissions', async () => {
+      authService.verifyCredentials.mockResolvedValue(user);
+
+      await expect(mqttAuthService.authenticateUser('ops@example.com', Buffer.from('secret'))).resolves.toEqual({
+        userId: 3,
+        email: 'ops@example.com',
+        authMethod: 'password',
+        isSystemAdmin: false,
+        organizationIds: [4, 7],
+        permissions: { 4: ['device.view', 'sensor.view'], 7: [] }
+      });
+      expect(authService.verifyCredentials).toHaveBeenCalledWith('ops@example.com', 'secret');
+      expect(loginProtectionService.recordSuccess).toHaveBeenCalledWith('ops@example.com', user);
+      expect(sequelize.query).toHaveBeenCalledWith(expect.any(String), {
+        replacements: { userId: 3 },
+        type: 'SELECT'
+      });
+    });
+
+    test('should refuse wrong passwords, inactive users and unverified users', async () => {
+      authService.verifyCredentials.mockRejectedValueOnce(new ApiError(401, 'Invalid email or password'));
+      await expect(mqttAuthService.authenticateUser('ops@example.com', 'wrong')).resolves.toBeNull();
+
+      authService.verifyCredentials.mockResolvedValueOnce({ ...user, status: false });
+      await expect(mqttAuthService.authenticateUser('ops@example.com', 'secret')).resolves.toBeNull();
+
+      authService.verifyCredentials.mockRejectedValueOnce(new ApiError(403, 'User account is disabled'));
+      await expect(mqttAuthService.authenticateUser('ops@example.com', 'secret')).resolves.toBeNull();
+
+      authService.verifyCredentials.mockResolvedValueOnce({ ...user, emailVerified: false });
+      await expect(mqttAuthService.authenticateUser('ops@example.com', 'secret')).resolves.toBeNull();
+    });
+
+    test('should refuse password logins of users with two-factor authentication', async () => {
+      authService.verifyCredentials.mockResolvedValue(user);
+      twoFactorService.getLoginRequirement.mockResolvedValue('verify');
+
+      await expect(mqttAuthService.authenticateUser('ops@example.com', 'secret')).resolves.toBeNull();
+      expect(loginProtectionService.recordSuccess).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticateJwt', () => {
+    test('should resolve the user an access token belongs to', async () => {
+      authService.verifyToken.mockReturnValue({ id: 3 });
+      User.findByPk.mockResolvedValue(user);
+
+      const principal = await mqttAuthService.authenticateJwt('access-token');
+
+      expect(principal).toEqual(expect.objectContaining({ userId: 3, authMethod: 'jwt' }));
+    });
+
+    test('should refuse refresh, MFA challenge, blacklisted and invalid tokens', async () => {
+      authService.verifyToken.mockReturnValueOnce({ id: 3, tokenType: 'refresh' });
+      await expect(mqttAuthService.authenticateJwt('refresh-token')).resolves.toBeNull();
+
+      authService.verifyToken.mockReturnValueOnce({ id: 3, tokenType: 'mfa' });
+      await expect(mqttAuthService.authenticateJwt('mfa-token')).resolves.toBeNull();
+
+      isTokenBlacklisted.mockReturnValueOnce(true);
+      await expect(mqttAuthService.authenticateJwt('logged-out-token')).resolves.toBeNull();
+
+      authService.verifyToken.mockImplementationOnce(() => {
+        throw new ApiError(401, 'Invalid or expired token');
+      });
+      await expect(mqttAuthService.authenticateJwt('garbage')).resolves.toBeNull();
+
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticateGateway', () => {
+    test('should resolve a gateway with its organizations', async () => {
+      gatewayCredentialService.verify.mockResolvedValue({ id: 12, uuid: GATEWAY_UUID, deviceType: 'gateway' });
+      mqttAclService.organizationsOf.mockResolvedValue([4]);
+
+      await expect(mqttAuthService.authenticateGateway(GATEWAY_UUID, 'gateway-secret')).resolves.toEqual({
+        deviceId: 12,
+        deviceUuid: GATEWAY_UUID,
+        organizationIds: [4]
+      });
+    });
+
+    test('should refuse unknown gateway credentials', async () => {
+      gatewayCredentialService.verify.mockResolvedValue(null);
+
+      await expect(mqttAuthService.authenticateGateway(GATEWAY_UUID, 'wrong')).resolves.toBeNull();
+      expect(mqttAclService.organizationsOf).not.toHaveBeenCalled();
+    });
+  });
+});
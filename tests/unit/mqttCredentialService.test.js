@@ -0,0 +1,84 @@
+jest.mock('../../src/config/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+const redisConnection = require('../../src/config/redis');
+const config = require('../../src/config');
+const mqttCredentialService = require('../../src/services/mqttCredentialService');
+const { CREDENTIALS_KEY } = mqttCredentialService;
+
+describe('MqttCredentialService', () => {
+  const serviceAccount = { ...config.features.mqtt.serviceAccount };
+
+  beforeEach(() => {
+    config.features.mqtt.serviceAccount = { username: 'aemos-service', password: '', rotationInterval: 0, gracePeriod: 60000 };
+    mqttCredentialService.current = null;
+    mqttCredentialService.previous = null;
+    redisConnection.set.mockResolvedValue('OK');
+  });
+
+  afterAll(() => {
+    config.features.mqtt.serviceAccount = serviceAccount;
+  });
+
+  test('should generate credentials and share them through Redis', async () => {
+    await mqttCredentialService.initialize();
+
+    const credentials = await mqttCredentialService.getCredentials();
+    expect(credentials.username).toBe('aemos-service');
+    expect(credentials.password).toMatch(/^[0-9a-f]{64}$/);
+    expect(redisConnection.set).toHaveBeenCalledWith(CREDENTIALS_KEY, expect.stringContaining(credentials.password));
+    expect(mqttCredentialService.verify('aemos-service', Buffer.from(credentials.password))).toBe(true);
+    expect(mqttCredentialService.verify('aemos-service', 'wrong')).toBe(false);
+    expect(mqttCredentialService.verify('someone-else', credentials.password)).toBe(false);
+  });
+
+  test('should keep the previous password valid only during the grace period', async () => {
+    await mqttCredentialService.initialize();
+    const old = await mqttCredentialService.getCredentials();
+
+    await mqttCredentialService.rotate();
+
+    const rotated = await mqttCredentialService.getCredentials();
+    expect(rotated.password).not.toBe(old.password);
+    expect(mqttCredentialService.verify('aemos-service', rotated.password)).toBe(true);
+    expect(mqttCredentialService.verify('aemos-service', old.password)).toBe(true);
+
+    mqttCredentialService.previous.expiresAt = new Date(Date.now() - 1);
+    expect(mqttCredentialService.verify('aemos-service', old.password)).toBe(false);
+  });
+
+  test('should use configured credentials without rotating them', async () => {
+    config.features.mqtt.serviceAccount.password = 'configured-secret';
+
+    await mqttCredentialService.initialize();
+
+    await expect(mqttCredentialService.getCredentials()).resolves.toEqual({ username: 'aemos-service', password: 'configured-secret' });
+    expect(redisConnection.set).not.toHaveBeenCalled();
+  });
+
+  test('should refuse the old default password as configuration', async () => {
+    config.features.mqtt.serviceAccount.password = 'publisher-secret';
+
+    await mqttCredentialService.initialize();
+
+    expect(mqttCredentialService.verify('aemos-service', 'publisher-secret')).toBe(false);
+    expect(mqttCredentialService.isLegacyCredentials('publisher', Buffer.from('publisher-secret'))).toBe(true);
+  });
+
+  test('should load credentials issued by the broker process from Redis', async () => {
+    redisConnection.get.mockResolvedValue(JSON.stringify({ username: 'aemos-service', password: 'abc', issuedAt: new Date() }));
+
+    await expect(mqttCredentialService.getCredentials()).resolves.toEqual({ username: 'aemos-service', password: 'abc' });
+    expect(redisConnection.get).toHaveBeenCalledWith(CREDENTIALS_KEY);
+  });
+
+  test('should keep working in this process when Redis is unavailable', async () => {
+    redisConnection.set.mockRejectedValue(new Error('Connection is closed'));
+
+    await mqttCredentialService.initialize();
+
+    await expect(mqttCredentialService.getCredentials()).resolves.toEqual(expect.objectContaining({ username: 'aemos-service' }));
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('mqtt', () => ({ connect: jest.fn() }));
+jest.mock('../../src/services/mqttCredentialService', () => ({
+  getCredentials: jest.fn(),
+  SERVICE_CLIENT_ID_PREFIX: 'service_'
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mqtt = require('mqtt');
+const config = require('../../src/config/features');
+const mqttCredentialService = require('../../src/services/mqttCredentialService');
+const mqttPublisherService = require('../../src/services/mqttPublisherService');
+
+describe('MQTTPublisherService.initialize', () => {
+  const originalEnabled = config.mqtt.enabled;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    config.mqtt.enabled = true;
+    mqtt.connect.mockReturnValue({ on: jest.fn(), end: jest.fn() });
+  });
+
+  afterEach(() => {
+    mqttPublisherService.shutdown();
+    mqttPublisherService.initializeAttempts = 0;
+    config.mqtt.enabled = originalEnabled;
+    jest.useRealTimers();
+  });
+
+  it('should keep retrying until the service credentials are stored', async () => {
+    mqttCredentialService.getCredentials
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValue({ username: 'svc', password: 'secret' });
+
+    await mqttPublisherService.initialize();
+    expect(mqtt.connect).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mqtt.connect).not.toHaveBeenCalled();
+
+    // Second retry backs off to twice the delay
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(mqtt.connect).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect(mqtt.connect).toHaveBeenCalledTimes(1);
+    expect(mqtt.connect.mock.calls[0][1]).toMatchObject({ username: 'svc', password: 'secret' });
+    expect(mqttPublisherService.initializeAttempts).toBe(0);
+  });
+
+  it('should stop retrying after shutdown', async () => {
+    mqttCredentialService.getCredentials.mockResolvedValue(null);
+
+    await mqttPublisherService.initialize();
+    mqttPublisherService.shutdown();
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(mqttCredentialService.getCredentials).toHaveBeenCalledTimes(1);
+  });
+});
@@ -9,6 +9,8 @@ describe('MQTTService', () => {
   let MQTTAdapter;
   let messageRouter;
   let DeviceToken;
+  let connectivityService;
+  let mqttAuthService;
   let logger;
 
   beforeEach(() => {
@@ -37,10 +39,20 @@ describe('MQTTService', () => {
           qos: {
             default: 1,
             dataStream: 1
+          },
+          serviceAccount: {
+            username: 'aemos-service',
+            password: '',
+            rotationInterval: 0,
+            gracePeriod: 60000
           }
         }
       }
     }));
+    jest.mock('../../src/config/redis', () => ({
+      get: jest.fn(),
+      set: jest.fn()
+    }));
     jest.mock('../../src/adapters/mqttAdapter', () => ({
       normalizeMessage: jest.fn(),
       validateMessage: jest.fn()
@@ -53,11 +65,27 @@ describe('MQTTService', () => {
         findOne: jest.fn()
       }
     }));
+    jest.mock('../../src/models/Sensor', () => ({}));
+    jest.mock('../../src/services/deviceTokenService', () => ({
+      canActForDevice: jest.fn()
+    }));
+    jest.mock('../../src/services/connectivityService', () => ({
+      recordHeartbeat: jest.fn()
+    }));
+    jest.mock('../../src/services/mqttAuthService', () => ({
+      isUserLogin: (username) => String(username).includes('@'),
+      isJwtLogin: (username) => username === 'jwt',
+      authenticateUser: jest.fn(),
+      authenticateJwt: jest.fn(),
+      authenticateGateway: jest.fn()
+    }));
 
     // Get fresh instances of mocked modules
     MQTTAdapter = require('../../src/adapters/mqttAdapter');
     messageRouter = require('../../src/services/messageRouter');
     DeviceToken = require('../../src/models/initModels').DeviceToken;
+    connectivityService = require('../../src/services/connectivityService');
+    mqttAuthService = require('../../src/services/mqttAuthService');
     logger = require('../../src/utils/logger');
     
     // Mock MQTT server
@@ -270,11 +298,122 @@ describe('MQTTService', () => {
     });
   });
 
+  describe('service account', () => {
+    let mqttCredentialService;
+    let metricsManager;
+    let credentials;
+
+    beforeEach(async () => {
+      mqttCredentialService = require('../../src/services/mqttCredentialService');
+      metricsManager = require('../../src/utils/metricsManager');
+      jest.spyOn(metricsManager, 'incrementCounter');
+      await mqttCredentialService.initialize();
+      credentials = await mqttCredentialService.getCredentials();
+    });
+
+    it('should accept the current service credentials as an internal publisher', async () => {
+      const publisher = { ...mockClient, id: 'aemos-publisher-1' };
+
+      await expect(mqttService.authenticateClient(publisher, credentials.username, credentials.password)).resolves.toBe(true);
+      expect(mqttService.authenticatedClients.get('aemos-publisher-1').type).toBe('service');
+    });
+
+    it('should reject and audit the old default publisher credentials', async () => {
+      await expect(mqttService.authenticateClient(mockClient, 'publisher', 'publisher-secret')).resolves.toBe(false);
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('service account login rejected'),
+        expect.objectContaining({ reason: 'legacy_credentials', clientId: 'test-client-id' })
+      );
+      expect(metricsManager.incrementCounter).toHaveBeenCalledWith('mqtt_auth_rejections_total', { reason: 'legacy_credentials' });
+    });
+
+    it('should reject a device token client using the reserved client ID prefix', async () => {
+      const impostor = { ...mockClient, id: 'aemos-publisher-evil' };
+
+      await expect(mqttService.authenticateClient(impostor, 'test-device', 'valid-token')).resolves.toBe(false);
+      expect(DeviceToken.findOne).not.toHaveBeenCalled();
+      expect(metricsManager.incrementCounter).toHaveBeenCalledWith('mqtt_auth_rejections_total', { reason: 'reserved_client_id' });
+    });
+
+    it('should not treat the reserved prefix as internal when publishing', async () => {
+      const impostor = { ...mockClient, id: 'aemos-publisher-evil' };
+      mqttService.authenticatedClients.set('aemos-publisher-evil', { client: impostor, type: 'device', deviceUuid: 'test-device' });
+      MQTTAdapter.normalizeMessage.mockReturnValue({ topic: 'devices/test-device/datastream' });
+      MQTTAdapter.validateMessage.mockReturnValue(true);
+      messageRouter.route.mockResolvedValue({ status: 'success' });
+
+      await mqttService.handlePublish(impostor, { topic: 'devices/test-device/datastream', payload: Buffer.from('{}'), qos: 1 });
+
+      expect(messageRouter.route).toHaveBeenCalled();
+    });
+  });
+
+  describe('user and gateway logins', () => {
+    const GATEWAY_UUID = '123e4567-e89b-12d3-a456-426614174000';
+    let metricsManager;
+
+    beforeEach(() => {
+      metricsManager = require('../../src/utils/metricsManager');
+      jest.spyOn(metricsManager, 'incrementCounter');
+      connectivityService.recordHeartbeat.mockResolvedValue(null);
+    });
+
+    it('should open an organization session for a user logging in with email and password', async () => {
+      const user = {
+        userId: 3,
+        email: 'ops@example.com',
+        authMethod: 'password',
+        isSystemAdmin: false,
+        organizationIds: [4],
+        permissions: { 4: ['device.view'] }
+      };
+      mqttAuthService.authenticateUser.mockResolvedValue(user);
+
+      await expect(mqttService.authenticateClient(mockClient, 'ops@example.com', 'secret')).resolves.toBe(true);
+
+      expect(mqttAuthService.authenticateUser).toHaveBeenCalledWith('ops@example.com', 'secret');
+      expect(mqttService.authenticatedClients.get('test-client-id')).toEqual({
+        client: mockClient,
+        type: 'organization',
+        ...user,
+        authenticatedAt: expect.any(Date)
+      });
+      expect(DeviceToken.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject and count an invalid JWT', async () => {
+      mqttAuthService.authenticateJwt.mockResolvedValue(null);
+
+      await expect(mqttService.authenticateClient(mockClient, 'jwt', 'expired-token')).resolves.toBe(false);
+
+      expect(mqttService.authenticatedClients.has('test-client-id')).toBe(false);
+      expect(metricsManager.incrementCounter).toHaveBeenCalledWith('mqtt_auth_rejections_total', { reason: 'invalid_jwt' });
+    });
+
+    it('should open a gateway session with a Last Will and presence', async () => {
+      mqttAuthService.authenticateGateway.mockResolvedValue({ deviceId: 12, deviceUuid: GATEWAY_UUID, organizationIds: [4] });
+
+      await expect(mqttService.authenticateClient(mockClient, GATEWAY_UUID, 'gateway-secret')).resolves.toBe(true);
+      mqttService.handleClientConnection(mockClient);
+
+      expect(mqttService.authenticatedClients.get('test-client-id')).toEqual(expect.objectContaining({
+        type: 'gateway',
+        deviceId: 12,
+        deviceUuid: GATEWAY_UUID,
+        organizationIds: [4]
+      }));
+      expect(mockClient._will.topic).toBe(`devices/${GATEWAY_UUID}/status`);
+      expect(connectivityService.recordHeartbeat).toHaveBeenCalledWith(GATEWAY_UUID, { reportedStatus: undefined });
+      expect(DeviceToken.findOne).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleClientDisconnect', () => {
     beforeEach(() => {
       mqttService.initialize();
       mqttService.clients.set('test-client-id', mockClient);
-      mqttService.authenticatedClients.set('test-client-id', { deviceUuid: 'test-device' });
+      mqttService.authenticatedClients.set('test-client-id', { client: mockClient, type: 'device', deviceUuid: 'test-device' });
     });
 
     it('should handle client disconnect', () => {
@@ -284,6 +423,122 @@ describe('MQTTService', () => {
       expect(mqttService.authenticatedClients.has('test-client-id')).toBe(false);
       expect(logger.info).toHaveBeenCalledWith('MQTT client disconnected: test-client-id');
     });
+
+    it('should mark the device offline', () => {
+      mqttService.handleClientDisconnect(mockClient);
+
+      expect(connectivityService.recordHeartbeat).toHaveBeenCalledWith('test-device', { reportedStatus: 'offline' });
+    });
+
+    it('should keep the session of a client that reconnected with the same ID', () => {
+      const reconnected = { ...mockClient };
+      mqttService.authenticatedClients.set('test-client-id', { client: reconnected, type: 'device', deviceUuid: 'test-device' });
+
+      mqttService.handleClientDisconnect(mockClient);
+
+      expect(mqttService.authenticatedClients.get('test-client-id').client).toBe(reconnected);
+      expect(connectivityService.recordHeartbeat).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('presence', () => {
+    const SENSOR_UUID = '123e4567-e89b-12d3-a456-426614174000';
+
+    beforeEach(() => {
+      DeviceToken.findOne.mockResolvedValue({ token: 'valid-token', Sensor: { uuid: SENSOR_UUID } });
+      connectivityService.recordHeartbeat.mockResolvedValue(null);
+      mockClient.version = 4;
+      mockClient.conn = { remoteAddress: '10.0.0.5' };
+    });
+
+    it('should register a Last Will on the device status topic', async () => {
+      await expect(mqttService.authenticateClient(mockClient, SENSOR_UUID, 'valid-token')).resolves.toBe(true);
+
+      expect(mockClient._will).toEqual({
+        topic: `devices/${SENSOR_UUID}/status`,
+        payload: Buffer.from(JSON.stringify({ status: 'offline', reason: 'connection-lost' })),
+        qos: 1,
+        retain: false
+      });
+    });
+
+    it('should keep a Last Will the device sent itself', async () => {
+      const will = { topic: `devices/${SENSOR_UUID}/status`, payload: Buffer.from('{"status":"offline"}'), qos: 2, retain: true };
+      mockClient._will = will;
+
+      await mqttService.authenticateClient(mockClient, SENSOR_UUID, 'valid-token');
+
+      expect(mockClient._will).toBe(will);
+    });
+
+    it('should record a heartbeat and expose the connection once the client is registered', async () => {
+      await mqttService.authenticateClient(mockClient, SENSOR_UUID, 'valid-token');
+      expect(mqttService.getConnection(SENSOR_UUID)).toBeNull();
+
+      mqttService.handleClientConnection(mockClient);
+
+      expect(connectivityService.recordHeartbeat).toHaveBeenCalledWith(SENSOR_UUID, { reportedStatus: undefined });
+      expect(mqttService.getConnection(SENSOR_UUID)).toEqual({
+        clientId: 'test-client-id',
+        protocol: 'mqtt',
+        protocolVersion: 4,
+        ip: '10.0.0.5',
+        connectedSince: expect.any(Date),
+        qos: 1
+      });
+    });
+
+    it('should not record presence for the internal publisher', async () => {
+      const mqttCredentialService = require('../../src/services/mqttCredentialService');
+      await mqttCredentialService.initialize();
+      const { username, password } = await mqttCredentialService.getCredentials();
+      await mqttService.authenticateClient(mockClient, username, password);
+
+      mqttService.handleClientConnection(mockClient);
+      mqttService.handleClientDisconnect(mockClient);
+
+      expect(connectivityService.recordHeartbeat).not.toHaveBeenCalled();
+    });
+
+    it('should not route the Last Will of a closed client', async () => {
+      mockClient.closed = true;
+
+      await mqttService.handlePublish(mockClient, { topic: `devices/${SENSOR_UUID}/status`, payload: Buffer.from('{}'), qos: 1 });
+
+      expect(MQTTAdapter.normalizeMessage).not.toHaveBeenCalled();
+      expect(messageRouter.route).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authorizeTopic', () => {
+    const SENSOR_UUID = '123e4567-e89b-12d3-a456-426614174000';
+    let metricsManager;
+
+    beforeEach(async () => {
+      metricsManager = require('../../src/utils/metricsManager');
+      jest.spyOn(metricsManager, 'incrementCounter');
+      // other-device shares no area with the token's sensor
+      require('../../src/services/deviceTokenService').canActForDevice.mockResolvedValue(false);
+      DeviceToken.findOne.mockResolvedValue({ token: 'valid-token', Sensor: { uuid: SENSOR_UUID } });
+      await mqttService.authenticateClient(mockClient, SENSOR_UUID, 'valid-token');
+    });
+
+    it('should allow a device to publish under its own UUID', async () => {
+      await expect(mqttService.authorizeTopic(mockClient, 'publish', `devices/${SENSOR_UUID}/datastream`)).resolves.toBe(true);
+      expect(metricsManager.incrementCounter).not.toHaveBeenCalled();
+    });
+
+    it('should deny and count a device subscribing to another device', async () => {
+      await expect(mqttService.authorizeTopic(mockClient, 'subscribe', 'devices/other-device/commands')).resolves.toBe(false);
+      expect(metricsManager.incrementCounter).toHaveBeenCalledWith('mqtt_acl_denials_total', { operation: 'subscribe', clientType: 'device' });
+    });
+
+    it('should deny clients without a session', async () => {
+      const stranger = { ...mockClient, id: 'stranger' };
+
+      await expect(mqttService.authorizeTopic(stranger, 'publish', `devices/${SENSOR_UUID}/datastream`)).resolves.toBe(false);
+      expect(metricsManager.incrementCounter).toHaveBeenCalledWith('mqtt_acl_denials_total', { operation: 'publish', clientType: 'unauthenticated' });
+    });
   });
 
   describe('handlePublish', () => {
@@ -0,0 +1,707 @@
+const { ruleChainService } = require('../../src/services/ruleChainService');
+
+jest.mock('../../src/ruleEngine/indexing/RuleChainIndex', () => ({
+  getRuleChainsForSensor: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceCommandService', () => ({
+  sendCommand: jest.fn(),
+  DELIVERY_STATUS: { SENT: 'sent', DELIVERED: 'delivered', QUEUED: 'queued', FAILED: 'failed' }
+}));
+
+jest.mock('../../src/services/ruleChainExecutionService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../../src/services/ruleNotificationService', () => ({
+  notify: jest.fn()
+}));
+
+jest.mock('../../src/services/alarmService', () => ({
+  raise: jest.fn(),
+  clearByOriginator: jest.fn()
+}));
+
+jest.mock('../../src/ruleEngine/conditions/ConditionStateStore', () => ({
+  getFilterState: jest.fn(),
+  saveFilterState: jest.fn(),
+  claimCooldown: jest.fn(),
+  releaseCooldown: jest.fn(),
+  clearNodeState: jest.fn()
+}));
+
+jest.mock('../../src/models/initModels', () => ({
+  Sensor: { findOne: jest.fn() },
+  Device: { findOne: jest.fn() },
+  TelemetryData: { findOne: jest.fn() },
+  DataStream: { findOne: jest.fn() },
+  DeviceState: { findOne: jest.fn() },
+  DeviceStateInstance: { findOne: jest.fn() },
+  RuleChain: { findAll: jest.fn(), findByPk: jest.fn() },
+  RuleChainNode: { findAll: jest.fn(), findByPk: jest.fn(), findOne: jest.fn() }
+}));
+
+const { Device, RuleChainNode, Sensor, TelemetryData, DataStream } = require('../../src/models/initModels');
+const deviceCommandService = require('../../src/services/deviceCommandService');
+const ruleChainExecutionService = require('../../src/services/ruleChainExecutionService');
+const ConditionStateStore = require('../../src/ruleEngine/conditions/ConditionStateStore');
+const ruleNotificationService = require('../../src/services/ruleNotificationService');
+const alarmService = require('../../src/services/alarmService');
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const FAN_UUID = '550e8400-e29b-41d4-a716-446655440001';
+
+const temperatureFilter = (overrides = {}) => ({
+  id: 1,
+  name: 'Too hot',
+  type: 'filter',
+  config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 30 },
+  nextNodeId: null,
+  edges: [
+    { label: 'true', targetNodeId: 2 },
+    { label: 'false', targetNodeId: 3 }
+  ],
+  ...overrides
+});
+
+const fanAction = (id, value) => ({
+  id,
+  name: `Fan ${value}`,
+  type: 'action',
+  config: { type: 'device_command', command: { deviceUuid: FAN_UUID, stateName: 'power', value } },
+  nextNodeId: null,
+  edges: null
+});
+
+const mockChain = (nodes) => {
+  jest.spyOn(ruleChainService, 'findChainById').mockResolvedValue({ id: 10, name: 'Fan control', publishedVersion: 3, nodes });
+};
+
+const sensorData = (temperature) => ({
+  sensorData: [{ UUID: SENSOR_UUID, temperature, timestamp: new Date() }],
+  deviceData: []
+});
+
+describe('RuleChainService - branching execution', () => {
+  beforeEach(() => {
+    Device.findOne.mockResolvedValue({ id: 7, uuid: FAN_UUID, communicationProtocol: 'mqtt' });
+    deviceCommandService.sendCommand.mockResolvedValue({
+      command: { commandId: 'cmd-1', status: 'sent' },
+      delivery: { channel: 'mqtt', status: 'sent' }
+    });
+  });
+
+  describe('execute', () => {
+    test('should follow the true edge when the filter passes', async () => {
+      mockChain([temperatureFilter(), fanAction(2, 'on'), fanAction(3, 'off')]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.status).toBe('success');
+      expect(result.nodeResults.actions).toHaveLength(1);
+      expect(result.nodeResults.actions[0].command.value).toBe('on');
+      expect(result.nodeResults.branches).toEqual([{ fromNodeId: 1, label: 'true', toNodeId: 2 }]);
+      expect(result.summary.branchesTaken).toBe(1);
+      expect(result.summary.filtersPassed).toBe(true);
+    });
+
+    test('should follow the false edge when the filter fails', async () => {
+      mockChain([temperatureFilter(), fanAction(2, 'on'), fanAction(3, 'off')]);
+
+      const result = await ruleChainService.execute(10, sensorData(20), 5000);
+
+      expect(result.nodeResults.actions).toHaveLength(1);
+      expect(result.nodeResults.actions[0].command.value).toBe('off');
+      expect(result.nodeResults.branches).toEqual([{ fromNodeId: 1, label: 'false', toNodeId: 3 }]);
+      expect(result.summary.filtersPassed).toBe(false);
+    });
+
+    test('should keep legacy nextNodeId behaviour for nodes without edges', async () => {
+      mockChain([
+        temperatureFilter({ edges: null, nextNodeId: 2 }),
+        fanAction(2, 'on')
+      ]);
+
+      const passed = await ruleChainService.execute(10, sensorData(35), 5000);
+      expect(passed.nodeResults.actions).toHaveLength(1);
+      expect(passed.nodeResults.branches).toEqual([{ fromNodeId: 1, label: 'next', toNodeId: 2 }]);
+
+      const failed = await ruleChainService.execute(10, sensorData(20), 5000);
+      expect(failed.nodeResults.actions).toHaveLength(0);
+    });
+
+    test('should start from the node no other node links to', async () => {
+      mockChain([
+        fanAction(2, 'on'),
+        temperatureFilter({ edges: [{ label: 'true', targetNodeId: 2 }] })
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.executionDetails.executedNodes.map((node) => node.nodeId)).toEqual([1, 2]);
+    });
+
+    test('should run a node joined by two branches only once', async () => {
+      mockChain([
+        temperatureFilter({
+          edges: [
+            { label: 'true', targetNodeId: 4 },
+            { label: 'success', targetNodeId: 5 }
+          ]
+        }),
+        { ...fanAction(4, 'on'), edges: [{ label: 'success', targetNodeId: 6 }] },
+        { ...fanAction(5, 'high'), edges: [{ label: 'success', targetNodeId: 6 }] },
+        fanAction(6, 'logged')
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.status).toBe('success');
+      expect(result.nodeResults.actions.map((action) => action.nodeId)).toEqual([4, 5, 6]);
+    });
+
+    test('should run a join node only after its longer branch has finished', async () => {
+      mockChain([
+        temperatureFilter({
+          edges: [
+            { label: 'true', targetNodeId: 2 },
+            { label: 'success', targetNodeId: 3 }
+          ]
+        }),
+        { ...fanAction(2, 'on'), edges: [{ label: 'success', targetNodeId: 4 }] },
+        { ...fanAction(3, 'high'), edges: [{ label: 'success', targetNodeId: 5 }] },
+        { ...fanAction(4, 'medium'), edges: [{ label: 'success', targetNodeId: 6 }] },
+        { ...fanAction(6, 'low'), edges: [{ label: 'success', targetNodeId: 5 }] },
+        fanAction(5, 'logged')
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.status).toBe('success');
+      expect(result.nodeResults.actions.map((action) => action.nodeId)).toEqual([2, 3, 4, 6, 5]);
+    });
+
+    test('should run a join node once the branches not taken are ruled out', async () => {
+      mockChain([
+        temperatureFilter({
+          edges: [
+            { label: 'true', targetNodeId: 2 },
+            { label: 'false', targetNodeId: 3 }
+          ]
+        }),
+        { ...fanAction(2, 'on'), edges: [{ label: 'success', targetNodeId: 4 }] },
+        { ...fanAction(3, 'off'), edges: [{ label: 'success', targetNodeId: 5 }] },
+        { ...fanAction(4, 'medium'), edges: [{ label: 'success', targetNodeId: 5 }] },
+        fanAction(5, 'logged')
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.status).toBe('success');
+      expect(result.nodeResults.actions.map((action) => action.nodeId)).toEqual([2, 4, 5]);
+    });
+
+    test('should abort with circular when a branch leads back to an ancestor', async () => {
+      mockChain([
+        temperatureFilter({ edges: [{ label: 'true', targetNodeId: 2 }] }),
+        { ...fanAction(2, 'on'), edges: [{ label: 'success', targetNodeId: 1 }] }
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.status).toBe('aborted');
+      expect(result.summary.abortedReason).toBe('circular');
+    });
+
+    test('should follow the error edge when a node throws', async () => {
+      mockChain([
+        temperatureFilter({
+          config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '~', value: 1 },
+          edges: [{ label: 'error', targetNodeId: 3 }]
+        }),
+        fanAction(3, 'off')
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.executionDetails.executedNodes[0]).toMatchObject({ nodeId: 1, outcome: 'error' });
+      expect(result.nodeResults.branches).toEqual([{ fromNodeId: 1, label: 'error', toNodeId: 3 }]);
+    });
+
+    test('should record the delivery status of dispatched commands', async () => {
+      mockChain([temperatureFilter(), fanAction(2, 'on'), fanAction(3, 'off')]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(deviceCommandService.sendCommand).toHaveBeenCalledWith(
+        expect.objectContaining({ uuid: FAN_UUID }),
+        { stateName: 'power', value: 'on' },
+        { initiatedBy: 'rule_chain', ruleChainId: 10, ruleChainNodeId: 2, triggerChain: [10] }
+      );
+      expect(result.nodeResults.actions[0]).toMatchObject({
+        commandId: 'cmd-1',
+        commandStatus: 'sent',
+        delivery: { channel: 'mqtt', status: 'sent' }
+      });
+    });
+
+    test('should take the failure edge when a command cannot be delivered', async () => {
+      deviceCommandService.sendCommand.mockResolvedValue({
+        command: { commandId: 'cmd-1', status: 'pending' },
+        delivery: { channel: 'mqtt', status: 'failed', reason: 'MQTT is disabled' }
+      });
+      mockChain([
+        { ...fanAction(2, 'on'), edges: [{ label: 'failure', targetNodeId: 3 }] },
+        fanAction(3, 'off')
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.nodeResults.actions[0]).toMatchObject({ status: 'error', error: 'MQTT is disabled' });
+      expect(result.nodeResults.branches).toEqual([{ fromNodeId: 2, label: 'failure', toNodeId: 3 }]);
+    });
+
+    test('should rethrow node errors when there is no error edge', async () => {
+      mockChain([
+        temperatureFilter({
+          config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '~', value: 1 }
+        })
+      ]);
+
+      await expect(ruleChainService.execute(10, sensorData(35), 5000)).rejects.toThrow('Unknown operator');
+      expect(ruleChainExecutionService.record).toHaveBeenCalledWith(expect.objectContaining({
+        ruleChainId: 10,
+        error: expect.objectContaining({ message: expect.stringContaining('Unknown operator') })
+      }));
+    });
+
+    test('should let later filters read a value derived by an expression transform', async () => {
+      mockChain([
+        {
+          id: 1,
+          name: 'To Fahrenheit',
+          type: 'transform',
+          config: {
+            type: 'expression',
+            expression: `convert(sensor[${SENSOR_UUID}].temperature, 'C', 'F')`,
+            output: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperatureF' }
+          },
+          nextNodeId: null,
+          edges: [{ label: 'success', targetNodeId: 4 }]
+        },
+        temperatureFilter({
+          id: 4,
+          config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperatureF', operator: '>', value: 90 }
+        }),
+        fanAction(2, 'on'),
+        fanAction(3, 'off')
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.executionDetails.finalData.sensorData[SENSOR_UUID].temperatureF).toBeCloseTo(95);
+      expect(result.nodeResults.actions[0].command.value).toBe('on');
+    });
+
+    test('should record each run in the execution history with the version that ran', async () => {
+      mockChain([temperatureFilter(), fanAction(2, 'on'), fanAction(3, 'off')]);
+      const rawData = { ...sensorData(35), meta: { trigger: { type: 'telemetry-data', originatorUUID: SENSOR_UUID } } };
+
+      const result = await ruleChainService.execute(10, rawData, 5000);
+
+      expect(ruleChainExecutionService.record).toHaveBeenCalledWith({
+        ruleChainId: 10,
+        ruleChainVersion: 3,
+        trigger: { type: 'telemetry-data', originatorUUID: SENSOR_UUID },
+        rawData,
+        result,
+        error: undefined,
+        startedAt: expect.any(Date),
+        durationMs: expect.any(Number)
+      });
+    });
+  });
+
+  describe('aggregate filters', () => {
+    const humidityAverage = {
+      sourceType: 'sensor',
+      UUID: SENSOR_UUID,
+      key: 'humidity',
+      aggregate: 'avg',
+      window: '10m',
+      operator: '>',
+      value: 70
+    };
+
+    test('should collect the window aggregate instead of the latest value', async () => {
+      Sensor.findOne.mockResolvedValue({ id: 1 });
+      TelemetryData.findOne.mockResolvedValue({ id: 9, datatype: 'number' });
+      DataStream.findOne.mockResolvedValue({ samples: 12, result: '74.250000' });
+      const sensorReqs = new Map();
+      ruleChainService._extractRequirements(humidityAverage, sensorReqs, new Map());
+
+      const result = await ruleChainService._collectSensorData(sensorReqs);
+
+      expect(Array.from(sensorReqs.get(SENSOR_UUID))).toEqual(['avg(humidity,10m)']);
+      expect(TelemetryData.findOne).toHaveBeenCalledWith({ where: { sensorId: 1, variableName: 'humidity' } });
+      expect(result.data).toEqual([{ UUID: SENSOR_UUID, 'avg(humidity,10m)': 74.25 }]);
+    });
+
+    test('should compare the aggregate rather than the latest value', () => {
+      const data = { sensorData: { [SENSOR_UUID]: { humidity: 50, 'avg(humidity,10m)': 74.25 } }, deviceData: {} };
+
+      expect(ruleChainService._evaluateCondition(data, humidityAverage)).toBe(true);
+      expect(ruleChainService._evaluateCondition(data, { ...humidityAverage, aggregate: 'max' })).toBe(false);
+    });
+
+    test('should reject invalid aggregate settings in nested conditions', () => {
+      const config = { type: 'OR', expressions: [humidityAverage, { ...humidityAverage, window: 'soon' }] };
+
+      expect(() => ruleChainService._validateAggregateConfig(config, 'filter')).toThrow('Invalid aggregate filter condition');
+      expect(() => ruleChainService._validateAggregateConfig(humidityAverage, 'filter')).not.toThrow();
+    });
+  });
+
+  describe('hold duration, hysteresis and cooldown', () => {
+    const fanOnAbove30 = (condition = {}, nodeOverrides = {}) => temperatureFilter({
+      config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 30, ...condition },
+      edges: [{ label: 'true', targetNodeId: 2 }],
+      ...nodeOverrides
+    });
+
+    beforeEach(() => {
+      ConditionStateStore.getFilterState.mockResolvedValue({ latched: false, since: null, version: 0 });
+      ConditionStateStore.saveFilterState.mockResolvedValue(true);
+      ConditionStateStore.claimCooldown.mockResolvedValue({ claimed: true, remainingMs: 60000 });
+      ConditionStateStore.releaseCooldown.mockResolvedValue();
+    });
+
+    test('should not touch Redis for filters without timing options', async () => {
+      mockChain([fanOnAbove30(), fanAction(2, 'on')]);
+
+      await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(ConditionStateStore.getFilterState).not.toHaveBeenCalled();
+      expect(ConditionStateStore.claimCooldown).not.toHaveBeenCalled();
+    });
+
+    test('should hold back a condition until it has held for its duration', async () => {
+      mockChain([fanOnAbove30({ duration: '30s' }), fanAction(2, 'on')]);
+
+      const first = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(first.nodeResults.actions).toHaveLength(0);
+      expect(ConditionStateStore.saveFilterState).toHaveBeenCalledWith(10, 1, { latched: false, since: expect.any(Number) }, 0);
+
+      ConditionStateStore.getFilterState.mockResolvedValue({ latched: false, since: Date.now() - 31000, version: 1 });
+      const later = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(later.nodeResults.actions).toHaveLength(1);
+      expect(later.executionDetails.executedNodes[0].conditionState).toMatchObject({ rawPassed: true, latched: true });
+    });
+
+    test('should restart the hold when the condition drops', async () => {
+      ConditionStateStore.getFilterState.mockResolvedValue({ latched: false, since: Date.now() - 20000, version: 1 });
+      mockChain([fanOnAbove30({ duration: '30s' }), fanAction(2, 'on')]);
+
+      await ruleChainService.execute(10, sensorData(25), 5000);
+
+      expect(ConditionStateStore.saveFilterState).toHaveBeenCalledWith(10, 1, { latched: false, since: null }, 1);
+    });
+
+    test('should stay on until the value crosses the reset threshold', async () => {
+      ConditionStateStore.getFilterState.mockResolvedValue({ latched: true, since: Date.now() - 1000, version: 2 });
+      mockChain([fanOnAbove30({ resetValue: 27 }), fanAction(2, 'on')]);
+
+      const stillOn = await ruleChainService.execute(10, sensorData(28), 5000);
+      expect(stillOn.summary.filtersPassed).toBe(true);
+      expect(stillOn.executionDetails.executedNodes[0].conditionState.usedResetValue).toBe(true);
+
+      const off = await ruleChainService.execute(10, sensorData(26), 5000);
+      expect(off.summary.filtersPassed).toBe(false);
+      expect(ConditionStateStore.saveFilterState).toHaveBeenLastCalledWith(10, 1, { latched: false, since: null }, 2);
+    });
+
+    test('should evaluate again when another worker saved the state first', async () => {
+      ConditionStateStore.getFilterState
+        .mockResolvedValueOnce({ latched: false, since: null, version: 0 })
+        .mockResolvedValueOnce({ latched: true, since: Date.now() - 1000, version: 1 });
+      ConditionStateStore.saveFilterState.mockResolvedValueOnce(false);
+      mockChain([fanOnAbove30({ duration: '30s' }), fanAction(2, 'on')]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(ConditionStateStore.getFilterState).toHaveBeenCalledTimes(2);
+      expect(ConditionStateStore.saveFilterState).toHaveBeenCalledTimes(1);
+      expect(result.nodeResults.actions).toHaveLength(1);
+    });
+
+    test('should use the on threshold while unlatched', async () => {
+      mockChain([fanOnAbove30({ resetValue: 27 }), fanAction(2, 'on')]);
+
+      const result = await ruleChainService.execute(10, sensorData(28), 5000);
+
+      expect(result.summary.filtersPassed).toBe(false);
+    });
+
+    test('should skip an action that is still cooling down', async () => {
+      ConditionStateStore.claimCooldown.mockResolvedValue({ claimed: false, remainingMs: 42000 });
+      mockChain([
+        fanOnAbove30(),
+        { ...fanAction(2, 'on'), config: { ...fanAction(2, 'on').config, cooldown: '5m' }, edges: [{ label: 'success', targetNodeId: 3 }] },
+        fanAction(3, 'logged')
+      ]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(ConditionStateStore.claimCooldown).toHaveBeenCalledWith(10, 2, 300000);
+      expect(deviceCommandService.sendCommand).not.toHaveBeenCalled();
+      expect(result.nodeResults.actions).toEqual([
+        expect.objectContaining({ nodeId: 2, status: 'skipped', reason: 'cooldown', remainingMs: 42000 })
+      ]);
+      expect(result.summary.actionsExecuted).toBe(0);
+    });
+
+    test('should hand the cooldown back when the action fails', async () => {
+      deviceCommandService.sendCommand.mockResolvedValue({
+        command: { commandId: 'cmd-1', status: 'pending' },
+        delivery: { channel: 'mqtt', status: 'failed', reason: 'MQTT is disabled' }
+      });
+      mockChain([fanOnAbove30(), { ...fanAction(2, 'on'), config: { ...fanAction(2, 'on').config, cooldown: '5m' } }]);
+
+      await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(ConditionStateStore.releaseCooldown).toHaveBeenCalledWith(10, 2);
+    });
+  });
+
+  describe('_validateConditionOptions', () => {
+    const condition = { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 30 };
+
+    test('should accept valid hold durations, reset values and cooldowns', () => {
+      expect(() => ruleChainService._validateConditionOptions({ ...condition, duration: '30s', resetValue: 27 }, 'filter')).not.toThrow();
+      expect(() => ruleChainService._validateConditionOptions({ ...condition, operator: 'valueOlderThan', duration: '5m' }, 'filter')).not.toThrow();
+      expect(() => ruleChainService._validateConditionOptions({ cooldown: '5m' }, 'action')).not.toThrow();
+    });
+
+    test('should reject reset values on the wrong side of the threshold', () => {
+      expect(() => ruleChainService._validateConditionOptions({ ...condition, resetValue: 33 }, 'filter')).toThrow('Invalid condition timing options');
+      expect(() => ruleChainService._validateConditionOptions({ ...condition, operator: '==', resetValue: 27 }, 'filter')).toThrow();
+    });
+
+    test('should reject malformed durations', () => {
+      expect(() => ruleChainService._validateConditionOptions({ ...condition, duration: 'a while' }, 'filter')).toThrow();
+      expect(() => ruleChainService._validateConditionOptions({ cooldown: 300 }, 'action')).toThrow();
+    });
+  });
+
+  describe('_validateTransformConfig', () => {
+    test('should reject expressions that do not parse or lack an output', () => {
+      expect.assertions(2);
+      try {
+        ruleChainService._validateTransformConfig({ type: 'expression', expression: 'process.exit(1)' }, 'transform');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details.map((detail) => detail.path)).toEqual([
+          'config.expression',
+          'config.output.key',
+          'config.output.UUID'
+        ]);
+      }
+    });
+
+    test('should accept a valid expression transform and ignore other node types', () => {
+      const config = {
+        type: 'expression',
+        expression: `sensor[${SENSOR_UUID}].temperature * 1.8 + 32`,
+        output: { UUID: SENSOR_UUID, key: 'temperatureF' }
+      };
+
+      expect(() => ruleChainService._validateTransformConfig(config, 'transform')).not.toThrow();
+      expect(() => ruleChainService._validateTransformConfig({ type: 'expression' }, 'filter')).not.toThrow();
+    });
+  });
+
+  describe('_validateNodeEdges', () => {
+    test('should reject edges pointing outside the rule chain', async () => {
+      RuleChainNode.findAll.mockResolvedValue([{ id: 1, nextNodeId: null, edges: null }]);
+
+      await expect(
+        ruleChainService._validateNodeEdges(10, 1, [{ label: 'true', targetNodeId: 99 }], null)
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'edges[0].targetNodeId' })]
+      });
+    });
+
+    test('should reject edges that would create a cycle', async () => {
+      RuleChainNode.findAll.mockResolvedValue([
+        { id: 1, nextNodeId: null, edges: [{ label: 'true', targetNodeId: 2 }] },
+        { id: 2, nextNodeId: null, edges: null }
+      ]);
+
+      await expect(
+        ruleChainService._validateNodeEdges(10, 2, [{ label: 'success', targetNodeId: 1 }], null)
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'edges', value: [1, 2, 1] })]
+      });
+    });
+
+    test('should accept a branching acyclic graph', async () => {
+      RuleChainNode.findAll.mockResolvedValue([
+        { id: 1, nextNodeId: null, edges: null },
+        { id: 2, nextNodeId: null, edges: null },
+        { id: 3, nextNodeId: null, edges: null }
+      ]);
+
+      await expect(
+        ruleChainService._validateNodeEdges(
+          10,
+          1,
+          [
+            { label: 'true', targetNodeId: 2 },
+            { label: 'false', targetNodeId: 3 }
+          ],
+          null
+        )
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('notification actions', () => {
+    const alarmNode = (overrides = {}) => ({
+      id: 2,
+      name: 'Overheat alarm',
+      type: 'action',
+      config: {
+        type: 'notification',
+        severity: 'critical',
+        title: 'Greenhouse at {{ sensor[' + SENSOR_UUID + '].temperature }} C',
+        insight: 'That is {{ round(sensor[' + SENSOR_UUID + '].temperature * 9 / 5 + 32, 1) }} F; humidity {{ sensor[' + SENSOR_UUID + '].humidity }}',
+        roles: ['Operator']
+      },
+      nextNodeId: null,
+      edges: null,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      ruleNotificationService.notify.mockResolvedValue({
+        notificationId: 77,
+        recipients: 2,
+        delivered: { message: 1, email: 1, sms: 0 }
+      });
+    });
+
+    test('should raise a notification with messages rendered from the rule data', async () => {
+      jest.spyOn(ruleChainService, 'findChainById').mockResolvedValue({
+        id: 10,
+        name: 'Fan control',
+        organizationId: 4,
+        nodes: [temperatureFilter({ edges: [{ label: 'true', targetNodeId: 2 }] }), alarmNode()]
+      });
+
+      const result = await ruleChainService.execute(10, sensorData(35.5), 5000);
+
+      expect(ruleNotificationService.notify).toHaveBeenCalledWith({
+        organizationId: 4,
+        ruleChainId: 10,
+        nodeId: 2,
+        severity: 'critical',
+        title: 'Greenhouse at 35.5 C',
+        insight: 'That is 95.9 F; humidity n/a',
+        roles: ['Operator']
+      });
+      expect(deviceCommandService.sendCommand).not.toHaveBeenCalled();
+      expect(result.nodeResults.actions).toEqual([
+        expect.objectContaining({ nodeId: 2, status: 'success', notificationId: 77, notificationSent: true })
+      ]);
+    });
+
+    test('should only report the notification on a dry run', async () => {
+      mockChain([temperatureFilter({ edges: [{ label: 'true', targetNodeId: 2 }] }), alarmNode()]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000, { dryRun: true });
+
+      expect(ruleNotificationService.notify).not.toHaveBeenCalled();
+      expect(result.nodeResults.actions[0]).toMatchObject({
+        dryRun: true,
+        notification: { severity: 'critical', title: 'Greenhouse at 35 C' },
+        notificationSent: false
+      });
+    });
+
+    test('should take the failure edge when the notification cannot be stored', async () => {
+      ruleNotificationService.notify.mockRejectedValue(new Error('Database unavailable'));
+      mockChain([alarmNode({ id: 1, edges: [{ label: 'failure', targetNodeId: 3 }] }), fanAction(3, 'off')]);
+
+      const result = await ruleChainService.execute(10, sensorData(35), 5000);
+
+      expect(result.nodeResults.actions[0]).toMatchObject({ nodeId: 1, status: 'error', error: 'Database unavailable' });
+      expect(result.nodeResults.branches).toEqual([{ fromNodeId: 1, label: 'failure', toNodeId: 3 }]);
+    });
+
+    test('should collect the values the messages mention', () => {
+      const sensorReqs = new Map();
+      ruleChainService._extractRequirements(alarmNode().config, sensorReqs, new Map());
+
+      expect([...sensorReqs.get(SENSOR_UUID)]).toEqual(['temperature', 'humidity']);
+    });
+
+    test('should reject unknown severities, missing titles and broken placeholders', () => {
+      expect.assertions(2);
+      try {
+        ruleChainService._validateNotificationConfig({ type: 'notification', severity: 'urgent', insight: 'Now {{ sensor[ }}' }, 'action');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details.map((detail) => detail.path)).toEqual(['config.severity', 'config.title', 'config.insight']);
+      }
+    });
+
+    test('should raise an alarm for the sensor that triggered the run', async () => {
+      alarmService.raise.mockResolvedValue({ alarm: { id: 81, status: 'active', occurrences: 1 }, created: true });
+      mockChain([alarmNode({ id: 1, config: { ...alarmNode().config, alarmType: 'High Temperature', escalateAfter: '15m' } })]);
+
+      const result = await ruleChainService.execute(10, {
+        ...sensorData(36),
+        meta: { trigger: { type: 'sensor', originatorType: 'sensor', originatorUUID: SENSOR_UUID } }
+      }, 5000);
+
+      expect(ruleNotificationService.notify).not.toHaveBeenCalled();
+      expect(alarmService.raise).toHaveBeenCalledWith(expect.objectContaining({
+        alarmType: 'High Temperature',
+        originatorType: 'sensor',
+        originatorUuid: SENSOR_UUID,
+        ruleChainId: 10,
+        severity: 'critical',
+        title: 'Greenhouse at 36 C',
+        escalateAfterMs: 15 * 60 * 1000
+      }));
+      expect(result.nodeResults.actions[0]).toMatchObject({
+        status: 'success',
+        notificationId: 81,
+        alarm: { id: 81, status: 'active', created: true, occurrences: 1 },
+        notificationSent: true
+      });
+    });
+
+    test('should clear the alarm of the rule chain when nothing else originated it', async () => {
+      alarmService.clearByOriginator.mockResolvedValue({ id: 81 });
+      mockChain([{ id: 1, name: 'Clear overheat', type: 'action', config: { type: 'clear_alarm', alarmType: 'High Temperature' } }]);
+
+      const result = await ruleChainService.execute(10, sensorData(24), 5000);
+
+      expect(alarmService.clearByOriginator).toHaveBeenCalledWith(expect.objectContaining({
+        alarmType: 'High Temperature',
+        originatorType: 'rule_chain',
+        originatorUuid: '10'
+      }));
+      expect(result.nodeResults.actions[0]).toMatchObject({ status: 'success', alarm: { id: 81, cleared: true } });
+    });
+
+    test('should reject alarm actions without an alarm type', () => {
+      expect(() => ruleChainService._validateNotificationConfig({ type: 'clear_alarm' }, 'action')).toThrow();
+    });
+  });
+});
@@ -0,0 +1,247 @@
+jest.mock('../../src/models/initModels', () => ({
+  RuleChain: { findByPk: jest.fn(), create: jest.fn() },
+  RuleChainNode: { findAll: jest.fn(), create: jest.fn() },
+  RuleChainVersion: {},
+  Sensor: { findOne: jest.fn(), findAll: jest.fn() },
+  Device: { findOne: jest.fn(), findAll: jest.fn() }
+}));
+
+jest.mock('../../src/services/sensorService', () => ({
+  sensorBelongsToOrganization: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceService', () => ({
+  deviceBelongsToOrganization: jest.fn()
+}));
+
+jest.mock('../../src/services/ruleChainExecutionService', () => ({
+  record: jest.fn()
+}));
+
+const { RuleChain, RuleChainNode, Sensor, Device } = require('../../src/models/initModels');
+const sequelize = require('../../src/config/database');
+const { sensorBelongsToOrganization } = require('../../src/services/sensorService');
+const { deviceBelongsToOrganization } = require('../../src/services/deviceService');
+const ruleChainVersionService = require('../../src/services/ruleChainVersionService');
+const ruleChainBundleService = require('../../src/services/ruleChainBundleService');
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const FAN_UUID = '550e8400-e29b-41d4-a716-446655440001';
+const TARGET_SENSOR_UUID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const TARGET_FAN_UUID = '9b2f4c1e-3d5a-4e8f-b6c7-1a2b3c4d5e6f';
+
+const liveNodes = () => [
+  {
+    id: 11,
+    name: 'To Fahrenheit',
+    type: 'transform',
+    config: JSON.stringify({
+      type: 'expression',
+      expression: `sensor[${SENSOR_UUID}].temperature * 9 / 5 + 32`,
+      output: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperatureF' }
+    }),
+    nextNodeId: 12,
+    edges: null
+  },
+  {
+    id: 12,
+    name: 'Too hot',
+    type: 'filter',
+    config: JSON.stringify({ sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperatureF', operator: '>', value: 90 }),
+    nextNodeId: null,
+    edges: [{ label: 'true', targetNodeId: 13 }]
+  },
+  {
+    id: 13,
+    name: 'Fan on',
+    type: 'action',
+    config: JSON.stringify({ type: 'device_command', command: { deviceUuid: FAN_UUID, stateName: 'power', value: 'on' } }),
+    nextNodeId: null,
+    edges: null
+  }
+];
+
+describe('RuleChainBundleService', () => {
+  beforeEach(() => {
+    RuleChain.findByPk.mockResolvedValue({
+      id: 10,
+      name: 'Greenhouse cooling',
+      description: 'Fan control',
+      executionType: 'event-triggered',
+      priority: 2,
+      publishedVersion: 4,
+      organizationId: 1,
+      executionCount: 99
+    });
+    RuleChainNode.findAll.mockResolvedValue(liveNodes());
+    Sensor.findAll.mockResolvedValue([{ uuid: SENSOR_UUID, name: 'Bench 3' }]);
+    Device.findAll.mockResolvedValue([{ uuid: FAN_UUID, name: 'Roof fan' }]);
+  });
+
+  describe('exportChain', () => {
+    test('should replace sensor and device UUIDs with placeholders and link nodes by name', async () => {
+      const bundle = await ruleChainBundleService.exportChain(10);
+
+      expect(bundle).toMatchObject({
+        format: 'aemos-rule-chain',
+        formatVersion: 1,
+        sourceVersion: 4,
+        ruleChain: { name: 'Greenhouse cooling', executionType: 'event-triggered', priority: 2 },
+        placeholders: [
+          { placeholder: '{{sensor:1}}', type: 'sensor', name: 'Bench 3', keys: ['temperature', 'temperatureF'] },
+          { placeholder: '{{device:1}}', type: 'device', name: 'Roof fan', keys: ['power'] }
+        ]
+      });
+      expect(bundle.ruleChain).not.toHaveProperty('organizationId');
+      expect(bundle.ruleChain).not.toHaveProperty('executionCount');
+
+      expect(bundle.nodes[0]).toEqual({
+        name: 'To Fahrenheit',
+        type: 'transform',
+        config: {
+          type: 'expression',
+          expression: 'sensor[{{sensor:1}}].temperature * 9 / 5 + 32',
+          output: { sourceType: 'sensor', UUID: '{{sensor:1}}', key: 'temperatureF' }
+        },
+        next: 'Too hot',
+        edges: []
+      });
+      expect(bundle.nodes[1].edges).toEqual([{ label: 'true', target: 'Fan on' }]);
+      expect(bundle.nodes[2].config.command.deviceUuid).toBe('{{device:1}}');
+      expect(JSON.stringify(bundle)).not.toContain(SENSOR_UUID);
+      expect(JSON.stringify(bundle)).not.toContain(FAN_UUID);
+    });
+
+    test('should reject unknown rule chains with 404', async () => {
+      RuleChain.findByPk.mockResolvedValue(null);
+
+      await expect(ruleChainBundleService.exportChain(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('importChain', () => {
+    let bundle;
+    let transaction;
+    const mappings = { '{{sensor:1}}': TARGET_SENSOR_UUID, '{{device:1}}': TARGET_FAN_UUID };
+
+    beforeEach(async () => {
+      bundle = await ruleChainBundleService.exportChain(10);
+
+      transaction = { commit: jest.fn(), rollback: jest.fn() };
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+      jest.spyOn(ruleChainVersionService, 'recordLiveEdit').mockResolvedValue(null);
+      Sensor.findOne.mockResolvedValue({ id: 501 });
+      Device.findOne.mockResolvedValue({ id: 601 });
+      sensorBelongsToOrganization.mockResolvedValue(true);
+      deviceBelongsToOrganization.mockResolvedValue(true);
+
+      RuleChain.create.mockImplementation(async (values) => ({ id: 20, ...values }));
+      let nextId = 100;
+      RuleChainNode.create.mockImplementation(async (values) => {
+        const node = { id: nextId++, ...values };
+        node.update = jest.fn(async (fields) => Object.assign(node, fields));
+        return node;
+      });
+    });
+
+    test('should create the chain in the target organization with mapped UUIDs and remapped links', async () => {
+      const { ruleChain, nodes } = await ruleChainBundleService.importChain({
+        organizationId: 2,
+        bundle,
+        mappings,
+        name: 'Cooling (copy)'
+      });
+
+      expect(RuleChain.create).toHaveBeenCalledWith(
+        expect.objectContaining({ organizationId: 2, name: 'Cooling (copy)', executionType: 'event-triggered', priority: 2 }),
+        { transaction }
+      );
+      expect(ruleChain.id).toBe(20);
+      expect(sensorBelongsToOrganization).toHaveBeenCalledWith(501, 2);
+      expect(deviceBelongsToOrganization).toHaveBeenCalledWith(601, 2);
+
+      expect(JSON.parse(nodes[0].config)).toMatchObject({
+        expression: `sensor[${TARGET_SENSOR_UUID}].temperature * 9 / 5 + 32`,
+        output: { UUID: TARGET_SENSOR_UUID }
+      });
+      expect(JSON.parse(nodes[1].config).UUID).toBe(TARGET_SENSOR_UUID);
+      expect(JSON.parse(nodes[2].config).command.deviceUuid).toBe(TARGET_FAN_UUID);
+      expect(nodes[0].nextNodeId).toBe(101);
+      expect(nodes[1].edges).toEqual([{ label: 'true', targetNodeId: 102 }]);
+
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(ruleChainVersionService.recordLiveEdit).toHaveBeenCalledWith(20, 'Imported from bundle', 'import');
+    });
+
+    test('should list placeholders that are not mapped', async () => {
+      await expect(ruleChainBundleService.importChain({
+        organizationId: 2,
+        bundle,
+        mappings: { '{{sensor:1}}': TARGET_SENSOR_UUID }
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'mappings.{{device:1}}', value: 'Roof fan' })]
+      });
+      expect(RuleChain.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject sensors and devices of another organization', async () => {
+      deviceBelongsToOrganization.mockResolvedValue(false);
+
+      await expect(ruleChainBundleService.importChain({ organizationId: 2, bundle, mappings })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'mappings.{{device:1}}', value: TARGET_FAN_UUID })]
+      });
+    });
+
+    test('should reject UUIDs of another organization written into a node config', async () => {
+      const OTHER_FAN_UUID = '3fa85f64-5717-4562-b3fc-2c963f66afa6';
+      bundle.nodes[2].config.command.deviceUuid = OTHER_FAN_UUID;
+      Device.findOne.mockImplementation(async ({ where }) => ({ id: where.uuid === OTHER_FAN_UUID ? 602 : 601 }));
+      deviceBelongsToOrganization.mockImplementation(async (deviceId) => deviceId === 601);
+
+      await expect(ruleChainBundleService.importChain({ organizationId: 2, bundle, mappings })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'bundle.nodes[2].config', value: OTHER_FAN_UUID })]
+      });
+      expect(RuleChain.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject mappings that are not UUIDs', async () => {
+      await expect(ruleChainBundleService.importChain({
+        organizationId: 2,
+        bundle,
+        mappings: { ...mappings, '{{sensor:1}}': 'bench-3' }
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'mappings.{{sensor:1}}', error: expect.stringContaining('Invalid UUID') })]
+      });
+    });
+
+    test('should validate node configs and links before creating anything', async () => {
+      bundle.nodes[1].edges = [{ label: 'true', target: 'Fan off' }];
+
+      await expect(ruleChainBundleService.importChain({ organizationId: 2, bundle, mappings })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'bundle.nodes[1].edges[0].target', value: 'Fan off' })]
+      });
+
+      bundle.nodes[1].edges = [{ label: 'true', target: 'Fan on' }];
+      bundle.nodes[2].next = 'To Fahrenheit';
+
+      await expect(ruleChainBundleService.importChain({ organizationId: 2, bundle, mappings })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ error: expect.stringContaining('cycle') })]
+      });
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should refuse other formats', async () => {
+      await expect(ruleChainBundleService.importChain({
+        organizationId: 2,
+        bundle: { ...bundle, formatVersion: 2 },
+        mappings
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../src/models/initModels', () => ({
+  RuleChain: {},
+  RuleChainExecution: {
+    create: jest.fn(),
+    findAndCountAll: jest.fn(),
+    findByPk: jest.fn(),
+    destroy: jest.fn()
+  }
+}));
+
+const { Op } = require('sequelize');
+const { RuleChainExecution } = require('../../src/models/initModels');
+const ruleChainExecutionService = require('../../src/services/ruleChainExecutionService');
+const config = require('../../src/config');
+
+const executionResult = (overrides = {}) => ({
+  status: 'success',
+  summary: { totalNodes: 2, branchesTaken: 1 },
+  executionDetails: {
+    executedNodes: [{ nodeId: 1, type: 'filter', passed: true, outcome: 'true' }],
+    finalData: { sensorData: { abc: { temperature: 35 } }, deviceData: {} }
+  },
+  ...overrides
+});
+
+describe('RuleChainExecutionService', () => {
+  describe('record', () => {
+    const baseEntry = {
+      ruleChainId: 10,
+      rawData: { sensorData: [{ UUID: 'abc', temperature: 35 }], deviceData: [] },
+      startedAt: new Date('2026-01-01T00:00:00Z'),
+      durationMs: 42
+    };
+
+    beforeEach(() => {
+      RuleChainExecution.create.mockImplementation(async (row) => row);
+    });
+
+    test('should store trigger, inputs, node results and outcome of a run', async () => {
+      await ruleChainExecutionService.record({
+        ...baseEntry,
+        ruleChainVersion: 4,
+        trigger: { type: 'telemetry-data', originatorUUID: 'abc', variableNames: ['temperature'] },
+        result: executionResult()
+      });
+
+      expect(RuleChainExecution.create).toHaveBeenCalledWith({
+        ruleChainId: 10,
+        ruleChainVersion: 4,
+        triggerType: 'telemetry-data',
+        triggerEvent: { originatorUUID: 'abc', variableNames: ['temperature'] },
+        inputData: { sensorData: [{ UUID: 'abc', temperature: 35 }], deviceData: [] },
+        nodeResults: [{ nodeId: 1, type: 'filter', passed: true, outcome: 'true' }],
+        finalData: { sensorData: { abc: { temperature: 35 } }, deviceData: {} },
+        summary: { totalNodes: 2, branchesTaken: 1 },
+        status: 'success',
+        abortReason: null,
+        error: null,
+        durationMs: 42,
+        startedAt: baseEntry.startedAt
+      });
+    });
+
+    test('should default to a manual trigger and keep the abort reason', async () => {
+      await ruleChainExecutionService.record({
+        ...baseEntry,
+        result: executionResult({ status: 'aborted', summary: { abortedReason: 'circular' } })
+      });
+
+      expect(RuleChainExecution.create).toHaveBeenCalledWith(expect.objectContaining({
+        triggerType: 'manual',
+        triggerEvent: null,
+        status: 'aborted',
+        abortReason: 'circular'
+      }));
+    });
+
+    test('should classify thrown errors as failed or timeout', async () => {
+      const timeout = Object.assign(new Error('Rule chain timed out'), { isTimeout: true });
+
+      await ruleChainExecutionService.record({ ...baseEntry, error: new Error('Node blew up') });
+      await ruleChainExecutionService.record({ ...baseEntry, error: timeout });
+
+      expect(RuleChainExecution.create.mock.calls[0][0]).toMatchObject({ status: 'failed', error: 'Node blew up', nodeResults: null });
+      expect(RuleChainExecution.create.mock.calls[1][0]).toMatchObject({ status: 'timeout', error: 'Rule chain timed out' });
+    });
+
+    test('should not throw when the history row cannot be written', async () => {
+      RuleChainExecution.create.mockRejectedValue(new Error('Table missing'));
+
+      await expect(ruleChainExecutionService.record({ ...baseEntry, result: executionResult() })).resolves.toBeNull();
+    });
+  });
+
+  describe('listExecutions', () => {
+    test('should page newest first without the bulky detail columns', async () => {
+      RuleChainExecution.findAndCountAll.mockResolvedValue({ rows: [{ id: 5 }], count: 21 });
+
+      const result = await ruleChainExecutionService.listExecutions(10, { status: 'failed', page: '2', limit: '10' });
+
+      expect(RuleChainExecution.findAndCountAll).toHaveBeenCalledWith({
+        where: { ruleChainId: 10, status: 'failed' },
+        attributes: { exclude: ['inputData', 'nodeResults', 'finalData'] },
+        order: [['startedAt', 'DESC']],
+        limit: 10,
+        offset: 10
+      });
+      expect(result).toEqual({ totalItems: 21, totalPages: 3, currentPage: 2, pageSize: 10, data: [{ id: 5 }] });
+    });
+  });
+
+  describe('getExecution', () => {
+    test('should reject unknown executions with 404', async () => {
+      RuleChainExecution.findByPk.mockResolvedValue(null);
+
+      await expect(ruleChainExecutionService.getExecution(99)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('pruneExpired', () => {
+    const originalHistory = config.ruleEngine.executionHistory;
+
+    afterEach(() => {
+      config.ruleEngine.executionHistory = originalHistory;
+    });
+
+    test('should delete rows older than the retention window in batches', async () => {
+      config.ruleEngine.executionHistory = { ...originalHistory, retentionDays: 30, pruneBatchSize: 2 };
+      RuleChainExecution.destroy.mockResolvedValueOnce(2).mockResolvedValueOnce(1);
+      const now = new Date('2026-03-31T00:00:00Z');
+
+      const deleted = await ruleChainExecutionService.pruneExpired(now);
+
+      expect(deleted).toBe(3);
+      expect(RuleChainExecution.destroy).toHaveBeenCalledTimes(2);
+      const { where, limit } = RuleChainExecution.destroy.mock.calls[0][0];
+      expect(limit).toBe(2);
+      expect(where.startedAt[Op.lt]).toEqual(new Date('2026-03-01T00:00:00Z'));
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { ruleChainService } = require('../../src/services/ruleChainService');
+
+jest.mock('../../src/ruleEngine/indexing/RuleChainIndex', () => ({
+  getRuleChainsForSensor: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceCommandService', () => ({
+  sendCommand: jest.fn(),
+  DELIVERY_STATUS: { SENT: 'sent', DELIVERED: 'delivered', QUEUED: 'queued', FAILED: 'failed' }
+}));
+
+jest.mock('../../src/services/ruleChainExecutionService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../../src/models/initModels', () => ({
+  Sensor: { findOne: jest.fn() },
+  Device: { findOne: jest.fn() },
+  TelemetryData: { findOne: jest.fn() },
+  DataStream: { findOne: jest.fn(), findAll: jest.fn() },
+  DeviceState: { findOne: jest.fn() },
+  DeviceStateInstance: { findOne: jest.fn() },
+  RuleChain: { findAll: jest.fn(), findByPk: jest.fn() },
+  RuleChainNode: { findAll: jest.fn(), findByPk: jest.fn(), findOne: jest.fn() }
+}));
+
+const { Device, Sensor, TelemetryData, DataStream } = require('../../src/models/initModels');
+const deviceCommandService = require('../../src/services/deviceCommandService');
+const ruleChainExecutionService = require('../../src/services/ruleChainExecutionService');
+const ConditionStateStore = require('../../src/ruleEngine/conditions/ConditionStateStore');
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const FAN_UUID = '550e8400-e29b-41d4-a716-446655440001';
+const START = new Date('2026-01-01T12:00:00.000Z');
+
+const tooHot = (condition = {}) => ({
+  id: 1,
+  name: 'Too hot',
+  type: 'filter',
+  config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 30, ...condition },
+  nextNodeId: null,
+  edges: [{ label: 'true', targetNodeId: 2 }]
+});
+
+const fanOn = (config = {}) => ({
+  id: 2,
+  name: 'Fan on',
+  type: 'action',
+  config: { type: 'device_command', command: { deviceUuid: FAN_UUID, stateName: 'power', value: 'on' }, ...config },
+  nextNodeId: null,
+  edges: null
+});
+
+const mockChain = (nodes) => {
+  jest.spyOn(ruleChainService, 'findChainById').mockResolvedValue({ id: 10, name: 'Fan control', nodes });
+};
+
+const readings = (...values) => values.map((value, index) => ({
+  value: String(value),
+  recievedAt: new Date(START.getTime() + index * 60000)
+}));
+
+describe('RuleChainService - simulation', () => {
+  beforeEach(() => {
+    Device.findOne.mockResolvedValue({ id: 7, uuid: FAN_UUID, communicationProtocol: 'mqtt' });
+    Sensor.findOne.mockResolvedValue({ id: 3 });
+    TelemetryData.findOne.mockResolvedValue({ id: 9, datatype: 'number' });
+  });
+
+  describe('hypothetical values', () => {
+    test('should report the actions that would fire without sending them', async () => {
+      mockChain([tooHot(), fanOn()]);
+
+      const result = await ruleChainService.simulate(10, {
+        sensorData: [{ UUID: SENSOR_UUID, temperature: 35 }]
+      });
+
+      expect(result.mode).toBe('values');
+      expect(result.decisions.filters).toEqual([expect.objectContaining({ nodeId: 1, passed: true })]);
+      expect(result.decisions.branches).toEqual([{ fromNodeId: 1, label: 'true', toNodeId: 2 }]);
+      expect(result.actions).toEqual([
+        expect.objectContaining({ nodeId: 2, status: 'success', dryRun: true, command: fanOn().config.command })
+      ]);
+      expect(result.trace.map((node) => node.nodeId)).toEqual([1, 2]);
+      expect(deviceCommandService.sendCommand).not.toHaveBeenCalled();
+      expect(ruleChainExecutionService.record).not.toHaveBeenCalled();
+    });
+
+    test('should keep hold and cooldown state out of Redis', async () => {
+      const getFilterState = jest.spyOn(ConditionStateStore, 'getFilterState');
+      const claimCooldown = jest.spyOn(ConditionStateStore, 'claimCooldown');
+      mockChain([tooHot({ duration: '30s' }), fanOn({ cooldown: '5m' })]);
+
+      const result = await ruleChainService.simulate(10, {
+        sensorData: [{ UUID: SENSOR_UUID, temperature: 35 }]
+      });
+
+      expect(result.decisions.filters[0].passed).toBe(false);
+      expect(getFilterState).not.toHaveBeenCalled();
+      expect(claimCooldown).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown rule chains', async () => {
+      jest.spyOn(ruleChainService, 'findChainById').mockResolvedValue(null);
+
+      await expect(ruleChainService.simulate(99, { sensorData: [] })).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('replay', () => {
+    const replay = { from: START.toISOString(), to: new Date(START.getTime() + 3600000).toISOString() };
+
+    test('should replay stored readings in order', async () => {
+      DataStream.findAll.mockResolvedValue(readings(25, 35, 28));
+      mockChain([tooHot(), fanOn()]);
+
+      const result = await ruleChainService.simulate(10, { replay });
+
+      expect(DataStream.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        order: [['recievedAt', 'ASC']],
+        limit: 201
+      }));
+      expect(result).toMatchObject({ mode: 'replay', points: 3, truncated: false, actionsFired: 1 });
+      expect(result.steps.map((step) => step.reading.value)).toEqual([25, 35, 28]);
+      expect(result.steps.map((step) => step.actions.length)).toEqual([0, 1, 0]);
+      expect(deviceCommandService.sendCommand).not.toHaveBeenCalled();
+    });
+
+    test('should apply hold durations and cooldowns on the replayed timeline', async () => {
+      DataStream.findAll.mockResolvedValue(readings(35, 35, 35, 35, 35));
+      mockChain([tooHot({ duration: '90s' }), fanOn({ cooldown: '2m' })]);
+
+      const result = await ruleChainService.simulate(10, { replay });
+
+      // Held from minute 0: passes from minute 2, fires then and again once the cooldown ends at minute 4
+      expect(result.steps.map((step) => step.decisions.filters[0].passed)).toEqual([false, false, true, true, true]);
+      expect(result.steps.map((step) => (step.actions[0] || {}).status)).toEqual([
+        undefined, undefined, 'success', 'skipped', 'success'
+      ]);
+      expect(result.actionsFired).toBe(2);
+    });
+
+    test('should stop at the point limit', async () => {
+      DataStream.findAll.mockResolvedValue(readings(31, 32, 33));
+      mockChain([tooHot(), fanOn()]);
+
+      const result = await ruleChainService.simulate(10, { replay: { ...replay, limit: 2 } });
+
+      expect(result.points).toBe(2);
+      expect(result.truncated).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../../src/middlewares/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 42 };
+    next();
+  }
+}));
+
+jest.mock('../../src/services/permissionService', () => ({
+  userHasPermission: jest.fn()
+}));
+
+jest.mock('../../src/services/ruleChainTemplateService', () => ({
+  listTemplates: jest.fn(),
+  getTemplate: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { userHasPermission } = require('../../src/services/permissionService');
+const ruleChainTemplateService = require('../../src/services/ruleChainTemplateService');
+const { errorHandler } = require('../../src/middlewares/errorHandler');
+const ruleChainTemplateRoutes = require('../../src/routes/ruleChainTemplateRoutes');
+
+describe('Rule chain template routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/rule-chain-templates', ruleChainTemplateRoutes);
+  app.use(errorHandler);
+
+  describe('GET /rule-chain-templates', () => {
+    test('should list templates for members of the requested organization', async () => {
+      userHasPermission.mockResolvedValue(true);
+      ruleChainTemplateService.listTemplates.mockResolvedValue([{ id: 1, name: 'Fan control' }]);
+
+      const response = await request(app).get('/api/v1/rule-chain-templates?organizationId=5');
+
+      expect(response.status).toBe(200);
+      expect(userHasPermission).toHaveBeenCalledWith(42, 'rule.view', '5');
+      expect(ruleChainTemplateService.listTemplates).toHaveBeenCalledWith(5, { category: undefined });
+    });
+
+    test('should refuse organizations the user cannot view rules in', async () => {
+      userHasPermission.mockResolvedValue(false);
+
+      const response = await request(app).get('/api/v1/rule-chain-templates?organizationId=6');
+
+      expect(response.status).toBe(403);
+      expect(ruleChainTemplateService.listTemplates).not.toHaveBeenCalled();
+    });
+
+    test('should require an organizationId', async () => {
+      const response = await request(app).get('/api/v1/rule-chain-templates');
+
+      expect(response.status).toBe(400);
+      expect(userHasPermission).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /rule-chain-templates/:id', () => {
+    test('should refuse organizations the user cannot view rules in', async () => {
+      userHasPermission.mockResolvedValue(false);
+
+      const response = await request(app).get('/api/v1/rule-chain-templates/3?organizationId=6');
+
+      expect(response.status).toBe(403);
+      expect(userHasPermission).toHaveBeenCalledWith(42, 'rule.view', '6');
+      expect(ruleChainTemplateService.getTemplate).not.toHaveBeenCalled();
+    });
+  });
+});
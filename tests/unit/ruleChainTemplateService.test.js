@@ -0,0 +1,209 @@
+jest.mock('../../src/models/initModels', () => ({
+  RuleChain: { findByPk: jest.fn(), create: jest.fn() },
+  RuleChainNode: { findAll: jest.fn(), create: jest.fn() },
+  RuleChainVersion: {},
+  RuleChainTemplate: { findAll: jest.fn(), findByPk: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  Sensor: { findOne: jest.fn(), findAll: jest.fn() },
+  Device: { findOne: jest.fn(), findAll: jest.fn() }
+}));
+
+jest.mock('../../src/services/sensorService', () => ({
+  sensorBelongsToOrganization: jest.fn()
+}));
+
+jest.mock('../../src/services/deviceService', () => ({
+  deviceBelongsToOrganization: jest.fn()
+}));
+
+jest.mock('../../src/services/ruleChainExecutionService', () => ({
+  record: jest.fn()
+}));
+
+const { RuleChainTemplate } = require('../../src/models/initModels');
+const ruleChainBundleService = require('../../src/services/ruleChainBundleService');
+const ruleChainTemplateService = require('../../src/services/ruleChainTemplateService');
+const { applyInputs } = require('../../src/services/ruleChainTemplateService');
+const builtinTemplates = require('../../src/ruleEngine/templates/builtinTemplates');
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const FAN_UUID = '550e8400-e29b-41d4-a716-446655440001';
+
+const thresholdAlarm = builtinTemplates.find((template) => template.name === 'Threshold alarm');
+
+describe('RuleChainTemplateService', () => {
+  describe('applyInputs', () => {
+    test('should keep the type of whole placeholders and interpolate the rest', () => {
+      const result = applyInputs(
+        { name: 'Alarm - {{input:variable}} > {{input:threshold}}', value: '{{input:threshold}}', enabled: '{{input:on}}' },
+        { variable: 'temperature', threshold: 30, on: false }
+      );
+
+      expect(result).toEqual({ name: 'Alarm - temperature > 30', value: 30, enabled: false });
+    });
+  });
+
+  describe('validateTemplate', () => {
+    test('should accept the built-in templates', () => {
+      builtinTemplates.forEach((template) => {
+        expect(() => ruleChainTemplateService.validateTemplate(template.inputs, template.definition)).not.toThrow();
+      });
+    });
+
+    test('should reject placeholders without a declared input', () => {
+      const inputs = thresholdAlarm.inputs.filter((input) => input.name !== 'cooldown');
+
+      expect(() => ruleChainTemplateService.validateTemplate(inputs, thresholdAlarm.definition)).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          details: [expect.objectContaining({ value: '{{input:cooldown}}' })]
+        })
+      );
+    });
+
+    test('should reject defaults that do not fit the input type', () => {
+      const inputs = thresholdAlarm.inputs.map((input) => (
+        input.name === 'holdFor' ? { ...input, default: 'a while' } : input
+      ));
+
+      expect(() => ruleChainTemplateService.validateTemplate(inputs, thresholdAlarm.definition)).toThrow(
+        expect.objectContaining({
+          details: [expect.objectContaining({ path: 'inputs[3].default', value: 'a while' })]
+        })
+      );
+    });
+
+    test('should reject definitions that do not form a valid rule chain', () => {
+      const definition = {
+        ...thresholdAlarm.definition,
+        nodes: [
+          { ...thresholdAlarm.definition.nodes[0], edges: [{ label: 'true', target: 'Missing node' }] },
+          thresholdAlarm.definition.nodes[1]
+        ]
+      };
+
+      expect(() => ruleChainTemplateService.validateTemplate(thresholdAlarm.inputs, definition)).toThrow(
+        expect.objectContaining({
+          details: [expect.objectContaining({ path: 'definition.nodes[0].edges[0].target', value: 'Missing node' })]
+        })
+      );
+    });
+  });
+
+  describe('instantiate', () => {
+    beforeEach(() => {
+      RuleChainTemplate.findByPk.mockResolvedValue({ id: 5, organizationId: null, ...thresholdAlarm });
+      jest.spyOn(ruleChainBundleService, 'entityError').mockResolvedValue(null);
+      jest.spyOn(ruleChainBundleService, 'createChainFromNodes').mockResolvedValue({ ruleChain: { id: 30 }, nodes: [] });
+    });
+
+    test('should create a rule chain with resolved inputs and defaults', async () => {
+      const result = await ruleChainTemplateService.instantiate(5, {
+        organizationId: 2,
+        values: { sensor: SENSOR_UUID, threshold: '35', alarmDevice: FAN_UUID }
+      });
+
+      expect(result.ruleChain.id).toBe(30);
+      expect(ruleChainBundleService.entityError).toHaveBeenCalledWith('sensor', SENSOR_UUID, 2);
+      expect(ruleChainBundleService.entityError).toHaveBeenCalledWith('device', FAN_UUID, 2);
+
+      const [organizationId, chainFields, nodes, options] = ruleChainBundleService.createChainFromNodes.mock.calls[0];
+      expect(organizationId).toBe(2);
+      expect(chainFields).toMatchObject({ name: 'Threshold alarm - temperature', executionType: 'event-triggered' });
+      expect(nodes[0].config).toEqual({
+        sourceType: 'sensor',
+        UUID: SENSOR_UUID,
+        key: 'temperature',
+        operator: '>',
+        value: 35,
+        duration: '1m'
+      });
+      expect(nodes[1].config).toMatchObject({
+        command: { deviceUuid: FAN_UUID, stateName: 'alarm', value: 'on' },
+        cooldown: '15m'
+      });
+      expect(options).toMatchObject({ origin: 'template', notes: 'Created from template "Threshold alarm"' });
+    });
+
+    test('should report missing and invalid inputs together', async () => {
+      await expect(ruleChainTemplateService.instantiate(5, {
+        organizationId: 2,
+        values: { sensor: SENSOR_UUID, threshold: 'hot' }
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [
+          expect.objectContaining({ path: 'values.threshold', value: 'hot' }),
+          expect.objectContaining({ path: 'values.alarmDevice', error: 'Alarm device is required' })
+        ]
+      });
+      expect(ruleChainBundleService.createChainFromNodes).not.toHaveBeenCalled();
+    });
+
+    test('should reject sensors of another organization', async () => {
+      ruleChainBundleService.entityError.mockImplementation(async (type) => (
+        type === 'sensor' ? 'Sensor does not belong to this organization' : null
+      ));
+
+      await expect(ruleChainTemplateService.instantiate(5, {
+        organizationId: 2,
+        values: { sensor: SENSOR_UUID, threshold: 35, alarmDevice: FAN_UUID }
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'values.sensor', value: SENSOR_UUID })]
+      });
+    });
+
+    test('should reject devices of another organization written into the definition', async () => {
+      const OTHER_FAN_UUID = '3fa85f64-5717-4562-b3fc-2c963f66afa6';
+      const [filterNode, actionNode] = thresholdAlarm.definition.nodes;
+      RuleChainTemplate.findByPk.mockResolvedValue({
+        id: 5,
+        organizationId: null,
+        ...thresholdAlarm,
+        definition: {
+          ...thresholdAlarm.definition,
+          nodes: [filterNode, { ...actionNode, config: { ...actionNode.config, command: { ...actionNode.config.command, deviceUuid: OTHER_FAN_UUID } } }]
+        }
+      });
+      ruleChainBundleService.entityError.mockImplementation(async (type, uuid) => (
+        uuid === OTHER_FAN_UUID ? 'No device with this UUID in organization 2' : null
+      ));
+
+      await expect(ruleChainTemplateService.instantiate(5, {
+        organizationId: 2,
+        values: { sensor: SENSOR_UUID, threshold: 35, alarmDevice: FAN_UUID }
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'definition.nodes[1].config', value: OTHER_FAN_UUID })]
+      });
+      expect(ruleChainBundleService.createChainFromNodes).not.toHaveBeenCalled();
+    });
+
+    test('should not expose templates of other organizations', async () => {
+      RuleChainTemplate.findByPk.mockResolvedValue({ id: 5, organizationId: 3, ...thresholdAlarm });
+
+      await expect(ruleChainTemplateService.instantiate(5, { organizationId: 2, values: {} }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('scopes', () => {
+    test('should only edit global templates without an organization', async () => {
+      const template = { id: 5, organizationId: null, name: 'Threshold alarm', update: jest.fn(), destroy: jest.fn() };
+      RuleChainTemplate.findByPk.mockResolvedValue(template);
+
+      await expect(ruleChainTemplateService.deleteTemplate(5, 2)).rejects.toMatchObject({ statusCode: 404 });
+      await ruleChainTemplateService.deleteTemplate(5, null);
+
+      expect(template.destroy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse duplicate names within a scope', async () => {
+      RuleChainTemplate.findOne.mockResolvedValue({ id: 6 });
+
+      await expect(ruleChainTemplateService.createTemplate({ organizationId: 2, ...thresholdAlarm }, 7))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(RuleChainTemplate.findOne).toHaveBeenCalledWith({ where: { organizationId: 2, name: 'Threshold alarm' } });
+      expect(RuleChainTemplate.create).not.toHaveBeenCalled();
+    });
+  });
+});
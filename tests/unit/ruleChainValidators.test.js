@@ -0,0 +1,23 @@
+const { createRuleChainNodeSchema, updateRuleChainNodeSchema } = require('../../src/validators/ruleChainValidators');
+
+describe('ruleChainValidators', () => {
+  // checkPermission and checkResourceOwnership read organizationId from the body
+  test('should accept the organizationId of node requests', () => {
+    const created = createRuleChainNodeSchema.validate({
+      organizationId: 1,
+      name: 'Too hot',
+      ruleChainId: 3,
+      type: 'filter',
+      config: { sourceType: 'sensor' }
+    });
+    const updated = updateRuleChainNodeSchema.validate({ organizationId: 1, name: 'Too hot' });
+
+    expect(created.error).toBeUndefined();
+    expect(updated.error).toBeUndefined();
+  });
+
+  test('should still reject unknown node fields', () => {
+    expect(updateRuleChainNodeSchema.validate({ ruleChainId: 4 }).error).toBeDefined();
+    expect(createRuleChainNodeSchema.validate({ name: 'x', ruleChainId: 3, type: 'filter', owner: 2 }).error).toBeDefined();
+  });
+});
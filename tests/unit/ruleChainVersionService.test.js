@@ -0,0 +1,300 @@
+jest.mock('../../src/models/initModels', () => ({
+  RuleChain: { findByPk: jest.fn() },
+  RuleChainNode: { findAll: jest.fn(), create: jest.fn(), update: jest.fn(), destroy: jest.fn() },
+  RuleChainVersion: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn(), update: jest.fn(), max: jest.fn() }
+}));
+
+jest.mock('../../src/ruleEngine/conditions/ConditionStateStore', () => ({
+  clearNodeState: jest.fn()
+}));
+
+jest.mock('../../src/services/ruleChainExecutionService', () => ({
+  record: jest.fn()
+}));
+
+const { RuleChain, RuleChainNode, RuleChainVersion } = require('../../src/models/initModels');
+const sequelize = require('../../src/config/database');
+const ConditionStateStore = require('../../src/ruleEngine/conditions/ConditionStateStore');
+const ruleChainVersionService = require('../../src/services/ruleChainVersionService');
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440000';
+const FAN_UUID = '550e8400-e29b-41d4-a716-446655440001';
+
+// Sequelize-like row whose update() writes through to the object
+const row = (values) => {
+  const instance = { ...values };
+  instance.update = jest.fn(async (fields) => Object.assign(instance, fields));
+  instance.destroy = jest.fn();
+  return instance;
+};
+
+const filterNode = (overrides = {}) => ({
+  id: 1,
+  name: 'Too hot',
+  type: 'filter',
+  config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 30 },
+  nextNodeId: null,
+  edges: [{ label: 'true', targetNodeId: 2 }],
+  ...overrides
+});
+
+const fanNode = (overrides = {}) => ({
+  id: 2,
+  name: 'Fan on',
+  type: 'action',
+  config: { type: 'device_command', command: { deviceUuid: FAN_UUID, stateName: 'power', value: 'on' } },
+  nextNodeId: null,
+  edges: [],
+  ...overrides
+});
+
+describe('RuleChainVersionService', () => {
+  let transaction;
+  let ruleChain;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    ruleChain = row({ id: 10, publishedVersion: 2 });
+    RuleChain.findByPk.mockResolvedValue(ruleChain);
+    RuleChainVersion.max.mockResolvedValue(2);
+    RuleChainVersion.update.mockResolvedValue([1]);
+    RuleChainVersion.create.mockImplementation(async (values) => row(values));
+    RuleChainNode.update.mockResolvedValue([1]);
+    RuleChainNode.destroy.mockResolvedValue(1);
+    ConditionStateStore.clearNodeState.mockResolvedValue();
+  });
+
+  describe('validateSnapshot', () => {
+    test('should accept a well-formed graph', () => {
+      expect(ruleChainVersionService.validateSnapshot([filterNode(), fanNode()])).toEqual([]);
+    });
+
+    test('should report duplicate names, dangling edges and invalid configs', () => {
+      const errors = ruleChainVersionService.validateSnapshot([
+        filterNode({ edges: [{ label: 'true', targetNodeId: 9 }] }),
+        fanNode({ name: 'Too hot', config: { type: 'device_command', command: { deviceUuid: 'not-a-uuid', stateName: 'power', value: 'on' } } })
+      ]);
+
+      const paths = errors.map((error) => error.path);
+      expect(paths).toContain('nodes[0].edges[0].targetNodeId');
+      expect(paths).toContain('nodes[1].name');
+      expect(paths.some((path) => path.startsWith('nodes[1].'))).toBe(true);
+      expect(errors.length).toBeGreaterThanOrEqual(3);
+    });
+
+    test('should reject cycles', () => {
+      const errors = ruleChainVersionService.validateSnapshot([
+        filterNode(),
+        fanNode({ nextNodeId: 1 })
+      ]);
+
+      expect(errors).toEqual([expect.objectContaining({ path: 'nodes', error: expect.stringContaining('cycle') })]);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    test('should match nodes by name and describe links by target name', () => {
+      const before = [filterNode(), fanNode()];
+      const after = [
+        filterNode({
+          id: 5,
+          config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 28 },
+          edges: [{ label: 'true', targetNodeId: 6 }]
+        }),
+        fanNode({ id: 6 }),
+        fanNode({ id: 7, name: 'Fan off', config: { type: 'device_command', command: { deviceUuid: FAN_UUID, stateName: 'power', value: 'off' } } })
+      ];
+
+      const diff = ruleChainVersionService.diffSnapshots(before, after);
+
+      expect(diff.added.map((node) => node.name)).toEqual(['Fan off']);
+      expect(diff.removed).toEqual([]);
+      expect(diff.unchangedCount).toBe(1);
+      expect(diff.changed).toEqual([{
+        name: 'Too hot',
+        changes: {
+          config: {
+            from: expect.objectContaining({ value: 30 }),
+            to: expect.objectContaining({ value: 28 })
+          }
+        }
+      }]);
+    });
+
+    test('should ignore config key order', () => {
+      const reordered = filterNode({
+        config: { value: 30, operator: '>', key: 'temperature', UUID: SENSOR_UUID, sourceType: 'sensor' }
+      });
+
+      const diff = ruleChainVersionService.diffSnapshots([filterNode(), fanNode()], [reordered, fanNode()]);
+
+      expect(diff.changed).toEqual([]);
+      expect(diff.unchangedCount).toBe(2);
+    });
+  });
+
+  describe('getVersion', () => {
+    test('should record the current graph as version 1 for chains created before versioning', async () => {
+      ruleChain.publishedVersion = null;
+      RuleChainVersion.max.mockResolvedValue(null);
+      RuleChainNode.findAll.mockResolvedValue([filterNode(), fanNode()]);
+      RuleChainVersion.findOne.mockResolvedValue({ version: 1 });
+
+      await ruleChainVersionService.getVersion(10, 1);
+
+      expect(RuleChainVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+        ruleChainId: 10,
+        version: 1,
+        status: 'published',
+        origin: 'baseline',
+        nodes: [expect.objectContaining({ id: 1, name: 'Too hot' }), expect.objectContaining({ id: 2, name: 'Fan on' })]
+      }), expect.anything());
+      expect(ruleChain.update).toHaveBeenCalledWith({ publishedVersion: 1 }, expect.anything());
+    });
+
+    test('should reject unknown versions with 404', async () => {
+      RuleChainVersion.findOne.mockResolvedValue(null);
+
+      await expect(ruleChainVersionService.getVersion(10, 7)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(ruleChainVersionService.getVersion(10, 'latest')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('createDraft', () => {
+    test('should copy the requested version and remember the live one', async () => {
+      RuleChainVersion.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ version: 1, nodes: [filterNode()] });
+
+      const draft = await ruleChainVersionService.createDraft(10, { fromVersion: 1, notes: 'Try older graph' }, 5);
+
+      expect(draft).toMatchObject({
+        status: 'draft',
+        baseVersion: 2,
+        nodes: [filterNode()],
+        notes: 'Try older graph',
+        createdBy: 5
+      });
+    });
+
+    test('should refuse a second draft', async () => {
+      RuleChainVersion.findOne.mockResolvedValue({ status: 'draft' });
+
+      await expect(ruleChainVersionService.createDraft(10)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('publishDraft', () => {
+    let liveFilter;
+    let liveFan;
+
+    beforeEach(() => {
+      liveFilter = row(filterNode({ config: JSON.stringify(filterNode().config) }));
+      liveFan = row(fanNode({ config: JSON.stringify(fanNode().config) }));
+      RuleChainNode.findAll.mockResolvedValue([liveFilter, liveFan]);
+      RuleChainNode.create.mockResolvedValue({ id: 31 });
+    });
+
+    test('should apply the draft to the live nodes and make it the published version', async () => {
+      const draft = row({
+        status: 'draft',
+        baseVersion: 2,
+        nodes: [
+          filterNode({
+            config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 28 },
+            edges: [{ label: 'true', targetNodeId: 900 }]
+          }),
+          fanNode({ id: 900, name: 'Fan boost' })
+        ]
+      });
+      RuleChainVersion.findOne.mockResolvedValue(draft);
+
+      const published = await ruleChainVersionService.publishDraft(10, {}, 5);
+
+      // Node 2 left the graph, 'Fan boost' is new and node 1 kept its ID
+      expect(RuleChainNode.destroy).toHaveBeenCalledWith(expect.objectContaining({ where: { id: [2] } }));
+      expect(RuleChainNode.create).toHaveBeenCalledWith(
+        expect.objectContaining({ ruleChainId: 10, name: 'Fan boost', type: 'action' }),
+        { transaction }
+      );
+      expect(RuleChainNode.update).toHaveBeenCalledWith(
+        { nextNodeId: null, edges: [{ label: 'true', targetNodeId: 31 }] },
+        expect.objectContaining({ where: { id: 1 } })
+      );
+      expect(ConditionStateStore.clearNodeState).toHaveBeenCalledWith(10, 1);
+
+      expect(RuleChainVersion.update).toHaveBeenCalledWith(
+        { status: 'superseded' },
+        expect.objectContaining({ where: { ruleChainId: 10, status: 'published' } })
+      );
+      expect(published).toMatchObject({ version: 3, status: 'published', origin: 'draft', publishedBy: 5 });
+      expect(ruleChain.update).toHaveBeenCalledWith({ publishedVersion: 3 }, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('should refuse a draft started before the live version unless forced', async () => {
+      const draft = row({ status: 'draft', baseVersion: 1, nodes: [filterNode(), fanNode()] });
+      RuleChainVersion.findOne.mockResolvedValue(draft);
+
+      await expect(ruleChainVersionService.publishDraft(10)).rejects.toMatchObject({ statusCode: 409 });
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+
+      await ruleChainVersionService.publishDraft(10, { force: true });
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('should refuse an invalid draft with details', async () => {
+      RuleChainVersion.findOne.mockResolvedValue(row({ status: 'draft', baseVersion: 2, nodes: [filterNode()] }));
+
+      await expect(ruleChainVersionService.publishDraft(10)).rejects.toMatchObject({
+        statusCode: 400,
+        details: [expect.objectContaining({ path: 'nodes[0].edges[0].targetNodeId' })]
+      });
+    });
+
+    test('should roll back the transaction when applying fails', async () => {
+      RuleChainVersion.findOne.mockResolvedValue(row({ status: 'draft', baseVersion: 2, nodes: [filterNode(), fanNode()] }));
+      RuleChainNode.update.mockRejectedValue(new Error('Deadlock'));
+
+      await expect(ruleChainVersionService.publishDraft(10)).rejects.toThrow('Deadlock');
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollback', () => {
+    test('should publish a copy of the older version as a new version', async () => {
+      RuleChainNode.findAll.mockResolvedValue([row(filterNode()), row(fanNode())]);
+      RuleChainVersion.findOne.mockResolvedValue({ version: 1, nodes: [filterNode(), fanNode()] });
+
+      const published = await ruleChainVersionService.rollback(10, 1, 5);
+
+      expect(published).toMatchObject({
+        version: 3,
+        status: 'published',
+        origin: 'rollback',
+        baseVersion: 2,
+        notes: 'Rollback to version 1'
+      });
+    });
+
+    test('should refuse to roll back to the live version', async () => {
+      RuleChainVersion.findOne.mockResolvedValue({ version: 2, nodes: [] });
+
+      await expect(ruleChainVersionService.rollback(10, 2)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('recordLiveEdit', () => {
+    test('should record the live graph without throwing on failure', async () => {
+      RuleChainNode.findAll.mockResolvedValue([filterNode(), fanNode()]);
+
+      const recorded = await ruleChainVersionService.recordLiveEdit(10, 'Updated node Too hot');
+      expect(recorded).toMatchObject({ version: 3, origin: 'node-edit', baseVersion: 2 });
+
+      RuleChainVersion.max.mockRejectedValue(new Error('Table missing'));
+      await expect(ruleChainVersionService.recordLiveEdit(10, 'Updated node Too hot')).resolves.toBeNull();
+    });
+  });
+});
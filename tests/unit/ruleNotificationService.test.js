@@ -0,0 +1,99 @@
+jest.mock('../../src/models/initModels', () => ({
+  Notification: { create: jest.fn() },
+  OrganizationUser: { findAll: jest.fn() },
+  Role: {},
+  User: { findAll: jest.fn() }
+}));
+
+jest.mock('../../src/utils/notificationManager', () => ({
+  sendRoomNotification: jest.fn()
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  sendEmailNotification: jest.fn(),
+  sendSMSNotification: jest.fn()
+}));
+
+const { Notification, OrganizationUser, Role, User } = require('../../src/models/initModels');
+const notificationManager = require('../../src/utils/notificationManager');
+const { sendEmailNotification, sendSMSNotification } = require('../../src/services/notificationService');
+const ruleNotificationService = require('../../src/services/ruleNotificationService');
+
+const alarm = {
+  organizationId: 4,
+  severity: 'critical',
+  title: 'Greenhouse at 35.5 C',
+  insight: 'Fans are not keeping up',
+  ruleChainId: 10,
+  nodeId: 2
+};
+
+describe('RuleNotificationService', () => {
+  beforeEach(() => {
+    Notification.create.mockImplementation(async (values) => ({ id: 77, ...values }));
+    OrganizationUser.findAll.mockResolvedValue([{ userId: 1 }, { userId: 2 }, { userId: 3 }]);
+    User.findAll.mockResolvedValue([
+      { id: 1, email: 'ana@example.com', notifyByMessage: true, notifyByEmail: true, notifyBySMS: false },
+      { id: 2, email: 'ben@example.com', smsNumber: '+15550100', notifyByMessage: false, notifyByEmail: false, notifyBySMS: true },
+      { id: 3, email: 'cy@example.com', notifyByMessage: false, notifyByEmail: false, notifyBySMS: false }
+    ]);
+    sendEmailNotification.mockResolvedValue(true);
+    sendSMSNotification.mockResolvedValue(true);
+  });
+
+  test('should store the notification for the organization', async () => {
+    await ruleNotificationService.notify(alarm);
+
+    expect(Notification.create).toHaveBeenCalledWith({
+      organizationId: 4,
+      severity: 'critical',
+      title: 'Greenhouse at 35.5 C',
+      insight: 'Fans are not keeping up',
+      userGroup: null,
+      createdAt: expect.any(Date)
+    });
+  });
+
+  test('should deliver through each channel a member has enabled', async () => {
+    const result = await ruleNotificationService.notify(alarm);
+
+    expect(notificationManager.sendRoomNotification).toHaveBeenCalledWith(
+      'rule-notification',
+      expect.objectContaining({ notificationId: 77, severity: 'critical', ruleChainId: 10 }),
+      ['org-4', 'user-1']
+    );
+    expect(sendEmailNotification).toHaveBeenCalledTimes(1);
+    expect(sendEmailNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 1 }),
+      '[CRITICAL] Greenhouse at 35.5 C',
+      'Fans are not keeping up'
+    );
+    expect(sendSMSNotification).toHaveBeenCalledTimes(1);
+    expect(sendSMSNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 2 }),
+      '[CRITICAL] Greenhouse at 35.5 C: Fans are not keeping up'
+    );
+    expect(result).toEqual({ notificationId: 77, recipients: 3, delivered: { message: 1, email: 1, sms: 1 } });
+  });
+
+  test('should only reach members with the listed roles', async () => {
+    await ruleNotificationService.notify({ ...alarm, roles: ['Operator'] });
+
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userGroup: '["Operator"]' }));
+    expect(OrganizationUser.findAll).toHaveBeenCalledWith({
+      where: { organizationId: 4, status: 'active' },
+      attributes: ['userId'],
+      include: [{ model: Role, attributes: [], where: { name: ['Operator'] } }]
+    });
+  });
+
+  test('should still notify the organization room when nobody matches', async () => {
+    OrganizationUser.findAll.mockResolvedValue([]);
+
+    const result = await ruleNotificationService.notify(alarm);
+
+    expect(User.findAll).not.toHaveBeenCalled();
+    expect(notificationManager.sendRoomNotification).toHaveBeenCalledWith('rule-notification', expect.any(Object), ['org-4']);
+    expect(result.recipients).toBe(0);
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../src/ruleEngine/indexing/RuleChainIndex', () => ({
+  getRuleChainsForOriginator: jest.fn()
+}));
+
+jest.mock('../../src/models/initModels', () => ({
+  Sensor: { findOne: jest.fn() },
+  Device: { findOne: jest.fn() },
+  TelemetryData: { findOne: jest.fn() },
+  DataStream: { findOne: jest.fn() },
+  DeviceState: { findOne: jest.fn() },
+  DeviceStateInstance: { findOne: jest.fn() },
+  RuleChain: { findAll: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  RuleChainNode: { findAll: jest.fn(), findByPk: jest.fn(), findOne: jest.fn() }
+}));
+
+const { RuleChain } = require('../../src/models/initModels');
+const { ruleChainService } = require('../../src/services/ruleChainService');
+
+const SENSOR_UUID = '550e8400-e29b-41d4-a716-446655440000';
+
+const scheduledChain = (overrides = {}) => ({
+  id: 12,
+  name: 'Nightly check',
+  maxRetries: 0,
+  retryDelay: 0,
+  nodes: [{
+    id: 1,
+    type: 'filter',
+    config: { sourceType: 'sensor', UUID: SENSOR_UUID, key: 'temperature', operator: '>', value: 30 }
+  }],
+  ...overrides
+});
+
+describe('RuleChainService - scheduled runs', () => {
+  beforeEach(() => {
+    RuleChain.update.mockResolvedValue([1]);
+    jest.spyOn(ruleChainService, '_collectSensorData').mockResolvedValue({
+      data: [{ UUID: SENSOR_UUID, temperature: 35 }],
+      timeoutDetails: { timedOut: false }
+    });
+    jest.spyOn(ruleChainService, '_collectDeviceData').mockResolvedValue({ data: [], timeoutDetails: { timedOut: false } });
+  });
+
+  test('should execute against the live data the filters require', async () => {
+    RuleChain.findByPk.mockResolvedValue(scheduledChain());
+    jest.spyOn(ruleChainService, 'execute').mockResolvedValue({ status: 'success' });
+
+    const run = await ruleChainService.runScheduled(12);
+
+    expect(ruleChainService._collectSensorData).toHaveBeenCalledWith(
+      new Map([[SENSOR_UUID, new Set(['temperature'])]]),
+      expect.any(Number)
+    );
+    expect(ruleChainService.execute).toHaveBeenCalledWith(
+      12,
+      expect.objectContaining({ sensorData: [{ UUID: SENSOR_UUID, temperature: 35 }] }),
+      expect.any(Number)
+    );
+    expect(run).toMatchObject({ status: 'success', attempts: 1 });
+
+    const [changes, options] = RuleChain.update.mock.calls[0];
+    expect(options).toEqual({ where: { id: 12 } });
+    expect(changes).toEqual(expect.objectContaining({ lastExecutedAt: expect.any(Date), executionCount: expect.anything() }));
+    expect(changes).not.toHaveProperty('failureCount');
+  });
+
+  test('should retry up to maxRetries before recording a failure', async () => {
+    RuleChain.findByPk.mockResolvedValue(scheduledChain({ maxRetries: 2 }));
+    jest.spyOn(ruleChainService, 'execute').mockRejectedValue(new Error('Device offline'));
+
+    const run = await ruleChainService.runScheduled(12);
+
+    expect(ruleChainService.execute).toHaveBeenCalledTimes(3);
+    expect(run).toMatchObject({ status: 'failed', attempts: 3, error: 'Device offline' });
+    expect(RuleChain.update).toHaveBeenCalledTimes(1);
+    expect(RuleChain.update.mock.calls[0][0]).toEqual(expect.objectContaining({
+      lastExecutedAt: expect.any(Date),
+      lastErrorAt: expect.any(Date),
+      failureCount: expect.anything()
+    }));
+  });
+
+  test('should succeed when a retry passes', async () => {
+    RuleChain.findByPk.mockResolvedValue(scheduledChain({ maxRetries: 1 }));
+    jest.spyOn(ruleChainService, 'execute')
+      .mockRejectedValueOnce(new Error('Device offline'))
+      .mockResolvedValueOnce({ status: 'success' });
+
+    const run = await ruleChainService.runScheduled(12);
+
+    expect(run).toMatchObject({ status: 'success', attempts: 2 });
+    expect(RuleChain.update.mock.calls[0][0]).not.toHaveProperty('failureCount');
+  });
+
+  test('should skip chains that no longer exist', async () => {
+    RuleChain.findByPk.mockResolvedValue(null);
+
+    const run = await ruleChainService.runScheduled(12);
+
+    expect(run.status).toBe('skipped');
+    expect(RuleChain.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+jest.mock('../../src/config/redis', () => ({
+  set: jest.fn(),
+  exists: jest.fn()
+}));
+
+const crypto = require('crypto');
+const redisConnection = require('../../src/config/redis');
+const { blacklistToken, isTokenBlacklisted, KEY_PREFIX } = require('../../src/services/tokenBlacklistService');
+
+const keyFor = (token) => `${KEY_PREFIX}${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+describe('TokenBlacklistService', () => {
+  beforeEach(() => {
+    redisConnection.set.mockResolvedValue('OK');
+    redisConnection.exists.mockResolvedValue(0);
+  });
+
+  test('should share revoked tokens through Redis until they expire', async () => {
+    await blacklistToken('revoked-token', 3600);
+
+    expect(redisConnection.set).toHaveBeenCalledWith(keyFor('revoked-token'), '1', 'EX', 3600);
+  });
+
+  test('should see tokens revoked by other instances', async () => {
+    redisConnection.exists.mockResolvedValue(1);
+
+    await expect(isTokenBlacklisted('revoked-elsewhere')).resolves.toBe(true);
+    expect(redisConnection.exists).toHaveBeenCalledWith(keyFor('revoked-elsewhere'));
+  });
+
+  test('should remember local revocations while Redis is unreachable', async () => {
+    redisConnection.set.mockRejectedValue(new Error('Connection is closed.'));
+    redisConnection.exists.mockRejectedValue(new Error('Connection is closed.'));
+
+    await blacklistToken('local-token', 60);
+
+    await expect(isTokenBlacklisted('local-token')).resolves.toBe(true);
+    await expect(isTokenBlacklisted('other-token')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+const totp = require('../../src/utils/totp');
+
+// RFC 6238 appendix B test secret, "12345678901234567890" in base32
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  test('should round-trip base32 secrets', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode('gezd gnbv-gy3tqojq gezdgnbvgy3tqojq').toString()).toBe('12345678901234567890');
+    expect(() => totp.base32Decode('NOT1VALID')).toThrow('Invalid base32 secret');
+  });
+
+  test('should generate 160 bit secrets', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Decode(secret)).toHaveLength(20);
+  });
+
+  test('should match the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(RFC_SECRET, totp.stepAt(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.stepAt(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, totp.stepAt(1234567890 * 1000))).toBe('005924');
+  });
+
+  test('should accept codes of adjacent steps only', () => {
+    const timestamp = 1111111109 * 1000;
+    const step = totp.stepAt(timestamp);
+
+    expect(totp.verifyCode(RFC_SECRET, '081804', { timestamp })).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { timestamp })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { timestamp })).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), { timestamp })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { timestamp, window: 0 })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    expect(totp.verifyCode(RFC_SECRET, '')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  test('should build an otpauth URI for authenticator apps', () => {
+    const uri = new URL(totp.provisioningUri({ secret: RFC_SECRET, accountName: 'ops@example.com', issuer: 'AEMOS' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/AEMOS:ops@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).toBe('AEMOS');
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
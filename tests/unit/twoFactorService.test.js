@@ -0,0 +1,195 @@
+jest.mock('../../src/models/initModels', () => ({
+  UserTwoFactor: { findOne: jest.fn(), create: jest.fn(), update: jest.fn(), destroy: jest.fn() },
+  sequelize: { query: jest.fn(), transaction: jest.fn(), QueryTypes: { SELECT: 'SELECT' } }
+}));
+
+const { UserTwoFactor, sequelize } = require('../../src/models/initModels');
+const logger = require('../../src/utils/logger');
+const totp = require('../../src/utils/totp');
+const twoFactorService = require('../../src/services/twoFactorService');
+
+const user = { id: 7, email: 'ops@example.com' };
+
+// Enrol through the service so the stored secret is encrypted like in production
+const enrol = async () => {
+  let record = null;
+  UserTwoFactor.findOne.mockImplementation(async () => record);
+  UserTwoFactor.create.mockImplementation(async (values) => {
+    record = { id: 1, ...values };
+    record.update = jest.fn(async (changes) => Object.assign(record, changes));
+    return record;
+  });
+
+  const { secret } = await twoFactorService.beginEnrollment(user);
+  return { secret, record: () => record };
+};
+
+describe('TwoFactorService', () => {
+  beforeEach(() => {
+    sequelize.query.mockResolvedValue([{ count: 0 }]);
+    sequelize.transaction.mockImplementation(async () => ({
+      LOCK: { UPDATE: 'UPDATE' },
+      commit: jest.fn(),
+      rollback: jest.fn()
+    }));
+    UserTwoFactor.update.mockResolvedValue([1]);
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  describe('enrolment', () => {
+    test('should store the secret encrypted and return its provisioning URI', async () => {
+      const { secret, record } = await enrol();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(record().secret).not.toContain(secret);
+      expect(record().enabledAt).toBeNull();
+    });
+
+    test('should enable the factor with a valid code and hand out hashed recovery codes', async () => {
+      const { secret, record } = await enrol();
+
+      const recoveryCodes = await twoFactorService.enable(7, totp.generateCode(secret));
+
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(record().enabledAt).toBeInstanceOf(Date);
+      expect(record().recoveryCodes).toHaveLength(10);
+      expect(record().recoveryCodes).not.toContain(recoveryCodes[0]);
+      expect(logger.warn).toHaveBeenCalledWith(expect.any(String), { audit: 'auth_two_factor_enabled', userId: 7 });
+    });
+
+    test('should not enable the factor with a wrong code', async () => {
+      const { secret } = await enrol();
+      const wrong = totp.generateCode(secret, totp.stepAt() + 5);
+
+      await expect(twoFactorService.enable(7, wrong))
+        .rejects
+        .toMatchObject({ statusCode: 400, message: 'Invalid two-factor code' });
+    });
+
+    test('should refuse to enable without enrolment or twice', async () => {
+      UserTwoFactor.findOne.mockResolvedValue(null);
+      await expect(twoFactorService.enable(7, '123456')).rejects.toMatchObject({ statusCode: 400 });
+
+      UserTwoFactor.findOne.mockResolvedValue({ id: 1, enabledAt: new Date() });
+      await expect(twoFactorService.enable(7, '123456')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(twoFactorService.beginEnrollment(user)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('verify', () => {
+    test('should accept a TOTP code once', async () => {
+      const { secret } = await enrol();
+      await twoFactorService.enable(7, totp.generateCode(secret, totp.stepAt() - 1));
+      const step = totp.stepAt();
+      const code = totp.generateCode(secret, step);
+
+      await expect(twoFactorService.verify(7, code)).resolves.toBe(true);
+      expect(UserTwoFactor.update).toHaveBeenCalledWith({ lastUsedStep: step }, expect.objectContaining({
+        where: expect.objectContaining({ id: 1 })
+      }));
+
+      // The conditional update matches nothing once the step is used
+      UserTwoFactor.update.mockResolvedValue([0]);
+      await expect(twoFactorService.verify(7, code)).resolves.toBe(false);
+    });
+
+    test('should use up recovery codes', async () => {
+      const { secret, record } = await enrol();
+      const [recoveryCode] = await twoFactorService.enable(7, totp.generateCode(secret));
+
+      await expect(twoFactorService.verify(7, recoveryCode.toUpperCase().replace('-', ' '))).resolves.toBe(true);
+      expect(record().recoveryCodes).toHaveLength(9);
+      expect(logger.warn).toHaveBeenCalledWith(expect.any(String), { audit: 'auth_two_factor_recovery_code_used', userId: 7 });
+
+      await expect(twoFactorService.verify(7, recoveryCode)).resolves.toBe(false);
+    });
+
+    test('should spend a recovery code on the row locked in a transaction', async () => {
+      const { secret } = await enrol();
+      const [recoveryCode] = await twoFactorService.enable(7, totp.generateCode(secret));
+
+      await twoFactorService.verify(7, recoveryCode);
+
+      const transaction = await sequelize.transaction.mock.results[0].value;
+      expect(UserTwoFactor.findOne).toHaveBeenLastCalledWith({ where: { id: 1 }, lock: 'UPDATE', transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('should reject codes of users without an enabled factor', async () => {
+      await enrol();
+
+      await expect(twoFactorService.verify(7, '123456')).resolves.toBe(false);
+    });
+  });
+
+  describe('organization enforcement', () => {
+    test('should require enrolment for members of organizations requiring 2FA', async () => {
+      UserTwoFactor.findOne.mockResolvedValue(null);
+      sequelize.query.mockResolvedValue([{ count: 1 }]);
+
+      await expect(twoFactorService.getLoginRequirement(7)).resolves.toBe('enroll');
+      expect(sequelize.query).toHaveBeenCalledWith(expect.stringContaining('requireTwoFactor = true'), expect.objectContaining({
+        replacements: { userId: 7 }
+      }));
+    });
+
+    test('should only ask for the password when 2FA is neither enabled nor required', async () => {
+      UserTwoFactor.findOne.mockResolvedValue(null);
+
+      await expect(twoFactorService.getLoginRequirement(7)).resolves.toBeNull();
+    });
+
+    test('should ask users with an enabled factor to verify', async () => {
+      UserTwoFactor.findOne.mockResolvedValue({ id: 1 });
+
+      await expect(twoFactorService.getLoginRequirement(7)).resolves.toBe('verify');
+    });
+
+    test('should not let members of such organizations disable the factor', async () => {
+      sequelize.query.mockResolvedValue([{ count: 1 }]);
+
+      await expect(twoFactorService.disable(7, '123456'))
+        .rejects
+        .toMatchObject({ statusCode: 403 });
+      expect(UserTwoFactor.destroy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('management', () => {
+    test('should disable the factor with a valid code', async () => {
+      const { secret } = await enrol();
+      const [recoveryCode] = await twoFactorService.enable(7, totp.generateCode(secret));
+
+      await twoFactorService.disable(7, recoveryCode);
+
+      expect(UserTwoFactor.destroy).toHaveBeenCalledWith({ where: { userId: 7 } });
+      expect(logger.warn).toHaveBeenCalledWith(expect.any(String), { audit: 'auth_two_factor_disabled', userId: 7 });
+    });
+
+    test('should replace the recovery codes', async () => {
+      const { secret } = await enrol();
+      const [recoveryCode] = await twoFactorService.enable(7, totp.generateCode(secret));
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(7, recoveryCode);
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(UserTwoFactor.update).toHaveBeenCalledWith(
+        { recoveryCodes: expect.arrayContaining([expect.stringMatching(/^[0-9a-f]{64}$/)]) },
+        { where: { userId: 7 } }
+      );
+      await expect(twoFactorService.regenerateRecoveryCodes(7, 'wrong')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should report the status', async () => {
+      const { secret } = await enrol();
+      await twoFactorService.enable(7, totp.generateCode(secret));
+
+      await expect(twoFactorService.getStatus(7)).resolves.toEqual({
+        enabled: true,
+        required: false,
+        recoveryCodesRemaining: 10
+      });
+    });
+  });
+});
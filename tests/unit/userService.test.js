@@ -0,0 +1,55 @@
+jest.mock('../../src/models/initModels', () => ({
+  User: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() }
+}));
+
+jest.mock('../../src/services/notificationService', () => ({
+  sendUserWelcomeNotifications: jest.fn()
+}));
+
+jest.mock('../../src/services/authSessionService', () => ({
+  revokeAllSessions: jest.fn()
+}));
+
+const { User } = require('../../src/models/initModels');
+const authSessionService = require('../../src/services/authSessionService');
+const userService = require('../../src/services/userService');
+
+const buildUser = (values = {}) => {
+  const user = { id: 3, email: 'ops@example.com', password: 'hash', status: true, ...values };
+  user.update = jest.fn(async (updates) => Object.assign(user, updates));
+  user.toJSON = () => ({ ...user });
+  return user;
+};
+
+describe('UserService', () => {
+  beforeEach(() => {
+    authSessionService.revokeAllSessions.mockResolvedValue(2);
+  });
+
+  describe('updateUser', () => {
+    test('should log the user out everywhere after a password change', async () => {
+      User.findByPk.mockResolvedValue(buildUser());
+
+      const updated = await userService.updateUser(3, { password: 'n3w-Passw0rd' });
+
+      expect(authSessionService.revokeAllSessions).toHaveBeenCalledWith(3);
+      expect(updated).not.toHaveProperty('password');
+    });
+
+    test('should log the user out everywhere once disabled', async () => {
+      User.findByPk.mockResolvedValue(buildUser());
+
+      await userService.updateUser(3, { status: false });
+
+      expect(authSessionService.revokeAllSessions).toHaveBeenCalledWith(3);
+    });
+
+    test('should keep sessions for other changes', async () => {
+      User.findByPk.mockResolvedValue(buildUser({ status: false }));
+
+      await userService.updateUser(3, { detail: 'Night shift', status: false });
+
+      expect(authSessionService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+  });
+});
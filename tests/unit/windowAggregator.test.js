@@ -0,0 +1,94 @@
+const { Op } = require('sequelize');
+
+jest.mock('../../src/models/initModels', () => ({
+  DataStream: { findOne: jest.fn() },
+  DeviceStateInstance: { findOne: jest.fn() }
+}));
+
+const { DataStream, DeviceStateInstance } = require('../../src/models/initModels');
+const WindowAggregator = require('../../src/ruleEngine/aggregates/WindowAggregator');
+
+const NOW = new Date('2026-01-01T12:00:00.000Z');
+
+describe('WindowAggregator', () => {
+  describe('aggregate keys', () => {
+    test('should round-trip a key, function and window', () => {
+      const name = WindowAggregator.aggregateKey('humidity', 'avg', '10m');
+
+      expect(name).toBe('avg(humidity,10m)');
+      expect(WindowAggregator.parseAggregateKey(name)).toEqual({ aggregate: 'avg', key: 'humidity', window: '10m' });
+    });
+
+    test('should treat plain keys as non-aggregates', () => {
+      expect(WindowAggregator.parseAggregateKey('humidity')).toBeNull();
+      expect(WindowAggregator.parseAggregateKey('median(humidity,10m)')).toBeNull();
+    });
+  });
+
+  describe('validateAggregateCondition', () => {
+    test('should accept plain and well-formed aggregate conditions', () => {
+      expect(WindowAggregator.validateAggregateCondition({ key: 'humidity', operator: '>' })).toEqual([]);
+      expect(WindowAggregator.validateAggregateCondition({ aggregate: 'count', window: '1m' })).toEqual([]);
+    });
+
+    test('should reject unknown functions and bad or oversized windows', () => {
+      expect(WindowAggregator.validateAggregateCondition({ aggregate: 'median', window: '1m' })).toHaveLength(1);
+      expect(WindowAggregator.validateAggregateCondition({ aggregate: 'avg', window: '10 minutes' })).toHaveLength(1);
+      expect(WindowAggregator.validateAggregateCondition({ aggregate: 'avg' })).toHaveLength(1);
+      expect(WindowAggregator.validateAggregateCondition({ aggregate: 'avg', window: '30d' })[0]).toMatch('must not exceed');
+    });
+  });
+
+  describe('aggregateSensorVariable', () => {
+    test('should query the readings received inside the window', async () => {
+      DataStream.findOne.mockResolvedValue({ samples: 4, result: '72.500000' });
+
+      const result = await WindowAggregator.aggregateSensorVariable({ id: 9, datatype: 'number' }, 'avg', '10m', NOW);
+
+      expect(result).toBe(72.5);
+      const { where } = DataStream.findOne.mock.calls[0][0];
+      expect(where.telemetryDataId).toBe(9);
+      expect(where.recievedAt[Op.gte]).toEqual(new Date('2026-01-01T11:50:00.000Z'));
+      expect(where.value).toBeUndefined();
+    });
+
+    test('should return null for an empty window', async () => {
+      DataStream.findOne.mockResolvedValue({ samples: 0, result: null });
+
+      await expect(
+        WindowAggregator.aggregateSensorVariable({ id: 9, datatype: 'number' }, 'max', '10m', NOW)
+      ).resolves.toBeNull();
+    });
+
+    test('should count only true readings of boolean variables', async () => {
+      DataStream.findOne.mockResolvedValue({ samples: 6 });
+
+      const result = await WindowAggregator.aggregateSensorVariable({ id: 3, datatype: 'boolean' }, 'count', '1m', NOW);
+
+      expect(result).toBe(6);
+      expect(DataStream.findOne.mock.calls[0][0].where.value).toBe('true');
+      expect(DataStream.findOne.mock.calls[0][0].attributes).toHaveLength(1);
+    });
+
+    test('should report zero events rather than null for count', async () => {
+      DataStream.findOne.mockResolvedValue({ samples: 0 });
+
+      await expect(
+        WindowAggregator.aggregateSensorVariable({ id: 3, datatype: 'boolean' }, 'count', '1m', NOW)
+      ).resolves.toBe(0);
+    });
+  });
+
+  describe('aggregateDeviceState', () => {
+    test('should aggregate the state instances that began inside the window', async () => {
+      DeviceStateInstance.findOne.mockResolvedValue({ samples: 2, result: '40.000000' });
+
+      const result = await WindowAggregator.aggregateDeviceState({ id: 5 }, 'sum', '1h', NOW);
+
+      expect(result).toBe(40);
+      const { where } = DeviceStateInstance.findOne.mock.calls[0][0];
+      expect(where.deviceStateId).toBe(5);
+      expect(where.fromTimestamp[Op.gte]).toEqual(new Date('2026-01-01T11:00:00.000Z'));
+    });
+  });
+});